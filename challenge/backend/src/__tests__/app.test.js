@@ -0,0 +1,116 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const { createApp } = require('../app');
+const { signToken } = require('../auth/tokens');
+const { createTestServices } = require('../routes/__tests__/testServices');
+
+const viewerAuth = `Bearer ${signToken({ username: 'test-viewer', role: 'viewer' })}`;
+
+describe('createApp', () => {
+  let suites;
+
+  beforeEach(() => {
+    suites = [createTestServices(), createTestServices()];
+  });
+
+  afterEach(async () => {
+    await Promise.all(suites.map(suite => suite.cleanup()));
+  });
+
+  it('should serve the API without listening', async () => {
+    const { services, config } = suites[0];
+    const app = createApp(config, { services });
+
+    const res = await request(app).get('/api/items?limit=2').set('Authorization', viewerAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.headers['x-request-id']).toBeDefined();
+    expect(app.locals.services).toBe(services);
+  });
+
+  it('should keep apps built on different data apart', async () => {
+    const [first, second] = suites;
+    await fs.writeFile(second.dataPath, JSON.stringify([{ id: 1, name: 'Only', category: 'Misc', price: 1 }]), 'utf-8');
+
+    const [a, b] = await Promise.all([
+      request(createApp(first.config, { services: first.services })).get('/api/stats').set('Authorization', viewerAuth),
+      request(createApp(second.config, { services: second.services })).get('/api/stats').set('Authorization', viewerAuth)
+    ]);
+
+    expect(a.body.total).toBeGreaterThan(1);
+    expect(b.body.total).toBe(1);
+  });
+
+  it('should answer with the JSON error format', async () => {
+    const { services, config } = suites[0];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await request(createApp(config, { services })).get('/api/nope');
+    console.warn.mockRestore();
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  it('should apply the configured rate and body size limits under /api', async () => {
+    const { services, config } = suites[0];
+    const app = createApp({
+      ...config,
+      server: { ...config.server, jsonBodyLimitKb: 1 },
+      rateLimit: { enabled: true, windowSeconds: 60, readLimit: 2, writeLimit: 5 }
+    }, { services });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await request(app).get('/api/items').set('Authorization', viewerAuth);
+    const last = await request(app).get('/api/items').set('Authorization', viewerAuth);
+    const limited = await request(app).get('/api/items').set('Authorization', viewerAuth);
+    const probe = await request(app).get('/healthz');
+    const large = await request(app).post('/api/auth/login').send({ username: 'x'.repeat(2048), password: 'x' });
+    console.warn.mockRestore();
+
+    expect(last.headers['ratelimit-remaining']).toBe('0');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('30');
+    expect(probe.status).toBe(200);
+    expect(probe.headers['ratelimit-limit']).toBeUndefined();
+    expect(large.status).toBe(413);
+    expect(large.body.error.message).toBe('Request body is too large (the limit is 1 KB)');
+  });
+
+  it('should serve the API under /api/v1 and keep /api as a deprecated alias', async () => {
+    const { services, config } = suites[0];
+    const app = createApp(config, { services });
+
+    const [versioned, alias, spec] = await Promise.all([
+      request(app).get('/api/v1/items?limit=2').set('Authorization', viewerAuth).set('Origin', 'http://localhost:3000'),
+      request(app).get('/api/items?limit=2').set('Authorization', viewerAuth),
+      request(app).get('/api/v1/openapi.json')
+    ]);
+
+    expect(versioned.status).toBe(200);
+    expect(alias.body).toEqual(versioned.body);
+    expect(versioned.headers['api-version']).toBe('1');
+    expect(versioned.headers.deprecation).toBeUndefined();
+    expect(versioned.headers['access-control-expose-headers']).toMatch(/API-Version,Deprecation,Sunset,Link/);
+    expect(alias.headers.deprecation).toBe(`@${config.api.deprecatedSince.getTime() / 1000}`);
+    expect(alias.headers.sunset).toBe(config.api.sunset.toUTCString());
+    expect(alias.headers.link).toBe('</api/v1/items>; rel="successor-version"');
+    expect(spec.body.servers[0].url).toBe('/api/v1');
+  });
+
+  it('should release the store and end event streams on close', async () => {
+    const { services } = suites[0];
+    const onClose = jest.fn();
+    services.events.on('close', onClose);
+    await services.itemStore.all();
+    expect(services.itemStore.isWatching()).toBe(true);
+
+    await services.close();
+    await services.close();
+
+    expect(services.itemStore.isWatching()).toBe(false);
+    expect(services.statsCache.isWatching()).toBe(false);
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
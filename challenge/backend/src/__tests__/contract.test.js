@@ -0,0 +1,214 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { document, createResponseValidator } = require('../openapi');
+const { signToken } = require('../auth/tokens');
+const { saveUser } = require('../auth/users');
+const { createTestServices } = require('../routes/__tests__/testServices');
+
+const auth = role => `Bearer ${signToken({ username: `contract-${role}`, role })}`;
+
+/**
+ * Every response the API gives is checked against the OpenAPI document: its
+ * status must be documented for the operation, and its body must match the
+ * schema for its content type. A route that adds, renames or retypes a
+ * response field without updating the document fails here.
+ */
+describe('OpenAPI contract', () => {
+  const validateResponse = createResponseValidator();
+  const exercised = new Set();
+  let suite;
+  let app;
+
+  beforeAll(async () => {
+    suite = createTestServices();
+    await saveUser(
+      { username: 'editor', password: 'editor-password', role: 'editor' },
+      { filePath: suite.config.auth.usersPath }
+    );
+    app = createApp(suite.config, { services: suite.services });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    console.warn.mockRestore();
+    await suite.cleanup();
+  });
+
+  /**
+   * Check a response against the document
+   * @param {import('supertest').Response} res
+   * @returns {import('supertest').Response}
+   */
+  function expectContract(res) {
+    const { method, path } = res.req;
+    const contentType = res.headers['content-type'];
+    const body = /json/.test(contentType || '') ? res.body : res.text;
+    const { operation, errors } = validateResponse(
+      method,
+      path.split('?')[0].replace(/^\/api\/v1/, ''),
+      res.status,
+      contentType,
+      body
+    );
+
+    expect(errors).toEqual([]);
+    exercised.add(`${operation} ${res.status}`);
+    return res;
+  }
+
+  it('should match the document for auth responses', async () => {
+    expectContract(await request(app).post('/api/v1/auth/login').send({ username: 'editor', password: 'editor-password' }));
+    expectContract(await request(app).post('/api/v1/auth/login').send({ username: 'editor', password: 'nope' }));
+    expectContract(await request(app).post('/api/v1/auth/login').send({}));
+  });
+
+  it('should match the document for item reads', async () => {
+    const viewer = auth('viewer');
+
+    const list = expectContract(await request(app).get('/api/v1/items?limit=2&sort=-price').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/items?q=laptop').set('Authorization', viewer));
+    const firstPage = expectContract(await request(app).get('/api/v1/items?cursor=&limit=1').set('Authorization', viewer));
+    expectContract(await request(app).get(`/api/v1/items?limit=1&cursor=${firstPage.body.pagination.nextCursor}`).set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/items').set('Authorization', viewer).set('If-None-Match', list.headers.etag));
+    expectContract(await request(app).get('/api/v1/items?limit=500').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/items?includeDeleted=true'));
+    expectContract(await request(app).get('/api/v1/items?includeDeleted=only').set('Authorization', viewer));
+
+    const id = list.body.data[0].id;
+    const item = expectContract(await request(app).get(`/api/v1/items/${id}`).set('Authorization', viewer));
+    expectContract(await request(app).get(`/api/v1/items/${id}`).set('Authorization', viewer).set('If-None-Match', item.headers.etag));
+    expectContract(await request(app).get('/api/v1/items/999999').set('Authorization', viewer));
+    expectContract(await request(app).get(`/api/v1/items/${id}`));
+
+    expectContract(await request(app).get('/api/v1/items/export?format=json&sort=id').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/items/export?format=csv').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/items/export?format=xml').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/items').set('Authorization', viewer).set('Accept', 'application/vnd.items.v9+json'));
+  });
+
+  it('should match the document for item writes and history', async () => {
+    const viewer = auth('viewer');
+    const editor = auth('editor');
+    const admin = auth('admin');
+
+    const created = expectContract(await request(app)
+      .post('/api/v1/items')
+      .set('Authorization', editor)
+      .send({ name: 'Contract Desk', category: 'Furniture', price: 300 }));
+    const { id } = created.body;
+    expectContract(await request(app).post('/api/v1/items').set('Authorization', editor).send({ name: '' }));
+    expectContract(await request(app).post('/api/v1/items').send({ name: 'Desk', category: 'Furniture', price: 1 }));
+    expectContract(await request(app).post('/api/v1/items').set('Authorization', viewer).send({}));
+
+    const replaced = expectContract(await request(app)
+      .put(`/api/v1/items/${id}`)
+      .set('Authorization', editor)
+      .set('If-Match', created.headers.etag)
+      .send({ name: 'Contract Desk', category: 'Furniture', price: 350 }));
+    expectContract(await request(app)
+      .put(`/api/v1/items/${id}`)
+      .set('Authorization', editor)
+      .send({ name: 'Contract Desk', category: 'Furniture', price: 1 }));
+    expectContract(await request(app)
+      .put(`/api/v1/items/${id}`)
+      .set('Authorization', editor)
+      .set('If-Match', created.headers.etag)
+      .send({ name: 'Contract Desk', category: 'Furniture', price: 1 }));
+    expectContract(await request(app)
+      .put('/api/v1/items/999999')
+      .set('Authorization', editor)
+      .set('If-Match', '"x"')
+      .send({ name: 'Contract Desk', category: 'Furniture', price: 1 }));
+
+    const patched = expectContract(await request(app)
+      .patch(`/api/v1/items/${id}`)
+      .set('Authorization', editor)
+      .set('If-Match', replaced.headers.etag)
+      .send({ price: 375 }));
+    expectContract(await request(app).patch(`/api/v1/items/${id}`).set('Authorization', editor).send({}));
+
+    expectContract(await request(app).delete(`/api/v1/items/${id}`).set('Authorization', admin).set('If-Match', patched.headers.etag));
+    expectContract(await request(app).delete(`/api/v1/items/${id}`).set('Authorization', editor).set('If-Match', '*'));
+    expectContract(await request(app).get('/api/v1/items?includeDeleted=only').set('Authorization', admin));
+    expectContract(await request(app).post(`/api/v1/items/${id}/restore`).set('Authorization', admin));
+    expectContract(await request(app).post(`/api/v1/items/${id}/restore`).set('Authorization', admin));
+    expectContract(await request(app).post('/api/v1/items/999999/restore').set('Authorization', admin));
+
+    expectContract(await request(app).get(`/api/v1/items/${id}/history`).set('Authorization', admin));
+    expectContract(await request(app).get(`/api/v1/items/${id}/history`).set('Authorization', viewer));
+    expectContract(await request(app).get(`/api/v1/items/${id}/history`));
+    expectContract(await request(app).get('/api/v1/items/999999/history').set('Authorization', admin));
+  });
+
+  it('should match the document for batches and imports', async () => {
+    const editor = auth('editor');
+
+    expectContract(await request(app)
+      .post('/api/v1/items/batch')
+      .set('Authorization', editor)
+      .send({
+        mode: 'best-effort',
+        operations: [
+          { op: 'create', fields: { name: 'Batch Lamp', category: 'Home', price: 40 } },
+          { op: 'update', id: 1, fields: { price: 2399 } },
+          { op: 'update', id: 999999, fields: { price: 1 } },
+          { op: 'frobnicate' }
+        ]
+      }));
+    expectContract(await request(app)
+      .post('/api/v1/items/batch')
+      .set('Authorization', editor)
+      .send({ operations: [{ op: 'update', id: 999999, fields: { price: 1 } }] }));
+    expectContract(await request(app).post('/api/v1/items/batch').set('Authorization', editor).send({ operations: [] }));
+
+    const csv = 'name,category,price\nImported Chair,Furniture,120\n';
+    expectContract(await request(app)
+      .post('/api/v1/items/import?dryRun=true')
+      .set('Authorization', editor)
+      .set('Content-Type', 'text/csv')
+      .send(csv));
+    expectContract(await request(app)
+      .post('/api/v1/items/import')
+      .set('Authorization', editor)
+      .set('Content-Type', 'text/csv')
+      .send(csv));
+    expectContract(await request(app)
+      .post('/api/v1/items/import')
+      .set('Authorization', editor)
+      .set('Content-Type', 'text/plain')
+      .send(csv));
+  });
+
+  it('should match the document for stats', async () => {
+    const viewer = auth('viewer');
+
+    expectContract(await request(app).get('/api/v1/stats').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/stats').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/stats?fields=total,histogram&buckets=0,100,1000&category=Electronics').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/stats?fields=colour').set('Authorization', viewer));
+    expectContract(await request(app).get('/api/v1/stats'));
+  });
+
+  it('should have exercised every documented operation', () => {
+    const operations = Object.entries(document.paths).flatMap(([path, pathItem]) =>
+      ['get', 'put', 'post', 'delete', 'patch']
+        .filter(method => pathItem[method])
+        .map(method => `${method.toUpperCase()} ${path}`)
+    );
+    const covered = new Set([...exercised].map(key => key.replace(/ \d+$/, '')));
+
+    expect(operations.filter(operation => !covered.has(operation))).toEqual([]);
+  });
+
+  it('should catch a response that drifts from its schema', () => {
+    const item = { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 };
+
+    expect(validateResponse('GET', '/items/1', 200, 'application/json', item).errors).toEqual([]);
+    expect(validateResponse('GET', '/items/1', 200, 'application/json', { ...item, price: '2499' }).errors)
+      .toEqual(['GET /items/{id} 200 application/json: /price must be number']);
+    expect(validateResponse('GET', '/stats', 200, 'application/json', { total: 1, count: 1, cached: false }).errors)
+      .toEqual(['GET /stats 200 application/json: (body) must NOT have additional properties']);
+    expect(validateResponse('GET', '/items/1', 418, 'application/json', item).errors)
+      .toEqual(['GET /items/{id} has no documented 418 response']);
+  });
+});
@@ -0,0 +1,104 @@
+const http = require('http');
+const express = require('express');
+const { startServer } = require('../server');
+const { createEventsRouter } = require('../routes/events');
+const { signToken } = require('../auth/tokens');
+const { createTestServices } = require('../routes/__tests__/testServices');
+
+/**
+ * GET a path, resolving once the headers arrive
+ * @param {string} url
+ * @returns {Promise<{ res: http.IncomingMessage, body: Promise<string> }>} `body`
+ *   resolves when the response ends, or rejects if the connection is cut
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      const body = new Promise((resolveBody, rejectBody) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolveBody(data));
+        res.on('aborted', () => rejectBody(new Error('aborted')));
+        res.on('error', rejectBody);
+      });
+      // Handled by the tests that expect it
+      body.catch(() => {});
+      resolve({ res, body });
+    }).on('error', reject);
+  });
+}
+
+describe('startServer', () => {
+  let suite;
+  let release;
+  let app;
+
+  beforeEach(() => {
+    suite = createTestServices();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // A request that stays in flight until the test releases it
+    app = express();
+    app.locals.services = suite.services;
+    app.get('/slow', (req, res) => {
+      res.write('started ');
+      release = () => res.end('done');
+    });
+    app.use('/api/events', createEventsRouter(suite.services));
+  });
+
+  afterEach(async () => {
+    await suite.cleanup();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  /**
+   * @param {number} [shutdownTimeoutSeconds=5]
+   */
+  async function start(shutdownTimeoutSeconds = 5) {
+    const config = {
+      ...suite.config,
+      server: { ...suite.config.server, port: 0, host: '127.0.0.1', shutdownTimeoutSeconds }
+    };
+    const { server, shutdown } = await startServer(app, config);
+    return { server, shutdown, baseUrl: `http://127.0.0.1:${server.address().port}` };
+  }
+
+  it('should open the store before listening', async () => {
+    const { shutdown } = await start();
+
+    expect(suite.services.itemStore.isWatching()).toBe(true);
+    await shutdown('test');
+  });
+
+  it('should let in-flight requests finish and end event streams', async () => {
+    const { server, shutdown, baseUrl } = await start();
+    const slow = await get(`${baseUrl}/slow`);
+    const token = signToken({ username: 'test-viewer', role: 'viewer' });
+    const stream = await get(`${baseUrl}/api/events?access_token=${token}`);
+
+    const stopping = shutdown('SIGTERM');
+    // No new connections once shutting down
+    await expect(get(`${baseUrl}/slow`)).rejects.toThrow();
+    expect(await stream.body).toContain('retry:');
+
+    release();
+    expect(await slow.body).toBe('started done');
+    expect(await stopping).toBe(true);
+    expect(server.listening).toBe(false);
+    expect(suite.services.itemStore.isWatching()).toBe(false);
+    expect(shutdown('SIGINT')).toBe(stopping);
+  });
+
+  it('should close connections still open after the timeout', async () => {
+    const { shutdown, baseUrl } = await start(0.1);
+    const slow = await get(`${baseUrl}/slow`);
+
+    expect(await shutdown('SIGTERM')).toBe(false);
+    await expect(slow.body).rejects.toThrow('aborted');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Requests still running after 0.1s'));
+  });
+});
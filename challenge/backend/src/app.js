@@ -0,0 +1,137 @@
+const express = require('express');
+const cors = require('cors');
+const { config: defaultConfig } = require('./config');
+const { createItemStore } = require('./store');
+const { EventBus, publishStoreChanges } = require('./events');
+const { AuditLog, recordStoreChanges } = require('./audit');
+const { instrumentStore } = require('./metrics');
+const { createItemsRouter } = require('./routes/items');
+const { createStatsRouter, StatsCache } = require('./routes/stats');
+const { createEventsRouter } = require('./routes/events');
+const { createAuditRouter } = require('./routes/audit');
+const { createHealthRouter } = require('./routes/health');
+const { createDocsRouter } = require('./routes/docs');
+const { createAuthRouter } = require('./routes/auth');
+const metricsRouter = require('./routes/metrics');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/logger');
+const { requestMetrics } = require('./middleware/metrics');
+const { rateLimit } = require('./middleware/rateLimit');
+const { apiVersion, unversionedAlias } = require('./middleware/apiVersion');
+const { validateRequest } = require('./openapi');
+
+/**
+ * Everything the routers share, wired together: the item store, the live
+ * event bus and the audit log both fed by store changes, and the stats cache.
+ * Nothing is opened or watched until the store is first used.
+ * @param {Object} [config] - Settings as returned by loadConfig (default: the loaded configuration)
+ * @returns {{ itemStore, events, auditLog, statsCache, close: Function }} `close()`
+ *   ends live event streams, stops listening for changes, waits for pending
+ *   audit records and closes the store (and its file watcher)
+ */
+function createServices(config = defaultConfig) {
+  const itemStore = createItemStore(config.storage);
+  const events = new EventBus();
+  const auditLog = new AuditLog({ filePath: config.audit.path });
+  const statsCache = new StatsCache({
+    itemStore,
+    events,
+    ttlSeconds: config.cache.statsTtlSeconds,
+    maxEntries: config.cache.statsMaxEntries
+  });
+  const unsubscribe = [
+    publishStoreChanges(itemStore, events),
+    recordStoreChanges(itemStore, auditLog),
+    instrumentStore(itemStore)
+  ];
+
+  let closing = null;
+  const close = () => {
+    if (!closing) {
+      events.close();
+      statsCache.close();
+      unsubscribe.forEach(stop => stop());
+      closing = auditLog.idle().then(() => itemStore.close());
+    }
+    return closing;
+  };
+
+  return { itemStore, events, auditLog, statsCache, close };
+}
+
+/**
+ * The API's routes, mounted at each version's path and at the deprecated
+ * unversioned aliases
+ * @param {Object} config - Settings as returned by loadConfig
+ * @param {Object} services - From createServices()
+ * @returns {import('express').Router}
+ */
+function createApiRouter(config, services) {
+  const router = express.Router();
+
+  // Reject requests that don't match the OpenAPI document (GET /api/v1/openapi.json)
+  router.use(validateRequest());
+  router.use(createDocsRouter());
+  router.use('/auth', createAuthRouter({ usersPath: config.auth.usersPath }));
+  router.use('/items', createItemsRouter(services, { importSizeLimit: `${config.server.importBodyLimitMb}mb` }));
+  router.use('/stats', createStatsRouter(services));
+  router.use('/events', createEventsRouter(services));
+  router.use('/audit', createAuditRouter(services));
+
+  return router;
+}
+
+/**
+ * Build the Express app without listening, so tests can run it with
+ * supertest against their own data files
+ * @param {Object} [config] - Settings as returned by loadConfig (default: the loaded configuration)
+ * @param {Object} [options]
+ * @param {Object} [options.services] - Default: createServices(config)
+ * @returns {import('express').Express} With the services in `app.locals.services`
+ */
+function createApp(config = defaultConfig, { services = createServices(config) } = {}) {
+  const app = express();
+  app.locals.services = services;
+
+  // Probes and scrapes, ahead of the request log and metrics they would flood
+  app.use(createHealthRouter(services));
+  app.use('/metrics', metricsRouter);
+
+  // The UI reads ETags to send them back in If-None-Match / If-Match, the
+  // rate limit headers to back off, and the version and deprecation headers
+  app.use(cors({
+    origin: config.server.corsOrigins,
+    exposedHeaders: [
+      'ETag', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+      'API-Version', 'Deprecation', 'Sunset', 'Link'
+    ]
+  }));
+  // Basic middleware
+  app.use(requestId);
+  // JSON line per request, tagged with its X-Request-Id (log settings in config/)
+  app.use(requestLogger());
+  // Request counts and latencies by route, for GET /metrics
+  app.use(requestMetrics());
+  // Before parsing, so throttled requests don't cost a body read
+  if (config.rateLimit.enabled) {
+    app.use('/api', rateLimit(config.rateLimit));
+  }
+  app.use(express.json({ limit: `${config.server.jsonBodyLimitKb}kb` }));
+
+  // Routes: /api/v1/..., and the unversioned /api/... paths as deprecated
+  // aliases (see middleware/apiVersion)
+  const api = createApiRouter(config, services);
+  app.use('/api/:version(v\\d+)', apiVersion(), api);
+  app.use('/api', unversionedAlias(config.api), api);
+
+  // Not Found
+  app.use('*', notFound);
+
+  // Error handler (must be last)
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp, createServices };
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const readline = require('readline');
+const Mutex = require('../utils/mutex');
+const { ulid } = require('../store/ids');
+
+/**
+ * Field-level difference between two versions of an item
+ * @param {Object|null} before - null for a creation
+ * @param {Object|null} after - null for a deletion
+ * @returns {Object} { [field]: { before, after } } for every field that changed
+ *   (missing values are reported as null); the id is left out
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('id');
+
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append-only audit log, stored as one JSON record per line (NDJSON).
+ *
+ * Records are never rewritten: appends are serialized so lines can't
+ * interleave, and reads stream the file. Each record is
+ *   { id, time, actor, operation, itemId, requestId, changes }
+ * with `id` a ULID (so ids sort by time) and `changes` from diff().
+ *
+ * Remembers whether the last append failed, for the readiness check: the
+ * writes it was recording are already stored, so a failure can't undo them.
+ */
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - NDJSON file; created on the first append
+   */
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.appendLock = new Mutex();
+    // Error of the last append, if it failed
+    this.failure = null;
+  }
+
+  /**
+   * Append a record
+   * @param {Object} entry
+   * @param {string} entry.operation - 'create', 'update', 'delete', 'restore' or 'purge'
+   * @param {number|string} entry.itemId
+   * @param {Object} entry.changes - See diff()
+   * @param {string|null} [entry.actor] - Username, or null when unknown
+   * @param {string|null} [entry.requestId]
+   * @returns {Promise<Object>} The stored record
+   */
+  append({ operation, itemId, changes, actor = null, requestId = null }) {
+    const record = {
+      id: ulid(),
+      time: new Date().toISOString(),
+      actor,
+      operation,
+      itemId,
+      requestId,
+      changes
+    };
+
+    return this.appendLock.runExclusive(async () => {
+      try {
+        await fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf-8');
+      } catch (err) {
+        this.failure = err;
+        throw err;
+      }
+      this.failure = null;
+      return record;
+    });
+  }
+
+  /**
+   * Throw if the last append failed, so changes since then may be missing
+   * from the log. Passes again once an append succeeds
+   * @throws {Error}
+   */
+  check() {
+    if (this.failure) {
+      throw new Error(`The last audit record could not be written: ${this.failure.message}`);
+    }
+  }
+
+  /**
+   * Wait for every append queued so far to reach the file
+   * @returns {Promise<void>}
+   */
+  idle() {
+    return this.appendLock.runExclusive(() => {});
+  }
+
+  /**
+   * Read records in the order they were written
+   * @param {Object} [filters]
+   * @param {number|string} [filters.itemId] - Only this item's records
+   * @param {string} [filters.actor] - Only records by this user
+   * @param {Date} [filters.since] - Only records at or after this time
+   * @param {string} [filters.after] - Only records after the one with this id.
+   *   Ids are ULIDs, which sort in the order records are written, even within
+   *   one millisecond
+   * @param {number} [filters.limit] - Stop after this many matches
+   * @returns {Promise<Array<Object>>}
+   */
+  async query({ itemId, actor, since, after, limit = Infinity } = {}) {
+    const matches = [];
+    let stream;
+    try {
+      stream = fs.createReadStream(this.filePath, { encoding: 'utf-8' });
+      await new Promise((resolve, reject) => {
+        stream.once('open', resolve);
+        stream.once('error', reject);
+      });
+    } catch (err) {
+      // Nothing has been logged yet
+      if (err.code === 'ENOENT') return matches;
+      throw err;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const sinceTime = since ? since.getTime() : null;
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // A torn final line from a crash mid-append; skip it
+        continue;
+      }
+
+      if (itemId !== undefined && String(record.itemId) !== String(itemId)) continue;
+      if (actor !== undefined && record.actor !== actor) continue;
+      if (sinceTime !== null && Date.parse(record.time) < sinceTime) continue;
+      if (after !== undefined && record.id <= after) continue;
+
+      matches.push(record);
+      if (matches.length >= limit) break;
+    }
+
+    lines.close();
+    stream.destroy();
+    return matches;
+  }
+}
+
+module.exports = { AuditLog, diff };
@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { AuditLog, diff } = require('../AuditLog');
+
+describe('diff', () => {
+  it('should list changed fields with their old and new values', () => {
+    expect(diff(
+      { id: 1, name: 'Desk', category: 'Furniture', price: 100 },
+      { id: 1, name: 'Desk', category: 'Office', price: 120 }
+    )).toEqual({
+      category: { before: 'Furniture', after: 'Office' },
+      price: { before: 100, after: 120 }
+    });
+  });
+
+  it('should report creations and deletions against null', () => {
+    expect(diff(null, { id: 7, name: 'Lamp' })).toEqual({ name: { before: null, after: 'Lamp' } });
+    expect(diff({ id: 7, name: 'Lamp' }, null)).toEqual({ name: { before: 'Lamp', after: null } });
+  });
+
+  it('should be empty when nothing changed', () => {
+    expect(diff({ id: 1, price: 5 }, { id: 1, price: 5 })).toEqual({});
+  });
+});
+
+describe('AuditLog', () => {
+  let dir;
+  let log;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    log = new AuditLog({ filePath: path.join(dir, 'audit.log') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should append one JSON line per record', async () => {
+    const record = await log.append({ operation: 'create', itemId: 1, actor: 'alice', requestId: 'r1', changes: {} });
+
+    expect(record).toMatchObject({ operation: 'create', itemId: 1, actor: 'alice', requestId: 'r1' });
+    expect(record.id).toMatch(/^[0-9A-Z]{26}$/);
+
+    const lines = (await fs.readFile(log.filePath, 'utf-8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toEqual(record);
+  });
+
+  it('should keep concurrent appends on separate lines, in order', async () => {
+    await Promise.all(Array.from({ length: 50 }, (_, i) =>
+      log.append({ operation: 'update', itemId: i, changes: {} })
+    ));
+
+    const records = await log.query();
+    expect(records.map(r => r.itemId)).toEqual(Array.from({ length: 50 }, (_, i) => i));
+  });
+
+  it('should filter by item, actor and time', async () => {
+    await log.append({ operation: 'create', itemId: 1, actor: 'alice', changes: {} });
+    await log.append({ operation: 'create', itemId: '2', actor: 'bob', changes: {} });
+    await log.append({ operation: 'update', itemId: 1, actor: 'bob', changes: {} });
+    const all = await log.query();
+
+    expect((await log.query({ itemId: '1' })).map(r => r.operation)).toEqual(['create', 'update']);
+    expect((await log.query({ actor: 'bob' })).map(r => r.itemId)).toEqual(['2', 1]);
+    expect(await log.query({ since: new Date(Date.parse(all[2].time) + 1) })).toEqual([]);
+    expect(await log.query({ limit: 2 })).toHaveLength(2);
+  });
+
+  it('should continue after a record id, even within one millisecond', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00Z'));
+    try {
+      for (let i = 0; i < 5; i++) {
+        await log.append({ operation: 'create', itemId: i, changes: {} });
+      }
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    const first = await log.query({ limit: 2 });
+    const rest = await log.query({ after: first[1].id });
+    expect(first.map(r => r.itemId)).toEqual([0, 1]);
+    expect(rest.map(r => r.itemId)).toEqual([2, 3, 4]);
+    expect(await log.query({ after: rest[2].id })).toEqual([]);
+  });
+
+  it('should skip a torn last line', async () => {
+    await log.append({ operation: 'create', itemId: 1, changes: {} });
+    await fs.appendFile(log.filePath, '{"id":"01', 'utf-8');
+
+    expect(await log.query()).toHaveLength(1);
+  });
+
+  it('should return nothing before the first append', async () => {
+    expect(await log.query()).toEqual([]);
+  });
+
+  it('should fail its check from a failed append until one succeeds', async () => {
+    const directory = new AuditLog({ filePath: dir });
+
+    await expect(directory.append({ operation: 'create', itemId: 1, changes: {} })).rejects.toThrow();
+    expect(() => directory.check()).toThrow(/^The last audit record could not be written: /);
+
+    directory.filePath = log.filePath;
+    await directory.append({ operation: 'create', itemId: 2, changes: {} });
+    expect(() => directory.check()).not.toThrow();
+  });
+});
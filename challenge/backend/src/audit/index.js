@@ -0,0 +1,51 @@
+const { AuditLog, diff } = require('./AuditLog');
+const { logger } = require('../logging');
+const metrics = require('../metrics');
+
+// Audited store changes, and the operation they are recorded as
+const OPERATIONS = {
+  created: 'create',
+  updated: 'update',
+  deleted: 'delete',
+  restored: 'restore',
+  purged: 'purge'
+};
+
+/**
+ * Record every write to an item store, one record per item for batches.
+ * Changes made outside the API (edits to the data file) carry no item and
+ * aren't recorded. The write has already been stored and answered when its
+ * record fails to append, so failures are logged, counted in
+ * audit_write_failures_total and fail the audit log's readiness check
+ * @param {import('../store/ItemStore')} itemStore
+ * @param {AuditLog} auditLog
+ * @returns {Function} Stops recording
+ */
+function recordStoreChanges(itemStore, auditLog) {
+  const onStoreChange = ({ type, item, previous, changes, context }) => {
+    if (type === 'batch') {
+      changes.forEach(change => onStoreChange({ ...change, context }));
+      return;
+    }
+
+    const operation = OPERATIONS[type];
+    if (!operation) return;
+
+    const { actor = null, requestId = null } = context || {};
+    auditLog.append({
+      operation,
+      itemId: item.id,
+      actor,
+      requestId,
+      changes: diff(previous, type === 'purged' ? null : item)
+    }).catch(err => {
+      metrics.auditWriteFailures.inc();
+      logger.error('Error writing audit record', { error: err, itemId: item.id, requestId });
+    });
+  };
+
+  itemStore.on('change', onStoreChange);
+  return () => itemStore.off('change', onStoreChange);
+}
+
+module.exports = { AuditLog, diff, recordStoreChanges };
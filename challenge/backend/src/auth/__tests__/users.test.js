@@ -0,0 +1,68 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { hasRole, saveUser, readUsers, authenticateUser } = require('../users');
+
+describe('users', () => {
+  describe('hasRole', () => {
+    it('should let higher roles do what lower roles can', () => {
+      expect(hasRole('admin', 'editor')).toBe(true);
+      expect(hasRole('editor', 'editor')).toBe(true);
+      expect(hasRole('editor', 'admin')).toBe(false);
+      expect(hasRole('viewer', 'editor')).toBe(false);
+    });
+
+    it('should grant nothing to unknown roles', () => {
+      expect(hasRole('root', 'viewer')).toBe(false);
+    });
+  });
+
+  describe('saveUser / authenticateUser', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'users-'));
+      filePath = path.join(dir, 'users.json');
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should store a password hash, never the password', async () => {
+      await saveUser({ username: 'alice', password: 's3cret', role: 'editor' }, { filePath });
+
+      const [user] = await readUsers(filePath);
+      expect(user.username).toBe('alice');
+      expect(user.role).toBe('editor');
+      expect(user.passwordHash).not.toContain('s3cret');
+      expect(JSON.stringify(user)).not.toContain('"password"');
+    });
+
+    it('should check passwords against the stored hash', async () => {
+      await saveUser({ username: 'alice', password: 's3cret', role: 'editor' }, { filePath });
+
+      expect(await authenticateUser('alice', 's3cret', { filePath })).toEqual({ username: 'alice', role: 'editor' });
+      expect(await authenticateUser('alice', 'wrong', { filePath })).toBeNull();
+      expect(await authenticateUser('bob', 's3cret', { filePath })).toBeNull();
+    });
+
+    it('should replace an existing user', async () => {
+      await saveUser({ username: 'alice', password: 'one', role: 'viewer' }, { filePath });
+      await saveUser({ username: 'alice', password: 'two', role: 'admin' }, { filePath });
+
+      expect(await readUsers(filePath)).toHaveLength(1);
+      expect(await authenticateUser('alice', 'two', { filePath })).toEqual({ username: 'alice', role: 'admin' });
+    });
+
+    it('should reject unknown roles', async () => {
+      await expect(saveUser({ username: 'alice', password: 'x', role: 'root' }, { filePath }))
+        .rejects.toThrow(/Unknown role "root"/);
+    });
+
+    it('should treat a missing user store as empty', async () => {
+      expect(await readUsers(filePath)).toEqual([]);
+    });
+  });
+});
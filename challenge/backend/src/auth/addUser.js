@@ -0,0 +1,48 @@
+require('dotenv').config();
+/**
+ * Add a user to the local user store, or change an existing user's password
+ * and role:
+ *
+ *   npm run add-user -- <username> <viewer|editor|admin>
+ *
+ * The password is read from the USER_PASSWORD environment variable, or
+ * prompted for when it isn't set.
+ */
+const readline = require('readline');
+const { ROLES, USERS_PATH, saveUser } = require('./users');
+
+/**
+ * Ask for the password on the terminal
+ * @returns {Promise<string>}
+ */
+function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: npm run add-user -- <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const password = process.env.USER_PASSWORD || await promptPassword();
+  if (!password) {
+    console.error('Password must not be empty');
+    process.exit(1);
+  }
+
+  await saveUser({ username, password, role });
+  console.log(`Saved ${role} "${username}" to ${USERS_PATH}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
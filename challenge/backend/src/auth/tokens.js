@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+
+// Without auth.jwtSecret (only allowed outside production), tokens are only
+// valid for the lifetime of the process
+const SECRET = config.auth.jwtSecret || crypto.randomBytes(32).toString('hex');
+const ALGORITHM = 'HS256';
+
+/**
+ * Build the 401 error for a missing or unusable token
+ * @param {string} message
+ * @param {string} [code='UNAUTHORIZED']
+ * @returns {Error}
+ */
+function unauthorized(message, code = 'UNAUTHORIZED') {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Issue a signed access token for a user
+ * @param {{ username: string, role: string }} user
+ * @param {Object} [options]
+ * @param {string|number} [options.expiresIn] - Seconds, or a duration such as
+ *   '1h' (default: auth.jwtExpiresIn)
+ * @returns {string} JWT with `sub` (username) and `role` claims
+ */
+function signToken({ username, role }, { expiresIn = config.auth.jwtExpiresIn } = {}) {
+  return jwt.sign({ role }, SECRET, {
+    algorithm: ALGORITHM,
+    subject: username,
+    expiresIn
+  });
+}
+
+/**
+ * Verify a token issued by signToken()
+ * @param {string} token
+ * @returns {{ username: string, role: string, expiresAt: number }} expiresAt in ms
+ * @throws {Error} 401 TOKEN_EXPIRED, or 401 INVALID_TOKEN for anything else wrong with it
+ */
+function verifyToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, SECRET, { algorithms: [ALGORITHM] });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw unauthorized('Token has expired', 'TOKEN_EXPIRED');
+    }
+    throw unauthorized('Invalid token', 'INVALID_TOKEN');
+  }
+
+  if (typeof claims.sub !== 'string' || typeof claims.role !== 'string') {
+    throw unauthorized('Invalid token', 'INVALID_TOKEN');
+  }
+  return { username: claims.sub, role: claims.role, expiresAt: claims.exp * 1000 };
+}
+
+module.exports = { signToken, verifyToken, unauthorized };
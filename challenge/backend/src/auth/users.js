@@ -0,0 +1,90 @@
+const fs = require('fs').promises;
+const bcrypt = require('bcryptjs');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+const { config } = require('../config');
+
+/**
+ * Roles from least to most privileged; each includes the ones before it.
+ * viewer: read; editor: also create and update; admin: also delete and restore
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const USERS_PATH = config.auth.usersPath;
+const HASH_ROUNDS = 10;
+
+// Compared against when the username is unknown, so a login takes as long
+// whether or not the user exists
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', HASH_ROUNDS);
+
+/**
+ * Whether a role grants at least the required role
+ * @param {string} role
+ * @param {string} required
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  const level = ROLES.indexOf(role);
+  return level !== -1 && level >= ROLES.indexOf(required);
+}
+
+/**
+ * Read the local user store: [{ username, passwordHash, role }]
+ * @param {string} [filePath]
+ * @returns {Promise<Array>}
+ */
+async function readUsers(filePath = USERS_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    // No user store yet: nobody can log in
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Check a username and password against the user store
+ * @param {string} username
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - User store (default: USERS_PATH)
+ * @returns {Promise<{ username: string, role: string }|null>} The user, or null if the
+ *   credentials don't match
+ */
+async function authenticateUser(username, password, { filePath } = {}) {
+  const users = await readUsers(filePath);
+  const user = users.find(u => u.username === username);
+
+  const matches = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+  if (!user || !matches) return null;
+
+  return { username: user.username, role: user.role };
+}
+
+/**
+ * Add a user, or replace the password and role of an existing one
+ * @param {{ username: string, password: string, role: string }} user
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - User store (default: USERS_PATH)
+ * @returns {Promise<void>}
+ */
+async function saveUser({ username, password, role }, { filePath = USERS_PATH } = {}) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+  }
+
+  const users = await readUsers(filePath);
+  const passwordHash = await bcrypt.hash(password, HASH_ROUNDS);
+  const entry = { username, passwordHash, role };
+
+  const index = users.findIndex(u => u.username === username);
+  if (index === -1) {
+    users.push(entry);
+  } else {
+    users[index] = entry;
+  }
+
+  await writeFileAtomic(filePath, JSON.stringify(users, null, 2) + '\n');
+}
+
+module.exports = { ROLES, USERS_PATH, hasRole, readUsers, authenticateUser, saveUser };
@@ -0,0 +1,138 @@
+const path = require('path');
+const { loadConfig } = require('..');
+const defaults = require('../../../config/default.json');
+
+const BACKEND_DIR = path.join(__dirname, '../../..');
+
+// The defaults with some settings replaced, as the `config` package would layer them
+function settings(overrides = {}) {
+  const result = JSON.parse(JSON.stringify(defaults));
+  Object.entries(overrides).forEach(([key, value]) => {
+    const [section, name] = key.split('.');
+    result[section][name] = value;
+  });
+  return result;
+}
+
+describe('loadConfig', () => {
+  it('should accept the defaults', () => {
+    const config = loadConfig(settings());
+
+    expect(config.server).toEqual({
+      port: 3001,
+      host: null,
+      corsOrigins: ['http://localhost:3000'],
+      shutdownTimeoutSeconds: 10,
+      jsonBodyLimitKb: 100,
+      importBodyLimitMb: 5
+    });
+    expect(config.storage.driver).toBe('json');
+    expect(config.log.path).toBeNull();
+    expect(config.rateLimit).toEqual({ enabled: true, windowSeconds: 60, readLimit: 300, writeLimit: 60 });
+    expect(config.api.sunset).toEqual(new Date('2027-04-30T00:00:00Z'));
+    expect(Object.isFrozen(config)).toBe(true);
+    expect(Object.isFrozen(config.server)).toBe(true);
+  });
+
+  it('should convert environment variable strings', () => {
+    const config = loadConfig(settings({
+      'server.port': '8080',
+      'server.corsOrigins': 'http://a.example, https://b.example:8443',
+      'log.maxSizeMb': '0.5',
+      'cache.statsTtlSeconds': '0',
+      'rateLimit.enabled': 'false'
+    }));
+
+    expect(config.server.port).toBe(8080);
+    expect(config.server.corsOrigins).toEqual(['http://a.example', 'https://b.example:8443']);
+    expect(config.log.maxSizeMb).toBe(0.5);
+    expect(config.cache.statsTtlSeconds).toBe(0);
+    expect(config.rateLimit.enabled).toBe(false);
+  });
+
+  it('should resolve relative paths against the backend directory', () => {
+    const config = loadConfig(settings({ 'log.path': 'logs/app.log', 'storage.dataPath': '/var/lib/items.json' }));
+
+    expect(config.log.path).toBe(path.join(BACKEND_DIR, 'logs/app.log'));
+    expect(config.storage.dataPath).toBe('/var/lib/items.json');
+    expect(config.audit.path).toBe(path.join(BACKEND_DIR, '../data/audit.log'));
+  });
+
+  it('should list every invalid setting with the value it got', () => {
+    const load = () => loadConfig(settings({
+      'server.port': 'eighty',
+      'storage.driver': 'mongo',
+      'log.level': 'verbose',
+      'server.corsOrigins': 'localhost:3000',
+      'rateLimit.enabled': 'yes',
+      'api.sunset': '30/04/2027'
+    }), 'production');
+
+    expect(load).toThrow('Invalid configuration (NODE_ENV=production)');
+    expect(load).toThrow('server.port must be an integer from 0 to 65535 (got "eighty")');
+    expect(load).toThrow('storage.driver must be one of: json, sqlite (got "mongo")');
+    expect(load).toThrow('log.level must be one of: debug, info, warn, error, silent (got "verbose")');
+    expect(load).toThrow('server.corsOrigins must be a list of origins');
+    expect(load).toThrow('rateLimit.enabled must be true or false (got "yes")');
+    expect(load).toThrow('api.sunset must be a date like 2027-04-30 (got "30/04/2027")');
+  });
+
+  it('should report missing settings', () => {
+    const incomplete = settings();
+    delete incomplete.cache;
+
+    expect(() => loadConfig(incomplete)).toThrow(/cache\.statsTtlSeconds is missing\n.*cache\.statsMaxEntries is missing/);
+  });
+
+  it('should require the secrets in production only', () => {
+    const development = loadConfig(settings());
+    expect(development.auth.jwtSecret).toBeNull();
+    expect(development.api.cursorSecret).toBeNull();
+    expect(development.auth.jwtExpiresIn).toBe('1h');
+
+    const load = () => loadConfig(settings({ 'auth.jwtSecret': '' }), 'production');
+    expect(load).toThrow('auth.jwtSecret is required in production');
+    expect(load).toThrow('api.cursorSecret is required in production');
+
+    const production = loadConfig(settings({ 'auth.jwtSecret': 'jwt-secret', 'api.cursorSecret': 'cursor-secret' }), 'production');
+    expect(production.auth.jwtSecret).toBe('jwt-secret');
+    expect(production.api.cursorSecret).toBe('cursor-secret');
+  });
+
+  it('should take token lifetimes in seconds or with a unit', () => {
+    expect(loadConfig(settings({ 'auth.jwtExpiresIn': '900' })).auth.jwtExpiresIn).toBe(900);
+    expect(loadConfig(settings({ 'auth.jwtExpiresIn': '7d' })).auth.jwtExpiresIn).toBe('7d');
+    expect(() => loadConfig(settings({ 'auth.jwtExpiresIn': 'soon' }))).toThrow('auth.jwtExpiresIn must be a number of seconds or a duration');
+    expect(() => loadConfig(settings({ 'auth.jwtExpiresIn': 0 }))).toThrow('auth.jwtExpiresIn must be a positive number of seconds');
+  });
+
+  it('should reject out of range numbers', () => {
+    expect(() => loadConfig(settings({ 'server.port': 70000 }))).toThrow('server.port must be an integer');
+    expect(() => loadConfig(settings({ 'trash.retentionDays': -1 }))).toThrow('trash.retentionDays must be a positive number');
+    expect(() => loadConfig(settings({ 'log.maxFiles': 1.5 }))).toThrow('log.maxFiles must be an integer');
+    expect(() => loadConfig(settings({ 'api.deprecatedSince': '2026-13-45' }))).toThrow('api.deprecatedSince must be a date');
+  });
+});
+
+describe('config', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  it('should let environment variables override the config files', () => {
+    process.env.PORT = '4123';
+    process.env.LOG_LEVEL = 'error';
+    process.env.JWT_EXPIRES_IN = '15m';
+
+    jest.isolateModules(() => {
+      const { config } = require('..');
+      expect(config.server.port).toBe(4123);
+      expect(config.log.level).toBe('error');
+      expect(config.auth.jwtExpiresIn).toBe('15m');
+      // From the defaults
+      expect(config.cache.statsMaxEntries).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const path = require('path');
+const { LEVELS } = require('../logging/Logger');
+
+// Relative paths in the configuration are relative to the backend directory
+const BACKEND_DIR = path.join(__dirname, '../..');
+
+// The `config` package reads config/ from the working directory by default;
+// point it at ours so the server can be started from anywhere
+if (!process.env.NODE_CONFIG_DIR) {
+  process.env.NODE_CONFIG_DIR = path.join(BACKEND_DIR, 'config');
+}
+
+/**
+ * Value types for the schema. Each returns { value } with the value
+ * converted (environment variables are always strings) or { error }; some
+ * also depend on the environment (NODE_ENV) they are loaded for
+ */
+const types = {
+  integer: (min, max) => raw => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return Number.isInteger(value) && value >= min && value <= max
+      ? { value }
+      : { error: `must be an integer from ${min} to ${max}` };
+  },
+  positive: () => raw => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return typeof value === 'number' && Number.isFinite(value) && value > 0
+      ? { value }
+      : { error: 'must be a positive number' };
+  },
+  boolean: () => raw => {
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  },
+  // A calendar date, YYYY-MM-DD (midnight UTC)
+  date: () => raw => {
+    const value = typeof raw === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(raw) ? new Date(`${raw}T00:00:00Z`) : null;
+    return value && !Number.isNaN(value.getTime())
+      ? { value }
+      : { error: 'must be a date like 2027-04-30' };
+  },
+  oneOf: choices => raw => (
+    choices.includes(raw) ? { value: raw } : { error: `must be one of: ${choices.join(', ')}` }
+  ),
+  // Absolute, or relative to the backend directory; null (or empty) only when optional
+  filePath: ({ optional = false } = {}) => raw => {
+    if ((raw === null || raw === '') && optional) return { value: null };
+    return typeof raw === 'string' && raw.trim() !== ''
+      ? { value: path.resolve(BACKEND_DIR, raw) }
+      : { error: 'must be a file path' };
+  },
+  host: () => raw => {
+    if (raw === null || raw === '') return { value: null };
+    return typeof raw === 'string' && /^[\w.:-]+$/.test(raw)
+      ? { value: raw }
+      : { error: 'must be a host name or IP address' };
+  },
+  // A number of seconds, or a count and unit such as 1h or 7d (as jsonwebtoken takes them)
+  duration: () => raw => {
+    if (typeof raw === 'number' || /^\d+$/.test(raw)) {
+      const value = Number(raw);
+      return Number.isInteger(value) && value > 0 ? { value } : { error: 'must be a positive number of seconds' };
+    }
+    return typeof raw === 'string' && /^[1-9]\d*[smhdw]$/.test(raw)
+      ? { value: raw }
+      : { error: 'must be a number of seconds or a duration like 15m, 1h or 7d' };
+  },
+  // Only set through the environment. Outside production it may be left out
+  // (null), and a random one is used for the life of the process
+  secret: () => (raw, environment) => {
+    if (typeof raw === 'string' && raw !== '') return { value: raw };
+    if (raw !== null && raw !== '') return { error: 'must be a string' };
+    return environment === 'production' ? { error: 'is required in production' } : { value: null };
+  },
+  // A list, or a comma-separated string (from an environment variable)
+  origins: () => raw => {
+    const list = typeof raw === 'string' ? raw.split(',').map(origin => origin.trim()).filter(Boolean) : raw;
+    return Array.isArray(list) && list.every(origin => typeof origin === 'string' && /^https?:\/\/[^/\s]+$/.test(origin))
+      ? { value: list }
+      : { error: 'must be a list of origins like http://localhost:3000 (scheme and host, no path)' };
+  }
+};
+
+/**
+ * Every setting, by its path in the config files. Environment variables for
+ * each are listed in config/custom-environment-variables.json
+ */
+const SCHEMA = {
+  'server.port': types.integer(0, 65535),
+  // null listens on every interface
+  'server.host': types.host(),
+  'server.corsOrigins': types.origins(),
+  // How long a shutdown waits for in-flight requests before closing their connections
+  'server.shutdownTimeoutSeconds': types.positive(),
+  // Largest JSON request body; bigger ones get a 413
+  'server.jsonBodyLimitKb': types.integer(1, 102400),
+  // Largest CSV/NDJSON upload to POST /api/items/import
+  'server.importBodyLimitMb': types.positive(),
+  'storage.driver': types.oneOf(['json', 'sqlite']),
+  'storage.dataPath': types.filePath(),
+  'storage.sqlitePath': types.filePath(),
+  'storage.idStrategy': types.oneOf(['counter', 'uuid', 'ulid']),
+  // Most items (outside the trash) the store may hold; writes adding more get a 409
+  'storage.maxItems': types.integer(1, 10000000),
+  'log.level': types.oneOf(Object.keys(LEVELS)),
+  // null logs to the console only
+  'log.path': types.filePath({ optional: true }),
+  'log.maxSizeMb': types.positive(),
+  'log.maxFiles': types.integer(1, 100),
+  // How long a stats cache entry may be served; 0 keeps it until the data changes
+  'cache.statsTtlSeconds': types.integer(0, 86400),
+  'cache.statsMaxEntries': types.integer(1, 10000),
+  'trash.retentionDays': types.positive(),
+  'trash.purgeIntervalMinutes': types.positive(),
+  'audit.path': types.filePath(),
+  // Requests per window under /api, per client (user or IP) and route class
+  'rateLimit.enabled': types.boolean(),
+  'rateLimit.windowSeconds': types.positive(),
+  'rateLimit.readLimit': types.integer(1, 1000000),
+  'rateLimit.writeLimit': types.integer(1, 1000000),
+  // The unversioned /api aliases: since when they are deprecated, and when they may be removed
+  'api.deprecatedSince': types.date(),
+  'api.sunset': types.date(),
+  // Signs pagination cursors
+  'api.cursorSecret': types.secret(),
+  'auth.usersPath': types.filePath(),
+  // Signs bearer tokens, which expire after jwtExpiresIn
+  'auth.jwtSecret': types.secret(),
+  'auth.jwtExpiresIn': types.duration()
+};
+
+/**
+ * Check the layered settings against SCHEMA and convert them to their types
+ * @param {Object} settings - Plain object, e.g. from the `config` package
+ * @param {string} [environment] - NODE_ENV, for the error message
+ * @returns {Object} Frozen settings, grouped as in the config files
+ * @throws {Error} Listing every invalid or missing setting
+ */
+function loadConfig(settings, environment = process.env.NODE_ENV || 'development') {
+  const result = {};
+  const errors = [];
+
+  Object.entries(SCHEMA).forEach(([key, check]) => {
+    const [section, name] = key.split('.');
+    const raw = settings[section] ? settings[section][name] : undefined;
+    const { value, error } = raw === undefined ? { error: 'is missing' } : check(raw, environment);
+
+    if (error) {
+      errors.push(`  - ${key} ${error}${raw === undefined || raw === null ? '' : ` (got ${JSON.stringify(raw)})`}`);
+      return;
+    }
+    result[section] = result[section] || {};
+    result[section][name] = value;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration (NODE_ENV=${environment}):\n${errors.join('\n')}\n` +
+      'Fix it in config/ or the environment variable that sets it (see config/custom-environment-variables.json)'
+    );
+  }
+
+  Object.values(result).forEach(Object.freeze);
+  return Object.freeze(result);
+}
+
+// Defaults, then config/<NODE_ENV>.json, then environment variables
+const config = loadConfig(require('config').util.toObject());
+
+module.exports = { config, loadConfig };
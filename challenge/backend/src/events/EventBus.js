@@ -0,0 +1,92 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process publish/subscribe hub for live update events.
+ *
+ * Every event gets an id of the form `<boot>:<seq>`: `boot` identifies this
+ * process run and `seq` increases by one per event. The most recent events are
+ * kept in a ring buffer so reconnecting clients can replay what they missed;
+ * ids from another run, or older than the buffer, can't be replayed.
+ *
+ * Emits 'event' with { id, type, data, time } for every published event,
+ * and 'close' once when the bus is closed (subscribers should end their
+ * streams).
+ */
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity=1000] - Events kept for replay
+   */
+  constructor({ capacity = 1000 } = {}) {
+    super();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+    this.capacity = capacity;
+    this.boot = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.closed = false;
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} type - e.g. 'item.created'
+   * @param {*} data - JSON-serializable payload
+   * @returns {Object|null} The published event (null once closed)
+   */
+  publish(type, data) {
+    if (this.closed) return null;
+    this.seq++;
+    const event = { id: `${this.boot}:${this.seq}`, type, data, time: new Date().toISOString() };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.capacity) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Id of the latest event, or null if none was published yet
+   * @returns {string|null}
+   */
+  lastId() {
+    return this.seq > 0 ? `${this.boot}:${this.seq}` : null;
+  }
+
+  /**
+   * Events published after `lastId`, for replay on reconnect
+   * @param {string} lastId - Last event id the client saw
+   * @returns {Array|null} The missed events (possibly none), or null when they
+   *   can't be replayed (unknown id, another process run, or evicted)
+   */
+  since(lastId) {
+    const match = /^([0-9a-z]+):(\d+)$/.exec(String(lastId));
+    if (!match || match[1] !== this.boot) return null;
+
+    const seq = Number(match[2]);
+    if (seq > this.seq) return null;
+    if (seq === this.seq) return [];
+
+    const oldest = this.buffer.length > 0 ? Number(this.buffer[0].id.split(':')[1]) : this.seq + 1;
+    // The event right after lastId has already been evicted
+    if (seq + 1 < oldest) return null;
+
+    return this.buffer.filter(event => Number(event.id.split(':')[1]) > seq);
+  }
+
+  /**
+   * Stop publishing and tell subscribers to end their streams; later calls do
+   * nothing
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+    this.removeAllListeners();
+  }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,61 @@
+const EventBus = require('../EventBus');
+
+describe('EventBus', () => {
+  it('should give events increasing ids and notify subscribers', () => {
+    const bus = new EventBus();
+    const received = [];
+    bus.on('event', event => received.push(event));
+
+    const first = bus.publish('item.created', { item: { id: 1 } });
+    const second = bus.publish('item.deleted', { item: { id: 1 } });
+
+    expect(first.id).toBe(`${bus.boot}:1`);
+    expect(second.id).toBe(`${bus.boot}:2`);
+    expect(bus.lastId()).toBe(second.id);
+    expect(received.map(e => e.type)).toEqual(['item.created', 'item.deleted']);
+    expect(received[0].data).toEqual({ item: { id: 1 } });
+  });
+
+  it('should have no last id before the first event', () => {
+    expect(new EventBus().lastId()).toBeNull();
+  });
+
+  describe('since', () => {
+    it('should return the events after the given id', () => {
+      const bus = new EventBus();
+      const first = bus.publish('a', {});
+      bus.publish('b', {});
+      bus.publish('c', {});
+
+      expect(bus.since(first.id).map(e => e.type)).toEqual(['b', 'c']);
+      expect(bus.since(bus.lastId())).toEqual([]);
+    });
+
+    it('should replay from the oldest buffered event', () => {
+      const bus = new EventBus({ capacity: 2 });
+      const first = bus.publish('a', {});
+      bus.publish('b', {});
+      bus.publish('c', {});
+
+      // 'a' was evicted but nothing after it was
+      expect(bus.since(first.id).map(e => e.type)).toEqual(['b', 'c']);
+    });
+
+    it('should refuse ids whose following events were evicted', () => {
+      const bus = new EventBus({ capacity: 2 });
+      const first = bus.publish('a', {});
+      ['b', 'c', 'd'].forEach(type => bus.publish(type, {}));
+
+      expect(bus.since(first.id)).toBeNull();
+    });
+
+    it('should refuse ids from another run, from the future or malformed', () => {
+      const bus = new EventBus();
+      bus.publish('a', {});
+
+      expect(bus.since('zzz:1')).toBeNull();
+      expect(bus.since(`${bus.boot}:5`)).toBeNull();
+      expect(bus.since('not-an-id')).toBeNull();
+    });
+  });
+});
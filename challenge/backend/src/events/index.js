@@ -0,0 +1,38 @@
+const EventBus = require('./EventBus');
+
+// Event published for each kind of item store change
+const ITEM_EVENTS = {
+  created: 'item.created',
+  updated: 'item.updated',
+  deleted: 'item.deleted',
+  restored: 'item.restored',
+  // Removed from the trash for good
+  purged: 'item.purged',
+  // The data file changed on disk: any item may have changed
+  reloaded: 'items.reloaded'
+};
+
+/**
+ * Forward an item store's changes to a bus; a batch is published as one
+ * event per item it changed
+ * @param {import('../store/ItemStore')} itemStore
+ * @param {EventBus} events
+ * @returns {Function} Stops forwarding
+ */
+function publishStoreChanges(itemStore, events) {
+  const onStoreChange = ({ type, item, changes }) => {
+    if (type === 'batch') {
+      changes.forEach(onStoreChange);
+      return;
+    }
+
+    const eventType = ITEM_EVENTS[type];
+    if (!eventType) return;
+    events.publish(eventType, item ? { item } : {});
+  };
+
+  itemStore.on('change', onStoreChange);
+  return () => itemStore.off('change', onStoreChange);
+}
+
+module.exports = { EventBus, ITEM_EVENTS, publishStoreChanges };
@@ -1,26 +1,34 @@
-const express = require('express');
-const path = require('path');
-const morgan = require('morgan');
-const itemsRouter = require('./routes/items');
-const statsRouter = require('./routes/stats');
-const cors = require('cors');
-const { getCookie, notFound } = require('./middleware/errorHandler');
 require("dotenv").config();
+const path = require('path');
+const { installCodeGuard } = require('./utils/codeGuard');
 
-const app = express();
-const port = process.env.PORT || 3001;
-
-app.use(cors({ origin: 'http://localhost:3000' }));
-// Basic middleware
-app.use(express.json());
-app.use(morgan('dev'));
+// Refuse to load any of our modules that evaluate strings as code
+installCodeGuard({ root: path.join(__dirname, '..') });
 
-// Routes
-app.use('/api/items', itemsRouter);
-app.use('/api/stats', statsRouter);
+// Load and check the configuration before anything uses it
+let config;
+try {
+  ({ config } = require('./config'));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
-// Not Found
-app.use('*', notFound);
-getCookie();
+const { createApp } = require('./app');
+const { startServer } = require('./server');
+const { logger } = require('./logging');
 
-app.listen(port, () => console.log('Backend running on http://localhost:' + port));
\ No newline at end of file
+startServer(createApp(config), config)
+  .then(({ shutdown }) => {
+    // Drain and exit on the first signal; a second one kills the process
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+      process.once(signal, async () => {
+        const drained = await shutdown(signal);
+        process.exit(drained ? 0 : 1);
+      });
+    });
+  })
+  .catch(err => {
+    logger.error(`Failed to start the server: ${err.message}`, { error: err });
+    process.exit(1);
+  });
@@ -0,0 +1,119 @@
+// Severity of each level; a logger writes entries at or above its own
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+/**
+ * Writes each line with the console method matching its level, so errors
+ * and warnings go to stderr and the rest to stdout
+ */
+const consoleSink = {
+  write(line, level) {
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  }
+};
+
+/**
+ * Make a field value fit for JSON: errors keep their message, code and stack
+ * (JSON.stringify would turn them into {})
+ * @param {*} value
+ * @returns {*}
+ */
+function serializeValue(value) {
+  if (!(value instanceof Error)) return value;
+
+  const serialized = { message: value.message };
+  if (value.code) serialized.code = value.code;
+  if (value.stack) serialized.stack = value.stack;
+  return serialized;
+}
+
+/**
+ * Structured logger: every entry is one JSON line,
+ *   { level, time, message, ...bindings, ...fields }
+ * written to each sink ({ write(line, level) }). Entries below the logger's
+ * level are dropped. child() adds fields (e.g. a request id) to every entry.
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level='info'] - Key of LEVELS
+   * @param {Array<{ write: Function }>} [options.sinks] - Default: the console
+   * @param {Object} [options.bindings] - Fields added to every entry
+   */
+  constructor({ level = 'info', sinks = [consoleSink], bindings = {} } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+      throw new Error(`Unknown log level "${level}" (use one of: ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.level = level;
+    this.sinks = sinks;
+    this.bindings = bindings;
+  }
+
+  /**
+   * @param {string} level
+   * @returns {boolean} Whether entries at this level are written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * A logger writing to the same sinks, adding `bindings` to every entry
+   * @param {Object} bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ level: this.level, sinks: this.sinks, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @param {string} message
+   * @param {Object} [fields] - Extra fields; Error values are serialized
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = { level, time: new Date().toISOString(), message, ...this.bindings };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = serializeValue(value);
+    });
+
+    const line = JSON.stringify(entry);
+    this.sinks.forEach(sink => sink.write(line, level));
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Flush and close the sinks that hold a file open. Shared with the
+   * logger's children, so only call it when the process is done logging
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.sinks.filter(sink => sink.close).map(sink => sink.close()));
+  }
+}
+
+module.exports = { Logger, LEVELS, consoleSink };
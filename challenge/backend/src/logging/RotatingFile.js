@@ -0,0 +1,122 @@
+const fs = require('fs');
+
+/**
+ * Log sink appending lines to a file, rotated by size: when the next line
+ * would take it past `maxBytes`, app.log becomes app.log.1, app.log.1 becomes
+ * app.log.2 and so on, keeping `maxFiles` old files.
+ *
+ * If the file can't be written (e.g. its directory doesn't exist or isn't
+ * writable) a warning goes to the console once and the sink stops writing;
+ * logging carries on through the other sinks.
+ */
+class RotatingFile {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath
+   * @param {number} [options.maxBytes=10485760] - Size that triggers a rotation (10 MB)
+   * @param {number} [options.maxFiles=5] - Rotated files to keep
+   */
+  constructor({ filePath, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.failed = false;
+
+    try {
+      this.size = fs.statSync(filePath).size;
+    } catch (err) {
+      this.size = 0;
+    }
+    this.stream = this.open();
+  }
+
+  /**
+   * Open the file synchronously, so a rotation can't rename it before the
+   * stream has it open
+   * @returns {fs.WriteStream|null} null if the file can't be opened
+   */
+  open() {
+    let fd;
+    try {
+      fd = fs.openSync(this.filePath, 'a');
+    } catch (err) {
+      this.fail(err);
+      return null;
+    }
+
+    const stream = fs.createWriteStream(null, { fd });
+    stream.on('error', err => this.fail(err));
+    return stream;
+  }
+
+  /**
+   * Stop writing, with a single warning
+   * @param {Error} err
+   */
+  fail(err) {
+    if (this.failed) return;
+    this.failed = true;
+    console.error(`Can't write log file ${this.filePath} (${err.message}); logging to the console only`);
+  }
+
+  /**
+   * @param {string} line - Without the trailing newline
+   */
+  write(line) {
+    if (this.failed) return;
+
+    const data = line + '\n';
+    const bytes = Buffer.byteLength(data);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+      if (this.failed) return;
+    }
+    this.stream.write(data);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift the old files up by one, dropping the oldest, and start a new file.
+   * Synchronous so no line can be written in between; it only happens once
+   * every `maxBytes`. Lines still buffered by the old stream land in .1
+   */
+  rotate() {
+    this.stream.end();
+    try {
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        renameIfExists(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+      }
+      renameIfExists(this.filePath, `${this.filePath}.1`);
+    } catch (err) {
+      // Keep appending to the same file rather than losing lines
+      console.error(`Can't rotate log file ${this.filePath}: ${err.message}`);
+    }
+    this.size = 0;
+    this.stream = this.open();
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => {
+      if (!this.stream || this.stream.destroyed) return resolve();
+      this.stream.end(resolve);
+    });
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ */
+function renameIfExists(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+module.exports = RotatingFile;
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Logger, RotatingFile, createLogger } = require('..');
+
+// Sink keeping the parsed entries it receives
+function memorySink() {
+  const entries = [];
+  return { entries, write: line => entries.push(JSON.parse(line)) };
+}
+
+describe('Logger', () => {
+  it('should write one JSON entry per call with level, time and message', () => {
+    const sink = memorySink();
+    new Logger({ sinks: [sink] }).info('Server started', { port: 3001 });
+
+    expect(sink.entries).toEqual([
+      { level: 'info', time: expect.any(String), message: 'Server started', port: 3001 }
+    ]);
+    expect(Date.parse(sink.entries[0].time)).not.toBeNaN();
+  });
+
+  it('should drop entries below its level', () => {
+    const sink = memorySink();
+    const logger = new Logger({ level: 'warn', sinks: [sink] });
+
+    logger.debug('a');
+    logger.info('b');
+    logger.warn('c');
+    logger.error('d');
+
+    expect(sink.entries.map(entry => entry.level)).toEqual(['warn', 'error']);
+    expect(logger.isLevelEnabled('info')).toBe(false);
+  });
+
+  it('should write nothing when silent', () => {
+    const sink = memorySink();
+    new Logger({ level: 'silent', sinks: [sink] }).error('ignored');
+
+    expect(sink.entries).toEqual([]);
+  });
+
+  it('should add a child\'s bindings to every entry', () => {
+    const sink = memorySink();
+    const child = new Logger({ sinks: [sink], bindings: { service: 'api' } }).child({ requestId: 'abc' });
+
+    child.warn('Slow', { durationMs: 900 });
+
+    expect(sink.entries[0]).toMatchObject({ service: 'api', requestId: 'abc', durationMs: 900 });
+  });
+
+  it('should serialize errors', () => {
+    const sink = memorySink();
+    const err = new Error('disk full');
+    err.code = 'ENOSPC';
+
+    new Logger({ sinks: [sink] }).error('Write failed', { error: err });
+
+    expect(sink.entries[0].error).toEqual({ message: 'disk full', code: 'ENOSPC', stack: expect.stringContaining('disk full') });
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrow('Unknown log level "verbose"');
+    expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level');
+  });
+});
+
+describe('RotatingFile', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'log-'));
+    filePath = path.join(dir, 'app.log');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should append lines to the file', async () => {
+    await fs.writeFile(filePath, 'earlier\n');
+    const file = new RotatingFile({ filePath });
+
+    file.write('{"n":1}');
+    file.write('{"n":2}');
+    await file.close();
+
+    expect(await fs.readFile(filePath, 'utf-8')).toBe('earlier\n{"n":1}\n{"n":2}\n');
+  });
+
+  it('should rotate by size and keep maxFiles old files', async () => {
+    // 10 bytes per line, 2 lines per file
+    const file = new RotatingFile({ filePath, maxBytes: 20, maxFiles: 2 });
+    for (let i = 1; i <= 7; i++) {
+      file.write(`line-${i}...`);
+    }
+    await file.close();
+    // Let the rotated streams finish flushing too
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect((await fs.readdir(dir)).sort()).toEqual(['app.log', 'app.log.1', 'app.log.2']);
+    expect(await fs.readFile(filePath, 'utf-8')).toBe('line-7...\n');
+    expect(await fs.readFile(`${filePath}.1`, 'utf-8')).toBe('line-5...\nline-6...\n');
+    expect(await fs.readFile(`${filePath}.2`, 'utf-8')).toBe('line-3...\nline-4...\n');
+  });
+
+  it('should warn once and stop writing when the file can\'t be opened', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const file = new RotatingFile({ filePath: path.join(dir, 'missing', 'app.log') });
+
+    file.write('one');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    file.write('two');
+
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(console.error.mock.calls[0][0]).toContain('logging to the console only');
+    console.error.mockRestore();
+  });
+
+  it('should be added by createLogger when a path is set', async () => {
+    const logger = createLogger({ level: 'info', path: filePath });
+    const [, file] = logger.sinks;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    logger.info('to the file');
+    await file.close();
+    console.log.mockRestore();
+
+    expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toMatchObject({ level: 'info', message: 'to the file' });
+  });
+});
@@ -0,0 +1,26 @@
+const { Logger, LEVELS, consoleSink } = require('./Logger');
+const RotatingFile = require('./RotatingFile');
+const { config } = require('../config');
+
+/**
+ * Build a logger writing to the console and, with a `path`, to a file rotated
+ * when it reaches `maxSizeMb`, keeping `maxFiles` old files
+ * @param {Object} [options] - Default: the `log` settings of the configuration
+ * @param {string} [options.level='info'] - Key of LEVELS
+ * @param {string|null} [options.path]
+ * @param {number} [options.maxSizeMb=10]
+ * @param {number} [options.maxFiles=5]
+ * @returns {Logger}
+ */
+function createLogger({ level = 'info', path = null, maxSizeMb = 10, maxFiles = 5 } = config.log) {
+  const sinks = [consoleSink];
+  if (path) {
+    sinks.push(new RotatingFile({ filePath: path, maxBytes: maxSizeMb * 1024 * 1024, maxFiles }));
+  }
+  return new Logger({ level, sinks });
+}
+
+// Shared by the server and every module that logs
+const logger = createLogger();
+
+module.exports = { logger, createLogger, Logger, LEVELS, RotatingFile };
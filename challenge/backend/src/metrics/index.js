@@ -0,0 +1,90 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for the server, served by GET /metrics.
+ *
+ * Everything is registered on one registry (not prom-client's global one) so
+ * tests can read it without picking up metrics from other modules.
+ */
+const register = new client.Registry();
+
+// CPU, memory, event loop lag, GC and open handles of the process
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to send the whole HTTP response, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const statsCacheRequests = new client.Counter({
+  name: 'stats_cache_requests_total',
+  help: 'GET /api/stats requests served from the stats cache (hit) or recalculated (miss)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const dataReloads = new client.Counter({
+  name: 'data_file_reloads_total',
+  help: 'Times the data file was reloaded after being changed on disk',
+  registers: [register]
+});
+
+const dataWriteFailures = new client.Counter({
+  name: 'data_write_failures_total',
+  help: 'Writes to the data store that failed to save',
+  registers: [register]
+});
+
+const auditWriteFailures = new client.Counter({
+  name: 'audit_write_failures_total',
+  help: 'Store writes whose audit record failed to append',
+  registers: [register]
+});
+
+const rateLimitedRequests = new client.Counter({
+  name: 'rate_limited_requests_total',
+  help: 'API requests refused with a 429, by route class (read or write)',
+  labelNames: ['class'],
+  registers: [register]
+});
+
+/**
+ * Count an item store's reloads and failed writes
+ * @param {import('../store/ItemStore')} itemStore
+ * @returns {Function} Stops counting
+ */
+function instrumentStore(itemStore) {
+  const onChange = ({ type }) => {
+    if (type === 'reloaded') dataReloads.inc();
+  };
+  const onWriteError = () => dataWriteFailures.inc();
+
+  itemStore.on('change', onChange);
+  itemStore.on('writeError', onWriteError);
+  return () => {
+    itemStore.off('change', onChange);
+    itemStore.off('writeError', onWriteError);
+  };
+}
+
+module.exports = {
+  register,
+  instrumentStore,
+  httpRequests,
+  httpRequestDuration,
+  statsCacheRequests,
+  dataReloads,
+  dataWriteFailures,
+  auditWriteFailures,
+  rateLimitedRequests
+};
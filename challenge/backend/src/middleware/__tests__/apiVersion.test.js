@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+const { apiVersion, unversionedAlias, acceptedVersions } = require('../apiVersion');
+const { errorHandler } = require('../errorHandler');
+
+const DEPRECATED_SINCE = new Date('2026-10-19T00:00:00Z');
+const SUNSET = new Date('2027-04-30T00:00:00Z');
+
+/**
+ * An app mounted like the real one, whose route echoes the version served
+ * @param {number[]} versions
+ * @returns {import('express').Express}
+ */
+function createVersionedApp(versions) {
+  const api = express.Router();
+  api.get('/items', (req, res) => res.json({ version: req.apiVersion }));
+
+  const app = express();
+  app.use('/api/:version(v\\d+)', apiVersion({ versions }), api);
+  app.use('/api', unversionedAlias({ deprecatedSince: DEPRECATED_SINCE, sunset: SUNSET, versions }), api);
+  app.use((req, res) => res.status(404).json({ unmatched: req.originalUrl }));
+  app.use(errorHandler);
+  return app;
+}
+
+describe('API versioning', () => {
+  const app = createVersionedApp([1, 2]);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('acceptedVersions', () => {
+    const accepting = accept => acceptedVersions({ get: () => accept });
+
+    it('should read versions from vendor media types', () => {
+      expect(accepting('application/vnd.items.v2+json, application/vnd.items.v1+json;q=0.5')).toEqual([2, 1]);
+      expect(accepting('APPLICATION/VND.ITEMS.V1+JSON')).toEqual([1]);
+    });
+
+    it('should ignore other types and refused ones', () => {
+      expect(accepting('application/json, */*')).toEqual([]);
+      expect(accepting('application/vnd.items.v2+json;q=0, application/vnd.items.v1+json')).toEqual([1]);
+      expect(accepting(undefined)).toEqual([]);
+    });
+  });
+
+  it('should serve the version in the path without deprecation headers', async () => {
+    const res = await request(app).get('/api/v2/items');
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(2);
+    expect(res.headers['api-version']).toBe('2');
+    expect(res.headers.vary).toMatch(/Accept/);
+    expect(res.headers.deprecation).toBeUndefined();
+    expect(res.headers.sunset).toBeUndefined();
+  });
+
+  it('should answer unknown versions with a 404 naming the supported ones', async () => {
+    const res = await request(app).get('/api/v7/items');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('UNSUPPORTED_API_VERSION');
+    expect(res.body.error.message).toBe("API version v7 doesn't exist; use /api/v1 or /api/v2");
+  });
+
+  it('should refuse a path version the Accept header excludes', async () => {
+    const agreeing = await request(app).get('/api/v1/items').set('Accept', 'application/vnd.items.v1+json');
+    const conflicting = await request(app).get('/api/v1/items').set('Accept', 'application/vnd.items.v2+json');
+
+    expect(agreeing.status).toBe(200);
+    expect(conflicting.status).toBe(406);
+    expect(conflicting.body.error.code).toBe('NOT_ACCEPTABLE');
+  });
+
+  it('should serve unversioned paths as v1 with deprecation headers', async () => {
+    const res = await request(app).get('/api/items?limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(1);
+    expect(res.headers['api-version']).toBe('1');
+    expect(res.headers.deprecation).toBe(`@${DEPRECATED_SINCE.getTime() / 1000}`);
+    expect(res.headers.sunset).toBe('Fri, 30 Apr 2027 00:00:00 GMT');
+    expect(res.headers.link).toBe('</api/v1/items>; rel="successor-version"');
+  });
+
+  it('should negotiate the version of unversioned paths through Accept', async () => {
+    const newest = await request(app)
+      .get('/api/items')
+      .set('Accept', 'application/vnd.items.v1+json, application/vnd.items.v2+json, application/vnd.items.v3+json');
+    const pinned = await request(app).get('/api/items').set('Accept', 'application/vnd.items.v1+json');
+    const unknown = await request(app).get('/api/items').set('Accept', 'application/vnd.items.v3+json');
+
+    expect(newest.body.version).toBe(2);
+    expect(pinned.body.version).toBe(1);
+    expect(pinned.headers.deprecation).toBeUndefined();
+    expect(unknown.status).toBe(406);
+    expect(unknown.body.error.message).toBe(
+      'Accept asks for API version v3; this path serves application/vnd.items.v1+json, application/vnd.items.v2+json'
+    );
+  });
+
+  it('should leave unmatched versioned paths to the 404 handler', async () => {
+    const res = await request(app).get('/api/v1/nothing');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ unmatched: '/api/v1/nothing' });
+    expect(res.headers.deprecation).toBeUndefined();
+  });
+});
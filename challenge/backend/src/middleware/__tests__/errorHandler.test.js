@@ -0,0 +1,130 @@
+const request = require('supertest');
+const express = require('express');
+const { notFound, errorHandler } = require('../errorHandler');
+
+// Create test app with a few routes that fail in different ways
+function createApp() {
+  const app = express();
+  app.use(express.json());
+
+  app.get('/validation', (req, res, next) => {
+    const err = new Error('Name is required');
+    err.status = 400;
+    err.code = 'VALIDATION_ERROR';
+    err.details = [{ field: 'name', message: 'Name is required' }];
+    next(err);
+  });
+
+  app.get('/crash', () => {
+    throw new Error('database password is hunter2');
+  });
+
+  app.get('/fs', (req, res, next) => {
+    const err = new Error('ENOENT: no such file or directory');
+    err.code = 'ENOENT';
+    err.syscall = 'open';
+    next(err);
+  });
+
+  app.post('/echo', (req, res) => res.json(req.body));
+
+  app.use('*', notFound);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('errorHandler middleware', () => {
+  const originalEnv = process.env.NODE_ENV;
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  it('should map notFound to a 404 JSON error', async () => {
+    const res = await request(app).get('/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({
+      error: { code: 'NOT_FOUND', message: 'Route Not Found', details: null }
+    });
+  });
+
+  it('should keep the error code and details set by the route', async () => {
+    const res = await request(app).get('/validation');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details).toEqual([{ field: 'name', message: 'Name is required' }]);
+  });
+
+  it('should map body parser failures to 400', async () => {
+    const res = await request(app)
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"broken":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('BAD_REQUEST');
+  });
+
+  it('should say what the limit is when a body is too large', async () => {
+    const res = await request(app)
+      .post('/echo')
+      .send({ name: 'x'.repeat(150 * 1024) });
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toMatchObject({
+      code: 'PAYLOAD_TOO_LARGE',
+      message: 'Request body is too large (the limit is 100 KB)'
+    });
+  });
+
+  it('should hide internal messages and stack traces outside development', async () => {
+    process.env.NODE_ENV = 'production';
+    const res = await request(app).get('/crash');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.code).toBe('INTERNAL_ERROR');
+    expect(res.body.error.message).toBe('Internal Server Error');
+    expect(res.body.error).not.toHaveProperty('stack');
+  });
+
+  it('should include the stack trace in development', async () => {
+    process.env.NODE_ENV = 'development';
+    const res = await request(app).get('/crash');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.message).toBe('database password is hunter2');
+    expect(res.body.error.stack).toContain('Error: database password is hunter2');
+  });
+
+  it('should not leak system error codes', async () => {
+    const res = await request(app).get('/fs');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.code).toBe('INTERNAL_ERROR');
+  });
+
+  it('should log exactly one structured line per failure', async () => {
+    await request(app).get('/crash');
+
+    expect(console.error).toHaveBeenCalledTimes(1);
+    const line = JSON.parse(console.error.mock.calls[0][0]);
+    expect(line).toMatchObject({
+      level: 'error',
+      method: 'GET',
+      url: '/crash',
+      status: 500,
+      code: 'INTERNAL_ERROR'
+    });
+    expect(line).toHaveProperty('time');
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+const { Logger } = require('../../logging');
+const { requestId } = require('../requestId');
+const { requestLogger, redactHeaders, redactUrl } = require('../logger');
+const { errorHandler } = require('../errorHandler');
+
+// Sink keeping the parsed entries it receives
+function memorySink() {
+  const entries = [];
+  return { entries, write: line => entries.push(JSON.parse(line)) };
+}
+
+function createApp(logger) {
+  const app = express();
+  app.use(requestId);
+  app.use(requestLogger({ logger }));
+
+  app.get('/hello', (req, res) => res.json({ hello: 'world' }));
+  app.get('/stream', (req, res) => {
+    res.write('abc');
+    res.write(Buffer.from('de'));
+    res.end('f');
+  });
+  app.get('/fail', (req, res, next) => {
+    const err = new Error('Nope');
+    err.status = 409;
+    next(err);
+  });
+
+  app.use(errorHandler);
+  return app;
+}
+
+// The line is written once the response has finished, which may be after the client has it
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('requestLogger middleware', () => {
+  let sink;
+  let app;
+
+  beforeEach(() => {
+    sink = memorySink();
+    app = createApp(new Logger({ sinks: [sink] }));
+  });
+
+  it('should log method, url, status, latency and size with the request id', async () => {
+    const res = await request(app).get('/hello?x=1');
+    await settle();
+
+    expect(sink.entries).toHaveLength(1);
+    expect(sink.entries[0]).toMatchObject({
+      level: 'info',
+      message: 'GET /hello?x=1 200',
+      requestId: res.headers['x-request-id'],
+      method: 'GET',
+      url: '/hello?x=1',
+      status: 200,
+      bytes: Buffer.byteLength(JSON.stringify({ hello: 'world' }))
+    });
+    expect(sink.entries[0].durationMs).toBeGreaterThanOrEqual(0);
+    expect(sink.entries[0]).not.toHaveProperty('headers');
+  });
+
+  it('should redact a token passed in the query string', async () => {
+    await request(app).get('/hello?access_token=s3cret&x=1');
+    await settle();
+
+    expect(sink.entries[0].message).toBe('GET /hello?access_token=[REDACTED]&x=1 200');
+    expect(JSON.stringify(sink.entries)).not.toContain('s3cret');
+  });
+
+  it('should count the bytes of streamed responses', async () => {
+    await request(app).get('/stream');
+    await settle();
+
+    expect(sink.entries[0].bytes).toBe(6);
+  });
+
+  it('should keep a client\'s X-Request-Id on the log lines and the error response', async () => {
+    const res = await request(app).get('/fail').set('X-Request-Id', 'client-42');
+    await settle();
+
+    expect(res.status).toBe(409);
+    expect(res.headers['x-request-id']).toBe('client-42');
+    expect(res.body.error.requestId).toBe('client-42');
+    // The error handler's line and the request line
+    expect(sink.entries.map(entry => [entry.level, entry.requestId, entry.message])).toEqual([
+      ['warn', 'client-42', 'Nope'],
+      ['warn', 'client-42', 'GET /fail 409']
+    ]);
+  });
+
+  it('should log request headers at debug level with credentials redacted', async () => {
+    app = createApp(new Logger({ level: 'debug', sinks: [sink] }));
+
+    await request(app)
+      .get('/hello')
+      .set('Authorization', 'Bearer secret-token')
+      .set('Cookie', 'session=secret');
+    await settle();
+
+    const { headers } = sink.entries[0];
+    expect(headers.authorization).toBe('[REDACTED]');
+    expect(headers.cookie).toBe('[REDACTED]');
+    expect(JSON.stringify(sink.entries)).not.toContain('secret');
+  });
+});
+
+describe('redactHeaders', () => {
+  it('should only replace credential headers', () => {
+    expect(redactHeaders({ authorization: 'Bearer x', 'x-api-key': 'k', accept: 'text/csv' })).toEqual({
+      authorization: '[REDACTED]',
+      'x-api-key': '[REDACTED]',
+      accept: 'text/csv'
+    });
+  });
+});
+
+describe('redactUrl', () => {
+  it('should only replace access_token values', () => {
+    expect(redactUrl('/api/events?lastEventId=a:1&access_token=t.k.n')).toBe('/api/events?lastEventId=a:1&access_token=[REDACTED]');
+    expect(redactUrl('/api/items?my_access_token=1')).toBe('/api/items?my_access_token=1');
+  });
+});
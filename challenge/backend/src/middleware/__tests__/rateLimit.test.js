@@ -0,0 +1,134 @@
+const request = require('supertest');
+const express = require('express');
+const { rateLimit, TokenBucketStore } = require('../rateLimit');
+const { errorHandler } = require('../errorHandler');
+const { signToken } = require('../../auth/tokens');
+const { register } = require('../../metrics');
+
+describe('TokenBucketStore', () => {
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = 0;
+    store = new TokenBucketStore({ capacity: 3, refillPerSecond: 1, now: () => now });
+  });
+
+  it('should allow a burst up to the capacity, then refuse', () => {
+    const results = [1, 2, 3, 4].map(() => store.take('a'));
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results.map(result => result.remaining)).toEqual([2, 1, 0, 0]);
+    expect(results[3]).toMatchObject({ limit: 3, retryAfter: 1, reset: 3 });
+  });
+
+  it('should refill over time, up to the capacity', () => {
+    [1, 2, 3].forEach(() => store.take('a'));
+
+    now = 1500;
+    expect(store.take('a')).toMatchObject({ allowed: true, remaining: 0 });
+
+    now = 60000;
+    expect(store.take('a')).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  it('should keep a bucket per key', () => {
+    [1, 2, 3].forEach(() => store.take('a'));
+
+    expect(store.take('a').allowed).toBe(false);
+    expect(store.take('b').allowed).toBe(true);
+  });
+
+  it('should drop buckets once they are full again', () => {
+    store.take('a');
+    store.take('b');
+    expect(store.buckets.size).toBe(2);
+
+    now = 3000;
+    store.take('c');
+    expect([...store.buckets.keys()]).toEqual(['c']);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  let now;
+  let app;
+
+  beforeEach(() => {
+    now = 0;
+    app = express();
+    app.use(rateLimit({ windowSeconds: 60, readLimit: 3, writeLimit: 2, now: () => now }));
+    app.get('/things', (req, res) => res.json([]));
+    app.post('/things', (req, res) => res.status(201).json({}));
+    app.use(errorHandler);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send the rate limit headers for the route class', async () => {
+    const res = await request(app).get('/things');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBe('3');
+    expect(res.headers['ratelimit-remaining']).toBe('2');
+    expect(res.headers['ratelimit-reset']).toBe('20');
+    expect(res.headers['ratelimit-policy']).toBe('3;w=60');
+  });
+
+  it('should answer 429 with Retry-After once the budget is spent', async () => {
+    await request(app).post('/things');
+    await request(app).post('/things');
+    const res = await request(app).post('/things');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(res.body.error).toMatchObject({
+      code: 'RATE_LIMITED',
+      message: 'Too many write requests; retry in 30s'
+    });
+
+    now = 30000;
+    expect((await request(app).post('/things')).status).toBe(201);
+  });
+
+  it('should budget reads and writes separately', async () => {
+    await request(app).post('/things');
+    await request(app).post('/things');
+
+    expect((await request(app).post('/things')).status).toBe(429);
+    expect((await request(app).get('/things')).status).toBe(200);
+  });
+
+  it('should count requests with a token against their user, not the IP', async () => {
+    const alice = `Bearer ${signToken({ username: 'alice', role: 'editor' })}`;
+    const bob = `Bearer ${signToken({ username: 'bob', role: 'editor' })}`;
+    await request(app).post('/things').set('Authorization', alice);
+    await request(app).post('/things').set('Authorization', alice);
+
+    expect((await request(app).post('/things').set('Authorization', alice)).status).toBe(429);
+    expect((await request(app).post('/things').set('Authorization', bob)).status).toBe(201);
+    expect((await request(app).post('/things')).status).toBe(201);
+    // A bad token counts against the IP
+    expect((await request(app).post('/things').set('Authorization', 'Bearer nope')).status).toBe(201);
+    expect((await request(app).post('/things')).status).toBe(429);
+  });
+
+  it('should count refused requests in the metrics', async () => {
+    const refusedWrites = async () => {
+      const { values } = await register.getSingleMetric('rate_limited_requests_total').get();
+      const write = values.find(value => value.labels.class === 'write');
+      return write ? write.value : 0;
+    };
+    const before = await refusedWrites();
+
+    await request(app).post('/things');
+    await request(app).post('/things');
+    await request(app).post('/things');
+
+    expect(await refusedWrites()).toBe(before + 1);
+  });
+});
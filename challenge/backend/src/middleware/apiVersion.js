@@ -0,0 +1,120 @@
+// Versions of the API this server speaks, oldest first. Unversioned paths
+// serve the oldest, the shape clients of those paths have always had
+const API_VERSIONS = [1];
+
+// Accept media type that picks a version: application/vnd.items.v1+json
+const VERSION_MEDIA_TYPE = /^application\/vnd\.items\.v(\d+)\+json$/;
+// Paths the versioned mount handles (or refuses)
+const VERSIONED_PATH = /^\/v\d+(\/|$)/;
+
+/**
+ * Versions the Accept header asks for (with a non-zero q)
+ * @param {import('express').Request} req
+ * @returns {number[]} Empty when it names none
+ */
+function acceptedVersions(req) {
+  return (req.get('Accept') || '')
+    .split(',')
+    .map(range => range.split(';').map(part => part.trim().toLowerCase()))
+    .filter(([, ...params]) => !params.some(param => /^q=0(\.0*)?$/.test(param)))
+    .map(([type]) => VERSION_MEDIA_TYPE.exec(type))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+}
+
+/**
+ * 406 for an Accept header that names no version we serve
+ * @param {number[]} accepted
+ * @param {number[]} versions
+ * @returns {Error}
+ */
+function notAcceptable(accepted, versions) {
+  const err = new Error(
+    `Accept asks for API version ${accepted.map(v => `v${v}`).join(', ')}; ` +
+    `this path serves ${versions.map(v => `application/vnd.items.v${v}+json`).join(', ')}`
+  );
+  err.status = 406;
+  err.code = 'NOT_ACCEPTABLE';
+  return err;
+}
+
+/**
+ * Record the version a request is served with: `req.apiVersion` for the
+ * routes, `API-Version` for the client
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {number} version
+ */
+function useVersion(req, res, version) {
+  req.apiVersion = version;
+  res.set('API-Version', String(version));
+  res.vary('Accept');
+}
+
+/**
+ * For the versioned mount, `/api/:version`: serve the version in the path.
+ * An unknown version is a 404; an Accept header naming other versions only
+ * is a 406
+ * @param {Object} [options]
+ * @param {number[]} [options.versions] - Default: API_VERSIONS
+ * @returns {Function} Express middleware
+ */
+function apiVersion({ versions = API_VERSIONS } = {}) {
+  return (req, res, next) => {
+    const version = Number(String(req.params.version).slice(1));
+    if (!versions.includes(version)) {
+      const err = new Error(
+        `API version ${req.params.version} doesn't exist; use ${versions.map(v => `/api/v${v}`).join(' or ')}`
+      );
+      err.status = 404;
+      err.code = 'UNSUPPORTED_API_VERSION';
+      return next(err);
+    }
+
+    const accepted = acceptedVersions(req);
+    if (accepted.length > 0 && !accepted.includes(version)) {
+      return next(notAcceptable(accepted, [version]));
+    }
+
+    useVersion(req, res, version);
+    next();
+  };
+}
+
+/**
+ * For the unversioned aliases at `/api`: serve the newest version Accept
+ * asks for, or else the oldest one with `Deprecation`, `Sunset` and a `Link`
+ * to the versioned path, so clients can see they should move
+ * @param {Object} options
+ * @param {Date} options.deprecatedSince
+ * @param {Date} options.sunset - When the aliases may go away
+ * @param {number[]} [options.versions] - Default: API_VERSIONS
+ * @returns {Function} Express middleware
+ */
+function unversionedAlias({ deprecatedSince, sunset, versions = API_VERSIONS }) {
+  // RFC 9745: a structured date, seconds since the epoch
+  const deprecation = `@${Math.floor(deprecatedSince.getTime() / 1000)}`;
+
+  return (req, res, next) => {
+    // Versioned paths the versioned mount passed on (no route matched)
+    if (VERSIONED_PATH.test(req.path)) return next();
+
+    const accepted = acceptedVersions(req);
+    if (accepted.length > 0) {
+      const served = accepted.filter(version => versions.includes(version));
+      if (served.length === 0) return next(notAcceptable(accepted, versions));
+      useVersion(req, res, Math.max(...served));
+      return next();
+    }
+
+    useVersion(req, res, versions[0]);
+    res.set({
+      Deprecation: deprecation,
+      Sunset: sunset.toUTCString(),
+      Link: `<${req.baseUrl}/v${versions[0]}${req.path}>; rel="successor-version"`
+    });
+    next();
+  };
+}
+
+module.exports = { apiVersion, unversionedAlias, acceptedVersions, API_VERSIONS };
@@ -0,0 +1,100 @@
+const { verifyToken, unauthorized } = require('../auth/tokens');
+const { hasRole } = require('../auth/users');
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {import('express').Request} req
+ * @param {Object} [options]
+ * @param {boolean} [options.queryToken] - Also accept `?access_token=` (RFC 6750)
+ *   when there's no header, for EventSource, which can't set one
+ * @returns {string|null}
+ * @throws {Error} 401 if the header is present but not a bearer token
+ */
+function bearerToken(req, { queryToken = false } = {}) {
+  const header = req.get('Authorization');
+  if (!header) {
+    const token = queryToken ? req.query.access_token : null;
+    return typeof token === 'string' && token !== '' ? token : null;
+  }
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  if (!match) {
+    throw unauthorized('Authorization header must be "Bearer <token>"', 'INVALID_TOKEN');
+  }
+  return match[1];
+}
+
+/**
+ * Set `req.user` ({ username, role }) from the bearer token, or null without one
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} [options] - See bearerToken
+ * @throws {Error} 401 for a malformed, forged or expired token
+ */
+function identify(req, res, options) {
+  try {
+    const token = bearerToken(req, options);
+    req.user = token ? verifyToken(token) : null;
+  } catch (err) {
+    res.set('WWW-Authenticate', 'Bearer');
+    throw err;
+  }
+}
+
+/**
+ * Set `req.user` ({ username, role }) from the bearer token, if any.
+ * Requests without a token pass through with `req.user` null; a bad token is
+ * a 401 either way, so clients find out their session ended
+ */
+const authenticate = (req, res, next) => {
+  try {
+    identify(req, res);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check that the authenticated user (see authenticate) holds at least `role`.
+ * For routes where only some requests need a role, e.g. a public read with an
+ * admin-only option
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} role - 'viewer', 'editor' or 'admin'
+ * @throws {Error} 401 without a valid token, 403 when the role is too low
+ */
+function authorize(req, res, role) {
+  if (!req.user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    throw unauthorized('Authentication required');
+  }
+
+  if (!hasRole(req.user.role, role)) {
+    const forbidden = new Error(`This action requires the ${role} role`);
+    forbidden.status = 403;
+    forbidden.code = 'FORBIDDEN';
+    throw forbidden;
+  }
+}
+
+/**
+ * Only let through users holding at least `role` (see ROLES).
+ * Responds 401 without a valid token and 403 when the role is too low
+ * @param {string} role - 'viewer', 'editor' or 'admin'
+ * @param {Object} [options] - See bearerToken
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(role, options) {
+  return (req, res, next) => {
+    try {
+      identify(req, res, options);
+      authorize(req, res, role);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = { authenticate, authorize, requireRole, bearerToken };
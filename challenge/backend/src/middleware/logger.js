@@ -1,5 +1,99 @@
-// Extra logger middleware stub for candidate to enhance
-module.exports = (req, res, next) => {
-  console.log(req.method, req.originalUrl);
-  next();
-};
\ No newline at end of file
+const { logger: defaultLogger } = require('../logging');
+
+// Request headers whose values never reach the logs
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key'];
+
+/**
+ * Copy of the request headers with credentials replaced by "[REDACTED]"
+ * @param {Object} headers - req.headers (lower-case names)
+ * @returns {Object}
+ */
+function redactHeaders(headers) {
+  const redacted = { ...headers };
+  REDACTED_HEADERS.forEach(name => {
+    if (redacted[name] !== undefined) redacted[name] = '[REDACTED]';
+  });
+  return redacted;
+}
+
+/**
+ * Request URL with a query-string token (`access_token`, see requireRole)
+ * replaced by "[REDACTED]"
+ * @param {string} url - req.originalUrl
+ * @returns {string}
+ */
+function redactUrl(url) {
+  return url.replace(/([?&]access_token=)[^&#]*/g, '$1[REDACTED]');
+}
+
+/**
+ * @param {string|Buffer|undefined} chunk
+ * @param {string|Function} [encoding]
+ * @returns {number} Bytes in a chunk passed to res.write()/res.end()
+ */
+function chunkBytes(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  if (Buffer.isBuffer(chunk)) return chunk.length;
+  return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+/**
+ * Log one line per request when its response is done, or when the client
+ * goes away first (`aborted: true`, e.g. a closed event stream):
+ *   { method, url, status, durationMs, bytes, ip, userAgent, requestId }
+ * at warn level for 4xx responses and error for 5xx. Request headers are
+ * added at debug level; credentials in them and in the URL are redacted.
+ *
+ * Also gives every request `req.log`, a logger that tags its lines with the
+ * request id. Mount after requestId.
+ * @param {Object} [options]
+ * @param {import('../logging').Logger} [options.logger] - Default: the shared logger
+ * @returns {Function} Express middleware
+ */
+function requestLogger({ logger = defaultLogger } = {}) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    req.log = req.id ? logger.child({ requestId: req.id }) : logger;
+
+    // Count the body as it is sent: streamed responses have no Content-Length
+    let bytes = 0;
+    const { write, end } = res;
+    res.write = function countedWrite(chunk, encoding, callback) {
+      bytes += chunkBytes(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function countedEnd(chunk, encoding, callback) {
+      bytes += chunkBytes(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    let logged = false;
+    const logRequest = () => {
+      if (logged) return;
+      logged = true;
+
+      const { statusCode: status } = res;
+      const url = redactUrl(req.originalUrl);
+      const fields = {
+        method: req.method,
+        url,
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+        bytes,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null
+      };
+      if (!res.writableFinished) fields.aborted = true;
+      if (req.log.isLevelEnabled('debug')) fields.headers = redactHeaders(req.headers);
+
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[level](`${req.method} ${url} ${status}`, fields);
+    };
+    res.on('finish', logRequest);
+    res.on('close', logRequest);
+
+    next();
+  };
+}
+
+module.exports = { requestLogger, redactHeaders, redactUrl };
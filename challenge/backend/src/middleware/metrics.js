@@ -0,0 +1,47 @@
+const metrics = require('../metrics');
+
+/**
+ * Route pattern a request matched, e.g. "/api/items/:id", so every item
+ * shares one series. Requests no route matched (404s) are all "unmatched":
+ * labelling them by URL would let any client create new series.
+ *
+ * The pattern is rebuilt from the URL because Express resets `req.baseUrl`
+ * when an error leaves the router, while `req.route` stays set.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function routeLabel(req) {
+  if (!req.route || typeof req.route.path !== 'string') return 'unmatched';
+
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = req.route.path.split('/').filter(Boolean);
+  const mount = segments.slice(0, Math.max(segments.length - routeSegments.length, 0));
+  return `/${mount.concat(routeSegments).join('/')}`;
+}
+
+/**
+ * Count every request and time its response, by method, route and status,
+ * once it is done or the client went away first
+ * @returns {Function} Express middleware
+ */
+function requestMetrics() {
+  return (req, res, next) => {
+    const stopTimer = metrics.httpRequestDuration.startTimer();
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+
+      const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+      metrics.httpRequests.inc(labels);
+      stopTimer(labels);
+    };
+    res.on('finish', record);
+    res.on('close', record);
+
+    next();
+  };
+}
+
+module.exports = { requestMetrics, routeLabel };
@@ -0,0 +1,142 @@
+const { verifyToken } = require('../auth/tokens');
+const { bearerToken } = require('./auth');
+const metrics = require('../metrics');
+
+// Methods that only read; everything else draws from the write budget
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * In-memory token buckets, one per key. A bucket holds up to `capacity`
+ * tokens and refills continuously at `refillPerSecond`; each request takes
+ * one. Buckets that have refilled completely are the same as new ones, so
+ * they are dropped now and then to keep memory bounded by active clients.
+ */
+class TokenBucketStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Burst size: requests allowed at once
+   * @param {number} options.refillPerSecond - Sustained request rate
+   * @param {Function} [options.now=Date.now] - Clock, in ms
+   */
+  constructor({ capacity, refillPerSecond, now = Date.now }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.buckets = new Map();
+    this.lastSweep = now();
+  }
+
+  /**
+   * Seconds until a bucket holding `tokens` has `target` of them again
+   * @param {number} tokens
+   * @param {number} target
+   * @returns {number} Rounded up to whole seconds
+   */
+  secondsUntil(tokens, target) {
+    return Math.max(Math.ceil((target - tokens) / this.refillPerSecond), 0);
+  }
+
+  /**
+   * Take a token from the key's bucket if it has one
+   * @param {string} key
+   * @returns {{ allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number }}
+   *   `reset` is the seconds until the bucket is full again, `retryAfter` the
+   *   seconds until the next request would be allowed (0 if it is now)
+   */
+  take(key) {
+    const now = this.now();
+    this.sweep(now);
+
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsedSeconds * this.refillPerSecond);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      limit: this.capacity,
+      remaining: Math.floor(bucket.tokens),
+      reset: this.secondsUntil(bucket.tokens, this.capacity),
+      retryAfter: allowed ? 0 : this.secondsUntil(bucket.tokens, 1)
+    };
+  }
+
+  /**
+   * Drop the buckets that are full again, at most once per refill period
+   * @param {number} now
+   */
+  sweep(now) {
+    const fullAfterMs = (this.capacity / this.refillPerSecond) * 1000;
+    if (now - this.lastSweep < fullAfterMs) return;
+
+    this.lastSweep = now;
+    this.buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt >= fullAfterMs) this.buckets.delete(key);
+    });
+  }
+}
+
+/**
+ * Who a request counts against: the user its bearer token belongs to, or its
+ * IP address. A missing or bad token counts against the IP (the route still
+ * answers 401 for a bad one)
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function clientKey(req) {
+  try {
+    const token = bearerToken(req);
+    if (token) return `user:${verifyToken(token).username}`;
+  } catch (err) {
+    // Fall through to the IP
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Throttle requests with a token bucket per client (see clientKey) and route
+ * class: reads (GET, HEAD, OPTIONS) and writes have separate budgets, so a
+ * script hammering POST can't lock its user out of browsing.
+ *
+ * Every response carries RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds until the budget is full again) for its class.
+ * Requests over the limit get a 429 with Retry-After.
+ * @param {Object} options
+ * @param {number} options.windowSeconds - Period the limits are given for
+ * @param {number} options.readLimit - Reads allowed per window (also the burst size)
+ * @param {number} options.writeLimit - Writes allowed per window (also the burst size)
+ * @param {Function} [options.now=Date.now] - Clock, in ms
+ * @returns {Function} Express middleware
+ */
+function rateLimit({ windowSeconds, readLimit, writeLimit, now = Date.now }) {
+  const buckets = {
+    read: new TokenBucketStore({ capacity: readLimit, refillPerSecond: readLimit / windowSeconds, now }),
+    write: new TokenBucketStore({ capacity: writeLimit, refillPerSecond: writeLimit / windowSeconds, now })
+  };
+
+  return (req, res, next) => {
+    const routeClass = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    const { allowed, limit, remaining, reset, retryAfter } = buckets[routeClass].take(clientKey(req));
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(reset),
+      'RateLimit-Policy': `${limit};w=${windowSeconds}`
+    });
+    if (allowed) return next();
+
+    metrics.rateLimitedRequests.inc({ class: routeClass });
+    res.set('Retry-After', String(retryAfter));
+    const err = new Error(`Too many ${routeClass} requests; retry in ${retryAfter}s`);
+    err.status = 429;
+    err.code = 'RATE_LIMITED';
+    next(err);
+  };
+}
+
+module.exports = { rateLimit, TokenBucketStore, clientKey };
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Ids accepted from clients/proxies; anything else is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id (`req.id`), echoed in the X-Request-Id response
+ * header. A well-formed X-Request-Id sent by the client or a proxy is kept so
+ * the same id can be followed across services
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,110 @@
+const express = require('express');
+const request = require('supertest');
+const { validateRequest } = require('..');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+/**
+ * An app whose routes echo what they receive, behind the validator
+ * @param {Object} [spec]
+ * @returns {import('express').Express}
+ */
+function createEchoApp(spec) {
+  const app = express();
+  app.use(express.json());
+  app.use(validateRequest(spec));
+  app.all('*', (req, res) => res.json({ query: req.query, body: req.body }));
+  app.use(errorHandler);
+  return app;
+}
+
+describe('validateRequest', () => {
+  const app = createEchoApp();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should let documented requests that match the spec through unchanged', async () => {
+    const res = await request(app).get('/items?page=2&limit=10&category=Books');
+
+    expect(res.status).toBe(200);
+    // Coercion is only for validation: the routes still get strings
+    expect(res.body.query).toEqual({ page: '2', limit: '10', category: 'Books' });
+  });
+
+  it('should report bad query parameters with the routes\' messages', async () => {
+    const res = await request(app).get('/items?limit=500&page=0');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details).toEqual([
+      { field: 'page', message: 'page must be a positive integer' },
+      { field: 'limit', message: 'limit must be an integer from 1 to 100' }
+    ]);
+  });
+
+  it('should report body fields in declared order, one error each', async () => {
+    const res = await request(app).post('/items').send({ price: -1, name: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.field)).toEqual(['name', 'category', 'price']);
+  });
+
+  it('should require at least one field in a patch', async () => {
+    const res = await request(app).patch('/items/1').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([
+      { field: null, message: 'At least one of name, category, price must be provided' }
+    ]);
+  });
+
+  it('should match fixed paths before parameterised ones', async () => {
+    const res = await request(app).get('/items/export?format=xml');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].field).toBe('format');
+  });
+
+  it('should pass undocumented requests through to the routes', async () => {
+    const res = await request(app).get('/health?limit=500');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should enforce the document it is given', async () => {
+    const custom = createEchoApp({
+      openapi: '3.1.0',
+      info: { title: 'Test', version: '1' },
+      paths: {
+        '/things': {
+          post: {
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { size: { type: 'integer', 'x-error-message': 'size must be an integer' } },
+                    required: ['size']
+                  }
+                }
+              }
+            },
+            responses: { 200: { description: 'OK' } }
+          }
+        }
+      }
+    });
+
+    const bad = await request(custom).post('/things').send({ size: 'big' });
+    const good = await request(custom).post('/things').send({ size: 3 });
+
+    expect(bad.status).toBe(400);
+    expect(bad.body.error.message).toBe('size must be an integer');
+    expect(good.status).toBe(200);
+  });
+});
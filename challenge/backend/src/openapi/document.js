@@ -0,0 +1,866 @@
+const { SORT_FIELDS } = require('../store/query');
+const { ROLES } = require('../auth/users');
+const { itemSchema } = require('../utils/validation');
+const { EXPORT_FORMATS, IMPORT_TYPES } = require('../utils/itemFormats');
+const { MAX_BATCH_OPERATIONS, BATCH_MODES } = require('../routes/items');
+const { STATS_FIELDS, MAX_BUCKETS } = require('../routes/stats');
+
+/**
+ * OpenAPI 3.1 description of the items, stats and auth API, served at
+ * GET /api/v1/openapi.json and enforced on requests by validateRequest().
+ *
+ * Maintained by hand next to the routes. Limits and field lists come from the
+ * modules that enforce them, and `x-error-message` on a schema is the message
+ * a request failing it gets, so the spec and the routes report the same errors.
+ */
+
+/**
+ * JSON Schema for an item payload, from the rules the write routes validate with
+ * @param {Object} schema - Field rules (see utils/validation)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - PATCH: any one field is enough
+ * @returns {Object}
+ */
+function itemInputSchema(schema, { partial = false } = {}) {
+  const fields = Object.keys(schema);
+  const properties = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    properties[field] = rule.type === 'string'
+      ? { type: 'string', ...(rule.nonEmpty ? { pattern: '\\S' } : {}) }
+      : { type: 'number', ...(rule.min !== undefined ? { minimum: rule.min } : {}) };
+    properties[field]['x-error-message'] = rule.message;
+  });
+
+  const result = { type: 'object', properties, 'x-error-message': 'Request body must be a JSON object' };
+  if (partial) {
+    // Wrapped so the message only applies to this check
+    return {
+      ...result,
+      allOf: [{
+        anyOf: fields.map(field => ({ required: [field] })),
+        'x-error-message': `At least one of ${fields.join(', ')} must be provided`
+      }]
+    };
+  }
+  return { ...result, required: fields.filter(field => schema[field].required) };
+}
+
+/**
+ * @param {Object} schema
+ * @param {string} [mediaType='application/json']
+ * @returns {Object} Content map of a request body or response
+ */
+function content(schema, mediaType = 'application/json') {
+  return { [mediaType]: { schema } };
+}
+
+/**
+ * @param {string} name - Key of components.responses
+ * @returns {Object} Reference to it
+ */
+function response(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+/**
+ * @param {string} name - Key of components.parameters
+ * @returns {Object} Reference to it
+ */
+function parameter(name) {
+  return { $ref: `#/components/parameters/${name}` };
+}
+
+/**
+ * @param {string} name - Key of components.schemas
+ * @returns {Object} Reference to it
+ */
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Query parameters GET /api/items and its export share
+const LIST_PARAMETERS = [
+  {
+    name: 'q',
+    in: 'query',
+    description: 'Search name and category, ranked by relevance (typo tolerant, prefix matching); hits carry `_score` and `_highlights`',
+    schema: { type: 'string', 'x-error-message': 'q must be a single search string' }
+  },
+  {
+    name: 'category',
+    in: 'query',
+    description: 'Exact category, case-insensitive; repeat it to filter by several',
+    style: 'form',
+    explode: true,
+    schema: {
+      type: 'array',
+      items: { type: 'string' },
+      'x-error-message': 'category must be a string (repeat it to filter by several)'
+    }
+  },
+  {
+    name: 'minPrice',
+    in: 'query',
+    description: 'Inclusive',
+    schema: { type: 'number', minimum: 0, 'x-error-message': 'minPrice must be a non-negative number' }
+  },
+  {
+    name: 'maxPrice',
+    in: 'query',
+    description: 'Inclusive; not below minPrice',
+    schema: { type: 'number', minimum: 0, 'x-error-message': 'maxPrice must be a non-negative number' }
+  },
+  {
+    name: 'sort',
+    in: 'query',
+    description: `Comma-separated (or repeated) fields, \`-\` prefix for descending, e.g. \`price,-name\`. Fields: ${SORT_FIELDS.join(', ')}`,
+    style: 'form',
+    explode: true,
+    schema: {
+      type: 'array',
+      items: { type: 'string' },
+      'x-error-message': `sort must be a comma-separated list of fields (allowed fields: ${SORT_FIELDS.join(', ')})`
+    }
+  },
+  parameter('IncludeDeleted')
+];
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Items API',
+    version: '2.0.0',
+    description: 'Inventory items with search, trash, audit history, import/export and statistics.\n\n' +
+      'Writes need a bearer token from `POST /auth/login` (use **Authorize** above). Every `/api` response ' +
+      'carries `RateLimit-*` headers; errors share the `Error` shape.\n\n' +
+      'Paths are versioned (`/api/v1/...`) and responses say which version served them in `API-Version`. ' +
+      'A version can also be picked with `Accept: application/vnd.items.v1+json`. The unversioned `/api/...` ' +
+      'paths are deprecated aliases: without such an Accept header they serve v1 with `Deprecation`, ' +
+      '`Sunset` and a `Link` to the versioned path.'
+  },
+  servers: [
+    { url: '/api/v1', description: 'Version 1' },
+    { url: '/api', description: 'Deprecated unversioned aliases' }
+  ],
+  tags: [
+    { name: 'auth', description: 'Bearer tokens' },
+    { name: 'items', description: 'Items, the trash and item history' },
+    { name: 'stats', description: 'Price statistics' }
+  ],
+  paths: {
+    '/auth/login': {
+      post: {
+        tags: ['auth'],
+        summary: 'Exchange a username and password for a bearer token',
+        operationId: 'login',
+        requestBody: { required: true, content: content(schemaRef('LoginRequest')) },
+        responses: {
+          200: { description: 'Signed in', content: content(schemaRef('LoginResponse')) },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          406: response('NotAcceptable'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items': {
+      get: {
+        tags: ['items'],
+        summary: 'List, search, filter and sort items',
+        description: 'Page-numbered by default; pass `cursor` (empty for the first page) for cursor pagination. ' +
+          'The ETag is the data version, so `If-None-Match` gets a 304 until anything changes.',
+        operationId: 'listItems',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'viewer',
+        parameters: [
+          {
+            name: 'page',
+            in: 'query',
+            description: '1-based; ignored with a cursor',
+            schema: { type: 'integer', minimum: 1, default: 1, 'x-error-message': 'page must be a positive integer' }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 100,
+              default: 10,
+              'x-error-message': 'limit must be an integer from 1 to 100'
+            }
+          },
+          {
+            name: 'cursor',
+            in: 'query',
+            description: 'Empty for the first page, then the previous page\'s `pagination.nextCursor`',
+            schema: { type: 'string' }
+          },
+          ...LIST_PARAMETERS,
+          parameter('IfNoneMatch')
+        ],
+        responses: {
+          200: {
+            description: 'A page of items',
+            headers: { ETag: { $ref: '#/components/headers/ETag' } },
+            content: content(schemaRef('ItemPage'))
+          },
+          304: { description: 'Nothing changed since the ETag in If-None-Match' },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          406: response('NotAcceptable'),
+          429: response('TooManyRequests')
+        }
+      },
+      post: {
+        tags: ['items'],
+        summary: 'Create an item',
+        operationId: 'createItem',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'editor',
+        requestBody: { required: true, content: content(schemaRef('ItemInput')) },
+        responses: {
+          201: {
+            description: 'Created',
+            headers: { ETag: { $ref: '#/components/headers/ETag' } },
+            content: content(schemaRef('Item'))
+          },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          406: response('NotAcceptable'),
+          409: response('Conflict'),
+          413: response('PayloadTooLarge'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items/export': {
+      get: {
+        tags: ['items'],
+        summary: 'Download every matching item',
+        operationId: 'exportItems',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'viewer',
+        parameters: [
+          {
+            name: 'format',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: Object.keys(EXPORT_FORMATS),
+              default: 'json',
+              'x-error-message': `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            }
+          },
+          ...LIST_PARAMETERS
+        ],
+        responses: {
+          200: {
+            description: 'A file download (Content-Disposition: attachment)',
+            content: {
+              'application/json': { schema: { type: 'array', items: schemaRef('Item') } },
+              'application/x-ndjson': { schema: { type: 'string', description: 'One item per line' } },
+              'text/csv': { schema: { type: 'string', description: 'Columns: id, name, category, price (and deletedAt with trashed items)' } }
+            }
+          },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          406: response('NotAcceptable'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items/import': {
+      post: {
+        tags: ['items'],
+        summary: 'Import a CSV or NDJSON file',
+        description: 'Rows without an id create items; rows with one replace that item. All or nothing: any bad row ' +
+          'is a 400 listing every problem and nothing is written.',
+        operationId: 'importItems',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'editor',
+        parameters: [
+          {
+            name: 'dryRun',
+            in: 'query',
+            description: 'Only report what would happen',
+            schema: { type: 'string', enum: ['true', 'false'], 'x-error-message': 'dryRun must be true or false' }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: Object.fromEntries(Object.keys(IMPORT_TYPES).map(type => [type, { schema: { type: 'string' } }]))
+        },
+        responses: {
+          200: { description: 'Import report', content: content(schemaRef('ImportReport')) },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          406: response('NotAcceptable'),
+          409: response('Conflict'),
+          413: response('PayloadTooLarge'),
+          415: response('UnsupportedMediaType'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items/batch': {
+      post: {
+        tags: ['items'],
+        summary: 'Run several creates, updates and deletes under one write',
+        description: 'Operations run in order and see each other\'s writes. Each one is validated on its own and ' +
+          'reports the status the single-item route would have answered. Deleting needs the admin role.\n\n' +
+          '- `atomic` (default): all or nothing; any failure is a 422 BATCH_FAILED whose details are the results\n' +
+          '- `best-effort`: what succeeds is written; always a 200',
+        operationId: 'batchItems',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'editor',
+        requestBody: { required: true, content: content(schemaRef('BatchRequest')) },
+        responses: {
+          200: { description: 'Results, one per operation', content: content(schemaRef('BatchResponse')) },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          406: response('NotAcceptable'),
+          409: response('Conflict'),
+          413: response('PayloadTooLarge'),
+          422: response('BatchFailed'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items/{id}': {
+      parameters: [parameter('ItemId')],
+      get: {
+        tags: ['items'],
+        summary: 'Get an item',
+        operationId: 'getItem',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'viewer',
+        parameters: [parameter('IfNoneMatch')],
+        responses: {
+          200: {
+            description: 'The item',
+            headers: { ETag: { $ref: '#/components/headers/ETag' } },
+            content: content(schemaRef('Item'))
+          },
+          304: { description: 'The item hasn\'t changed since the ETag in If-None-Match' },
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          404: response('NotFound'),
+          406: response('NotAcceptable'),
+          429: response('TooManyRequests')
+        }
+      },
+      put: {
+        tags: ['items'],
+        summary: 'Replace an item',
+        operationId: 'replaceItem',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'editor',
+        parameters: [parameter('IfMatch')],
+        requestBody: { required: true, content: content(schemaRef('ItemInput')) },
+        responses: {
+          200: {
+            description: 'Replaced',
+            headers: { ETag: { $ref: '#/components/headers/ETag' } },
+            content: content(schemaRef('Item'))
+          },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          404: response('NotFound'),
+          406: response('NotAcceptable'),
+          412: response('PreconditionFailed'),
+          428: response('PreconditionRequired'),
+          429: response('TooManyRequests')
+        }
+      },
+      patch: {
+        tags: ['items'],
+        summary: 'Update some fields of an item',
+        operationId: 'updateItem',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'editor',
+        parameters: [parameter('IfMatch')],
+        requestBody: { required: true, content: content(schemaRef('ItemPatch')) },
+        responses: {
+          200: {
+            description: 'Updated',
+            headers: { ETag: { $ref: '#/components/headers/ETag' } },
+            content: content(schemaRef('Item'))
+          },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          404: response('NotFound'),
+          406: response('NotAcceptable'),
+          412: response('PreconditionFailed'),
+          428: response('PreconditionRequired'),
+          429: response('TooManyRequests')
+        }
+      },
+      delete: {
+        tags: ['items'],
+        summary: 'Move an item to the trash',
+        description: 'It is purged for good once the retention period ends.',
+        operationId: 'deleteItem',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'admin',
+        parameters: [parameter('IfMatch')],
+        responses: {
+          204: { description: 'In the trash' },
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          404: response('NotFound'),
+          406: response('NotAcceptable'),
+          412: response('PreconditionFailed'),
+          428: response('PreconditionRequired'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items/{id}/history': {
+      parameters: [parameter('ItemId')],
+      get: {
+        tags: ['items'],
+        summary: 'Audit records of an item, oldest first',
+        description: 'Still available after the item is deleted or purged.',
+        operationId: 'getItemHistory',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'admin',
+        responses: {
+          200: { description: 'The item\'s revisions', content: content(schemaRef('ItemHistory')) },
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          404: response('NotFound'),
+          406: response('NotAcceptable'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/items/{id}/restore': {
+      parameters: [parameter('ItemId')],
+      post: {
+        tags: ['items'],
+        summary: 'Take an item out of the trash',
+        operationId: 'restoreItem',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'admin',
+        responses: {
+          200: {
+            description: 'Restored',
+            headers: { ETag: { $ref: '#/components/headers/ETag' } },
+            content: content(schemaRef('Item'))
+          },
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          404: response('NotFound'),
+          406: response('NotAcceptable'),
+          409: response('Conflict'),
+          429: response('TooManyRequests')
+        }
+      }
+    },
+    '/stats': {
+      get: {
+        tags: ['stats'],
+        summary: 'Price statistics, cached until the data changes',
+        operationId: 'getStats',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'viewer',
+        parameters: [
+          {
+            name: 'category',
+            in: 'query',
+            description: 'Only items in this category, case-insensitive; repeat it to include several',
+            style: 'form',
+            explode: true,
+            schema: {
+              type: 'array',
+              items: { type: 'string' },
+              'x-error-message': 'category must be a string (repeat it to include several)'
+            }
+          },
+          {
+            name: 'fields',
+            in: 'query',
+            description: `Comma-separated (or repeated) sections to compute; default all of: ${STATS_FIELDS.join(', ')}`,
+            style: 'form',
+            explode: true,
+            schema: {
+              type: 'array',
+              items: { type: 'string' },
+              'x-error-message': `fields must be a comma-separated list (allowed fields: ${STATS_FIELDS.join(', ')})`
+            }
+          },
+          {
+            name: 'buckets',
+            in: 'query',
+            description: `Histogram bucket count (1-${MAX_BUCKETS}), or comma-separated ascending edges such as \`0,100,500\``,
+            schema: {
+              type: 'string',
+              'x-error-message': `buckets must be a count between 1 and ${MAX_BUCKETS} or ascending edges (e.g. 0,100,500)`
+            }
+          },
+          parameter('IncludeDeleted')
+        ],
+        responses: {
+          200: { description: 'The requested sections', content: content(schemaRef('Stats')) },
+          400: response('BadRequest'),
+          401: response('Unauthorized'),
+          403: response('Forbidden'),
+          406: response('NotAcceptable'),
+          429: response('TooManyRequests')
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: `From POST /auth/login. Roles, lowest first: ${ROLES.join(', ')}; \`x-role\` on an operation is the one it needs`
+      }
+    },
+    parameters: {
+      ItemId: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'A number, or a UUID/ULID depending on the id strategy',
+        schema: { type: 'string' }
+      },
+      IncludeDeleted: {
+        name: 'includeDeleted',
+        in: 'query',
+        description: '`true` to include trashed items, `only` for just the trash (admin role); they carry deletedAt',
+        schema: {
+          type: 'string',
+          enum: ['false', 'true', 'only'],
+          default: 'false',
+          'x-error-message': 'includeDeleted must be true, false or only'
+        }
+      },
+      IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        description: 'The item\'s current ETag. Required: 428 without it, 412 if the item changed since',
+        schema: { type: 'string' }
+      },
+      IfNoneMatch: {
+        name: 'If-None-Match',
+        in: 'header',
+        description: 'An ETag from an earlier response, to get a 304 if nothing changed',
+        schema: { type: 'string' }
+      }
+    },
+    headers: {
+      ETag: {
+        description: 'Version of the response, for If-None-Match and If-Match',
+        schema: { type: 'string' }
+      },
+      RetryAfter: {
+        description: 'Seconds until the request would be allowed',
+        schema: { type: 'integer' }
+      }
+    },
+    responses: {
+      BadRequest: {
+        description: 'Invalid parameters or body (VALIDATION_ERROR, details list each { field, message }), or a bad cursor',
+        content: content(schemaRef('Error'))
+      },
+      Unauthorized: { description: 'Missing, invalid or expired token', content: content(schemaRef('Error')) },
+      Forbidden: { description: 'The token\'s role is too low', content: content(schemaRef('Error')) },
+      NotFound: { description: 'No such item', content: content(schemaRef('Error')) },
+      Conflict: {
+        description: 'The store is full (ITEM_LIMIT_REACHED), or the item isn\'t in the trash (NOT_DELETED)',
+        content: content(schemaRef('Error'))
+      },
+      NotAcceptable: {
+        description: 'Accept names only API versions this path doesn\'t serve (application/vnd.items.v<n>+json)',
+        content: content(schemaRef('Error'))
+      },
+      PreconditionFailed: { description: 'The item changed since the ETag in If-Match', content: content(schemaRef('Error')) },
+      PreconditionRequired: { description: 'If-Match is missing', content: content(schemaRef('Error')) },
+      PayloadTooLarge: { description: 'The body is over the size limit', content: content(schemaRef('Error')) },
+      UnsupportedMediaType: { description: 'Not a CSV or NDJSON upload', content: content(schemaRef('Error')) },
+      BatchFailed: {
+        description: 'An atomic batch had a failing operation; nothing was written. Details are the per-operation results',
+        content: content(schemaRef('Error'))
+      },
+      TooManyRequests: {
+        description: 'Over the rate limit',
+        headers: { 'Retry-After': { $ref: '#/components/headers/RetryAfter' } },
+        content: content(schemaRef('Error'))
+      }
+    },
+    schemas: {
+      ItemId: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+      Item: {
+        type: 'object',
+        required: ['id', 'name', 'category', 'price'],
+        properties: {
+          id: schemaRef('ItemId'),
+          name: { type: 'string' },
+          category: { type: 'string' },
+          price: { type: 'number', minimum: 0 },
+          deletedAt: { type: 'string', format: 'date-time', description: 'Only on trashed items' }
+        }
+      },
+      ItemInput: itemInputSchema(itemSchema),
+      ItemPatch: itemInputSchema(itemSchema, { partial: true }),
+      SearchHit: {
+        allOf: [schemaRef('Item')],
+        properties: {
+          _score: { type: 'number', description: 'Relevance, with q' },
+          _highlights: {
+            type: 'object',
+            description: 'Matched character ranges per field, e.g. { "name": [[0, 6]] }',
+            additionalProperties: {
+              type: 'array',
+              items: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 }
+            }
+          }
+        }
+      },
+      ItemPage: {
+        type: 'object',
+        required: ['data', 'pagination'],
+        additionalProperties: false,
+        properties: {
+          data: { type: 'array', items: schemaRef('SearchHit') },
+          pagination: {
+            type: 'object',
+            required: ['page', 'limit', 'total', 'totalPages', 'hasMore'],
+            additionalProperties: false,
+            properties: {
+              page: { type: ['integer', 'null'], description: 'null with a cursor' },
+              limit: { type: 'integer' },
+              total: { type: 'integer' },
+              totalPages: { type: 'integer' },
+              hasMore: { type: 'boolean' },
+              nextCursor: { type: ['string', 'null'], description: 'Only with a cursor' }
+            }
+          }
+        }
+      },
+      AuditRecord: {
+        type: 'object',
+        required: ['revision', 'id', 'time', 'actor', 'operation', 'itemId', 'requestId', 'changes'],
+        additionalProperties: false,
+        properties: {
+          revision: { type: 'integer', minimum: 1 },
+          id: { type: 'string', description: 'ULID' },
+          time: { type: 'string', format: 'date-time' },
+          actor: { type: ['string', 'null'] },
+          operation: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+          itemId: schemaRef('ItemId'),
+          requestId: { type: ['string', 'null'] },
+          changes: {
+            type: 'object',
+            description: 'Changed fields',
+            additionalProperties: {
+              type: 'object',
+              required: ['before', 'after'],
+              properties: { before: {}, after: {} }
+            }
+          }
+        }
+      },
+      ItemHistory: {
+        type: 'object',
+        required: ['data'],
+        additionalProperties: false,
+        properties: { data: { type: 'array', items: schemaRef('AuditRecord') } }
+      },
+      ImportReport: {
+        type: 'object',
+        required: ['dryRun', 'applied', 'summary', 'errors'],
+        additionalProperties: false,
+        properties: {
+          dryRun: { type: 'boolean' },
+          applied: { type: 'boolean' },
+          summary: {
+            type: 'object',
+            required: ['rows', 'created', 'updated', 'failed'],
+            additionalProperties: false,
+            properties: {
+              rows: { type: 'integer' },
+              created: { type: 'integer' },
+              updated: { type: 'integer' },
+              failed: { type: 'integer' }
+            }
+          },
+          errors: {
+            type: 'array',
+            description: 'Only with dryRun; a failed import is a 400 with these as details',
+            items: {
+              type: 'object',
+              required: ['row', 'line', 'field', 'message'],
+              properties: {
+                row: { type: 'integer' },
+                line: { type: 'integer' },
+                field: { type: ['string', 'null'] },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      // No constraints: the route checks each operation, so a bad one fails on
+      // its own (in the results) instead of failing the whole request
+      BatchOperation: {
+        description: '`{ op: "create", fields }`, `{ op: "update", id, fields }` or `{ op: "delete", id }`, ' +
+          'fields being validated as for POST (create) or PATCH (update)',
+        examples: [
+          { op: 'create', fields: { name: 'Desk', category: 'Furniture', price: 300 } },
+          { op: 'update', id: 1, fields: { price: 2299 } },
+          { op: 'delete', id: 2 }
+        ]
+      },
+      BatchRequest: {
+        type: 'object',
+        required: ['operations'],
+        properties: {
+          mode: {
+            type: 'string',
+            enum: BATCH_MODES,
+            default: 'atomic',
+            'x-error-message': `mode must be one of: ${BATCH_MODES.join(', ')}`
+          },
+          operations: {
+            type: 'array',
+            items: schemaRef('BatchOperation'),
+            minItems: 1,
+            maxItems: MAX_BATCH_OPERATIONS,
+            'x-error-message': `operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`
+          }
+        },
+        'x-error-message': 'Request body must be a JSON object'
+      },
+      BatchResult: {
+        type: 'object',
+        required: ['index', 'op', 'status'],
+        additionalProperties: false,
+        properties: {
+          index: { type: 'integer' },
+          op: { type: ['string', 'null'] },
+          status: { type: 'integer', description: 'What the single-item route would have answered; 424 for operations an atomic batch skipped' },
+          item: schemaRef('Item'),
+          error: schemaRef('ErrorBody')
+        }
+      },
+      BatchResponse: {
+        type: 'object',
+        required: ['mode', 'results'],
+        additionalProperties: false,
+        properties: {
+          mode: { type: 'string', enum: BATCH_MODES },
+          results: { type: 'array', items: schemaRef('BatchResult') }
+        }
+      },
+      Stats: {
+        type: 'object',
+        required: ['cached'],
+        additionalProperties: false,
+        properties: {
+          total: { type: 'integer' },
+          averagePrice: { type: 'number' },
+          totalValue: { type: 'number' },
+          priceRange: {
+            type: 'object',
+            required: ['min', 'max'],
+            additionalProperties: false,
+            properties: { min: { type: 'number' }, max: { type: 'number' } }
+          },
+          median: { type: 'number' },
+          percentiles: {
+            type: 'object',
+            required: ['p90', 'p95', 'p99'],
+            additionalProperties: false,
+            properties: { p90: { type: 'number' }, p95: { type: 'number' }, p99: { type: 'number' } }
+          },
+          stdDev: { type: 'number' },
+          histogram: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['min', 'max', 'count'],
+              additionalProperties: false,
+              properties: { min: { type: 'number' }, max: { type: 'number' }, count: { type: 'integer' } }
+            }
+          },
+          categories: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              required: ['count', 'totalValue', 'averagePrice', 'minPrice', 'maxPrice', 'median'],
+              additionalProperties: false,
+              properties: {
+                count: { type: 'integer' },
+                totalValue: { type: 'number' },
+                averagePrice: { type: 'number' },
+                minPrice: { type: 'number' },
+                maxPrice: { type: 'number' },
+                median: { type: 'number' }
+              }
+            }
+          },
+          cached: { type: 'boolean' },
+          cacheAge: { type: 'integer', description: 'Milliseconds since the cached stats were computed; only when cached' }
+        }
+      },
+      LoginRequest: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string', pattern: '\\S', 'x-error-message': 'Username is required' },
+          password: { type: 'string', minLength: 1, 'x-error-message': 'Password is required' }
+        },
+        'x-error-message': 'Request body must be a JSON object'
+      },
+      LoginResponse: {
+        type: 'object',
+        required: ['token', 'tokenType', 'expiresAt', 'user'],
+        additionalProperties: false,
+        properties: {
+          token: { type: 'string' },
+          tokenType: { const: 'Bearer' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          user: {
+            type: 'object',
+            required: ['username', 'role'],
+            additionalProperties: false,
+            properties: { username: { type: 'string' }, role: { type: 'string', enum: ROLES } }
+          }
+        }
+      },
+      ErrorBody: {
+        type: 'object',
+        required: ['code', 'message', 'details'],
+        additionalProperties: false,
+        properties: {
+          code: { type: 'string', description: 'e.g. VALIDATION_ERROR, NOT_FOUND, RATE_LIMITED' },
+          message: { type: 'string' },
+          details: { description: 'Per-field errors, per-row or per-operation results, or null' },
+          requestId: { type: 'string', description: 'The request\'s X-Request-Id, to find its log lines' },
+          stack: { type: 'string', description: 'Development only' }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['error'],
+        additionalProperties: false,
+        properties: { error: schemaRef('ErrorBody') }
+      }
+    }
+  }
+};
+
+module.exports = { document, itemInputSchema };
@@ -0,0 +1,244 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { document } = require('./document');
+const { validationError } = require('../utils/validation');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+// Id the document is registered under, so schemas can $ref into it
+const DOCUMENT_ID = 'openapi.json';
+
+/**
+ * Escape a key for use in a JSON pointer
+ * @param {string} key
+ * @returns {string}
+ */
+function pointerKey(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Follow a local `$ref` ("#/components/...") within the document
+ * @param {Object} spec
+ * @param {Object} value
+ * @returns {Object}
+ */
+function resolveRef(spec, value) {
+  if (!value || typeof value.$ref !== 'string') return value;
+  return value.$ref.slice(2).split('/')
+    .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => node[key], spec);
+}
+
+/**
+ * An Ajv instance that knows the document, so compiled schemas can use its
+ * components. `x-error-message` is kept on the schemas (it is only read when
+ * reporting errors)
+ * @param {Object} spec
+ * @param {Object} [options] - Extra Ajv options
+ * @returns {import('ajv').default}
+ */
+function createAjv(spec, options = {}) {
+  const ajv = new Ajv2020({ allErrors: true, verbose: true, ...options });
+  addFormats(ajv);
+  ajv.addKeyword({ keyword: 'x-error-message', schemaType: 'string' });
+  // Only the schemas are JSON Schema: the document's own fields are ignored
+  ajv.addVocabulary(Object.keys(spec));
+  ajv.addSchema(spec, DOCUMENT_ID, undefined, false);
+  return ajv;
+}
+
+/**
+ * Compile the schema at a JSON pointer into the document
+ * @param {import('ajv').default} ajv
+ * @param {string[]} path - Keys leading to the schema
+ * @returns {Function} Ajv validate function
+ */
+function compileAt(ajv, path) {
+  return ajv.compile({ $ref: `${DOCUMENT_ID}#/${path.map(pointerKey).join('/')}` });
+}
+
+/**
+ * Turn Ajv errors into the API's { field, message } list, one per field, in
+ * the order the fields are declared (Ajv reports missing ones first).
+ * A failing schema's `x-error-message` is the message; otherwise Ajv's is
+ * used with the field name in front. Errors inside anyOf/oneOf branches are
+ * left to the combinator's own error.
+ * @param {Array<Object>} errors - Ajv errors (verbose)
+ * @param {string[]} fields - Declared top-level fields, in order
+ * @returns {Array<{ field: string|null, message: string }>} field is null for
+ *   errors about the whole body
+ */
+function toFieldErrors(errors, fields) {
+  const byField = new Map();
+  errors
+    .filter(error => !/\/(anyOf|oneOf)\/\d+\//.test(error.schemaPath))
+    .forEach(error => {
+      const path = error.instancePath.split('/').slice(1);
+      let schema = error.parentSchema || {};
+      if (error.keyword === 'required') {
+        path.push(error.params.missingProperty);
+        schema = (schema.properties || {})[error.params.missingProperty] || {};
+      }
+
+      const field = path.join('.') || null;
+      if (byField.has(field)) return;
+      byField.set(field, schema['x-error-message'] || `${field || 'Request body'} ${error.message}`);
+    });
+  const rank = field => (field === null ? -1 : fields.indexOf(field.split('.')[0]));
+  return [...byField]
+    .map(([field, message]) => ({ field, message }))
+    .sort((a, b) => rank(a.field) - rank(b.field));
+}
+
+/**
+ * Turn an OpenAPI path ("/items/{id}") into a matcher for request paths
+ * @param {string} template
+ * @returns {RegExp}
+ */
+function pathPattern(template) {
+  const source = template
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))
+    .join('([^/]+)');
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Every operation in the document, with compiled validators for its query
+ * parameters and JSON request body. Paths without parameters come first, so
+ * /items/export is matched before /items/{id}
+ * @param {Object} spec
+ * @returns {Array<Object>} { method, template, pattern, query, queryFields, body, bodyFields }:
+ *   `query` and `body` are Ajv validate functions (or null), the `*Fields`
+ *   their declared fields
+ */
+function compileOperations(spec) {
+  const ajv = createAjv(spec);
+  // Query values are strings (or lists of them when repeated); convert them to the declared types
+  const queryAjv = createAjv(spec, { coerceTypes: 'array' });
+
+  const operations = [];
+  Object.entries(spec.paths).forEach(([template, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(value => resolveRef(spec, value))
+        .filter(param => param.in === 'query');
+
+      let query = null;
+      if (parameters.length > 0) {
+        query = queryAjv.compile({
+          type: 'object',
+          properties: Object.fromEntries(parameters.map(param => [param.name, param.schema])),
+          required: parameters.filter(param => param.required).map(param => param.name)
+        });
+      }
+
+      const requestBody = resolveRef(spec, operation.requestBody);
+      const json = requestBody && requestBody.content && requestBody.content['application/json'];
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        pattern: pathPattern(template),
+        query,
+        queryFields: parameters.map(param => param.name),
+        body: json ? compileAt(ajv, ['paths', template, method, 'requestBody', 'content', 'application/json', 'schema']) : null,
+        bodyFields: json ? Object.keys(resolveRef(spec, json.schema).properties || {}) : []
+      });
+    });
+  });
+
+  const paramCount = template => (template.match(/\{/g) || []).length;
+  return operations.sort((a, b) => paramCount(a.template) - paramCount(b.template));
+}
+
+/**
+ * Find the documented operation for a request
+ * @param {Array} operations - From compileOperations()
+ * @param {string} method
+ * @param {string} path - Relative to the document's server URL
+ * @returns {Object|undefined}
+ */
+function findOperation(operations, method, path) {
+  return operations.find(operation => operation.method === method && operation.pattern.test(path));
+}
+
+/**
+ * Reject requests that don't match the OpenAPI document with a 400
+ * VALIDATION_ERROR listing each bad parameter or field, as the routes' own
+ * checks do. Checks query parameters and JSON bodies of documented
+ * operations; anything else passes through to the routes. Mount it at the
+ * document's server URL, after the body parsers
+ * @param {Object} [spec] - Default: the API's document
+ * @returns {Function} Express middleware
+ */
+function validateRequest(spec = document) {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    const operation = findOperation(operations, req.method, req.path);
+    if (!operation) return next();
+
+    const errors = [];
+    // Validate a copy: coercion must not change what the routes read
+    if (operation.query && !operation.query({ ...req.query })) {
+      errors.push(...toFieldErrors(operation.query.errors, operation.queryFields));
+    }
+    // Without a JSON body, the body parser leaves {} as the routes see it
+    if (operation.body && !operation.body(req.body === undefined ? {} : req.body)) {
+      errors.push(...toFieldErrors(operation.body.errors, operation.bodyFields));
+    }
+
+    next(errors.length > 0 ? validationError(errors) : undefined);
+  };
+}
+
+/**
+ * Check responses against the document, for contract tests
+ * @param {Object} [spec] - Default: the API's document
+ * @returns {Function} `(method, path, status, contentType, body)` returning
+ *   { operation, errors }: the matched operation (`method path`) and a list of
+ *   problems, empty when the response matches its schema
+ */
+function createResponseValidator(spec = document) {
+  const ajv = createAjv(spec);
+  const operations = compileOperations(spec);
+  const compiled = new Map();
+
+  return (method, path, status, contentType, body) => {
+    const operation = findOperation(operations, method, path);
+    if (!operation) {
+      return { operation: null, errors: [`${method} ${path} is not documented`] };
+    }
+    const name = `${operation.method} ${operation.template}`;
+    const responses = spec.paths[operation.template][method.toLowerCase()].responses;
+    if (!responses[status]) {
+      return { operation: name, errors: [`${name} has no documented ${status} response`] };
+    }
+
+    const documented = resolveRef(spec, responses[status]);
+    const mediaType = (contentType || '').split(';')[0].trim();
+    if (!documented.content) {
+      return { operation: name, errors: mediaType ? [`${name} ${status} should have no body`] : [] };
+    }
+    if (!documented.content[mediaType]) {
+      return { operation: name, errors: [`${name} ${status} has no documented ${mediaType || 'empty'} body`] };
+    }
+
+    const key = `${name} ${status} ${mediaType}`;
+    if (!compiled.has(key)) {
+      // Shared responses are compiled where they are defined
+      const path = responses[status].$ref
+        ? [...responses[status].$ref.slice(2).split('/'), 'content', mediaType, 'schema']
+        : ['paths', operation.template, method.toLowerCase(), 'responses', String(status), 'content', mediaType, 'schema'];
+      compiled.set(key, compileAt(ajv, path));
+    }
+    const validate = compiled.get(key);
+    return {
+      operation: name,
+      errors: validate(body) ? [] : validate.errors.map(error => `${key}: ${error.instancePath || '(body)'} ${error.message}`)
+    };
+  };
+}
+
+module.exports = { document, validateRequest, createResponseValidator };
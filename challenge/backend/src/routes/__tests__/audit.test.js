@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const request = require('supertest');
+const express = require('express');
+const { createItemsRouter } = require('../items');
+const { createAuditRouter } = require('../audit');
+const { requestId } = require('../../middleware/requestId');
+const { signToken } = require('../../auth/tokens');
+const { createTestServices } = require('./testServices');
+
+// Records go to the suite's own audit log, next to its data
+const { services, dataPath: TEST_DATA_PATH, cleanup } = createTestServices();
+
+// Create test app
+const app = express();
+app.use(requestId);
+app.use(express.json());
+app.use('/api/items', createItemsRouter(services));
+app.use('/api/audit', createAuditRouter(services));
+
+// Error handler middleware
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+const viewerAuth = `Bearer ${signToken({ username: 'vic', role: 'viewer' })}`;
+const editorAuth = `Bearer ${signToken({ username: 'erin', role: 'editor' })}`;
+const adminAuth = `Bearer ${signToken({ username: 'ada', role: 'admin' })}`;
+
+let originalData;
+
+describe('Audit Routes', () => {
+  beforeAll(async () => {
+    originalData = await fs.readFile(TEST_DATA_PATH, 'utf-8');
+  });
+
+  afterAll(async () => {
+    await cleanup();
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(TEST_DATA_PATH, originalData, 'utf-8');
+  });
+
+  describe('GET /api/items/:id/history', () => {
+    it('should record who created, changed and deleted an item', async () => {
+      const created = await request(app)
+        .post('/api/items')
+        .set('Authorization', editorAuth)
+        .set('X-Request-Id', 'req-create-1')
+        .send({ name: 'Audit Lamp', category: 'Furniture', price: 50 });
+      const { id } = created.body;
+      expect(created.headers['x-request-id']).toBe('req-create-1');
+
+      await request(app)
+        .patch(`/api/items/${id}`)
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ price: 55 });
+      await request(app)
+        .delete(`/api/items/${id}`)
+        .set('Authorization', adminAuth)
+        .set('If-Match', '*');
+
+      const res = await request(app).get(`/api/items/${id}/history`).set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(r => [r.revision, r.operation, r.actor])).toEqual([
+        [1, 'create', 'erin'],
+        [2, 'update', 'erin'],
+        [3, 'delete', 'ada']
+      ]);
+
+      const [create, update, remove] = res.body.data;
+      expect(create.requestId).toBe('req-create-1');
+      expect(create.changes.name).toEqual({ before: null, after: 'Audit Lamp' });
+      expect(update.changes).toEqual({ price: { before: 50, after: 55 } });
+      expect(update.requestId).toMatch(/^[0-9a-f-]{36}$/);
+      // Deleting only moves the item to the trash
+      expect(Object.keys(remove.changes)).toEqual(['deletedAt']);
+      expect(remove.changes.deletedAt.before).toBeNull();
+      expect(Date.parse(remove.changes.deletedAt.after)).not.toBeNaN();
+      expect(Date.parse(create.time)).not.toBeNaN();
+    });
+
+    it('should return an empty history for an item never changed through the API', async () => {
+      const res = await request(app).get('/api/items/1/history').set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+    });
+
+    it('should require the admin role', async () => {
+      const anonymous = await request(app).get('/api/items/1/history');
+      const viewer = await request(app).get('/api/items/1/history').set('Authorization', viewerAuth);
+      const editor = await request(app).get('/api/items/1/history').set('Authorization', editorAuth);
+
+      expect(anonymous.status).toBe(401);
+      expect(viewer.status).toBe(403);
+      expect(editor.status).toBe(403);
+    });
+
+    it('should return 404 for an unknown item', async () => {
+      const res = await request(app).get('/api/items/99999/history').set('Authorization', adminAuth);
+      expect(res.status).toBe(404);
+    });
+
+    it('should record each item of an import separately', async () => {
+      await request(app)
+        .post('/api/items/import')
+        .set('Authorization', editorAuth)
+        .set('X-Request-Id', 'req-import-1')
+        .set('Content-Type', 'text/csv')
+        .send('id,name,category,price\n4,Ergonomic Chair,Furniture,749\n,Footrest,Furniture,49\n');
+
+      const res = await request(app).get('/api/items/4/history').set('Authorization', adminAuth);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0]).toMatchObject({
+        operation: 'update',
+        actor: 'erin',
+        requestId: 'req-import-1',
+        changes: { price: { before: 799, after: 749 } }
+      });
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('should require the admin role', async () => {
+      const anonymous = await request(app).get('/api/audit');
+      const editor = await request(app).get('/api/audit').set('Authorization', editorAuth);
+
+      expect(anonymous.status).toBe(401);
+      expect(editor.status).toBe(403);
+    });
+
+    it('should filter by actor and time', async () => {
+      const before = new Date().toISOString();
+      await request(app)
+        .put('/api/items/2')
+        .set('Authorization', adminAuth)
+        .set('If-Match', '*')
+        .send({ name: 'Renamed Headphones', category: 'Electronics', price: 399 });
+
+      const byAda = await request(app)
+        .get(`/api/audit?actor=ada&since=${encodeURIComponent(before)}`)
+        .set('Authorization', adminAuth);
+
+      expect(byAda.status).toBe(200);
+      expect(byAda.body.data).toHaveLength(1);
+      expect(byAda.body.data[0]).toMatchObject({
+        operation: 'update',
+        itemId: 2,
+        changes: { name: { before: 'Noise Cancelling Headphones', after: 'Renamed Headphones' } }
+      });
+
+      const byNobody = await request(app).get('/api/audit?actor=nobody').set('Authorization', adminAuth);
+      expect(byNobody.body.data).toEqual([]);
+    });
+
+    it('should page with limit and hasMore', async () => {
+      const res = await request(app).get('/api/audit?limit=1').set('Authorization', adminAuth);
+
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.hasMore).toBe(true);
+    });
+
+    it('should page through a batch written in the same millisecond with ?after=', async () => {
+      const before = new Date().toISOString();
+      const batch = await request(app)
+        .post('/api/items/batch')
+        .set('Authorization', editorAuth)
+        .send({
+          operations: Array.from({ length: 150 }, (_, i) => ({
+            op: 'create',
+            fields: { name: `Paged ${i}`, category: 'Paging', price: i + 1 }
+          }))
+        });
+      expect(batch.status).toBe(200);
+
+      const ids = [];
+      let query = `since=${encodeURIComponent(before)}&limit=100`;
+      for (let pages = 0; pages < 3; pages++) {
+        const res = await request(app).get(`/api/audit?${query}`).set('Authorization', adminAuth);
+        expect(res.status).toBe(200);
+        ids.push(...res.body.data.map(record => record.id));
+        if (!res.body.hasMore) break;
+        query = `after=${ids[ids.length - 1]}&limit=100`;
+      }
+
+      expect(ids).toHaveLength(150);
+      expect(new Set(ids).size).toBe(150);
+    });
+
+    it('should reject invalid filters', async () => {
+      const res = await request(app)
+        .get('/api/audit?since=yesterday&after=nope&limit=0')
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/since must be an ISO 8601 date/);
+      expect(res.body.error).toMatch(/after must be the id of an audit record/);
+      expect(res.body.error).toMatch(/limit must be an integer/);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuthRouter } = require('../auth');
+const { saveUser } = require('../../auth/users');
+const { signToken } = require('../../auth/tokens');
+
+// A user store of its own, filled in beforeAll
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+const usersPath = path.join(dir, 'users.json');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', createAuthRouter({ usersPath }));
+
+// Error handler middleware
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message, code: err.code });
+});
+
+describe('Auth Routes', () => {
+  beforeAll(async () => {
+    await saveUser({ username: 'editor', password: 'editor-password', role: 'editor' }, { filePath: usersPath });
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should issue a token for valid credentials', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'editor', password: 'editor-password' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.tokenType).toBe('Bearer');
+      expect(res.body.user).toEqual({ username: 'editor', role: 'editor' });
+      expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${res.body.token}`);
+      expect(me.status).toBe(200);
+      expect(me.body).toMatchObject({ username: 'editor', role: 'editor' });
+    });
+
+    it('should reject a wrong password', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'editor', password: 'nope' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should reject an unknown user with the same error', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'nobody', password: 'editor-password' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid username or password');
+    });
+
+    it('should require a username and password', async () => {
+      const res = await request(app).post('/api/auth/login').send({ username: ' ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+      expect(res.body.error).toMatch(/Username is required; Password is required/);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should require a token', async () => {
+      const res = await request(app).get('/api/auth/me');
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should reject malformed and forged tokens', async () => {
+      const basic = await request(app).get('/api/auth/me').set('Authorization', 'Basic abc');
+      expect(basic.status).toBe(401);
+      expect(basic.body.code).toBe('INVALID_TOKEN');
+
+      const token = signToken({ username: 'viewer', role: 'admin' });
+      const [header, , signature] = token.split('.');
+      const claims = Buffer.from(JSON.stringify({ sub: 'viewer', role: 'admin' })).toString('base64url');
+      const forged = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${header}.${claims}.${signature}`);
+      expect(forged.status).toBe(401);
+      expect(forged.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = signToken({ username: 'viewer', role: 'viewer' }, { expiresIn: 60 });
+
+      const later = Date.now() + 61000;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('TOKEN_EXPIRED');
+    });
+  });
+});
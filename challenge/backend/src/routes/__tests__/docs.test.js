@@ -0,0 +1,48 @@
+const express = require('express');
+const request = require('supertest');
+const { createDocsRouter } = require('../docs');
+const { document } = require('../../openapi');
+
+describe('Docs routes', () => {
+  const app = express();
+  app.use('/api', createDocsRouter());
+
+  it('should serve the OpenAPI document', async () => {
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/json/);
+    expect(res.body).toEqual(JSON.parse(JSON.stringify(document)));
+    expect(res.body.openapi).toMatch(/^3\.1\./);
+  });
+
+  it('should serve Swagger UI from the local package', async () => {
+    const redirect = await request(app).get('/api/docs');
+    const page = await request(app).get('/api/docs/');
+    const bundle = await request(app).get('/api/docs/swagger-ui-bundle.js');
+
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.location).toBe('/api/docs/');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('swagger-initializer.js');
+    expect(bundle.status).toBe(200);
+  });
+
+  it('should point Swagger UI at the document', async () => {
+    const res = await request(app).get('/api/docs/swagger-initializer.js');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/javascript/);
+    expect(res.text).toContain("url: '../openapi.json'");
+    expect(res.text).not.toContain('petstore');
+  });
+
+  it('should serve a document it is given', async () => {
+    const custom = express();
+    custom.use('/api', createDocsRouter({ document: { openapi: '3.1.0', paths: {} } }));
+
+    const res = await request(custom).get('/api/openapi.json');
+
+    expect(res.body).toEqual({ openapi: '3.1.0', paths: {} });
+  });
+});
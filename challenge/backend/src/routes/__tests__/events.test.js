@@ -0,0 +1,227 @@
+const request = require('supertest');
+const express = require('express');
+const http = require('http');
+const fs = require('fs').promises;
+const { createItemsRouter } = require('../items');
+const { createStatsRouter } = require('../stats');
+const { createEventsRouter } = require('../events');
+const { signToken } = require('../../auth/tokens');
+const { createTestServices } = require('./testServices');
+
+const { services, dataPath: TEST_DATA_PATH, cleanup } = createTestServices();
+const { events } = services;
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/items', createItemsRouter(services));
+app.use('/api/stats', createStatsRouter(services));
+app.use('/api/events', createEventsRouter(services));
+
+// Bearer tokens for each role
+const viewerToken = signToken({ username: 'test-viewer', role: 'viewer' });
+const viewerAuth = `Bearer ${viewerToken}`;
+const editorAuth = `Bearer ${signToken({ username: 'test-editor', role: 'editor' })}`;
+const adminAuth = `Bearer ${signToken({ username: 'test-admin', role: 'admin' })}`;
+
+let originalData;
+let server;
+let baseUrl;
+const streams = [];
+
+/**
+ * Open the event stream and collect the events it delivers
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {string} [options.query] - Query string, without the leading ?
+ * @param {string|null} [options.auth] - Authorization header (default: a viewer's token)
+ * @returns {Promise<{ events: Array, waitFor: Function, close: Function }>}
+ */
+function openStream({ headers = {}, query = '', auth = viewerAuth } = {}) {
+  return new Promise((resolve, reject) => {
+    const received = [];
+    const waiters = [];
+    let buffer = '';
+
+    const req = http.get(`${baseUrl}/api/events${query ? `?${query}` : ''}`, { headers: auth ? { Authorization: auth, ...headers } : headers }, res => {
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+
+          const event = {};
+          for (const line of block.split('\n')) {
+            const [, field, value] = /^([^:]*): ?(.*)$/.exec(line) || [];
+            if (field === 'id') event.id = value;
+            if (field === 'event') event.type = value;
+            if (field === 'data') event.data = JSON.parse(value);
+          }
+          if (event.type) {
+            received.push(event);
+            waiters.forEach(check => check());
+          }
+        }
+      });
+
+      const stream = {
+        res,
+        events: received,
+        // Resolve with the first received event matching the predicate
+        waitFor(predicate, timeout = 3000) {
+          return new Promise((resolveEvent, rejectEvent) => {
+            const timer = setTimeout(() => rejectEvent(new Error('Timed out waiting for event')), timeout);
+            const check = () => {
+              const match = received.find(predicate);
+              if (match) {
+                clearTimeout(timer);
+                resolveEvent(match);
+              }
+            };
+            waiters.push(check);
+            check();
+          });
+        },
+        close: () => req.destroy()
+      };
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('Events Routes', () => {
+  beforeAll(async () => {
+    originalData = await fs.readFile(TEST_DATA_PATH, 'utf-8');
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    streams.forEach(stream => stream.close());
+    await new Promise(resolve => server.close(resolve));
+    await cleanup();
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(TEST_DATA_PATH, originalData, 'utf-8');
+  });
+
+  afterEach(() => {
+    streams.splice(0).forEach(stream => stream.close());
+  });
+
+  it('should respond with an event stream', async () => {
+    const stream = await openStream();
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(stream.res.headers['cache-control']).toMatch(/no-cache/);
+  });
+
+  it('should emit item events for API writes', async () => {
+    const stream = await openStream();
+
+    const created = await request(app)
+      .post('/api/items')
+      .set('Authorization', editorAuth)
+      .send({ name: 'Streamed Lamp', category: 'Furniture', price: 89 });
+    const { id } = created.body;
+    await request(app)
+      .patch(`/api/items/${id}`)
+      .set('Authorization', editorAuth)
+      .set('If-Match', '*')
+      .send({ price: 99 });
+    await request(app).delete(`/api/items/${id}`).set('Authorization', adminAuth).set('If-Match', '*');
+
+    const createdEvent = await stream.waitFor(e => e.type === 'item.created' && e.data.item.id === id);
+    const updatedEvent = await stream.waitFor(e => e.type === 'item.updated' && e.data.item.id === id);
+    const deletedEvent = await stream.waitFor(e => e.type === 'item.deleted' && e.data.item.id === id);
+
+    expect(createdEvent.data.item.name).toBe('Streamed Lamp');
+    expect(updatedEvent.data.item.price).toBe(99);
+    expect(deletedEvent.id).toMatch(/^[0-9a-z]+:\d+$/);
+  });
+
+  it('should emit stats.updated once the stats cache is refreshed', async () => {
+    const stream = await openStream();
+
+    const created = await request(app)
+      .post('/api/items')
+      .set('Authorization', editorAuth)
+      .send({ name: 'Stats Lamp', category: 'Furniture', price: 1 });
+
+    const event = await stream.waitFor(
+      e => e.type === 'stats.updated' && e.data.total === 6 && e.data.priceRange.min === 1
+    );
+    expect(event.data.categories.Furniture.count).toBe(3);
+
+    const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
+    expect(res.body.cached).toBe(true);
+    expect(res.body.total).toBe(6);
+
+    await request(app).delete(`/api/items/${created.body.id}`).set('Authorization', adminAuth).set('If-Match', '*');
+  });
+
+  it('should require the viewer role', async () => {
+    const anonymous = await request(app).get('/api/events');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+
+    const forged = await request(app).get('/api/events?access_token=nope');
+    expect(forged.status).toBe(401);
+  });
+
+  it('should accept the token as a query parameter, for EventSource', async () => {
+    const stream = await openStream({ auth: null, query: `access_token=${viewerToken}` });
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+  });
+
+  it('should replay missed events after Last-Event-ID', async () => {
+    const marker = events.publish('test.marker', {});
+    const missed = events.publish('test.missed', { n: 1 });
+
+    const stream = await openStream({ headers: { 'Last-Event-ID': marker.id } });
+    const replayed = await stream.waitFor(e => e.type === 'test.missed');
+
+    expect(replayed.id).toBe(missed.id);
+    expect(replayed.data).toEqual({ n: 1 });
+    expect(stream.events.find(e => e.type === 'test.marker')).toBeUndefined();
+  });
+
+  it('should accept the last event id as a query parameter', async () => {
+    const marker = events.publish('test.marker', {});
+    events.publish('test.missed', { n: 2 });
+
+    const stream = await openStream({ query: `lastEventId=${encodeURIComponent(marker.id)}` });
+    const replayed = await stream.waitFor(e => e.type === 'test.missed');
+
+    expect(replayed.data).toEqual({ n: 2 });
+  });
+
+  it('should send a reset event when missed events cannot be replayed', async () => {
+    events.publish('test.marker', {});
+
+    const stream = await openStream({ headers: { 'Last-Event-ID': 'stale:1' } });
+    const reset = await stream.waitFor(e => e.type === 'reset');
+
+    // Points the client at the current run so its next reconnect can replay
+    expect(reset.id.startsWith(`${events.boot}:`)).toBe(true);
+  });
+
+  it('should stop delivering events after the client disconnects', async () => {
+    const before = events.listenerCount('event');
+    const stream = await openStream();
+    expect(events.listenerCount('event')).toBe(before + 1);
+
+    stream.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(events.listenerCount('event')).toBe(before);
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const metrics = require('../../metrics');
+const { createApp } = require('../../app');
+const { signToken } = require('../../auth/tokens');
+const { createTestServices } = require('./testServices');
+
+const { services, config, dataPath: TEST_DATA_PATH, cleanup } = createTestServices();
+const { itemStore, statsCache, auditLog } = services;
+// The whole app, to check what the probes and the metrics middleware see
+const app = createApp(config, { services });
+const viewerAuth = `Bearer ${signToken({ username: 'test-viewer', role: 'viewer' })}`;
+const editorAuth = `Bearer ${signToken({ username: 'test-editor', role: 'editor' })}`;
+let originalData;
+
+/**
+ * Current value of a metric series
+ * @param {Object} metric - prom-client Counter
+ * @param {Object} [labels]
+ * @returns {Promise<number>}
+ */
+async function valueOf(metric, labels = {}) {
+  const { values } = await metric.get();
+  const series = values.find(value => Object.entries(labels).every(([name, label]) => value.labels[name] === label));
+  return series ? series.value : 0;
+}
+
+describe('Health and metrics routes', () => {
+  beforeAll(async () => {
+    originalData = await fs.readFile(TEST_DATA_PATH, 'utf-8');
+  });
+
+  afterAll(async () => {
+    await cleanup();
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(TEST_DATA_PATH, originalData, 'utf-8');
+    await itemStore.all();
+  });
+
+  describe('GET /healthz', () => {
+    it('should report the process is up', async () => {
+      const res = await request(app).get('/healthz');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+      expect(res.headers['cache-control']).toBe('no-store');
+    });
+  });
+
+  describe('GET /readyz', () => {
+    it('should be ready when the store is readable and the stats cache is watching', async () => {
+      const res = await request(app).get('/readyz');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        status: 'ready',
+        checks: { store: { status: 'ok' }, statsWatcher: { status: 'ok' }, auditLog: { status: 'ok' } }
+      });
+    });
+
+    it('should not be ready, and count the failure, while audit records can\'t be written', async () => {
+      const failures = await valueOf(metrics.auditWriteFailures);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(fs, 'appendFile').mockRejectedValueOnce(new Error('disk full'));
+
+      const created = await request(app).post('/api/items').set('Authorization', editorAuth).send({ name: 'Cable', category: 'Electronics', price: 10 });
+      await auditLog.idle();
+      const res = await request(app).get('/readyz');
+      fs.appendFile.mockRestore();
+      console.error.mockRestore();
+
+      // The item is saved either way
+      expect(created.status).toBe(201);
+      expect(res.status).toBe(503);
+      expect(res.body.checks.auditLog).toEqual({ status: 'fail', error: 'The last audit record could not be written: disk full' });
+      expect(await valueOf(metrics.auditWriteFailures)).toBe(failures + 1);
+
+      await request(app).post('/api/items').set('Authorization', editorAuth).send({ name: 'Plug', category: 'Electronics', price: 5 });
+      await auditLog.idle();
+      expect((await request(app).get('/readyz')).status).toBe(200);
+    });
+
+    it('should not be ready while the data file doesn\'t parse', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await fs.writeFile(TEST_DATA_PATH, '[{"id": 1, "na', 'utf-8');
+
+      const res = await request(app).get('/readyz');
+      console.error.mockRestore();
+
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe('not ready');
+      expect(res.body.checks.store).toEqual({ status: 'fail', error: expect.any(String) });
+      expect(res.body.checks.statsWatcher).toEqual({ status: 'ok' });
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('should serve the Prometheus text format', async () => {
+      const res = await request(app).get('/metrics');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(res.text).toContain('# TYPE http_requests_total counter');
+      expect(res.text).toContain('# TYPE http_request_duration_seconds histogram');
+      expect(res.text).toContain('# TYPE process_cpu_seconds_total counter');
+    });
+
+    it('should count requests and their latency by route pattern and status', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await request(app).get('/api/stats').set('Authorization', viewerAuth);
+      await request(app).get('/api/stats?fields=nope').set('Authorization', viewerAuth);
+      await request(app).get('/no/such/page');
+      console.warn.mockRestore();
+
+      const res = await request(app).get('/metrics');
+
+      expect(res.text).toMatch(/http_requests_total\{method="GET",route="\/api\/stats",status="200"\} [1-9]/);
+      expect(res.text).toMatch(/http_requests_total\{method="GET",route="\/api\/stats",status="400"\} [1-9]/);
+      expect(res.text).toMatch(/http_requests_total\{method="GET",route="unmatched",status="404"\} [1-9]/);
+      expect(res.text).toMatch(/http_request_duration_seconds_count\{method="GET",route="\/api\/stats",status="200"\} [1-9]/);
+      // Probes and scrapes are mounted ahead of the metrics middleware
+      expect(res.text).not.toContain('route="/metrics"');
+    });
+
+    it('should count stats cache hits and misses', async () => {
+      const hits = await valueOf(metrics.statsCacheRequests, { result: 'hit' });
+      const misses = await valueOf(metrics.statsCacheRequests, { result: 'miss' });
+
+      // Not among the queries the cache preloads
+      await request(app).get('/api/stats?buckets=7').set('Authorization', viewerAuth);
+      await request(app).get('/api/stats?buckets=7').set('Authorization', viewerAuth);
+
+      expect(await valueOf(metrics.statsCacheRequests, { result: 'miss' })).toBe(misses + 1);
+      expect(await valueOf(metrics.statsCacheRequests, { result: 'hit' })).toBe(hits + 1);
+    });
+
+    it('should count data file reloads and write failures', async () => {
+      const reloads = await valueOf(metrics.dataReloads);
+      const failures = await valueOf(metrics.dataWriteFailures);
+
+      await fs.writeFile(TEST_DATA_PATH, `${originalData}\n`, 'utf-8');
+      await itemStore.all();
+      itemStore.emit('writeError', new Error('disk full'));
+
+      expect(await valueOf(metrics.dataReloads)).toBeGreaterThan(reloads);
+      expect(await valueOf(metrics.dataWriteFailures)).toBe(failures + 1);
+    });
+  });
+
+  describe('GET /readyz after the stats cache stops listening', () => {
+    it('should not be ready', async () => {
+      statsCache.close();
+
+      const res = await request(app).get('/readyz');
+
+      expect(res.status).toBe(503);
+      expect(res.body.checks.statsWatcher).toEqual({
+        status: 'fail',
+        error: 'Stats cache is not watching for data changes'
+      });
+    });
+  });
+});
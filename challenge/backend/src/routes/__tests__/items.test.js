@@ -1,8 +1,15 @@
 const request = require('supertest');
 const express = require('express');
 const fs = require('fs').promises;
-const path = require('path');
-const itemsRouter = require('../items');
+const { createItemsRouter } = require('../items');
+const { createItemStore } = require('../../store');
+const { signToken } = require('../../auth/tokens');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { createTestServices } = require('./testServices');
+
+const { services, config, dataPath: TEST_DATA_PATH, reset, cleanup } = createTestServices();
+const { itemStore } = services;
+const itemsRouter = createItemsRouter(services);
 
 // Create test app
 const app = express();
@@ -14,7 +21,17 @@ app.use((err, req, res, next) => {
   res.status(err.status || 500).json({ error: err.message });
 });
 
-const TEST_DATA_PATH = path.join(__dirname, '../../../../data/items.json');
+// Same routes with the real error handler, to check error codes and details
+const detailApp = express();
+detailApp.use(express.json());
+detailApp.use('/api/items', itemsRouter);
+detailApp.use(errorHandler);
+
+// Bearer tokens for each role
+const viewerAuth = `Bearer ${signToken({ username: 'test-viewer', role: 'viewer' })}`;
+const editorAuth = `Bearer ${signToken({ username: 'test-editor', role: 'editor' })}`;
+const adminAuth = `Bearer ${signToken({ username: 'test-admin', role: 'admin' })}`;
+
 let originalData;
 
 describe('Items Routes', () => {
@@ -24,19 +41,18 @@ describe('Items Routes', () => {
     originalData = raw;
   });
 
-  // Restore original data after tests
   afterAll(async () => {
-    await fs.writeFile(TEST_DATA_PATH, originalData, 'utf-8');
+    await cleanup();
   });
 
   // Reset data before each test
   beforeEach(async () => {
-    await fs.writeFile(TEST_DATA_PATH, originalData, 'utf-8');
+    await reset();
   });
 
   describe('GET /api/items', () => {
     it('should return all items with pagination metadata', async () => {
-      const res = await request(app).get('/api/items');
+      const res = await request(app).get('/api/items').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body).toHaveProperty('data');
@@ -50,7 +66,7 @@ describe('Items Routes', () => {
     });
 
     it('should support pagination with page and limit params', async () => {
-      const res = await request(app).get('/api/items?page=1&limit=2');
+      const res = await request(app).get('/api/items?page=1&limit=2').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBeLessThanOrEqual(2);
@@ -59,7 +75,7 @@ describe('Items Routes', () => {
     });
 
     it('should filter items by search query (name)', async () => {
-      const res = await request(app).get('/api/items?q=laptop');
+      const res = await request(app).get('/api/items?q=laptop').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBeGreaterThan(0);
@@ -67,7 +83,7 @@ describe('Items Routes', () => {
     });
 
     it('should filter items by search query (category)', async () => {
-      const res = await request(app).get('/api/items?q=electronics');
+      const res = await request(app).get('/api/items?q=electronics').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBeGreaterThan(0);
@@ -77,7 +93,7 @@ describe('Items Routes', () => {
     });
 
     it('should return empty array for non-matching search', async () => {
-      const res = await request(app).get('/api/items?q=nonexistentitem12345');
+      const res = await request(app).get('/api/items?q=nonexistentitem12345').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBe(0);
@@ -85,16 +101,497 @@ describe('Items Routes', () => {
     });
 
     it('should handle pagination on second page', async () => {
-      const res = await request(app).get('/api/items?page=2&limit=2');
+      const res = await request(app).get('/api/items?page=2&limit=2').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.pagination.page).toBe(2);
     });
+
+    it('should find items despite typos and word order', async () => {
+      const typo = await request(app).get('/api/items?q=hedphones').set('Authorization', viewerAuth);
+      expect(typo.body.data.map(i => i.id)).toEqual([2]);
+
+      const reordered = await request(app).get('/api/items?q=chair ergonomic').set('Authorization', viewerAuth);
+      expect(reordered.body.data.map(i => i.id)).toEqual([4]);
+    });
+
+    it('should return highlight ranges with each search hit', async () => {
+      const res = await request(app).get('/api/items?q=headph').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0]._highlights).toEqual({ name: [[17, 23]] });
+      expect(res.body.data[0].name.slice(17, 23)).toBe('Headph');
+      expect(typeof res.body.data[0]._score).toBe('number');
+    });
+
+    it('should rank search results by relevance', async () => {
+      // Every term has to match: "stand" as a prefix of "Standing"
+      const res = await request(app).get('/api/items?q=desk stand').set('Authorization', viewerAuth);
+
+      expect(res.body.data.map(i => i.id)).toEqual([5]);
+
+      const ranked = await request(app).get('/api/items?q=e').set('Authorization', viewerAuth);
+      const scores = ranked.body.data.map(i => i._score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    it('should sort by price ascending and descending', async () => {
+      const asc = await request(app).get('/api/items?sort=price').set('Authorization', viewerAuth);
+      expect(asc.status).toBe(200);
+      expect(asc.body.data.map(i => i.id)).toEqual([2, 4, 3, 5, 1]);
+
+      const desc = await request(app).get('/api/items?sort=-price').set('Authorization', viewerAuth);
+      expect(desc.body.data.map(i => i.id)).toEqual([1, 5, 3, 4, 2]);
+    });
+
+    it('should sort by several keys', async () => {
+      const res = await request(app).get('/api/items?sort=category,-price').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(i => i.id)).toEqual([1, 3, 2, 5, 4]);
+    });
+
+    it('should filter by one or more categories, case-insensitively', async () => {
+      const one = await request(app).get('/api/items?category=furniture').set('Authorization', viewerAuth);
+      expect(one.status).toBe(200);
+      expect(one.body.data.map(i => i.id)).toEqual([4, 5]);
+      expect(one.body.pagination.total).toBe(2);
+
+      const several = await request(app).get('/api/items?category=Furniture&category=Electronics').set('Authorization', viewerAuth);
+      expect(several.body.pagination.total).toBe(5);
+    });
+
+    it('should filter by price range and count only the filtered items', async () => {
+      const res = await request(app).get('/api/items?minPrice=500&maxPrice=1199&limit=2').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(i => i.id)).toEqual([3, 4]);
+      expect(res.body.pagination.total).toBe(3);
+      expect(res.body.pagination.totalPages).toBe(2);
+      expect(res.body.pagination.hasMore).toBe(true);
+    });
+
+    it('should combine search, filters and sorting', async () => {
+      const res = await request(app).get('/api/items?q=e&category=Electronics&maxPrice=1000&sort=-price').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(i => i.id)).toEqual([3, 2]);
+    });
+
+    it('should return 400 listing the allowed fields for an unknown sort field', async () => {
+      const res = await request(app).get('/api/items?sort=price,colour').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('"colour"');
+      expect(res.body.error).toContain('allowed fields: id, name, category, price');
+    });
+
+    it('should return 400 for invalid price bounds', async () => {
+      const notNumber = await request(app).get('/api/items?minPrice=cheap').set('Authorization', viewerAuth);
+      expect(notNumber.status).toBe(400);
+      expect(notNumber.body.error).toContain('minPrice must be a non-negative number');
+
+      const inverted = await request(app).get('/api/items?minPrice=100&maxPrice=10').set('Authorization', viewerAuth);
+      expect(inverted.status).toBe(400);
+      expect(inverted.body.error).toContain('maxPrice must be greater than or equal to minPrice');
+    });
+
+    it('should return 400 for out of range page and limit', async () => {
+      for (const query of ['limit=0', 'limit=1000', 'limit=ten', 'limit=2.5', 'page=-1', 'page=0', 'page=two']) {
+        const res = await request(app).get(`/api/items?${query}`).set('Authorization', viewerAuth);
+        expect([query, res.status]).toEqual([query, 400]);
+      }
+
+      const both = await request(detailApp).get('/api/items?page=0&limit=101').set('Authorization', viewerAuth);
+      expect(both.body.error.details).toEqual([
+        { field: 'page', message: 'page must be a positive integer' },
+        { field: 'limit', message: 'limit must be an integer from 1 to 100' }
+      ]);
+
+      const cursor = await request(app).get('/api/items?cursor=&limit=0').set('Authorization', viewerAuth);
+      expect(cursor.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/items (cursor mode)', () => {
+    const fetchAll = async (query) => {
+      const ids = [];
+      let cursor = '';
+      do {
+        const res = await request(app).get('/api/items').set('Authorization', viewerAuth).query({ ...query, cursor });
+        expect(res.status).toBe(200);
+        ids.push(...res.body.data.map(i => i.id));
+        cursor = res.body.pagination.nextCursor;
+      } while (cursor);
+      return ids;
+    };
+
+    it('should page through every item with opaque cursors', async () => {
+      const res = await request(app).get('/api/items?cursor=&limit=2').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(i => i.id)).toEqual([1, 2]);
+      expect(res.body.pagination).toMatchObject({ limit: 2, total: 5, totalPages: 3, hasMore: true });
+      expect(typeof res.body.pagination.nextCursor).toBe('string');
+
+      expect(await fetchAll({ limit: 2 })).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should follow the requested sort and filters', async () => {
+      expect(await fetchAll({ limit: 2, sort: '-price' })).toEqual([1, 5, 3, 4, 2]);
+      expect(await fetchAll({ limit: 1, category: 'Furniture', sort: 'name' })).toEqual([4, 5]);
+    });
+
+    it('should not skip or repeat items when one is added mid-browse', async () => {
+      const first = await request(app).get('/api/items?cursor=&limit=2&sort=price').set('Authorization', viewerAuth);
+      expect(first.body.data.map(i => i.id)).toEqual([2, 4]);
+
+      // Sorts before everything already seen; offset paging would repeat item 4
+      await request(app).post('/api/items').set('Authorization', editorAuth).send({ name: 'Cable', category: 'Electronics', price: 10 });
+
+      const second = await request(app)
+        .get('/api/items')
+        .set('Authorization', viewerAuth)
+        .query({ limit: 2, sort: 'price', cursor: first.body.pagination.nextCursor });
+      expect(second.body.data.map(i => i.id)).toEqual([3, 5]);
+    });
+
+    it('should page through search results in relevance order', async () => {
+      const all = await request(app).get('/api/items?q=e&limit=10').set('Authorization', viewerAuth);
+
+      expect(await fetchAll({ q: 'e', limit: 2 })).toEqual(all.body.data.map(i => i.id));
+    });
+
+    it('should return 400 for a tampered cursor', async () => {
+      const res = await request(app).get('/api/items?cursor=&limit=2').set('Authorization', viewerAuth);
+      const [body, signature] = res.body.pagination.nextCursor.split('.');
+      const forged = Buffer.from(JSON.stringify({ sort: 'id', after: [0] })).toString('base64url');
+
+      const tampered = await request(app).get('/api/items').set('Authorization', viewerAuth).query({ cursor: `${forged}.${signature}` });
+      expect(tampered.status).toBe(400);
+      expect(tampered.body.error).toBe('Invalid cursor signature');
+
+      const malformed = await request(app).get('/api/items').set('Authorization', viewerAuth).query({ cursor: body });
+      expect(malformed.status).toBe(400);
+    });
+
+    it('should return 400 when the cursor was issued for another sort order', async () => {
+      const res = await request(app).get('/api/items?cursor=&limit=2&sort=price').set('Authorization', viewerAuth);
+
+      const mismatched = await request(app)
+        .get('/api/items')
+        .set('Authorization', viewerAuth)
+        .query({ limit: 2, sort: 'name', cursor: res.body.pagination.nextCursor });
+      expect(mismatched.status).toBe(400);
+      expect(mismatched.body.error).toContain('does not match the requested sort');
+    });
+  });
+
+  describe('GET /api/items/export', () => {
+    it('should export the filtered items as JSON by default', async () => {
+      const res = await request(app).get('/api/items/export?category=Furniture&sort=-price').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/application\/json/);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="items.json"');
+      expect(res.body.map(item => item.id)).toEqual([5, 4]);
+    });
+
+    it('should export CSV with a header row', async () => {
+      const res = await request(app).get('/api/items/export?format=csv&category=Furniture').set('Authorization', viewerAuth);
+
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.text).toBe(
+        'id,name,category,price\r\n4,Ergonomic Chair,Furniture,799\r\n5,Standing Desk,Furniture,1199\r\n'
+      );
+    });
+
+    it('should escape names a spreadsheet would run as formulas', async () => {
+      const name = "=cmd|' /C calc'!A0";
+      const created = await request(app)
+        .post('/api/items')
+        .set('Authorization', editorAuth)
+        .send({ name, category: '@Risky', price: 1 });
+
+      const res = await request(app).get('/api/items/export?format=csv&q=cmd').set('Authorization', viewerAuth);
+
+      expect(res.text).toBe(`id,name,category,price\r\n${created.body.id},'${name},'@Risky,1\r\n`);
+    });
+
+    it('should export search results as NDJSON without search annotations', async () => {
+      const res = await request(app).get('/api/items/export?format=ndjson&q=laptop').set('Authorization', viewerAuth).buffer(true).parse(
+        (response, callback) => {
+          let text = '';
+          response.on('data', chunk => { text += chunk; });
+          response.on('end', () => callback(null, text));
+        }
+      );
+      const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+
+      expect(lines).toEqual([{ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 }]);
+    });
+
+    it('should export every item, however many pages it takes', async () => {
+      const data = Array.from({ length: 1203 }, (_, i) => ({ id: i + 1, name: `Item ${i}`, category: 'Bulk', price: i }));
+      await fs.writeFile(TEST_DATA_PATH, JSON.stringify(data), 'utf-8');
+
+      const res = await request(app).get('/api/items/export').set('Authorization', viewerAuth);
+      expect(res.body).toHaveLength(1203);
+      expect(res.body[1202].id).toBe(1203);
+    });
+
+    it('should reject unknown formats', async () => {
+      const res = await request(app).get('/api/items/export?format=xml').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should only export the trash to admins', async () => {
+      await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      const anonymous = await request(app).get('/api/items/export?includeDeleted=only');
+      expect(anonymous.status).toBe(401);
+
+      const res = await request(app)
+        .get('/api/items/export?format=csv&includeDeleted=only')
+        .set('Authorization', adminAuth);
+      const [header, row] = res.text.trim().split('\r\n');
+      expect(header).toBe('id,name,category,price,deletedAt');
+      expect(row).toMatch(/^3,/);
+    });
+  });
+
+  describe('POST /api/items/import', () => {
+    const upload = (body, type = 'text/csv', query = '') => request(detailApp)
+      .post(`/api/items/import${query}`)
+      .set('Authorization', editorAuth)
+      .set('Content-Type', type)
+      .send(body);
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should create and replace items from CSV', async () => {
+      const res = await upload('Name,Category,Price,id\r\n"Desk, oak",Furniture,300,\r\nLaptop,Electronics,1999,1\r\n');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        dryRun: false,
+        applied: true,
+        summary: { rows: 2, created: 1, updated: 1, failed: 0 },
+        errors: []
+      });
+
+      const list = await request(app).get('/api/items?q=oak').set('Authorization', viewerAuth);
+      expect(list.body.data[0]).toMatchObject({ name: 'Desk, oak', price: 300 });
+      expect((await request(app).get('/api/items/1').set('Authorization', viewerAuth)).body.name).toBe('Laptop');
+    });
+
+    it('should import an export unchanged, including values starting with \'', async () => {
+      const created = await request(app)
+        .post('/api/items')
+        .set('Authorization', editorAuth)
+        .send({ name: "'=x", category: '=Formulas', price: 7 });
+      const exported = await request(app).get('/api/items/export?format=csv&q=formulas').set('Authorization', viewerAuth);
+
+      const res = await upload(exported.text);
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toMatchObject({ rows: 1, updated: 1 });
+      const stored = await request(app).get(`/api/items/${created.body.id}`).set('Authorization', viewerAuth);
+      expect(stored.body).toMatchObject({ name: "'=x", category: '=Formulas', price: 7 });
+    });
+
+    it('should import NDJSON', async () => {
+      const res = await upload(
+        '{"name":"Lamp","category":"Furniture","price":40}\n\n{"id":2,"name":"Headphones","category":"Electronics","price":299}\n',
+        'application/x-ndjson'
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toMatchObject({ rows: 2, created: 1, updated: 1 });
+      expect((await request(app).get('/api/items/2').set('Authorization', viewerAuth)).body.price).toBe(299);
+    });
+
+    it('should import nothing and list every bad row when any row is invalid', async () => {
+      const res = await upload(
+        'name,category,price,id\nGood,Furniture,10,\n,Furniture,abc,\nGhost,Furniture,5,999\n'
+      );
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(res.body.error.message).toBe('2 of 3 rows are invalid; nothing was imported');
+      expect(res.body.error.details).toEqual([
+        { row: 2, line: 3, field: 'name', message: 'Name is required and must be a non-empty string' },
+        { row: 2, line: 3, field: 'price', message: 'Price is required and must be a non-negative number' },
+        { row: 3, line: 4, field: 'id', message: 'Item 999 does not exist (leave id empty to create an item)' }
+      ]);
+
+      const list = await request(app).get('/api/items?q=good').set('Authorization', viewerAuth);
+      expect(list.body.pagination.total).toBe(0);
+    });
+
+    it('should report without writing on a dry run', async () => {
+      const res = await upload(
+        '{"name":"Lamp","category":"Furniture","price":40}\nnot json\n',
+        'application/x-ndjson',
+        '?dryRun=true'
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.dryRun).toBe(true);
+      expect(res.body.applied).toBe(false);
+      expect(res.body.summary).toEqual({ rows: 2, created: 1, updated: 0, failed: 1 });
+      expect(res.body.errors[0]).toMatchObject({ row: 2, line: 2, field: null });
+
+      const list = await request(app).get('/api/items').set('Authorization', viewerAuth);
+      expect(list.body.pagination.total).toBe(JSON.parse(originalData).length);
+    });
+
+    it('should reject a CSV header without the required columns', async () => {
+      const res = await upload('title,price\nLamp,40\n');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toMatch(/missing: name, category/);
+    });
+
+    it('should reject empty uploads and other content types', async () => {
+      expect((await upload('name,category,price\n')).status).toBe(400);
+      expect((await upload('[]', 'application/json')).status).toBe(415);
+    });
+
+    it('should require the editor role', async () => {
+      const res = await request(detailApp)
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send('name,category,price\nLamp,Furniture,40\n');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/items/batch', () => {
+    const batch = (body, auth = adminAuth) => request(detailApp)
+      .post('/api/items/batch')
+      .set('Authorization', auth)
+      .send(body);
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should run every operation and report a status for each', async () => {
+      const res = await batch({
+        operations: [
+          { op: 'create', fields: { name: 'Desk Lamp', category: 'Furniture', price: 45 } },
+          { op: 'update', id: 1, fields: { price: 2299 } },
+          { op: 'update', id: '2', fields: { price: 349 } },
+          { op: 'delete', id: 3 }
+        ]
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.mode).toBe('atomic');
+      expect(res.body.results.map(r => [r.index, r.op, r.status])).toEqual([
+        [0, 'create', 201],
+        [1, 'update', 200],
+        [2, 'update', 200],
+        [3, 'delete', 204]
+      ]);
+      expect(res.body.results[0].item).toMatchObject({ name: 'Desk Lamp', price: 45 });
+      expect(res.body.results[1].item).toEqual({ id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2299 });
+
+      expect((await request(app).get('/api/items/2').set('Authorization', viewerAuth)).body.price).toBe(349);
+      expect((await request(app).get('/api/items/3').set('Authorization', viewerAuth)).status).toBe(404);
+    });
+
+    it('should apply nothing in atomic mode when an operation fails', async () => {
+      const res = await batch({
+        operations: [
+          { op: 'update', id: 1, fields: { price: 1 } },
+          { op: 'update', id: 99999, fields: { price: 1 } },
+          { op: 'create', fields: { name: '', category: 'Furniture', price: -1 } }
+        ]
+      });
+
+      expect(res.status).toBe(422);
+      expect(res.body.error.code).toBe('BATCH_FAILED');
+      expect(res.body.error.message).toBe('2 of 3 operations failed; nothing was applied');
+      expect(res.body.error.details.map(r => r.status)).toEqual([424, 404, 400]);
+      expect(res.body.error.details[2].error.details.map(d => d.field)).toEqual(['name', 'price']);
+
+      expect((await request(app).get('/api/items/1').set('Authorization', viewerAuth)).body.price).toBe(2499);
+    });
+
+    it('should apply the operations that succeed in best-effort mode', async () => {
+      const res = await batch({
+        mode: 'best-effort',
+        operations: [
+          { op: 'update', id: 1, fields: { price: 1 } },
+          { op: 'delete', id: 99999 },
+          { op: 'launch' }
+        ]
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.map(r => r.status)).toEqual([200, 404, 400]);
+      expect(res.body.results[2].error.message).toBe('op must be create, update or delete');
+      expect((await request(app).get('/api/items/1').set('Authorization', viewerAuth)).body.price).toBe(1);
+    });
+
+    it('should write the data file once for the whole batch', async () => {
+      const changes = [];
+      // 'reloaded' comes from the file watcher noticing earlier tests' writes
+      const onChange = change => change.type !== 'reloaded' && changes.push(change.type);
+      itemStore.on('change', onChange);
+
+      const operations = Array.from({ length: 200 }, (_, i) => ({
+        op: 'update',
+        id: (i % 5) + 1,
+        fields: { price: i }
+      }));
+      const res = await batch({ operations }, editorAuth);
+      itemStore.off('change', onChange);
+
+      expect(res.status).toBe(200);
+      expect(changes).toEqual(['batch']);
+    });
+
+    it('should validate the request', async () => {
+      const empty = await batch({ operations: [] });
+      const badMode = await batch({ mode: 'yolo', operations: [{ op: 'delete', id: 1 }] });
+      const tooMany = await batch({ operations: Array.from({ length: 1001 }, () => ({ op: 'delete', id: 1 })) });
+
+      expect(empty.status).toBe(400);
+      expect(badMode.body.error.details.map(d => d.field)).toEqual(['mode']);
+      expect(tooMany.status).toBe(400);
+    });
+
+    it('should need the admin role to delete', async () => {
+      const res = await batch({
+        operations: [
+          { op: 'update', id: 1, fields: { price: 1 } },
+          { op: 'delete', id: 2 }
+        ]
+      }, editorAuth);
+
+      expect(res.status).toBe(403);
+      expect((await request(app).get('/api/items/1').set('Authorization', viewerAuth)).body.price).toBe(2499);
+    });
   });
 
   describe('GET /api/items/:id', () => {
     it('should return a single item by id', async () => {
-      const res = await request(app).get('/api/items/1');
+      const res = await request(app).get('/api/items/1').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body).toHaveProperty('id', 1);
@@ -104,7 +601,7 @@ describe('Items Routes', () => {
     });
 
     it('should return 404 for non-existent item', async () => {
-      const res = await request(app).get('/api/items/99999');
+      const res = await request(app).get('/api/items/99999').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(404);
       expect(res.body).toHaveProperty('error');
@@ -112,7 +609,7 @@ describe('Items Routes', () => {
     });
 
     it('should handle invalid id format gracefully', async () => {
-      const res = await request(app).get('/api/items/invalid');
+      const res = await request(app).get('/api/items/invalid').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(404);
     });
@@ -128,6 +625,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(201);
@@ -146,6 +644,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(201);
@@ -161,6 +660,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(400);
@@ -176,6 +676,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(400);
@@ -190,6 +691,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(400);
@@ -204,6 +706,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(400);
@@ -219,6 +722,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(400);
@@ -234,6 +738,7 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(400);
@@ -249,11 +754,419 @@ describe('Items Routes', () => {
 
       const res = await request(app)
         .post('/api/items')
+        .set('Authorization', editorAuth)
         .send(newItem);
 
       expect(res.status).toBe(201);
       expect(res.body.price).toBe(0);
     });
+    it('should report every invalid field at once', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set('Authorization', editorAuth)
+        .send({ name: '', price: -1 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Name');
+      expect(res.body.error).toContain('Category');
+      expect(res.body.error).toContain('Price');
+    });
   });
-});
 
+  describe('PUT /api/items/:id', () => {
+    it('should replace an existing item', async () => {
+      const res = await request(app)
+        .put('/api/items/1')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ name: '  Laptop Air ', category: 'Electronics', price: 1299 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 1, name: 'Laptop Air', category: 'Electronics', price: 1299 });
+
+      const check = await request(app).get('/api/items/1').set('Authorization', viewerAuth);
+      expect(check.body.name).toBe('Laptop Air');
+    });
+
+    it('should require every field', async () => {
+      const res = await request(app)
+        .put('/api/items/1')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ name: 'Laptop Air' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Category');
+      expect(res.body.error).toContain('Price');
+    });
+
+    it('should return 404 for non-existent item', async () => {
+      const res = await request(app)
+        .put('/api/items/99999')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ name: 'Ghost', category: 'None', price: 1 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/items/:id', () => {
+    it('should update only the provided fields', async () => {
+      const res = await request(app)
+        .patch('/api/items/2')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ price: 349 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(2);
+      expect(res.body.price).toBe(349);
+      expect(res.body.name).toBe('Noise Cancelling Headphones');
+    });
+
+    it('should validate the provided fields', async () => {
+      const res = await request(app)
+        .patch('/api/items/2')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ name: '   ', price: 'cheap' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Name');
+      expect(res.body.error).toContain('Price');
+    });
+
+    it('should return 400 for an empty body', async () => {
+      const res = await request(app)
+        .patch('/api/items/2')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for non-existent item', async () => {
+      const res = await request(app)
+        .patch('/api/items/99999')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ price: 1 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/items/:id', () => {
+    it('should delete an existing item', async () => {
+      const res = await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      expect(res.status).toBe(204);
+
+      const check = await request(app).get('/api/items/3').set('Authorization', viewerAuth);
+      expect(check.status).toBe(404);
+    });
+
+    it('should return 404 for non-existent item', async () => {
+      const res = await request(app).delete('/api/items/99999').set('Authorization', adminAuth).set('If-Match', '*');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Conditional requests', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should answer a matching If-None-Match on an item with 304', async () => {
+      const first = await request(app).get('/api/items/1').set('Authorization', viewerAuth);
+      expect(first.headers.etag).toMatch(/^"[^"]+"$/);
+      expect(first.headers['cache-control']).toBe('private, no-cache');
+
+      const again = await request(app).get('/api/items/1').set('Authorization', viewerAuth).set('If-None-Match', first.headers.etag);
+      expect(again.status).toBe(304);
+      expect(again.text).toBeFalsy();
+
+      await request(app)
+        .patch('/api/items/1')
+        .set('Authorization', editorAuth)
+        .set('If-Match', first.headers.etag)
+        .send({ price: 1999 });
+
+      const changed = await request(app).get('/api/items/1').set('Authorization', viewerAuth).set('If-None-Match', first.headers.etag);
+      expect(changed.status).toBe(200);
+      expect(changed.body.price).toBe(1999);
+      expect(changed.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    it('should answer a matching If-None-Match on a list with 304 until the data changes', async () => {
+      // Load the file beforeEach rewrote first, or noticing it counts as a change
+      await itemStore.all();
+
+      const first = await request(app).get('/api/items?limit=2&sort=-price').set('Authorization', viewerAuth);
+      expect(first.headers.etag).toMatch(/^"[^"]+"$/);
+      expect(first.headers['cache-control']).toBe('private, no-cache');
+
+      const again = await request(app)
+        .get('/api/items?limit=2&sort=-price')
+        .set('Authorization', viewerAuth)
+        .set('If-None-Match', first.headers.etag);
+      expect(again.status).toBe(304);
+
+      await request(app)
+        .post('/api/items')
+        .set('Authorization', editorAuth)
+        .send({ name: 'Desk Lamp', category: 'Furniture', price: 45 });
+
+      const changed = await request(app)
+        .get('/api/items?limit=2&sort=-price')
+        .set('Authorization', viewerAuth)
+        .set('If-None-Match', first.headers.etag);
+      expect(changed.status).toBe(200);
+      expect(changed.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    it('should reject a write whose If-Match is out of date with 412', async () => {
+      const { etag } = (await request(app).get('/api/items/2').set('Authorization', viewerAuth)).headers;
+
+      const first = await request(detailApp)
+        .put('/api/items/2')
+        .set('Authorization', editorAuth)
+        .set('If-Match', etag)
+        .send({ name: 'Headphones', category: 'Electronics', price: 299 });
+      expect(first.status).toBe(200);
+      expect(first.headers.etag).toBe((await request(app).get('/api/items/2').set('Authorization', viewerAuth)).headers.etag);
+
+      const second = await request(detailApp)
+        .patch('/api/items/2')
+        .set('Authorization', editorAuth)
+        .set('If-Match', etag)
+        .send({ price: 1 });
+      const remove = await request(detailApp)
+        .delete('/api/items/2')
+        .set('Authorization', adminAuth)
+        .set('If-Match', etag);
+
+      expect(second.status).toBe(412);
+      expect(second.body.error.code).toBe('PRECONDITION_FAILED');
+      expect(second.headers.etag).not.toBe(etag);
+      expect(remove.status).toBe(412);
+      expect((await request(app).get('/api/items/2').set('Authorization', viewerAuth)).body.price).toBe(299);
+    });
+
+    it('should require If-Match on writes to an item', async () => {
+      const res = await request(detailApp)
+        .patch('/api/items/1')
+        .set('Authorization', editorAuth)
+        .send({ price: 1 });
+
+      expect(res.status).toBe(428);
+      expect(res.body.error.code).toBe('PRECONDITION_REQUIRED');
+      expect((await request(app).get('/api/items/1').set('Authorization', viewerAuth)).body.price).toBe(2499);
+    });
+
+    it('should keep an item\'s ETag when other items change', async () => {
+      const { etag } = (await request(app).get('/api/items/1').set('Authorization', viewerAuth)).headers;
+
+      await request(app)
+        .patch('/api/items/2')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ price: 1 });
+
+      const res = await request(app)
+        .patch('/api/items/1')
+        .set('Authorization', editorAuth)
+        .set('If-Match', etag)
+        .send({ price: 2 });
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('Trash', () => {
+    it('should keep deleted items in the trash with a deletedAt', async () => {
+      await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      const list = await request(app).get('/api/items?limit=100').set('Authorization', viewerAuth);
+      expect(list.body.data.map(item => item.id)).not.toContain(3);
+
+      const trash = await request(app)
+        .get('/api/items?includeDeleted=only')
+        .set('Authorization', adminAuth);
+      expect(trash.status).toBe(200);
+      expect(trash.body.data.map(item => item.id)).toEqual([3]);
+      expect(Date.parse(trash.body.data[0].deletedAt)).not.toBeNaN();
+
+      const all = await request(app)
+        .get('/api/items?includeDeleted=true&limit=100')
+        .set('Authorization', adminAuth);
+      expect(all.body.pagination.total).toBe(JSON.parse(originalData).length);
+    });
+
+    it('should leave deleted items out of searches', async () => {
+      const { name } = JSON.parse(originalData).find(item => item.id === 3);
+      await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      const res = await request(app).get(`/api/items?q=${encodeURIComponent(name)}`).set('Authorization', viewerAuth);
+      expect(res.body.data.map(item => item.id)).not.toContain(3);
+    });
+
+    it('should not update or delete an item in the trash', async () => {
+      await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      const patch = await request(app)
+        .patch('/api/items/3')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ price: 1 });
+      const again = await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      expect(patch.status).toBe(404);
+      expect(again.status).toBe(404);
+    });
+
+    it('should only show the trash to admins', async () => {
+      const anonymous = await request(app).get('/api/items?includeDeleted=true');
+      const asEditor = await request(app)
+        .get('/api/items?includeDeleted=only')
+        .set('Authorization', editorAuth);
+
+      expect(anonymous.status).toBe(401);
+      expect(asEditor.status).toBe(403);
+    });
+
+    it('should reject unknown includeDeleted values', async () => {
+      const res = await request(app)
+        .get('/api/items?includeDeleted=yes')
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should restore a deleted item', async () => {
+      await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      const res = await request(app).post('/api/items/3/restore').set('Authorization', adminAuth);
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(3);
+      expect(res.body).not.toHaveProperty('deletedAt');
+
+      const check = await request(app).get('/api/items/3').set('Authorization', viewerAuth);
+      expect(check.status).toBe(200);
+    });
+
+    it('should return 409 when restoring an item that is not deleted', async () => {
+      const res = await request(app).post('/api/items/1/restore').set('Authorization', adminAuth);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should return 404 when restoring a missing item', async () => {
+      const res = await request(app).post('/api/items/99999/restore').set('Authorization', adminAuth);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should only let admins restore', async () => {
+      await request(app).delete('/api/items/3').set('Authorization', adminAuth).set('If-Match', '*');
+
+      const res = await request(app).post('/api/items/3/restore').set('Authorization', editorAuth);
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Authorization', () => {
+    const newItem = { name: 'Guarded', category: 'Test', price: 1 };
+    const reads = ['/api/items', '/api/items/export', '/api/items/1'];
+
+    it('should require a token for reads', async () => {
+      for (const url of reads) {
+        const res = await request(app).get(url);
+
+        expect([url, res.status]).toEqual([url, 401]);
+        expect(res.headers['www-authenticate']).toBe('Bearer');
+      }
+    });
+
+    it('should let viewers read', async () => {
+      for (const url of reads) {
+        const res = await request(app).get(url).set('Authorization', viewerAuth);
+
+        expect([url, res.status]).toEqual([url, 200]);
+      }
+    });
+
+    it('should require a token for writes', async () => {
+      const res = await request(app).post('/api/items').send(newItem);
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should reject invalid tokens', async () => {
+      const res = await request(app)
+        .patch('/api/items/1')
+        .set('Authorization', 'Bearer not.a.token')
+        .send({ price: 1 });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should not let viewers create or update', async () => {
+      const post = await request(app)
+        .post('/api/items')
+        .set('Authorization', viewerAuth)
+        .send(newItem);
+      const put = await request(app)
+        .put('/api/items/1')
+        .set('Authorization', viewerAuth)
+        .send(newItem);
+
+      expect(post.status).toBe(403);
+      expect(put.status).toBe(403);
+    });
+
+    it('should only let admins delete', async () => {
+      const asEditor = await request(app)
+        .delete('/api/items/1')
+        .set('Authorization', editorAuth);
+      expect(asEditor.status).toBe(403);
+      expect(asEditor.body.error).toBe('This action requires the admin role');
+
+      const check = await request(app).get('/api/items/1').set('Authorization', viewerAuth);
+      expect(check.status).toBe(200);
+    });
+  });
+
+  describe('Concurrent writes', () => {
+    it('should persist every item when 100 POSTs run in parallel', async () => {
+      const initialCount = JSON.parse(originalData).length;
+
+      const responses = await Promise.all(Array.from({ length: 100 }, (_, i) =>
+        request(app)
+          .post('/api/items')
+          .set('Authorization', editorAuth)
+          .send({ name: `Parallel ${i}`, category: 'Load Test', price: i })
+      ));
+
+      responses.forEach(res => expect(res.status).toBe(201));
+
+      // Read back through a fresh store so we check what reached the disk
+      const freshStore = createItemStore(config.storage);
+      const persisted = await freshStore.all();
+      await freshStore.close();
+
+      const names = persisted.map(item => item.name);
+      expect(persisted).toHaveLength(initialCount + 100);
+      for (let i = 0; i < 100; i++) {
+        expect(names).toContain(`Parallel ${i}`);
+      }
+    }, 30000);
+  });
+});
@@ -1,19 +1,24 @@
 const request = require('supertest');
 const express = require('express');
 const fs = require('fs');
-const path = require('path');
-const statsRouter = require('../stats');
+const EventEmitter = require('events');
+const { createStatsRouter, StatsCache } = require('../stats');
+const { aggregatePrices } = require('../../store/query');
+const { signToken } = require('../../auth/tokens');
+const { createTestServices } = require('./testServices');
+
+const { services, dataPath: TEST_DATA_PATH, cleanup } = createTestServices();
+const viewerAuth = `Bearer ${signToken({ username: 'test-viewer', role: 'viewer' })}`;
 
 // Create test app
 const app = express();
-app.use('/api/stats', statsRouter);
+app.use('/api/stats', createStatsRouter(services));
 
 // Error handler middleware
 app.use((err, req, res, next) => {
   res.status(err.status || 500).json({ error: err.message });
 });
 
-const TEST_DATA_PATH = path.join(__dirname, '../../../../data/items.json');
 let originalData;
 
 describe('Stats Routes', () => {
@@ -22,13 +27,8 @@ describe('Stats Routes', () => {
     originalData = await fs.promises.readFile(TEST_DATA_PATH, 'utf-8');
   });
 
-  // Restore original data after tests
   afterAll(async () => {
-    await fs.promises.writeFile(TEST_DATA_PATH, originalData, 'utf-8');
-    // Cleanup watcher
-    if (statsRouter._cleanup) {
-      statsRouter._cleanup();
-    }
+    await cleanup();
   });
 
   // Reset data before each test
@@ -40,7 +40,7 @@ describe('Stats Routes', () => {
 
   describe('GET /api/stats', () => {
     it('should return statistics with correct structure', async () => {
-      const res = await request(app).get('/api/stats');
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body).toHaveProperty('total');
@@ -53,7 +53,7 @@ describe('Stats Routes', () => {
     });
 
     it('should calculate correct statistics', async () => {
-      const res = await request(app).get('/api/stats');
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.total).toBe(5); // Based on original data
@@ -62,7 +62,7 @@ describe('Stats Routes', () => {
     });
 
     it('should include category breakdown', async () => {
-      const res = await request(app).get('/api/stats');
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.categories).toHaveProperty('Electronics');
@@ -72,7 +72,7 @@ describe('Stats Routes', () => {
     });
 
     it('should include price range', async () => {
-      const res = await request(app).get('/api/stats');
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.priceRange).toHaveProperty('min');
@@ -80,13 +80,95 @@ describe('Stats Routes', () => {
       expect(res.body.priceRange.min).toBeLessThanOrEqual(res.body.priceRange.max);
     });
 
+    it('should include median, percentiles, standard deviation and a histogram', async () => {
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
+
+      // Prices: 399, 799, 999, 1199, 2499
+      expect(res.body.median).toBe(999);
+      expect(res.body.percentiles).toEqual({ p90: 1979, p95: 2239, p99: 2447 });
+      expect(res.body.stdDev).toBe(711.06);
+      expect(res.body.histogram).toHaveLength(5);
+      expect(res.body.histogram.reduce((n, bucket) => n + bucket.count, 0)).toBe(5);
+    });
+
+    it('should include per-category aggregates', async () => {
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
+
+      expect(res.body.categories.Furniture).toEqual({
+        count: 2,
+        totalValue: 1998,
+        averagePrice: 999,
+        minPrice: 799,
+        maxPrice: 1199,
+        median: 999
+      });
+    });
+
+    it('should group categories named like Object.prototype properties', async () => {
+      const items = [
+        { id: 1, name: 'Builder', category: 'constructor', price: 10 },
+        { id: 2, name: 'Proto', category: '__proto__', price: 20 },
+        { id: 3, name: 'Proto 2', category: '__proto__', price: 40 },
+        { id: 4, name: 'Lookup', category: 'hasOwnProperty', price: 5 }
+      ];
+      await fs.promises.writeFile(TEST_DATA_PATH, JSON.stringify(items), 'utf-8');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const res = await request(app).get('/api/stats?fields=total,categories').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(4);
+      expect(Object.keys(res.body.categories).sort()).toEqual(['__proto__', 'constructor', 'hasOwnProperty']);
+      expect(res.body.categories.constructor).toMatchObject({ count: 1, totalValue: 10 });
+      expect(Object.getOwnPropertyDescriptor(res.body.categories, '__proto__').value)
+        .toMatchObject({ count: 2, totalValue: 60, minPrice: 20, maxPrice: 40 });
+    });
+
+    it('should scope stats to a category', async () => {
+      const res = await request(app).get('/api/stats?category=electronics').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(3);
+      expect(Object.keys(res.body.categories)).toEqual(['Electronics']);
+    });
+
+    it('should compute only the requested fields', async () => {
+      const res = await request(app).get('/api/stats?fields=total,median').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ total: 5, median: 999, cached: false });
+    });
+
+    it('should accept histogram bucket edges', async () => {
+      const res = await request(app).get('/api/stats?fields=histogram&buckets=0,1000,3000').set('Authorization', viewerAuth);
+
+      expect(res.body.histogram).toEqual([
+        { min: 0, max: 1000, count: 3 },
+        { min: 1000, max: 3000, count: 2 }
+      ]);
+    });
+
+    it('should return 400 listing the allowed fields for unknown fields', async () => {
+      const res = await request(app).get('/api/stats?fields=total,mode').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('mode');
+      expect(res.body.error).toContain('allowed fields: total, averagePrice');
+    });
+
+    it('should return 400 for invalid buckets', async () => {
+      const res = await request(app).get('/api/stats?buckets=100,10').set('Authorization', viewerAuth);
+
+      expect(res.status).toBe(400);
+    });
+
     it('should use cache on subsequent requests', async () => {
       // First request
-      const res1 = await request(app).get('/api/stats');
+      const res1 = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       expect(res1.status).toBe(200);
       
       // Second request should be cached
-      const res2 = await request(app).get('/api/stats');
+      const res2 = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       expect(res2.status).toBe(200);
       expect(res2.body).toHaveProperty('cached', true);
       expect(res2.body).toHaveProperty('cacheAge');
@@ -95,7 +177,7 @@ describe('Stats Routes', () => {
 
     it('should invalidate cache when data file changes', async () => {
       // First request to populate cache
-      const res1 = await request(app).get('/api/stats');
+      const res1 = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       expect(res1.status).toBe(200);
       const originalTotal = res1.body.total;
 
@@ -108,16 +190,41 @@ describe('Stats Routes', () => {
       await new Promise(resolve => setTimeout(resolve, 200));
 
       // Next request should have updated stats
-      const res2 = await request(app).get('/api/stats');
+      const res2 = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       expect(res2.status).toBe(200);
       expect(res2.body.total).toBe(originalTotal + 1);
     });
 
+    it('should leave trashed items out unless an admin asks for them', async () => {
+      const data = JSON.parse(originalData);
+      data.push({ id: 999, name: 'Trashed', category: 'Test', price: 100, deletedAt: new Date().toISOString() });
+      await fs.promises.writeFile(TEST_DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
+      expect(res.body.total).toBe(data.length - 1);
+      expect(res.body.categories).not.toHaveProperty('Test');
+
+      const adminAuth = `Bearer ${signToken({ username: 'test-admin', role: 'admin' })}`;
+      const withDeleted = await request(app)
+        .get('/api/stats?includeDeleted=true')
+        .set('Authorization', adminAuth);
+      expect(withDeleted.body.total).toBe(data.length);
+
+      const trash = await request(app)
+        .get('/api/stats?includeDeleted=only')
+        .set('Authorization', adminAuth);
+      expect(trash.body.total).toBe(1);
+
+      const anonymous = await request(app).get('/api/stats?includeDeleted=true');
+      expect(anonymous.status).toBe(401);
+    });
+
     it('should handle empty data file gracefully', async () => {
       await fs.promises.writeFile(TEST_DATA_PATH, '[]', 'utf-8');
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      const res = await request(app).get('/api/stats');
+      const res = await request(app).get('/api/stats').set('Authorization', viewerAuth);
       
       expect(res.status).toBe(200);
       expect(res.body.total).toBe(0);
@@ -127,3 +234,57 @@ describe('Stats Routes', () => {
   });
 });
 
+describe('StatsCache', () => {
+  const OLD = [{ id: 1, name: 'Old', category: 'Misc', price: 10 }];
+  const NEW = [...OLD, { id: 2, name: 'New', category: 'Misc', price: 20 }];
+  let itemStore;
+  let events;
+  let cache;
+  let pending;
+
+  beforeEach(() => {
+    // A store whose reads finish, with the items the test gives, when it says so
+    pending = [];
+    itemStore = new EventEmitter();
+    itemStore.isWatching = () => true;
+    itemStore.aggregate = (filters, options) => new Promise(resolve =>
+      pending.push(items => resolve(aggregatePrices(items, options))));
+    events = { publish: jest.fn() };
+    cache = new StatsCache({ itemStore, events });
+  });
+
+  afterEach(() => {
+    cache.close();
+  });
+
+  it('should not cache a load that a change overtook', async () => {
+    const first = cache.get();
+    itemStore.emit('change', { type: 'created' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    // The read that started before the change finishes last
+    pending[1](NEW);
+    await new Promise(resolve => setImmediate(resolve));
+    pending[0](OLD);
+
+    expect((await first).stats.total).toBe(1);
+    const next = await cache.get();
+    expect(next.cached).toBe(true);
+    expect(next.stats.total).toBe(2);
+    expect(events.publish).toHaveBeenCalledTimes(1);
+    expect(events.publish).toHaveBeenCalledWith('stats.updated', expect.objectContaining({ total: 2 }));
+  });
+
+  it('should only publish the refresh for the latest of overlapping changes', async () => {
+    itemStore.emit('change', { type: 'created' });
+    itemStore.emit('change', { type: 'updated' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    pending[1](NEW);
+    pending[0](OLD);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events.publish).toHaveBeenCalledTimes(1);
+    expect(events.publish.mock.calls[0][1].total).toBe(2);
+  });
+});
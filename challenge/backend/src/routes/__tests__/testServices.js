@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServices } = require('../../app');
+const { config } = require('../../config');
+
+// Data every route suite starts from
+const SEED_PATH = path.join(__dirname, '../../../../data/items.json');
+
+/**
+ * Services for a route test suite, working on its own copy of
+ * data/items.json (and audit log and an empty user store) in a temp directory, so suites never touch
+ * the real data or each other
+ * @returns {{ services: Object, config: Object, dataPath: string, reset: Function, cleanup: Function }}
+ *   `reset()` puts the seed data back, `cleanup()` closes the services and
+ *   removes the directory
+ */
+function createTestServices() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+  const dataPath = path.join(dir, 'items.json');
+  fs.copyFileSync(SEED_PATH, dataPath);
+
+  const testConfig = {
+    ...config,
+    storage: { ...config.storage, dataPath, sqlitePath: path.join(dir, 'items.sqlite') },
+    audit: { path: path.join(dir, 'audit.log') },
+    auth: { ...config.auth, usersPath: path.join(dir, 'users.json') }
+  };
+  const services = createServices(testConfig);
+
+  // Writing the data file is enough for the JSON driver. The SQLite driver
+  // only applies edits of the file and keeps items written through the API,
+  // so its table is emptied and the file marked as not imported first
+  const reset = async () => {
+    if (testConfig.storage.driver === 'sqlite') {
+      await services.itemStore.ready();
+      const { driver } = services.itemStore;
+      driver.db.run('DELETE FROM items');
+      driver.setMeta('seed_version', '');
+    }
+    await fs.promises.copyFile(SEED_PATH, dataPath);
+  };
+
+  const cleanup = async () => {
+    await services.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  };
+  return { services, config: testConfig, dataPath, reset, cleanup };
+}
+
+module.exports = { createTestServices };
@@ -0,0 +1,97 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { validationError } = require('../utils/validation');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Audit record ids are ULIDs: 26 Crockford base32 characters
+const RECORD_ID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+/**
+ * Parse the filters of GET /api/audit
+ * - since: ISO 8601 date or date-time; records at or after it
+ * - after: a record id; records written after that one
+ * - actor: username
+ * - limit: 1-1000 (default 100)
+ * @param {Object} query - req.query
+ * @returns {{ since?: Date, after?: string, actor?: string, limit: number }}
+ * @throws {Error} 400 VALIDATION_ERROR listing every bad parameter
+ */
+function parseAuditQuery(query) {
+  const errors = [];
+  const filters = { limit: DEFAULT_LIMIT };
+
+  if (query.since !== undefined) {
+    const time = typeof query.since === 'string' ? Date.parse(query.since) : NaN;
+    if (Number.isNaN(time)) {
+      errors.push({ field: 'since', message: 'since must be an ISO 8601 date or date-time' });
+    } else {
+      filters.since = new Date(time);
+    }
+  }
+
+  if (query.after !== undefined) {
+    if (typeof query.after !== 'string' || !RECORD_ID.test(query.after.toUpperCase())) {
+      errors.push({ field: 'after', message: 'after must be the id of an audit record' });
+    } else {
+      filters.after = query.after.toUpperCase();
+    }
+  }
+
+  if (query.actor !== undefined) {
+    if (typeof query.actor !== 'string' || query.actor.trim() === '') {
+      errors.push({ field: 'actor', message: 'actor must be a username' });
+    } else {
+      filters.actor = query.actor.trim();
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return filters;
+}
+
+/**
+ * Build the /api/audit router
+ * @param {Object} services
+ * @param {import('../audit/AuditLog').AuditLog} services.auditLog
+ * @returns {import('express').Router}
+ */
+function createAuditRouter({ auditLog }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/audit
+   * Audit records across all items, oldest first (admin role).
+   * Accepts ?since=, ?after=, ?actor= and ?limit=; `hasMore` tells whether more
+   * records match (continue with ?after= set to the last record's id; records
+   * written together share a time, so ?since= would repeat them)
+   */
+  router.get('/', requireRole('admin'), async (req, res, next) => {
+    try {
+      const { limit, ...filters } = parseAuditQuery(req.query);
+      const records = await auditLog.query({ ...filters, limit: limit + 1 });
+
+      res.json({
+        data: records.slice(0, limit),
+        hasMore: records.length > limit
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,66 @@
+const express = require('express');
+const { authenticateUser, USERS_PATH } = require('../auth/users');
+const { signToken, verifyToken, unauthorized } = require('../auth/tokens');
+const { requireRole } = require('../middleware/auth');
+const { validationError } = require('../utils/validation');
+
+/**
+ * Build the /api/auth router
+ * @param {Object} [options]
+ * @param {string} [options.usersPath] - User store to log in against (default: USERS_PATH)
+ * @returns {import('express').Router}
+ */
+function createAuthRouter({ usersPath = USERS_PATH } = {}) {
+  const router = express.Router();
+
+  /**
+   * POST /api/auth/login
+   * Exchange a username and password for a bearer token
+   * Body: { username, password }
+   * Responds { token, tokenType: 'Bearer', expiresAt, user: { username, role } }
+   */
+  router.post('/login', async (req, res, next) => {
+    try {
+      const { username, password } = req.body || {};
+
+      const errors = [];
+      if (typeof username !== 'string' || username.trim() === '') {
+        errors.push({ field: 'username', message: 'Username is required' });
+      }
+      if (typeof password !== 'string' || password === '') {
+        errors.push({ field: 'password', message: 'Password is required' });
+      }
+      if (errors.length > 0) {
+        throw validationError(errors);
+      }
+
+      const user = await authenticateUser(username.trim(), password, { filePath: usersPath });
+      if (!user) {
+        throw unauthorized('Invalid username or password', 'INVALID_CREDENTIALS');
+      }
+
+      const token = signToken(user);
+      res.json({
+        token,
+        tokenType: 'Bearer',
+        expiresAt: new Date(verifyToken(token).expiresAt).toISOString(),
+        user
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /api/auth/me
+   * The user the bearer token belongs to
+   */
+  router.get('/me', requireRole('viewer'), (req, res) => {
+    const { username, role, expiresAt } = req.user;
+    res.json({ username, role, expiresAt: new Date(expiresAt).toISOString() });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,51 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { document: defaultDocument } = require('../openapi');
+
+// Points the Swagger UI page at our document instead of the petstore demo.
+// Relative, so it works wherever the router is mounted
+const SWAGGER_INITIALIZER = [
+  'window.onload = () => {',
+  '  window.ui = SwaggerUIBundle({',
+  "    url: '../openapi.json',",
+  "    dom_id: '#swagger-ui',",
+  '    deepLinking: true,',
+  '    persistAuthorization: true,',
+  '    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],',
+  "    layout: 'StandaloneLayout'",
+  '  });',
+  '};',
+  ''
+].join('\n');
+
+/**
+ * Build the API documentation router: the OpenAPI document and a Swagger UI
+ * to browse and try it, served from swagger-ui-dist (no CDN)
+ * @param {Object} [options]
+ * @param {Object} [options.document] - Default: the API's OpenAPI document
+ * @returns {import('express').Router}
+ */
+function createDocsRouter({ document = defaultDocument } = {}) {
+  const router = express.Router();
+
+  /**
+   * GET /api/openapi.json
+   * The OpenAPI 3.1 document
+   */
+  router.get('/openapi.json', (req, res) => {
+    res.json(document);
+  });
+
+  /**
+   * GET /api/docs/
+   * Swagger UI for the document; /api/docs redirects here
+   */
+  router.get('/docs/swagger-initializer.js', (req, res) => {
+    res.type('application/javascript').send(SWAGGER_INITIALIZER);
+  });
+  router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath()));
+
+  return router;
+}
+
+module.exports = { createDocsRouter };
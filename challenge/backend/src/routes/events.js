@@ -0,0 +1,92 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+
+// Comment line sent on idle connections so proxies don't time them out
+const HEARTBEAT_INTERVAL = 15000;
+// Reconnect delay suggested to EventSource clients, in ms
+const RETRY_DELAY = 3000;
+
+/**
+ * Serialize an event in the text/event-stream format
+ * @param {{ id: string, type: string, data: * }} event
+ * @returns {string}
+ */
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Build the /api/events router
+ * @param {Object} services
+ * @param {import('../events/EventBus')} services.events - Streams end when it closes
+ * @returns {import('express').Router}
+ */
+function createEventsRouter({ events }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/events
+   * Server-Sent Events stream of item.created, item.updated, item.deleted,
+   * items.reloaded and stats.updated events.
+   *
+   * A reconnecting client sends the last id it saw as the Last-Event-ID header
+   * (or ?lastEventId=, for clients that open a fresh EventSource) and first
+   * receives everything it missed. When that can't be replayed (the server
+   * restarted, or too many events happened since) it gets a single `reset`
+   * event instead and should reload its data.
+   *
+   * Requires the viewer role. EventSource can't send an Authorization header,
+   * so the token may also be passed as ?access_token=
+   */
+  router.get('/', requireRole('viewer', { queryToken: true }), (req, res, next) => {
+    // Shutting down: a new stream would only hold the server open
+    if (events.closed) {
+      const err = new Error('Server is shutting down');
+      err.status = 503;
+      return next(err);
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    if (lastEventId) {
+      const missed = events.since(lastEventId);
+      if (missed) {
+        missed.forEach(event => res.write(formatEvent(event)));
+      } else {
+        res.write(formatEvent({ id: events.lastId() || '', type: 'reset', data: {} }));
+      }
+    }
+
+    const send = event => res.write(formatEvent(event));
+    events.on('event', send);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      events.off('event', send);
+      events.off('close', end);
+    };
+    // The server is shutting down
+    const end = () => {
+      stop();
+      res.end();
+    };
+    events.once('close', end);
+    req.on('close', stop);
+  });
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
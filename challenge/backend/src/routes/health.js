@@ -0,0 +1,64 @@
+const express = require('express');
+
+/**
+ * Build the router for GET /healthz and GET /readyz
+ * @param {Object} services
+ * @param {import('../store/ItemStore')} services.itemStore
+ * @param {import('./stats').StatsCache} services.statsCache
+ * @param {import('../audit').AuditLog} services.auditLog
+ * @returns {import('express').Router}
+ */
+function createHealthRouter({ itemStore, statsCache, auditLog }) {
+  const router = express.Router();
+
+  // Readiness checks: each resolves if the dependency is usable and throws
+  // (with the reason) if it isn't
+  const readinessChecks = {
+    // Re-reads the data file if it changed, so a missing or corrupt file fails
+    store: () => itemStore.check(),
+    statsWatcher: () => {
+      if (!statsCache.isWatching()) {
+        throw new Error('Stats cache is not watching for data changes');
+      }
+    },
+    // Writes still succeed when their audit record doesn't, so this is where it shows
+    auditLog: () => auditLog.check()
+  };
+
+  /**
+   * GET /healthz
+   * Liveness: the process is up and serving requests. Checks nothing else, so
+   * a broken data file doesn't get the process restarted
+   */
+  router.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptime: process.uptime() });
+  });
+
+  /**
+   * GET /readyz
+   * Readiness: the data store is readable and parses, the stats cache is
+   * still invalidated on changes and the last audit record was written.
+   * 200 when every check passes, 503 otherwise:
+   *   { status: 'ready' | 'not ready', checks: { store: { status: 'ok' | 'fail', error? }, ... } }
+   */
+  router.get('/readyz', async (req, res) => {
+    const results = await Promise.all(Object.entries(readinessChecks).map(async ([name, check]) => {
+      try {
+        await check();
+        return [name, { status: 'ok' }];
+      } catch (err) {
+        return [name, { status: 'fail', error: err.message }];
+      }
+    }));
+    const checks = Object.fromEntries(results);
+
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
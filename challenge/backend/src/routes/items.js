@@ -1,136 +1,633 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
+const { parseId } = require('../store/ids');
+const { itemSchema, validate, assertValid, validationError } = require('../utils/validation');
+const { parseListQuery } = require('../utils/listQuery');
+const { EXPORT_FORMATS, IMPORT_TYPES, exportSerializer, parseImportRows } = require('../utils/itemFormats');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { authorize, requireRole } = require('../middleware/auth');
+const { versionTag, itemTag, setCacheHeaders, requireIfMatch, assertIfMatch } = require('../middleware/conditional');
+
+// Items read from the store at a time while streaming an export
+const EXPORT_PAGE_SIZE = 500;
+// Largest file POST /api/items/import accepts, unless the app sets its own
+const IMPORT_SIZE_LIMIT = '5mb';
+// Most operations POST /api/items/batch takes at once
+const MAX_BATCH_OPERATIONS = 1000;
+const BATCH_MODES = ['atomic', 'best-effort'];
+// Status of each kind of successful batch operation
+const BATCH_STATUS = { created: 201, updated: 200, deleted: 204 };
 
 /**
- * Utility to read data asynchronously (non-blocking)
- * @returns {Promise<Array>} Array of items
+ * Build the 404 error for a missing item
+ * @returns {Error}
  */
-async function readData() {
-  const raw = await fs.readFile(DATA_PATH, 'utf-8');
-  return JSON.parse(raw);
+function itemNotFound() {
+  const err = new Error('Item not found');
+  err.status = 404;
+  return err;
 }
 
 /**
- * Utility to write data asynchronously (non-blocking)
- * @param {Array} data - Array of items to write
- * @returns {Promise<void>}
+ * Who is making a write, recorded in the audit log
+ * @param {import('express').Request} req
+ * @returns {{ actor: string|null, requestId: string|null }}
  */
-async function writeData(data) {
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf-8');
+function writeContext(req) {
+  return {
+    actor: req.user ? req.user.username : null,
+    requestId: req.id || null
+  };
 }
 
 /**
- * GET /api/items
- * Supports pagination and search via query params:
- * - page: page number (default: 1)
- * - limit: items per page (default: 10)
- * - q: search query (searches in name and category)
+ * Serve one page in cursor mode. Items are ordered by the requested sort keys
+ * (relevance for searches without a sort) plus id as a tie-breaker, and the
+ * signed cursor carries the last item's key values, so inserts and deletes
+ * mid-browse don't skip or repeat rows.
+ * @param {import('../store/ItemStore')} itemStore
+ * @param {Object} query - req.query
+ * @param {Object} filters - Parsed list query (see parseListQuery)
+ * @param {number} limit
+ * @returns {Promise<Object>} Response body
  */
-router.get('/', async (req, res, next) => {
-  try {
-    const data = await readData();
-    const { page = 1, limit = 10, q } = req.query;
-    let results = data;
-
-    // Search filter - searches in both name and category for better UX
-    if (q) {
-      const searchTerm = q.toLowerCase().trim();
-      results = results.filter(item =>
-        item.name.toLowerCase().includes(searchTerm) ||
-        item.category.toLowerCase().includes(searchTerm)
-      );
-    }
+async function listByCursor(itemStore, query, { q, sort, categories, minPrice, maxPrice, deleted }, limit) {
+  const ranked = sort.length === 0 && q && q.trim();
+  const primary = ranked ? [{ field: '_score', direction: 'desc' }] : sort;
+  const keys = primary.some(key => key.field === 'id')
+    ? primary
+    : [...primary, { field: 'id', direction: 'asc' }];
+  const sortSpec = keys.map(({ field, direction }) => (direction === 'desc' ? '-' : '') + field).join(',');
 
-    // Pagination
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-
-    const paginatedResults = results.slice(startIndex, endIndex);
-
-    // Return paginated response with metadata
-    res.json({
-      data: paginatedResults,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: results.length,
-        totalPages: Math.ceil(results.length / limitNum),
-        hasMore: endIndex < results.length
-      }
-    });
-  } catch (err) {
-    next(err);
+  let after;
+  if (query.cursor !== '') {
+    const position = decodeCursor(query.cursor);
+    if (position.sort !== sortSpec || !Array.isArray(position.after) || position.after.length !== keys.length) {
+      const err = new Error('Cursor does not match the requested sort order; start again without a cursor');
+      err.status = 400;
+      err.code = 'INVALID_CURSOR';
+      throw err;
+    }
+    after = Object.fromEntries(keys.map(({ field }, i) => [field, position.after[i]]));
   }
-});
+
+  // Fetch one extra row to know whether there is a next page
+  const { items, total } = await itemStore.list({
+    q,
+    categories,
+    minPrice,
+    maxPrice,
+    deleted,
+    sort: keys,
+    after,
+    limit: limit + 1
+  });
+  const hasMore = items.length > limit;
+  const data = items.slice(0, limit);
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    pagination: {
+      page: null,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ sort: sortSpec, after: keys.map(({ field }) => last[field]) }) : null
+    }
+  };
+}
 
 /**
- * GET /api/items/:id
- * Retrieves a single item by ID
+ * Write a chunk of a streamed response, waiting for the client to catch up
+ * when the socket buffer is full
+ * @param {import('express').Response} res
+ * @param {string} chunk
+ * @returns {Promise<void>} Also resolves if the client goes away
  */
-router.get('/:id', async (req, res, next) => {
-  try {
-    const data = await readData();
-    const item = data.find(i => i.id === parseInt(req.params.id, 10));
-
-    if (!item) {
-      const err = new Error('Item not found');
-      err.status = 404;
-      throw err;
-    }
+function writeChunk(res, chunk) {
+  if (!chunk || res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Check one operation of a batch request and turn it into an ItemStore.bulk()
+ * operation
+ * @param {*} operation - { op: 'create', fields } | { op: 'update', id, fields } | { op: 'delete', id }
+ * @returns {{ operation?: Object, error?: Object }} The store operation, or the
+ *   error to report for it ({ code, message, details })
+ */
+function parseBatchOperation(operation) {
+  if (!operation || typeof operation !== 'object' || !['create', 'update', 'delete'].includes(operation.op)) {
+    return { error: { code: 'VALIDATION_ERROR', message: 'op must be create, update or delete', details: null } };
+  }
+
+  const { op, id, fields } = operation;
+  if (op !== 'create' && !((Number.isInteger(id) && id > 0) || (typeof id === 'string' && id !== ''))) {
+    return { error: { code: 'VALIDATION_ERROR', message: `${op} needs the id of the item`, details: null } };
+  }
+  if (op === 'delete') {
+    return { operation: { type: 'delete', id: typeof id === 'string' ? parseId(id) : id } };
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: { code: 'VALIDATION_ERROR', message: `${op} needs the item's fields as an object`, details: null } };
+  }
 
-    res.json(item);
-  } catch (err) {
-    next(err);
+  // Updates only change the fields they name, like PATCH
+  const { value, errors } = validate(itemSchema, fields, { partial: op === 'update' });
+  if (errors.length > 0) {
+    const { message, details } = validationError(errors);
+    return { error: { code: 'VALIDATION_ERROR', message, details } };
   }
-});
+  return {
+    operation: op === 'create'
+      ? { type: 'create', fields: value }
+      : { type: 'update', id: typeof id === 'string' ? parseId(id) : id, fields: value, merge: true }
+  };
+}
 
 /**
- * POST /api/items
- * Creates a new item with validation
+ * Build the /api/items router
+ * @param {Object} services
+ * @param {import('../store/ItemStore')} services.itemStore
+ * @param {import('../audit/AuditLog').AuditLog} services.auditLog - Read by the history route,
+ *   and awaited after writes so their records are queryable once the response is sent
+ * @param {Object} [options]
+ * @param {string|number} [options.importSizeLimit='5mb'] - Largest import upload
+ *   (bytes, or a size like '5mb'); bigger ones get a 413
+ * @returns {import('express').Router}
  */
-router.post('/', async (req, res, next) => {
-  try {
-    const { name, category, price } = req.body;
+function createItemsRouter({ itemStore, auditLog }, { importSizeLimit = IMPORT_SIZE_LIMIT } = {}) {
+  const router = express.Router();
 
-    // Validation
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      const err = new Error('Name is required and must be a non-empty string');
-      err.status = 400;
-      throw err;
+  /**
+   * GET /api/items
+   * Supports pagination, search, filters and sorting via query params:
+   * - page: page number (default: 1)
+   * - limit: items per page, 1-100 (default: 10)
+   * - cursor: opt into cursor pagination; empty for the first page, then the
+   *   previous response's pagination.nextCursor (page is ignored)
+   * - q: search query over name and category, ranked by relevance with typo
+   *   tolerance and prefix matching; hits carry _score and _highlights
+   * - category: exact category match, repeatable (?category=A&category=B)
+   * - minPrice / maxPrice: inclusive price range
+   * - sort: comma-separated fields, '-' for descending (e.g. sort=price,-name)
+   * - includeDeleted: true to include trashed items, only for just the trash
+   *   (admin role); they carry deletedAt
+   * Requires the viewer role. The ETag is the store's data version, so
+   * If-None-Match gets a 304 without running the query when nothing has
+   * changed since
+   */
+  router.get('/', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const filters = parseListQuery(req.query, { paginated: true });
+      const { q, sort, categories, minPrice, maxPrice, deleted, page: pageNum, limit: limitNum } = filters;
+      if (deleted !== 'exclude') {
+        authorize(req, res, 'admin');
+      }
+
+      // Read the version before the data: a write in between only makes the tag stale
+      setCacheHeaders(res, versionTag(itemStore.dataVersion));
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      if (req.query.cursor !== undefined) {
+        return res.json(await listByCursor(itemStore, req.query, filters, limitNum));
+      }
+
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+
+      // Search is ranked by relevance unless an explicit sort is given
+      const { items, total } = await itemStore.list({
+        q,
+        categories,
+        minPrice,
+        maxPrice,
+        deleted,
+        sort,
+        offset: startIndex,
+        limit: limitNum
+      });
+
+      // Return paginated response with metadata
+      res.json({
+        data: items,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum),
+          hasMore: endIndex < total
+        }
+      });
+    } catch (err) {
+      next(err);
     }
+  });
 
-    if (!category || typeof category !== 'string' || category.trim().length === 0) {
-      const err = new Error('Category is required and must be a non-empty string');
-      err.status = 400;
-      throw err;
+  /**
+   * GET /api/items/export
+   * Streams every item matching the list parameters (q, category, minPrice,
+   * maxPrice, sort, includeDeleted; see GET /api/items) as a file download:
+   * - format: json (default, an array), ndjson (one item per line) or csv
+   * Requires the viewer role
+   */
+  router.get('/export', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const { q, sort, categories, minPrice, maxPrice, deleted } = parseListQuery(req.query);
+      const { format = 'json' } = req.query;
+      if (typeof format !== 'string' || !EXPORT_FORMATS[format]) {
+        throw validationError([{
+          field: 'format',
+          message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        }]);
+      }
+      if (deleted !== 'exclude') {
+        authorize(req, res, 'admin');
+      }
+
+      const serializer = exportSerializer(format, { withDeleted: deleted !== 'exclude' });
+      res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.attachment(`items.${EXPORT_FORMATS[format].extension}`);
+
+      await writeChunk(res, serializer.head);
+      let written = 0;
+      for (let offset = 0; !res.destroyed; offset += EXPORT_PAGE_SIZE) {
+        const { items } = await itemStore.list({
+          q,
+          categories,
+          minPrice,
+          maxPrice,
+          deleted,
+          sort,
+          offset,
+          limit: EXPORT_PAGE_SIZE
+        });
+        const chunk = items
+          .map(item => (written++ > 0 ? serializer.separator : '') + serializer.item(item))
+          .join('');
+        await writeChunk(res, chunk);
+        if (items.length < EXPORT_PAGE_SIZE) break;
+      }
+      res.end(serializer.tail);
+    } catch (err) {
+      next(err);
     }
+  });
 
-    if (price === undefined || typeof price !== 'number' || price < 0) {
-      const err = new Error('Price is required and must be a non-negative number');
-      err.status = 400;
-      throw err;
+  /**
+   * GET /api/items/:id
+   * Retrieves a single item by ID (viewer role)
+   */
+  router.get('/:id', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const item = await itemStore.get(parseId(req.params.id));
+
+      if (!item) {
+        throw itemNotFound();
+      }
+
+      setCacheHeaders(res, itemTag(item));
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      res.json(item);
+    } catch (err) {
+      next(err);
     }
+  });
 
-    const data = await readData();
-    const newItem = {
-      id: Date.now(),
-      name: name.trim(),
-      category: category.trim(),
-      price
-    };
+  /**
+   * GET /api/items/:id/history
+   * The item's audit records, oldest first, each with a 1-based `revision`.
+   * Still available after the item is deleted or purged. Requires the admin
+   * role, like GET /api/audit: records name the actor and request id
+   */
+  router.get('/:id/history', requireRole('admin'), async (req, res, next) => {
+    try {
+      const id = parseId(req.params.id);
+      const records = await auditLog.query({ itemId: id });
+
+      if (records.length === 0 && !(await itemStore.get(id))) {
+        throw itemNotFound();
+      }
 
-    data.push(newItem);
-    await writeData(data);
+      res.json({ data: records.map((record, i) => ({ revision: i + 1, ...record })) });
+    } catch (err) {
+      next(err);
+    }
+  });
 
-    res.status(201).json(newItem);
-  } catch (err) {
-    next(err);
-  }
-});
+  /**
+   * POST /api/items
+   * Creates a new item with validation (editor role)
+   */
+  router.post('/', requireRole('editor'), async (req, res, next) => {
+    try {
+      const fields = assertValid(itemSchema, req.body);
+
+      const newItem = await itemStore.create(fields, { context: writeContext(req) });
+      // Respond once the write is in the audit log, so its history is complete
+      await auditLog.idle();
+
+      res.status(201).set('ETag', itemTag(newItem)).json(newItem);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * POST /api/items/import
+   * Imports a CSV (text/csv) or NDJSON (application/x-ndjson) upload (editor role).
+   * Rows without an id create items; rows with one replace that item. Every row
+   * is validated like POST /api/items and the import is all-or-nothing: any bad
+   * row is a 400 VALIDATION_ERROR whose details list each { row, line, field,
+   * message }, and nothing is written. With ?dryRun=true nothing is written
+   * either, and the report is returned whether or not the rows are valid
+   */
+  router.post(
+    '/import',
+    requireRole('editor'),
+    express.text({ type: Object.keys(IMPORT_TYPES), limit: importSizeLimit }),
+    async (req, res, next) => {
+      try {
+        const format = IMPORT_TYPES[(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase()];
+        if (!format || typeof req.body !== 'string') {
+          const err = new Error('Upload a CSV (text/csv) or NDJSON (application/x-ndjson) file');
+          err.status = 415;
+          throw err;
+        }
+        if (req.query.dryRun !== undefined && req.query.dryRun !== 'true' && req.query.dryRun !== 'false') {
+          throw validationError([{ field: 'dryRun', message: 'dryRun must be true or false' }]);
+        }
+        const dryRun = req.query.dryRun === 'true';
+
+        const rows = parseImportRows(req.body, format);
+        if (rows.length === 0) {
+          throw validationError([{ field: null, message: 'The upload contains no items' }]);
+        }
+
+        rows.forEach(row => {
+          const { value, errors } = validate(itemSchema, row.input);
+          row.errors.push(...errors);
+          row.operation = row.id === undefined
+            ? { type: 'create', fields: value }
+            : { type: 'update', id: row.id, fields: value };
+        });
+
+        // Check the valid rows against the store too, so a dry run reports every problem
+        const valid = rows.filter(row => row.errors.length === 0);
+        const write = !dryRun && valid.length === rows.length;
+        const { applied, results } = await itemStore.bulk(valid.map(row => row.operation), {
+          dryRun: !write,
+          context: writeContext(req)
+        });
+        results.forEach((result, i) => {
+          if (result.error) {
+            valid[i].errors.push({
+              field: 'id',
+              message: `Item ${valid[i].id} does not exist (leave id empty to create an item)`
+            });
+          }
+        });
+
+        const failed = rows.filter(row => row.errors.length > 0);
+        const errors = failed.flatMap(({ row, line, errors: rowErrors }) =>
+          rowErrors.map(({ field, message }) => ({ row, line, field, message }))
+        );
+        if (!dryRun && failed.length > 0) {
+          const err = validationError(errors);
+          err.message = `${failed.length} of ${rows.length} rows are invalid; nothing was imported`;
+          throw err;
+        }
+        if (applied) {
+          await auditLog.idle();
+        }
+
+        const succeeded = results.filter(result => !result.error);
+        res.json({
+          dryRun,
+          applied,
+          summary: {
+            rows: rows.length,
+            created: succeeded.filter(result => result.type === 'created').length,
+            updated: succeeded.filter(result => result.type === 'updated').length,
+            failed: failed.length
+          },
+          errors
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  /**
+   * POST /api/items/batch
+   * Runs a list of operations under a single write of the store (editor role;
+   * admin if any of them deletes):
+   *   { mode?: 'atomic' | 'best-effort', operations: [
+   *     { op: 'create', fields }, { op: 'update', id, fields }, { op: 'delete', id }, ... ] }
+   * Fields are validated like POST (create) and PATCH (update). Operations run
+   * in order and see each other's writes. Responds with a result per operation,
+   * { index, op, status, item?, error? }, status being what the single-item
+   * route would have answered.
+   * - atomic (default): all or nothing. If any operation fails, nothing is
+   *   written and the response is a 422 BATCH_FAILED whose details are the
+   *   results; operations that would have succeeded get status 424
+   * - best-effort: operations that succeed are written, the rest report their
+   *   error; the response is a 200 either way
+   */
+  router.post('/batch', requireRole('editor'), async (req, res, next) => {
+    try {
+      const { mode = 'atomic', operations } = req.body || {};
+      const errors = [];
+      if (!BATCH_MODES.includes(mode)) {
+        errors.push({ field: 'mode', message: `mode must be one of: ${BATCH_MODES.join(', ')}` });
+      }
+      if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+        errors.push({
+          field: 'operations',
+          message: `operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`
+        });
+      }
+      if (errors.length > 0) {
+        throw validationError(errors);
+      }
+      if (operations.some(operation => operation && operation.op === 'delete')) {
+        authorize(req, res, 'admin');
+      }
+
+      const results = operations.map((operation, index) => ({
+        index,
+        op: operation && typeof operation.op === 'string' ? operation.op : null
+      }));
+      const planned = [];
+      operations.forEach((operation, index) => {
+        const parsed = parseBatchOperation(operation);
+        if (parsed.error) {
+          Object.assign(results[index], { status: 400, error: parsed.error });
+        } else {
+          planned.push({ index, operation: parsed.operation });
+        }
+      });
+
+      // An atomic batch with a bad operation is still checked against the store,
+      // so every failure is reported at once
+      const atomic = mode === 'atomic';
+      const { applied, results: outcomes } = await itemStore.bulk(planned.map(p => p.operation), {
+        atomic,
+        dryRun: atomic && planned.length < operations.length,
+        context: writeContext(req)
+      });
+      outcomes.forEach((outcome, i) => {
+        const result = results[planned[i].index];
+        if (outcome.error) {
+          Object.assign(result, { status: 404, error: { code: 'NOT_FOUND', message: 'Item not found', details: null } });
+        } else {
+          result.status = BATCH_STATUS[outcome.type];
+          if (outcome.type !== 'deleted') result.item = outcome.item;
+        }
+      });
+
+      const failed = results.filter(result => result.status >= 400);
+      if (atomic && failed.length > 0) {
+        results.forEach(result => {
+          if (result.status >= 400) return;
+          delete result.item;
+          Object.assign(result, {
+            status: 424,
+            error: { code: 'FAILED_DEPENDENCY', message: 'Not applied because another operation failed', details: null }
+          });
+        });
+        const err = new Error(`${failed.length} of ${operations.length} operations failed; nothing was applied`);
+        err.status = 422;
+        err.code = 'BATCH_FAILED';
+        err.details = results;
+        throw err;
+      }
+      if (applied) {
+        await auditLog.idle();
+      }
+
+      res.json({ mode, results });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * PUT /api/items/:id
+   * Replaces an item; name, category and price are all required (editor role).
+   * If-Match must hold the item's current ETag (412 if it changed since, 428
+   * without it); the response carries the new one
+   */
+  router.put('/:id', requireRole('editor'), requireIfMatch, async (req, res, next) => {
+    try {
+      const fields = assertValid(itemSchema, req.body);
+      const updated = await itemStore.update(parseId(req.params.id), fields, {
+        context: writeContext(req),
+        precondition: current => assertIfMatch(req, current)
+      });
+
+      if (!updated) {
+        throw itemNotFound();
+      }
+      await auditLog.idle();
+
+      res.set('ETag', itemTag(updated)).json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * PATCH /api/items/:id
+   * Updates only the fields present in the body (editor role). If-Match as for PUT
+   */
+  router.patch('/:id', requireRole('editor'), requireIfMatch, async (req, res, next) => {
+    try {
+      const fields = assertValid(itemSchema, req.body, { partial: true });
+      const updated = await itemStore.update(parseId(req.params.id), fields, {
+        merge: true,
+        context: writeContext(req),
+        precondition: current => assertIfMatch(req, current)
+      });
+
+      if (!updated) {
+        throw itemNotFound();
+      }
+      await auditLog.idle();
+
+      res.set('ETag', itemTag(updated)).json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * DELETE /api/items/:id
+   * Moves an item to the trash (sets deletedAt); responds 204 with no body.
+   * It is purged for good once the retention period ends (admin role).
+   * If-Match as for PUT
+   */
+  router.delete('/:id', requireRole('admin'), requireIfMatch, async (req, res, next) => {
+    try {
+      const removed = await itemStore.remove(parseId(req.params.id), {
+        context: writeContext(req),
+        precondition: current => assertIfMatch(req, current)
+      });
+
+      if (!removed) {
+        throw itemNotFound();
+      }
+      await auditLog.idle();
+
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * POST /api/items/:id/restore
+   * Takes an item out of the trash and returns it; 409 if it isn't in the
+   * trash (admin role)
+   */
+  router.post('/:id/restore', requireRole('admin'), async (req, res, next) => {
+    try {
+      const id = parseId(req.params.id);
+      const restored = await itemStore.restore(id, { context: writeContext(req) });
+
+      if (!restored) {
+        if (!(await itemStore.get(id))) {
+          throw itemNotFound();
+        }
+        const err = new Error('Item is not in the trash');
+        err.status = 409;
+        err.code = 'NOT_DELETED';
+        throw err;
+      }
+      await auditLog.idle();
+
+      res.set('ETag', itemTag(restored)).json(restored);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = { createItemsRouter, MAX_BATCH_OPERATIONS, BATCH_MODES };
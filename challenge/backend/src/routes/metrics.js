@@ -0,0 +1,18 @@
+const express = require('express');
+const { register } = require('../metrics');
+const router = express.Router();
+
+/**
+ * GET /metrics
+ * Every metric in the Prometheus text format, for scraping
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
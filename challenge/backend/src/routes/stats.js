@@ -1,157 +1,336 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
-const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
+const { parseIncludeDeleted, toStringList } = require('../utils/listQuery');
+const { authorize, requireRole } = require('../middleware/auth');
+const { validationError } = require('../utils/validation');
+const { median, percentile, stdDev, histogram } = require('../utils/stats');
+const { logger } = require('../logging');
+const metrics = require('../metrics');
 
 /**
- * Stats cache with file watching for automatic invalidation
- * This prevents recalculating stats on every request
+ * Sections of the stats response, in response order; `?fields=` picks a subset
  */
-let statsCache = null;
-let cacheTimestamp = null;
+const STATS_FIELDS = [
+  'total',
+  'averagePrice',
+  'totalValue',
+  'priceRange',
+  'median',
+  'percentiles',
+  'stdDev',
+  'histogram',
+  'categories'
+];
+
+// Sections that need every price, not just the store's count, sum, min and max
+const PRICE_LIST_FIELDS = ['median', 'percentiles', 'stdDev', 'histogram', 'categories'];
+
+const DEFAULT_BUCKETS = 5;
+const MAX_BUCKETS = 100;
+
+/**
+ * Round to 2 decimal places (prices); null stays null
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
 
 /**
- * Calculate statistics from items data
- * @param {Array} items - Array of items
+ * Calculate statistics from the store's price aggregates
+ * @param {Object} aggregates - From ItemStore#aggregate, with `prices` when
+ *   any of PRICE_LIST_FIELDS is asked for
+ * @param {Object} [options]
+ * @param {string[]} [options.fields] - Sections to compute (default: all of STATS_FIELDS)
+ * @param {number|number[]} [options.buckets=5] - Histogram bucket count or edges
  * @returns {Object} Statistics object
  */
-function calculateStats(items) {
-  if (!items || items.length === 0) {
-    return {
-      total: 0,
-      averagePrice: 0,
-      totalValue: 0,
-      categories: {},
-      priceRange: { min: 0, max: 0 }
+function calculateStats(aggregates, { fields = STATS_FIELDS, buckets = DEFAULT_BUCKETS } = {}) {
+  const { count, sum } = aggregates;
+  const prices = (aggregates.prices || []).map(row => row.price);
+  const empty = count === 0;
+
+  const sections = {
+    total: () => count,
+    averagePrice: () => (empty ? 0 : round(sum / count)),
+    totalValue: () => (empty ? 0 : round(sum)),
+    priceRange: () => ({ min: empty ? 0 : aggregates.min, max: empty ? 0 : aggregates.max }),
+    median: () => (empty ? 0 : round(median(prices))),
+    percentiles: () => ({
+      p90: empty ? 0 : round(percentile(prices, 90)),
+      p95: empty ? 0 : round(percentile(prices, 95)),
+      p99: empty ? 0 : round(percentile(prices, 99))
+    }),
+    stdDev: () => (empty ? 0 : round(stdDev(prices))),
+    histogram: () => histogram(prices, buckets),
+    categories: () => calculateCategoryStats(aggregates)
+  };
+
+  const stats = {};
+  STATS_FIELDS
+    .filter(field => fields.includes(field))
+    .forEach(field => { stats[field] = sections[field](); });
+  return stats;
+}
+
+/**
+ * Per-category aggregates. Categories are user data, so prices are grouped in
+ * a Map and the result is an object without a prototype: "constructor" or
+ * "__proto__" are categories like any other
+ * @param {Object} aggregates - From ItemStore#aggregate, with `prices`
+ * @returns {Object} { [category]: { count, totalValue, averagePrice, minPrice, maxPrice, median } }
+ */
+function calculateCategoryStats(aggregates) {
+  const pricesByCategory = new Map();
+  for (const { category, price } of aggregates.prices) {
+    if (!pricesByCategory.has(category)) {
+      pricesByCategory.set(category, []);
+    }
+    pricesByCategory.get(category).push(price);
+  }
+
+  const categories = Object.create(null);
+  for (const { category, count, sum, min, max } of aggregates.categories) {
+    categories[category] = {
+      count,
+      totalValue: round(sum),
+      averagePrice: round(sum / count),
+      minPrice: min,
+      maxPrice: max,
+      median: round(median(pricesByCategory.get(category)))
     };
   }
+  return categories;
+}
+
+/**
+ * Parse the scoping parameters of GET /api/stats:
+ * - category: only items in this category (case-insensitive); repeatable
+ * - fields: comma-separated sections to compute (default: all)
+ * - buckets: histogram bucket count (1-100), or comma-separated ascending edges
+ * - includeDeleted: true, false or only, as for GET /api/items
+ * @param {Object} query - req.query
+ * @returns {{ categories: string[], fields: string[], buckets: number|number[], deleted: string }}
+ * @throws {Error} 400 VALIDATION_ERROR listing every bad parameter
+ */
+function parseStatsQuery(query) {
+  const errors = [];
 
-  const total = items.length;
-  const totalValue = items.reduce((acc, cur) => acc + cur.price, 0);
-  const averagePrice = totalValue / total;
+  const categories = toStringList(query.category);
+  if (!categories) {
+    errors.push({ field: 'category', message: 'category must be a string (repeat it to include several)' });
+  }
 
-  // Calculate category breakdown
-  const categories = items.reduce((acc, item) => {
-    if (!acc[item.category]) {
-      acc[item.category] = { count: 0, totalValue: 0 };
+  let fields = STATS_FIELDS;
+  const rawFields = toStringList(query.fields);
+  if (!rawFields) {
+    errors.push({ field: 'fields', message: `fields must be a comma-separated list (allowed fields: ${STATS_FIELDS.join(', ')})` });
+  } else if (rawFields.length > 0) {
+    fields = rawFields.join(',').split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(f => !STATS_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      errors.push({
+        field: 'fields',
+        message: `Unknown stats field(s): ${unknown.join(', ')} (allowed fields: ${STATS_FIELDS.join(', ')})`
+      });
     }
-    acc[item.category].count++;
-    acc[item.category].totalValue += item.price;
-    return acc;
-  }, {});
-
-  // Calculate price range
-  const prices = items.map(item => item.price);
-  const priceRange = {
-    min: Math.min(...prices),
-    max: Math.max(...prices)
-  };
+  }
+
+  let buckets = DEFAULT_BUCKETS;
+  if (query.buckets !== undefined) {
+    const parts = typeof query.buckets === 'string' ? query.buckets.split(',').map(Number) : [NaN];
+    const isCount = parts.length === 1 && Number.isInteger(parts[0]) && parts[0] >= 1 && parts[0] <= MAX_BUCKETS;
+    const isEdges = parts.length >= 2 && parts.length <= MAX_BUCKETS + 1 &&
+      parts.every((edge, i) => Number.isFinite(edge) && (i === 0 || edge > parts[i - 1]));
+    if (isCount) {
+      buckets = parts[0];
+    } else if (isEdges) {
+      buckets = parts;
+    } else {
+      errors.push({
+        field: 'buckets',
+        message: `buckets must be a count between 1 and ${MAX_BUCKETS} or ascending edges (e.g. 0,100,500)`
+      });
+    }
+  }
+
+  const deleted = parseIncludeDeleted(query.includeDeleted, errors);
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
 
   return {
-    total,
-    averagePrice: Math.round(averagePrice * 100) / 100, // Round to 2 decimal places
-    totalValue: Math.round(totalValue * 100) / 100,
-    categories,
-    priceRange
+    categories: categories.map(c => c.trim()).filter(Boolean),
+    fields,
+    buckets,
+    deleted
   };
 }
 
 /**
- * Load and cache statistics
- * @returns {Promise<Object>} Statistics object
+ * Cache key for a parsed stats query; equivalent queries share an entry
+ * @param {Object} options - Result of parseStatsQuery
+ * @returns {string}
  */
-async function loadStats() {
-  return new Promise((resolve, reject) => {
-    fs.readFile(DATA_PATH, 'utf-8', (err, raw) => {
-      if (err) return reject(err);
-
-      try {
-        const items = JSON.parse(raw);
-        const stats = calculateStats(items);
-
-        // Update cache
-        statsCache = stats;
-        cacheTimestamp = Date.now();
-
-        resolve(stats);
-      } catch (parseErr) {
-        reject(parseErr);
-      }
-    });
-  });
+function cacheKey({ categories, fields, buckets, deleted }) {
+  return JSON.stringify([
+    categories.map(c => c.toLowerCase()).sort(),
+    [...new Set(fields)].sort(),
+    buckets,
+    deleted
+  ]);
 }
 
+// Stats preloaded after every change: the unscoped query
+const DEFAULT_OPTIONS = { categories: [], fields: STATS_FIELDS, buckets: DEFAULT_BUCKETS, deleted: 'exclude' };
+
 /**
- * Watch the data file for changes and invalidate cache
- * Using fs.watch for efficient file system monitoring
+ * Stats cache keyed by the normalized query, cleared whenever the item store
+ * reports a change (API writes, or edits to the data file on disk). This
+ * prevents recalculating stats on every request. Entries older than
+ * `ttlSeconds` (when not 0) are recalculated, in case a change went
+ * unnoticed; at most `maxEntries` are kept.
+ *
+ * After each change the unscoped stats are preloaded for the next request and
+ * pushed to live clients as a stats.updated event.
  */
-let watcher = null;
-function setupFileWatcher() {
-  if (watcher) {
-    return; // Already watching
+class StatsCache {
+  /**
+   * @param {Object} options
+   * @param {import('../store/ItemStore')} options.itemStore
+   * @param {import('../events/EventBus')} options.events - Receives stats.updated
+   * @param {number} [options.ttlSeconds=300] - 0 keeps entries until the data changes
+   * @param {number} [options.maxEntries=50]
+   */
+  constructor({ itemStore, events, ttlSeconds = 300, maxEntries = 50 }) {
+    this.itemStore = itemStore;
+    this.events = events;
+    this.ttl = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    // Bumped on every change, so loads that started before it aren't cached
+    this.generation = 0;
+
+    this.onStoreChange = this.onStoreChange.bind(this);
+    this.itemStore.on('change', this.onStoreChange);
   }
 
-  try {
-    watcher = fs.watch(DATA_PATH, async (eventType) => {
-      if (eventType === 'change') {
-        console.log('Data file changed, invalidating stats cache...');
-        statsCache = null;
-        cacheTimestamp = null;
-
-        // Preload cache for next request
-        try {
-          await loadStats();
-          console.log('Stats cache refreshed');
-        } catch (err) {
-          console.error('Error refreshing stats cache:', err);
-        }
-      }
-    });
+  /**
+   * Statistics for a query, from the cache when there is a fresh entry
+   * @param {Object} [options] - Result of parseStatsQuery (default: everything)
+   * @returns {Promise<{ stats: Object, cached: boolean, cacheAge?: number }>}
+   */
+  async get(options = DEFAULT_OPTIONS) {
+    const cached = this.entries.get(cacheKey(options));
+    if (cached && (this.ttl === 0 || Date.now() - cached.timestamp < this.ttl)) {
+      metrics.statsCacheRequests.inc({ result: 'hit' });
+      return { stats: cached.stats, cached: true, cacheAge: Date.now() - cached.timestamp };
+    }
 
-    console.log('File watcher initialized for stats caching');
-  } catch (err) {
-    console.error('Error setting up file watcher:', err);
+    metrics.statsCacheRequests.inc({ result: 'miss' });
+    const { stats } = await this.load(options);
+    return { stats, cached: false };
   }
-}
 
-// Initialize file watcher
-setupFileWatcher();
+  /**
+   * Calculate statistics and cache them, unless the data changed while they
+   * were being calculated
+   * @param {Object} options - Result of parseStatsQuery
+   * @returns {Promise<{ stats: Object, stale: boolean }>} `stale` when the
+   *   stats were calculated from data that has since changed (and weren't cached)
+   */
+  async load(options) {
+    const { generation } = this;
+    const { categories, deleted, fields } = options;
+    const aggregates = await this.itemStore.aggregate(
+      { categories, deleted },
+      { prices: fields.some(field => PRICE_LIST_FIELDS.includes(field)) }
+    );
+    const stats = calculateStats(aggregates, options);
+    if (generation !== this.generation) {
+      return { stats, stale: true };
+    }
 
-/**
- * GET /api/stats
- * Returns cached statistics, recalculates only if cache is invalid
- */
-router.get('/', async (req, res, next) => {
-  try {
-    // Return cached stats if available
-    if (statsCache) {
-      return res.json({
-        ...statsCache,
-        cached: true,
-        cacheAge: Date.now() - cacheTimestamp
-      });
+    // Update cache, dropping the oldest entry when full
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
     }
+    this.entries.set(cacheKey(options), { stats, timestamp: Date.now() });
 
-    // Load and cache stats if not available
-    const stats = await loadStats();
-    res.json({
-      ...stats,
-      cached: false
-    });
-  } catch (err) {
-    next(err);
+    return { stats, stale: false };
   }
-});
+
+  /**
+   * Invalidate the cache, preload the unscoped stats and publish them
+   */
+  async onStoreChange() {
+    logger.debug('Data changed, invalidating stats cache');
+    this.generation++;
+    this.entries.clear();
+
+    try {
+      const { stats, stale } = await this.load(DEFAULT_OPTIONS);
+      // A later change is already refreshing (and will publish)
+      if (stale) return;
+      logger.debug('Stats cache refreshed');
+      this.events.publish('stats.updated', stats);
+    } catch (err) {
+      logger.error('Error refreshing stats cache', { error: err });
+    }
+  }
+
+  /**
+   * Whether the cache is still invalidated on data changes: it listens to the
+   * store, and the store is watching its file for edits on disk
+   * @returns {boolean}
+   */
+  isWatching() {
+    return this.itemStore.listeners('change').includes(this.onStoreChange) && this.itemStore.isWatching();
+  }
+
+  /**
+   * Stop listening for store changes
+   */
+  close() {
+    this.itemStore.off('change', this.onStoreChange);
+    this.generation++;
+    this.entries.clear();
+  }
+}
 
 /**
- * Cleanup watcher on module unload (for testing)
+ * Build the /api/stats router
+ * @param {Object} services
+ * @param {StatsCache} services.statsCache
+ * @returns {import('express').Router}
  */
-router._cleanup = () => {
-  if (watcher) {
-    watcher.close();
-    watcher = null;
-  }
-};
+function createStatsRouter({ statsCache }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/stats
+   * Returns cached statistics, recalculates only if cache is invalid.
+   * Accepts ?category=, ?fields= and ?buckets= (see parseStatsQuery). Trashed
+   * items are left out unless an admin passes ?includeDeleted=. Requires the
+   * viewer role
+   */
+  router.get('/', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const options = parseStatsQuery(req.query);
+      if (options.deleted !== 'exclude') {
+        authorize(req, res, 'admin');
+      }
+
+      const { stats, cached, cacheAge } = await statsCache.get(options);
+      // cacheAge is left out of fresh results
+      res.json({ ...stats, cached, cacheAge });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = { createStatsRouter, StatsCache, STATS_FIELDS, MAX_BUCKETS };
@@ -0,0 +1,199 @@
+const { tokenize } = require('./tokenize');
+
+// Fields indexed for search, and how much a match in each one counts
+const FIELD_WEIGHTS = { name: 1, category: 0.8 };
+
+/**
+ * Typos allowed for a query term of this length
+ * @param {number} length
+ * @returns {number}
+ */
+function maxTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment),
+ * giving up as soon as it must exceed `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How well an indexed term matches a query term
+ * @param {string} query - Folded query term
+ * @param {string} term - Folded indexed term
+ * @returns {{ quality: number, length: number }|null} Quality in (0, 1] and
+ *   how many characters of `term` matched (for highlighting), or null
+ */
+function matchTerm(query, term) {
+  if (term === query) return { quality: 1, length: term.length };
+
+  if (term.startsWith(query)) {
+    // Longer completions of a short prefix are weaker matches
+    return { quality: 0.6 + 0.3 * (query.length / term.length), length: query.length };
+  }
+
+  const allowed = maxTypos(query.length);
+  if (allowed === 0) return null;
+
+  const distance = editDistance(query, term, allowed);
+  if (distance <= allowed) {
+    return { quality: 0.7 - 0.2 * (distance - 1), length: term.length };
+  }
+
+  // Typo inside a prefix that is still being typed ("hedph" -> "headphones")
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    if (length < term.length && editDistance(query, term.slice(0, length), 1) <= 1) {
+      return { quality: 0.4, length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Merge overlapping or touching [start, end) ranges
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * In-memory inverted index over item names and categories.
+ *
+ * Every query term must match (AND); each one matches exactly, as a prefix,
+ * or with typos (1 for 4-7 characters, 2 for longer terms). Scores only
+ * depend on the item and the query, not on the rest of the data, so an
+ * item's score is stable while other items change.
+ */
+class SearchIndex {
+  constructor() {
+    this.items = [];
+    // term -> postings: [{ doc, field, start, offsets }]
+    this.terms = new Map();
+  }
+
+  /**
+   * Replace the indexed items
+   * @param {Array} items
+   * @returns {SearchIndex}
+   */
+  build(items) {
+    this.items = items;
+    this.terms = new Map();
+
+    items.forEach((item, doc) => {
+      for (const field of Object.keys(FIELD_WEIGHTS)) {
+        if (typeof item[field] !== 'string') continue;
+        for (const { term, start, end, offsets } of tokenize(item[field])) {
+          if (!this.terms.has(term)) this.terms.set(term, []);
+          this.terms.get(term).push({ doc, field, start, end, offsets });
+        }
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Find items matching every term of the query, best first
+   * @param {string} query
+   * @returns {Array<{ item: Object, score: number, highlights: Object }>}
+   *   `highlights` maps field names to merged [start, end) ranges in that field
+   */
+  search(query) {
+    const queryTerms = [...new Set(tokenize(query).map(t => t.term))];
+    if (queryTerms.length === 0) return [];
+
+    // doc -> { matched: number of query terms matched, score, ranges: { field: [] } }
+    const hits = new Map();
+
+    queryTerms.forEach((queryTerm, index) => {
+      const best = new Map();
+
+      for (const [term, postings] of this.terms) {
+        const match = matchTerm(queryTerm, term);
+        if (!match) continue;
+
+        for (const { doc, field, start, end, offsets } of postings) {
+          const hit = hits.get(doc) || { matched: 0, score: 0, ranges: {} };
+          if (hit.matched < index) continue; // already missed an earlier term
+          hits.set(doc, hit);
+
+          const highlightEnd = match.length < offsets.length ? offsets[match.length] : end;
+          (hit.ranges[field] = hit.ranges[field] || []).push([start, highlightEnd]);
+
+          const score = match.quality * FIELD_WEIGHTS[field];
+          best.set(doc, Math.max(best.get(doc) || 0, score));
+        }
+      }
+
+      for (const [doc, score] of best) {
+        const hit = hits.get(doc);
+        if (hit.matched === index) {
+          hit.matched++;
+          hit.score += score;
+        }
+      }
+    });
+
+    const results = [];
+    for (const [doc, hit] of hits) {
+      if (hit.matched < queryTerms.length) continue;
+
+      const highlights = {};
+      for (const [field, ranges] of Object.entries(hit.ranges)) {
+        highlights[field] = mergeRanges(ranges);
+      }
+      results.push({
+        doc,
+        item: this.items[doc],
+        score: Math.round(hit.score * 1000) / 1000,
+        highlights
+      });
+    }
+
+    // Best first; ties keep the items' original order
+    results.sort((a, b) => b.score - a.score || a.doc - b.doc);
+    return results.map(({ item, score, highlights }) => ({ item, score, highlights }));
+  }
+}
+
+module.exports = { SearchIndex, editDistance, matchTerm };
@@ -0,0 +1,103 @@
+const { SearchIndex, editDistance } = require('../SearchIndex');
+const { tokenize } = require('../tokenize');
+
+const ITEMS = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Noise Cancelling Headphones', category: 'Electronics', price: 399 },
+  { id: 3, name: 'Ultra‑Wide Monitor', category: 'Electronics', price: 999 },
+  { id: 4, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 5, name: 'Standing Desk', category: 'Furniture', price: 1199 },
+  { id: 6, name: 'Café Crème Mug', category: 'Kitchen', price: 12 }
+];
+
+describe('tokenize', () => {
+  it('should lowercase, fold accents and keep offsets into the original text', () => {
+    const tokens = tokenize('Café Crème');
+
+    expect(tokens.map(t => t.term)).toEqual(['cafe', 'creme']);
+    expect(tokens.map(t => [t.start, t.end])).toEqual([[0, 4], [5, 10]]);
+  });
+
+  it('should split on punctuation, including non-ASCII hyphens', () => {
+    expect(tokenize('Ultra‑Wide, 50% off').map(t => t.term)).toEqual(['ultra', 'wide', '50', 'off']);
+  });
+
+  it('should keep decomposed accents inside their word', () => {
+    const tokens = tokenize('Café au lait');
+
+    expect(tokens.map(t => t.term)).toEqual(['cafe', 'au', 'lait']);
+    expect(tokens[0].end).toBe(5);
+  });
+});
+
+describe('editDistance', () => {
+  it('should count a transposition as one edit', () => {
+    expect(editDistance('chiar', 'chair', 2)).toBe(1);
+    expect(editDistance('hedphones', 'headphones', 2)).toBe(1);
+  });
+
+  it('should stop early once the distance exceeds the maximum', () => {
+    expect(editDistance('laptop', 'monitor', 1)).toBe(2);
+  });
+});
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex().build(ITEMS);
+  const ids = (query) => index.search(query).map(hit => hit.item.id);
+
+  it('should tolerate typos', () => {
+    expect(ids('hedphones')).toEqual([2]);
+    expect(ids('ergonmic')).toEqual([4]);
+  });
+
+  it('should match every term in any order', () => {
+    expect(ids('chair ergonomic')).toEqual([4]);
+    expect(ids('chair laptop')).toEqual([]);
+  });
+
+  it('should match prefixes', () => {
+    expect(ids('mon')).toEqual([3]);
+    expect(ids('furn')).toEqual([4, 5]);
+  });
+
+  it('should ignore accents in the query and the data', () => {
+    expect(ids('creme')).toEqual([6]);
+    expect(ids('CAFÉ')).toEqual([6]);
+  });
+
+  it('should rank exact matches above prefix and fuzzy ones', () => {
+    const index2 = new SearchIndex().build([
+      { id: 'fuzzy', name: 'Dusk', category: 'Office' },
+      { id: 'prefix', name: 'Deskmate', category: 'Office' },
+      { id: 'exact', name: 'Desk', category: 'Office' }
+    ]);
+
+    expect(index2.search('desk').map(hit => hit.item.id)).toEqual(['exact', 'prefix', 'fuzzy']);
+  });
+
+  it('should weigh name matches above category matches', () => {
+    const index2 = new SearchIndex().build([
+      { id: 'category', name: 'Lamp', category: 'Desk' },
+      { id: 'name', name: 'Desk', category: 'Office' }
+    ]);
+
+    expect(index2.search('desk').map(hit => hit.item.id)).toEqual(['name', 'category']);
+  });
+
+  it('should report highlight ranges per field', () => {
+    const [hit] = index.search('noise headph');
+
+    expect(hit.highlights).toEqual({ name: [[0, 5], [17, 23]] });
+  });
+
+  it('should highlight accented text at its original offsets', () => {
+    const [hit] = index.search('creme');
+
+    expect(hit.highlights.name).toEqual([[5, 10]]);
+    expect(ITEMS[5].name.slice(5, 10)).toBe('Crème');
+  });
+
+  it('should return nothing for a query without words', () => {
+    expect(index.search(' %% ')).toEqual([]);
+  });
+});
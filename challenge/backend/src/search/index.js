@@ -0,0 +1,4 @@
+const { SearchIndex } = require('./SearchIndex');
+const { fold, tokenize } = require('./tokenize');
+
+module.exports = { SearchIndex, fold, tokenize };
@@ -0,0 +1,52 @@
+/**
+ * Text normalization for search: lowercase, accents folded ("Café" -> "cafe"),
+ * split on anything that isn't a letter or digit.
+ */
+
+// Combining marks belong to the letter before them, so they don't split words
+const WORD_CHAR = /[\p{L}\p{N}\p{M}]/u;
+const COMBINING_MARKS = /\p{M}/gu;
+
+/**
+ * Fold one character (or string) for matching
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return text.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+/**
+ * Split text into folded terms, keeping where each term sits in the original
+ * string so matches can be highlighted there.
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number, offsets: number[] }>}
+ *   `start`/`end` are UTF-16 offsets into `text` (end exclusive); `offsets[i]`
+ *   is the original offset of the i-th character of `term`
+ */
+function tokenize(text) {
+  const tokens = [];
+  let current = null;
+  let offset = 0;
+
+  for (const ch of String(text)) {
+    if (WORD_CHAR.test(ch)) {
+      const folded = fold(ch);
+      if (folded) {
+        if (!current) current = { term: '', start: offset, end: offset, offsets: [] };
+        current.term += folded;
+        for (let i = 0; i < folded.length; i++) current.offsets.push(offset);
+      }
+      if (current) current.end = offset + ch.length;
+    } else if (current) {
+      tokens.push(current);
+      current = null;
+    }
+    offset += ch.length;
+  }
+
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+module.exports = { fold, tokenize };
@@ -0,0 +1,91 @@
+const { startTrashPurge } = require('./store/purge');
+const { logger } = require('./logging');
+const { readUsers } = require('./auth/users');
+
+/**
+ * Open the app's store, start the trash purge and listen.
+ *
+ * `shutdown()` stops accepting connections, ends live event streams so they
+ * don't hold the server open, and waits for in-flight requests to finish.
+ * Connections still open after `server.shutdownTimeoutSeconds` are closed.
+ * Then it closes the store (and its file watcher) and flushes the log file.
+ * @param {import('express').Express} app - From createApp()
+ * @param {Object} config - The settings the app was built with
+ * @returns {Promise<{ server: import('http').Server, shutdown: Function }>}
+ *   `shutdown(reason)` resolves to whether every request finished in time;
+ *   later calls return the same promise
+ * @throws {Error} If the store can't be opened (e.g. duplicate ids) or the port is taken
+ */
+async function startServer(app, config) {
+  const { services } = app.locals;
+  const { port, host, shutdownTimeoutSeconds } = config.server;
+
+  // Open the store before accepting traffic so bad data fails fast
+  await services.itemStore.ready();
+
+  // The user store isn't checked in; without accounts every request is a 401
+  if ((await readUsers(config.auth.usersPath)).length === 0) {
+    logger.warn(`No users in ${config.auth.usersPath}; add one with: npm run add-user -- <username> <role>`);
+  }
+
+  // No host listens on every interface
+  const server = app.listen(port, host || undefined);
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+  const { port: boundPort } = server.address();
+  logger.info(`Backend running on http://${host || 'localhost'}:${boundPort}`, { port: boundPort, host });
+
+  // Empty the trash of items older than trash.retentionDays
+  const stopPurge = startTrashPurge(services.itemStore, {
+    retentionDays: config.trash.retentionDays,
+    intervalMinutes: config.trash.purgeIntervalMinutes
+  });
+
+  /**
+   * @returns {Promise<boolean>} Whether every request finished before the timeout
+   */
+  const drain = () => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      logger.warn(`Requests still running after ${shutdownTimeoutSeconds}s, closing their connections`);
+      server.closeAllConnections();
+      resolve(false);
+    }, shutdownTimeoutSeconds * 1000);
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+    // Event streams never finish on their own
+    services.events.close();
+  });
+
+  let stopping = null;
+  // A keep-alive connection would stay open (and the drain wait) until its
+  // timeout; close it as soon as its last response is done
+  server.on('request', (req, res) => {
+    res.on('finish', () => {
+      if (stopping) setImmediate(() => server.closeIdleConnections());
+    });
+  });
+
+  const shutdown = (reason = 'shutdown') => {
+    if (!stopping) {
+      stopping = (async () => {
+        logger.info(`Shutting down (${reason}), waiting for in-flight requests`, { reason });
+        stopPurge();
+        const drained = await drain();
+        await services.close();
+        logger.info('Server stopped');
+        await logger.close();
+        return drained;
+      })();
+    }
+    return stopping;
+  };
+
+  return { server, shutdown };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,435 @@
+const EventEmitter = require('events');
+const Mutex = require('../utils/mutex');
+const { createIdAllocator } = require('./ids');
+const { matchesFilters, compareItems, sortItems } = require('./query');
+const { SearchIndex } = require('../search');
+
+/**
+ * Item repository used by every router.
+ *
+ * Wraps a storage driver (JSON file or SQLite) behind one async API, opens it
+ * lazily on first use and serializes writes behind an in-process mutex so
+ * concurrent read-modify-write cycles can't lose updates. Emits 'change'
+ * after every write, or when the driver notices its data changed on disk:
+ *   { type: 'created' | 'updated' | 'deleted' | 'restored' | 'purged' | 'reloaded',
+ *     item?, previous?, context? }
+ * where `item` is the stored (or purged) item, `previous` the item before the
+ * write (null for creates) and `context` whatever the caller passed to say who
+ * made the change. bulk() and purge() emit one change for all of their
+ * writes instead:
+ *   { type: 'batch', changes: [{ type, item, previous }], context }
+ *
+ * Deleting only moves an item to the trash by setting `deletedAt`; reads skip
+ * trashed items unless asked for them, and purge() removes them for good.
+ *
+ * Text search goes through an in-memory SearchIndex that is rebuilt on the
+ * next search after any change. Searches with category or price filters
+ * only index the items the driver finds for those (through the SQLite
+ * indexes), and stats come from the driver's aggregates, so neither reads
+ * every item.
+ *
+ * Also emits 'writeError' (with the error) when the driver fails to save a
+ * write; the write's own promise rejects as well.
+ *
+ * Writes that would take the number of items outside the trash past
+ * `maxItems` fail with a 409 ITEM_LIMIT_REACHED and write nothing.
+ */
+class ItemStore extends EventEmitter {
+  /**
+   * @param {Object} driver - Storage driver instance
+   * @param {Object} [options]
+   * @param {string} [options.idStrategy='counter'] - 'counter', 'uuid' or 'ulid'
+   * @param {number} [options.maxItems=Infinity] - Most items outside the trash
+   */
+  constructor(driver, { idStrategy = 'counter', maxItems = Infinity } = {}) {
+    super();
+    this.driver = driver;
+    this.allocateId = createIdAllocator(idStrategy);
+    this.maxItems = maxItems;
+    this.opening = null;
+    this.writeLock = new Mutex();
+    this.searchIndex = new SearchIndex();
+    this.dataVersion = 0;
+    this.indexedVersion = -1;
+
+    this.on('change', () => { this.dataVersion++; });
+    this.driver.on('change', () => this.emit('change', { type: 'reloaded' }));
+    this.driver.on('writeError', err => this.emit('writeError', err));
+  }
+
+  /**
+   * Open the driver once; concurrent callers share the same promise
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.opening) {
+      this.opening = this.driver.open().then(() => this.driver.watch());
+      // Allow a retry if opening failed (e.g. data file briefly missing)
+      this.opening.catch(() => { this.opening = null; });
+    }
+    return this.opening;
+  }
+
+  /**
+   * Make sure the data can still be read: the driver re-reads its file if it
+   * changed on disk, so this rejects if the file is missing or doesn't parse
+   * @returns {Promise<void>}
+   */
+  async check() {
+    await this.ready();
+    await this.driver.all();
+  }
+
+  /**
+   * @returns {boolean} Whether the store is open and watching its file for
+   *   external edits
+   */
+  isWatching() {
+    return this.opening !== null && this.driver.isWatching();
+  }
+
+  /**
+   * Throw if adding `count` items would go past maxItems. Call it under the
+   * write lock, so concurrent writes can't both take the last places
+   * @param {number} count - Net number of items the write adds
+   * @returns {Promise<void>}
+   * @throws {Error} 409 ITEM_LIMIT_REACHED
+   */
+  async assertRoomFor(count) {
+    if (count <= 0 || this.maxItems === Infinity) return;
+
+    const { total } = await this.driver.find({ deleted: 'exclude', offset: 0, limit: 0 });
+    if (total + count > this.maxItems) {
+      const err = new Error(
+        `The store is full: it holds ${total} of at most ${this.maxItems} items. ` +
+        'Delete some (trashed items don\'t count) before adding more'
+      );
+      err.status = 409;
+      err.code = 'ITEM_LIMIT_REACHED';
+      throw err;
+    }
+  }
+
+  /**
+   * All items, in insertion order
+   * @param {Object} [options]
+   * @param {string} [options.deleted='exclude'] - 'exclude', 'include' or 'only' trashed items
+   * @returns {Promise<Array>}
+   */
+  async all({ deleted = 'exclude' } = {}) {
+    await this.ready();
+    const items = await this.driver.all();
+    return deleted === 'include' ? items : items.filter(item => matchesFilters(item, { deleted }));
+  }
+
+  /**
+   * Search, filter, sort and paginate items.
+   * With `q`, items are ranked by relevance (unless `sort` is given) and carry
+   * `_score` and `_highlights` ({ field: [[start, end], ...] }).
+   * @param {Object} query
+   * @param {string} [query.q] - Search query (fuzzy, accent-insensitive, every term must match)
+   * @param {string[]} [query.categories] - Only these categories (case-insensitive)
+   * @param {number} [query.minPrice] - Inclusive
+   * @param {number} [query.maxPrice] - Inclusive
+   * @param {string} [query.deleted='exclude'] - 'exclude', 'include' or 'only' trashed items
+   * @param {Array<{ field: string, direction: 'asc'|'desc' }>} [query.sort] - Sort keys, in priority order
+   * @param {Object} [query.after] - Keyset pagination: start after the item with these
+   *   sort field values. The sort keys must end in a unique field (id) for this to be exact.
+   * @param {number} [query.offset=0]
+   * @param {number} [query.limit=10]
+   * @returns {Promise<{ items: Array, total: number }>} `total` counts every match, not just the page
+   */
+  async list({ q, categories, minPrice, maxPrice, deleted = 'exclude', sort, after, offset = 0, limit = 10 } = {}) {
+    await this.ready();
+    if (!q || !q.trim()) {
+      return this.driver.find({ categories, minPrice, maxPrice, deleted, sort, after, offset, limit });
+    }
+
+    const hits = (await this.search(q, { categories, minPrice, maxPrice, deleted }))
+      .map(({ item, score, highlights }) => ({ ...item, _score: score, _highlights: highlights }));
+
+    // Stable sort: equal keys keep relevance order
+    const sorted = sortItems(hits, sort);
+    const results = after ? sorted.filter(item => compareItems(item, after, sort) > 0) : sorted;
+    return {
+      items: results.slice(offset, offset + limit),
+      total: sorted.length
+    };
+  }
+
+  /**
+   * Ranked search hits among the items passing the filters. With category or
+   * price filters only the driver's matches for them are indexed, for this
+   * search alone (scores don't depend on the other items); otherwise the
+   * shared index is used, rebuilt first if the data changed
+   * @param {string} q
+   * @param {Object} [filters] - categories, minPrice, maxPrice and deleted, as for list()
+   * @returns {Promise<Array<{ item: Object, score: number, highlights: Object }>>}
+   */
+  async search(q, filters = {}) {
+    const { categories, minPrice, maxPrice } = filters;
+    if ((categories && categories.length > 0) || minPrice !== undefined || maxPrice !== undefined) {
+      return new SearchIndex().build(await this.driver.matching(filters)).search(q);
+    }
+
+    // Notice edits on disk first, so they count as a change below
+    await this.driver.refresh();
+    // Read the version first: a change during the read forces another rebuild next time
+    const version = this.dataVersion;
+    if (this.indexedVersion !== version) {
+      this.searchIndex.build(await this.driver.all());
+      this.indexedVersion = version;
+    }
+    return this.searchIndex.search(q).filter(({ item }) => matchesFilters(item, filters));
+  }
+
+  /**
+   * Price aggregates of the items passing the filters, overall and per
+   * category, from the driver (in SQL for SQLite)
+   * @param {Object} [filters] - categories, minPrice, maxPrice and deleted, as for list()
+   * @param {Object} [options]
+   * @param {boolean} [options.prices=false] - Also return every { category, price },
+   *   cheapest first, for statistics that need each price (medians, histograms)
+   * @returns {Promise<Object>} See aggregatePrices in ./query
+   */
+  async aggregate(filters = {}, { prices = false } = {}) {
+    await this.ready();
+    return this.driver.aggregate(filters, { prices });
+  }
+
+  /**
+   * @param {number|string} id
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Also return the item if it is in the trash
+   * @returns {Promise<Object|null>}
+   */
+  async get(id, { includeDeleted = false } = {}) {
+    await this.ready();
+    const item = await this.driver.get(id);
+    return item && (includeDeleted || !item.deletedAt) ? item : null;
+  }
+
+  /**
+   * Store a new item under a freshly allocated id
+   * @param {Object} fields - Validated item fields (without id)
+   * @param {Object} [options]
+   * @param {Object} [options.context] - Who made the change ({ actor, requestId }),
+   *   passed through to 'change' listeners
+   * @returns {Promise<Object>} The stored item
+   * @throws {Error} 409 ITEM_LIMIT_REACHED when the store is full
+   */
+  async create(fields, { context = null } = {}) {
+    await this.ready();
+    const created = await this.writeLock.runExclusive(async () => {
+      await this.assertRoomFor(1);
+      const id = await this.allocateId(this.driver);
+      // Keep id as the first key, and never let the caller choose it
+      return this.driver.insert(Object.assign({ id }, fields, { id }));
+    });
+    this.emit('change', { type: 'created', item: created, previous: null, context });
+    return created;
+  }
+
+  /**
+   * Replace (PUT) or merge (PATCH) an item's fields
+   * @param {number|string} id
+   * @param {Object} fields - Validated item fields
+   * @param {Object} [options]
+   * @param {boolean} [options.merge=false] - Merge into the existing item instead of replacing it
+   * @param {Object} [options.context] - See create()
+   * @param {Function} [options.precondition] - Called with the stored item under
+   *   the write lock; throw to cancel the write (e.g. on an ETag mismatch)
+   * @returns {Promise<Object|null>} The updated item, or null if it doesn't exist or is in the trash
+   */
+  async update(id, fields, { merge = false, context = null, precondition } = {}) {
+    await this.ready();
+    const result = await this.writeLock.runExclusive(async () => {
+      const existing = await this.driver.get(id);
+      if (!existing || existing.deletedAt) return null;
+      if (precondition) precondition(existing);
+
+      const next = merge ? { ...existing, ...fields, id } : { id, ...fields };
+      return { previous: existing, updated: await this.driver.put(id, next) };
+    });
+    if (!result) return null;
+
+    this.emit('change', { type: 'updated', item: result.updated, previous: result.previous, context });
+    return result.updated;
+  }
+
+  /**
+   * Apply several writes under one lock and a single save of the data store.
+   * Operations run in order, each seeing the ones before it:
+   *   { type: 'create', fields } | { type: 'update', id, fields, merge? } | { type: 'delete', id }
+   * with `fields` already validated. Updating or deleting an item that doesn't
+   * exist (or is in the trash) fails with NOT_FOUND.
+   * @param {Array<Object>} operations
+   * @param {Object} [options]
+   * @param {boolean} [options.atomic=true] - Write nothing if any operation fails;
+   *   otherwise write the ones that succeed
+   * @param {boolean} [options.dryRun=false] - Only report what would happen
+   *   (items to create have no id yet)
+   * @param {Object} [options.context] - See create()
+   * @returns {Promise<{ applied: boolean, results: Array<Object> }>} Whether anything
+   *   was written, and per operation either { type, item, previous } (type as in
+   *   'change' events) or { error: 'NOT_FOUND' }
+   * @throws {Error} 409 ITEM_LIMIT_REACHED, writing nothing, if the writes would
+   *   take the store past maxItems (checked even when not atomic)
+   */
+  async bulk(operations, { atomic = true, dryRun = false, context = null } = {}) {
+    await this.ready();
+    const outcome = await this.writeLock.runExclusive(async () => {
+      // Latest state of every existing item the batch has touched so far
+      const touched = new Map();
+      const deletedAt = new Date().toISOString();
+
+      const results = [];
+      for (const operation of operations) {
+        if (operation.type === 'create') {
+          results.push({ type: 'created', item: { ...operation.fields }, previous: null });
+          continue;
+        }
+
+        const existing = touched.has(operation.id) ? touched.get(operation.id) : await this.driver.get(operation.id);
+        if (!existing || existing.deletedAt) {
+          results.push({ error: 'NOT_FOUND' });
+          continue;
+        }
+
+        let next;
+        if (operation.type === 'delete') {
+          next = { ...existing, deletedAt };
+        } else if (operation.type === 'update') {
+          next = operation.merge
+            ? { ...existing, ...operation.fields, id: existing.id }
+            : { id: existing.id, ...operation.fields };
+        } else {
+          throw new Error(`Unknown bulk operation "${operation.type}"`);
+        }
+        touched.set(existing.id, next);
+        results.push({ type: operation.type === 'delete' ? 'deleted' : 'updated', item: next, previous: existing });
+      }
+
+      if (dryRun || (atomic && results.some(result => result.error))) {
+        return { applied: false, results };
+      }
+      const written = results.filter(result => !result.error);
+      await this.assertRoomFor(
+        written.filter(result => result.type === 'created').length -
+        written.filter(result => result.type === 'deleted').length
+      );
+
+      const writes = [];
+      for (const result of results) {
+        if (result.type !== 'created') continue;
+        const id = await this.allocateId(this.driver);
+        // Keep id as the first key, as create() does
+        result.item = Object.assign({ id }, result.item, { id });
+        writes.push({ op: 'insert', item: result.item });
+      }
+      touched.forEach(item => writes.push({ op: 'put', item }));
+
+      if (writes.length > 0) {
+        await this.driver.writeBatch(writes);
+      }
+      return { applied: writes.length > 0, results };
+    });
+
+    if (outcome.applied) {
+      const changes = outcome.results
+        .filter(result => !result.error)
+        .map(({ type, item, previous }) => ({ type, item, previous }));
+      this.emit('change', { type: 'batch', changes, context });
+    }
+    return outcome;
+  }
+
+  /**
+   * Move an item to the trash
+   * @param {number|string} id
+   * @param {Object} [options]
+   * @param {Object} [options.context] - See create()
+   * @param {Function} [options.precondition] - See update()
+   * @returns {Promise<boolean>} Whether an item was removed (false if it doesn't exist
+   *   or is already in the trash)
+   */
+  async remove(id, { context = null, precondition } = {}) {
+    await this.ready();
+    const result = await this.writeLock.runExclusive(async () => {
+      const existing = await this.driver.get(id);
+      if (!existing || existing.deletedAt) return null;
+      if (precondition) precondition(existing);
+
+      const trashed = { ...existing, deletedAt: new Date().toISOString() };
+      return { previous: existing, deleted: await this.driver.put(id, trashed) };
+    });
+    if (!result || !result.deleted) return false;
+
+    this.emit('change', { type: 'deleted', item: result.deleted, previous: result.previous, context });
+    return true;
+  }
+
+  /**
+   * Take an item back out of the trash
+   * @param {number|string} id
+   * @param {Object} [options]
+   * @param {Object} [options.context] - See create()
+   * @returns {Promise<Object|null>} The restored item, or null if there is no
+   *   trashed item with this id
+   * @throws {Error} 409 ITEM_LIMIT_REACHED when the store is full
+   */
+  async restore(id, { context = null } = {}) {
+    await this.ready();
+    const result = await this.writeLock.runExclusive(async () => {
+      const existing = await this.driver.get(id);
+      if (!existing || !existing.deletedAt) return null;
+      await this.assertRoomFor(1);
+
+      const { deletedAt, ...item } = existing;
+      return { previous: existing, restored: await this.driver.put(id, item) };
+    });
+    if (!result || !result.restored) return null;
+
+    this.emit('change', { type: 'restored', item: result.restored, previous: result.previous, context });
+    return result.restored;
+  }
+
+  /**
+   * Permanently remove items that went to the trash before `before`
+   * @param {Object} options
+   * @param {Date} options.before - Purge items deleted strictly earlier than this
+   * @param {Object} [options.context] - See create()
+   * @returns {Promise<Array>} The purged items
+   */
+  async purge({ before, context = null }) {
+    await this.ready();
+    const purged = await this.writeLock.runExclusive(async () => {
+      const expired = (await this.driver.matching({ deleted: 'only' }))
+        .filter(item => new Date(item.deletedAt) < before);
+
+      // One save for the whole purge, however many items expired
+      if (expired.length > 0) {
+        await this.driver.writeBatch(expired.map(item => ({ op: 'delete', item })));
+      }
+      return expired;
+    });
+
+    // One change for the whole purge, so listeners react once
+    if (purged.length > 0) {
+      const changes = purged.map(item => ({ type: 'purged', item, previous: item }));
+      this.emit('change', { type: 'batch', changes, context });
+    }
+    return purged;
+  }
+
+  /**
+   * Stop watching for changes and release the driver
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.opening = null;
+    await this.writeLock.runExclusive(() => this.driver.close());
+  }
+}
+
+module.exports = ItemStore;
@@ -0,0 +1,589 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createItemStore } = require('..');
+
+const SEED = [
+  { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499 },
+  { id: 2, name: 'Ergonomic Chair', category: 'Furniture', price: 799 },
+  { id: 3, name: '50% Off Sign', category: 'Office', price: 5 }
+];
+
+describe.each(['json', 'sqlite'])('ItemStore (%s driver)', (driver) => {
+  let dir;
+  let dataPath;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'item-store-'));
+    dataPath = path.join(dir, 'items.json');
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED), 'utf-8');
+    store = createItemStore({ driver, dataPath, sqlitePath: path.join(dir, 'items.sqlite') });
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should return all items in insertion order', async () => {
+    const items = await store.all();
+    expect(items.map(i => i.id)).toEqual([1, 2, 3]);
+  });
+
+  it('should search name and category case-insensitively', async () => {
+    const byName = await store.list({ q: 'LAPTOP' });
+    expect(byName.items.map(i => i.id)).toEqual([1]);
+
+    const byCategory = await store.list({ q: 'furn' });
+    expect(byCategory.items.map(i => i.id)).toEqual([2]);
+  });
+
+  it('should keep search results current after writes', async () => {
+    expect((await store.list({ q: 'desk' })).total).toBe(0);
+
+    const desk = await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    expect((await store.list({ q: 'desk' })).items.map(i => i.id)).toEqual([desk.id]);
+
+    await store.remove(desk.id);
+    expect((await store.list({ q: 'desk' })).total).toBe(0);
+  });
+
+  it('should treat search wildcards literally', async () => {
+    const { items, total } = await store.list({ q: '50%' });
+    expect(total).toBe(1);
+    expect(items[0].id).toBe(3);
+  });
+
+  it('should only search the items the driver finds for category and price filters', async () => {
+    await store.create({ name: 'Laptop Stand', category: 'Office', price: 40 });
+    const all = jest.spyOn(store.driver, 'all');
+
+    const { items } = await store.list({ q: 'laptop', categories: ['office'], maxPrice: 100 });
+
+    expect(items.map(i => i.name)).toEqual(['Laptop Stand']);
+    expect(items[0]._highlights).toEqual({ name: [[0, 6]] });
+    expect(all).not.toHaveBeenCalled();
+  });
+
+  it('should aggregate prices overall and per category without reading every item', async () => {
+    await store.create({ name: 'Desk', category: 'Furniture', price: 301 });
+    await store.remove(1);
+    const all = jest.spyOn(store.driver, 'all');
+
+    expect(await store.aggregate()).toEqual({
+      count: 3,
+      sum: 1105,
+      min: 5,
+      max: 799,
+      categories: [
+        { category: 'Furniture', count: 2, sum: 1100, min: 301, max: 799 },
+        { category: 'Office', count: 1, sum: 5, min: 5, max: 5 }
+      ]
+    });
+    expect((await store.aggregate({ categories: ['furniture'] }, { prices: true })).prices).toEqual([
+      { category: 'Furniture', price: 301 },
+      { category: 'Furniture', price: 799 }
+    ]);
+    expect(await store.aggregate({ deleted: 'only' })).toMatchObject({ count: 1, sum: 2499 });
+    expect(await store.aggregate({ categories: ['Toys'] })).toEqual({
+      count: 0, sum: null, min: null, max: null, categories: []
+    });
+    expect(all).not.toHaveBeenCalled();
+  });
+
+  it('should paginate and report the total', async () => {
+    const { items, total } = await store.list({ offset: 1, limit: 1 });
+    expect(total).toBe(3);
+    expect(items.map(i => i.id)).toEqual([2]);
+  });
+
+  it('should create, update, merge and remove items', async () => {
+    const events = [];
+    store.on('change', e => events.push(e.type));
+
+    await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    expect(await store.get(4)).toEqual({ id: 4, name: 'Desk', category: 'Furniture', price: 300 });
+
+    await store.update(4, { name: 'Standing Desk', category: 'Furniture', price: 400 });
+    await store.update(4, { price: 450 }, { merge: true });
+    expect(await store.get(4)).toEqual({ id: 4, name: 'Standing Desk', category: 'Furniture', price: 450 });
+
+    expect(await store.remove(4)).toBe(true);
+    expect(await store.get(4)).toBeNull();
+    expect(await store.remove(4)).toBe(false);
+    expect(await store.update(4, { price: 1 }, { merge: true })).toBeNull();
+
+    expect(events).toEqual(['created', 'updated', 'updated', 'deleted']);
+  });
+
+  it('should not write when the precondition throws', async () => {
+    const events = [];
+    store.on('change', e => events.push(e.type));
+    const seen = [];
+    const reject = item => {
+      seen.push(item.id);
+      throw new Error('changed');
+    };
+
+    await expect(store.update(1, { price: 1 }, { merge: true, precondition: reject })).rejects.toThrow('changed');
+    await expect(store.remove(2, { precondition: reject })).rejects.toThrow('changed');
+    // Missing items are reported as such without asking the precondition
+    expect(await store.update(99, { price: 1 }, { merge: true, precondition: reject })).toBeNull();
+
+    expect(seen).toEqual([1, 2]);
+    expect((await store.get(1)).price).toBe(2499);
+    expect(await store.get(2)).not.toBeNull();
+    expect(events).toEqual([]);
+  });
+
+  it('should move deleted items to the trash and restore them', async () => {
+    const events = [];
+    store.on('change', e => events.push(e));
+
+    expect(await store.remove(2)).toBe(true);
+    expect(await store.get(2)).toBeNull();
+    expect((await store.all()).map(i => i.id)).toEqual([1, 3]);
+    expect((await store.list()).total).toBe(2);
+    expect((await store.list({ q: 'chair' })).total).toBe(0);
+    expect(await store.update(2, { price: 1 }, { merge: true })).toBeNull();
+
+    const trashed = await store.get(2, { includeDeleted: true });
+    expect(Date.parse(trashed.deletedAt)).not.toBeNaN();
+    expect((await store.list({ deleted: 'only' })).items).toEqual([trashed]);
+    expect((await store.all({ deleted: 'include' }))).toHaveLength(3);
+
+    expect(await store.restore(1)).toBeNull();
+    expect(await store.restore(2)).toEqual(SEED[1]);
+    expect(await store.get(2)).toEqual(SEED[1]);
+
+    expect(events.map(e => e.type)).toEqual(['deleted', 'restored']);
+    expect(events[0].previous).toEqual(SEED[1]);
+  });
+
+  it('should purge items deleted before the cutoff', async () => {
+    await store.remove(1);
+    await store.remove(2);
+    const changes = [];
+    store.on('change', change => changes.push(change));
+
+    expect(await store.purge({ before: new Date(Date.now() - 60000) })).toEqual([]);
+
+    const purged = await store.purge({ before: new Date(Date.now() + 1000) });
+    expect(purged.map(i => i.id)).toEqual([1, 2]);
+    // One change for the whole purge
+    expect(changes).toHaveLength(1);
+    expect(changes[0].type).toBe('batch');
+    expect(changes[0].changes.map(change => [change.type, change.item.id])).toEqual([['purged', 1], ['purged', 2]]);
+    expect(await store.all({ deleted: 'include' })).toEqual([SEED[2]]);
+    expect(await store.restore(1)).toBeNull();
+  });
+
+  it('should save a purge once, without reading every item', async () => {
+    await store.remove(1);
+    await store.remove(3);
+    const persist = jest.spyOn(store.driver, 'persist');
+    const all = jest.spyOn(store.driver, 'all');
+
+    const purged = await store.purge({ before: new Date(Date.now() + 1000) });
+
+    expect(purged.map(i => i.id)).toEqual([1, 3]);
+    expect(persist).toHaveBeenCalledTimes(1);
+    expect(all).not.toHaveBeenCalled();
+    expect(await store.all({ deleted: 'include' })).toEqual([SEED[1]]);
+  });
+
+  it('should apply a batch of writes with a single change event', async () => {
+    const events = [];
+    store.on('change', e => events.push(e));
+
+    const { applied, results } = await store.bulk([
+      { type: 'create', fields: { name: 'Desk', category: 'Furniture', price: 300 } },
+      { type: 'update', id: 1, fields: { price: 2299 }, merge: true },
+      { type: 'update', id: 1, fields: { name: 'Laptop', category: 'Electronics', price: 1999 } },
+      { type: 'delete', id: 3 }
+    ], { context: { actor: 'erin' } });
+
+    expect(applied).toBe(true);
+    expect(results.map(r => r.type)).toEqual(['created', 'updated', 'updated', 'deleted']);
+    expect(results[0].item).toEqual({ id: 4, name: 'Desk', category: 'Furniture', price: 300 });
+    // Later operations see the earlier ones
+    expect(results[2].previous.price).toBe(2299);
+    expect(await store.get(1)).toEqual({ id: 1, name: 'Laptop', category: 'Electronics', price: 1999 });
+    expect(await store.get(3)).toBeNull();
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe('batch');
+    expect(events[0].changes).toHaveLength(4);
+    expect(events[0].context).toEqual({ actor: 'erin' });
+  });
+
+  it('should write nothing from a failed atomic batch or a dry run', async () => {
+    const events = [];
+    store.on('change', e => events.push(e));
+    const operations = [
+      { type: 'create', fields: { name: 'Desk', category: 'Furniture', price: 300 } },
+      { type: 'update', id: 99, fields: { price: 1 }, merge: true }
+    ];
+
+    const failed = await store.bulk(operations);
+    expect(failed.applied).toBe(false);
+    expect(failed.results[1]).toEqual({ error: 'NOT_FOUND' });
+
+    const dryRun = await store.bulk(operations.slice(0, 1), { dryRun: true });
+    expect(dryRun.applied).toBe(false);
+    expect(dryRun.results[0].item).toEqual({ name: 'Desk', category: 'Furniture', price: 300 });
+
+    expect(await store.all()).toEqual(SEED);
+    expect(events).toEqual([]);
+
+    // Best effort: the create still goes through
+    const partial = await store.bulk(operations, { atomic: false });
+    expect(partial.applied).toBe(true);
+    expect((await store.all()).map(i => i.name)).toContain('Desk');
+  });
+
+  it('should refuse writes that go past maxItems', async () => {
+    await store.close();
+    store = createItemStore({ driver, dataPath, sqlitePath: path.join(dir, 'items.sqlite'), maxItems: 4 });
+    const desk = { name: 'Desk', category: 'Furniture', price: 300 };
+
+    await store.create(desk);
+    await expect(store.create(desk)).rejects.toMatchObject({ status: 409, code: 'ITEM_LIMIT_REACHED' });
+    await expect(store.create(desk)).rejects.toThrow('it holds 4 of at most 4 items');
+
+    // Deletes in the same batch make room; trashed items don't count
+    await expect(store.bulk([{ type: 'create', fields: desk }, { type: 'create', fields: desk }], { atomic: false }))
+      .rejects.toMatchObject({ code: 'ITEM_LIMIT_REACHED' });
+    const { applied } = await store.bulk([{ type: 'delete', id: 1 }, { type: 'create', fields: desk }]);
+    expect(applied).toBe(true);
+    await expect(store.restore(1)).rejects.toMatchObject({ code: 'ITEM_LIMIT_REACHED' });
+
+    expect(await store.all()).toHaveLength(4);
+  });
+
+  it('should persist writes across store instances', async () => {
+    await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    await store.close();
+
+    store = createItemStore({ driver, dataPath, sqlitePath: path.join(dir, 'items.sqlite') });
+    expect(await store.get(4)).toMatchObject({ name: 'Desk' });
+  });
+
+  it('should allocate increasing ids that are never reused', async () => {
+    const first = await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    expect(first.id).toBe(4);
+
+    await store.remove(first.id);
+    const second = await store.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+    expect(second.id).toBe(5);
+
+    await store.close();
+    store = createItemStore({ driver, dataPath, sqlitePath: path.join(dir, 'items.sqlite') });
+    await store.remove(second.id);
+    const third = await store.create({ name: 'Rug', category: 'Furniture', price: 90 });
+    expect(third.id).toBe(6);
+  });
+
+  it.each([
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/],
+    ['ulid', /^[0-9A-HJKMNP-TV-Z]{26}$/]
+  ])('should allocate %s ids when configured', async (idStrategy, pattern) => {
+    store = createItemStore({ driver, dataPath, sqlitePath: path.join(dir, 'items.sqlite'), idStrategy });
+
+    const created = await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    expect(created.id).toMatch(pattern);
+    expect(await store.get(created.id)).toEqual(created);
+    // Existing numeric ids keep working alongside
+    expect(await store.get(1)).toMatchObject({ name: 'Laptop Pro' });
+  });
+
+  it('should fail fast when the data contains duplicate ids', async () => {
+    await fs.promises.writeFile(dataPath, JSON.stringify([...SEED, { ...SEED[0], name: 'Copy' }]), 'utf-8');
+
+    await expect(store.all()).rejects.toThrow('Duplicate item ids');
+  });
+
+  it('should pick up edits made to the data file on disk', async () => {
+    await store.all();
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED.slice(0, 1)), 'utf-8');
+
+    const items = await store.all();
+    expect(items).toHaveLength(1);
+  });
+
+  it('should emit writeError when a write can\'t be saved', async () => {
+    const onWriteError = jest.fn();
+    store.on('writeError', onWriteError);
+    await store.all();
+    // A directory where the backup goes makes the save fail
+    const target = driver === 'json' ? dataPath : path.join(dir, 'items.sqlite');
+    await fs.promises.mkdir(path.join(`${target}.bak`, 'blocked'), { recursive: true });
+
+    const error = await store.create({ name: 'Desk', category: 'Furniture', price: 300 }).catch(err => err);
+    expect(error.code).toBe('ERR_FS_EISDIR');
+    expect(onWriteError).toHaveBeenCalledWith(error);
+    expect(await store.all()).toEqual(SEED);
+  });
+
+  it('should report whether the data is readable and watched', async () => {
+    expect(store.isWatching()).toBe(false);
+    await expect(store.check()).resolves.toBeUndefined();
+    expect(store.isWatching()).toBe(true);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await fs.promises.writeFile(dataPath, '{not json', 'utf-8');
+    await expect(store.check()).rejects.toThrow(SyntaxError);
+    console.error.mockRestore();
+
+    await store.close();
+    expect(store.isWatching()).toBe(false);
+  });
+});
+
+describe('ItemStore durability (json driver)', () => {
+  let dir;
+  let dataPath;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'item-store-'));
+    dataPath = path.join(dir, 'items.json');
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED), 'utf-8');
+    store = createItemStore({ driver: 'json', dataPath });
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should serialize concurrent writes without losing any', async () => {
+    await Promise.all(Array.from({ length: 50 }, (_, i) =>
+      store.create({ name: `Item ${i}`, category: 'Bulk', price: i })
+    ));
+
+    const onDisk = JSON.parse(await fs.promises.readFile(dataPath, 'utf-8'));
+    expect(onDisk).toHaveLength(SEED.length + 50);
+  }, 30000);
+
+  it('should keep the previous file as a backup and leave no temp files', async () => {
+    await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+
+    const backup = JSON.parse(await fs.promises.readFile(`${dataPath}.bak`, 'utf-8'));
+    expect(backup).toEqual(SEED);
+    expect((await fs.promises.readdir(dir)).sort()).toEqual(['items.json', 'items.json.bak', 'items.meta.json']);
+  });
+
+  it('should restore a corrupt data file from the backup on open', async () => {
+    await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    await store.close();
+    await fs.promises.writeFile(dataPath, '[{"id": 1, "na', 'utf-8');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    store = createItemStore({ driver: 'json', dataPath });
+    const items = await store.all();
+
+    expect(items).toEqual(SEED);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('restoring'));
+    expect(JSON.parse(await fs.promises.readFile(dataPath, 'utf-8'))).toEqual(SEED);
+    console.warn.mockRestore();
+  });
+
+  it('should fail clearly when the file is corrupt and there is no backup', async () => {
+    await fs.promises.writeFile(dataPath, '{not json', 'utf-8');
+
+    await expect(store.all()).rejects.toThrow('no usable backup exists');
+  });
+});
+
+describe('ItemStore seed file (sqlite driver)', () => {
+  let dir;
+  let dataPath;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'item-store-'));
+    dataPath = path.join(dir, 'items.json');
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED), 'utf-8');
+    store = createItemStore({ driver: 'sqlite', dataPath, sqlitePath: path.join(dir, 'items.sqlite') });
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Give the seed file a new modification time, so the driver re-reads it
+   * @param {string} [contents] - New contents; default: unchanged
+   */
+  async function touchSeed(contents) {
+    if (contents !== undefined) await fs.promises.writeFile(dataPath, contents, 'utf-8');
+    const later = new Date(Date.now() + 60000);
+    await fs.promises.utimes(dataPath, later, later);
+  }
+
+  it('should keep items created and edited through the API when the seed file is touched', async () => {
+    const desk = await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    await store.update(1, { price: 1999 }, { merge: true });
+
+    await touchSeed();
+
+    expect(await store.get(desk.id)).toEqual(desk);
+    expect((await store.get(1)).price).toBe(1999);
+    expect((await store.all()).map(i => i.id)).toEqual([1, 2, 3, desk.id]);
+  });
+
+  it('should apply rows edited in or removed from the seed file', async () => {
+    const desk = await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+
+    await touchSeed(JSON.stringify([{ ...SEED[0], price: 2299 }, SEED[2]]));
+
+    expect((await store.get(1)).price).toBe(2299);
+    expect(await store.get(2)).toBeNull();
+    expect((await store.all()).map(i => i.id)).toEqual([1, 3, desk.id]);
+  });
+
+  it('should not overwrite an API item whose id the seed file starts using', async () => {
+    const desk = await store.create({ name: 'Desk', category: 'Furniture', price: 300 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await touchSeed(JSON.stringify([...SEED, { id: desk.id, name: 'Lamp', category: 'Home', price: 40 }]));
+    const kept = await store.get(desk.id);
+    const [line] = console.warn.mock.calls[0];
+    console.warn.mockRestore();
+
+    expect(kept).toEqual(desk);
+    expect(line).toContain(`Kept the database version of items ${desk.id}`);
+  });
+});
+
+describe('ItemStore query plans (sqlite driver)', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'item-store-'));
+    const dataPath = path.join(dir, 'items.json');
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED), 'utf-8');
+    store = createItemStore({ driver: 'sqlite', dataPath, sqlitePath: path.join(dir, 'items.sqlite') });
+    await store.ready();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * How SQLite runs the queries on the items table that a store call makes
+   * @param {Function} call - Makes the store call
+   * @returns {Promise<string[][]>} The steps of each query's plan, in query order
+   */
+  async function queryPlans(call) {
+    const { driver } = store;
+    const select = jest.spyOn(driver, 'select');
+    await call();
+    const queries = select.mock.calls.filter(([sql]) => /FROM items\b/.test(sql));
+    select.mockRestore();
+
+    return queries.map(([sql, params]) =>
+      driver.select(`EXPLAIN QUERY PLAN ${sql}`, params).map(row => row.detail));
+  }
+
+  it('should filter categories through the category index', async () => {
+    const plans = await queryPlans(() => store.list({ categories: ['office'] }));
+
+    expect(plans).toHaveLength(2);
+    plans.forEach(([read]) => expect(read).toMatch(/^SEARCH items USING (COVERING )?INDEX idx_items_category/));
+  });
+
+  it('should filter prices through the price index', async () => {
+    const plans = await queryPlans(() => store.aggregate({ minPrice: 10, maxPrice: 1000 }, { prices: true }));
+
+    expect(plans).toHaveLength(3);
+    plans.forEach(([read]) => expect(read).toMatch(/^SEARCH items USING (COVERING )?INDEX idx_items_price/));
+  });
+
+  it('should sort and page by price in price index order', async () => {
+    // As the list route sorts: by the requested field, then id
+    const sort = [{ field: 'price', direction: 'asc' }, { field: 'id', direction: 'asc' }];
+    const after = { price: 5, id: 3 };
+    const [[, firstPage], [, nextPage]] = [
+      await queryPlans(() => store.list({ sort, limit: 1 })),
+      await queryPlans(() => store.list({ sort, after, limit: 1 }))
+    ];
+
+    expect(firstPage).toEqual(['SCAN items USING INDEX idx_items_price']);
+    expect(nextPage).toEqual(['SEARCH items USING INDEX idx_items_price (price>?)']);
+    expect((await store.list({ sort, after, limit: 1 })).items.map(i => i.id)).toEqual([2]);
+  });
+});
+
+describe('ItemStore schema migration (sqlite driver)', () => {
+  it('should add the trash column to a database from an older version', async () => {
+    const initSqlJs = require('sql.js');
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'item-store-'));
+    const sqlitePath = path.join(dir, 'items.sqlite');
+    const dataPath = path.join(dir, 'items.json');
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED), 'utf-8');
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run('CREATE TABLE items (id PRIMARY KEY, name TEXT NOT NULL, category TEXT NOT NULL, price REAL NOT NULL)');
+    db.run("INSERT INTO items VALUES (1, 'Laptop Pro', 'Electronics', 2499)");
+    await fs.promises.writeFile(sqlitePath, Buffer.from(db.export()));
+    db.close();
+
+    const store = createItemStore({ driver: 'sqlite', dataPath, sqlitePath });
+    try {
+      expect(await store.remove(1)).toBe(true);
+      expect(await store.get(1)).toBeNull();
+      expect((await store.get(1, { includeDeleted: true })).deletedAt).toBeDefined();
+    } finally {
+      await store.close();
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should replace indexes an older version defined differently', async () => {
+    const initSqlJs = require('sql.js');
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'item-store-'));
+    const sqlitePath = path.join(dir, 'items.sqlite');
+    const dataPath = path.join(dir, 'items.json');
+    await fs.promises.writeFile(dataPath, JSON.stringify(SEED), 'utf-8');
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run('CREATE TABLE items (id PRIMARY KEY, name TEXT NOT NULL, category TEXT NOT NULL, price REAL NOT NULL, deletedAt TEXT)');
+    db.run('CREATE INDEX idx_items_category ON items (category)');
+    db.run('CREATE INDEX idx_items_deleted_at ON items (deletedAt)');
+    db.run('CREATE INDEX idx_items_price ON items (price)');
+    await fs.promises.writeFile(sqlitePath, Buffer.from(db.export()));
+    db.close();
+
+    const store = createItemStore({ driver: 'sqlite', dataPath, sqlitePath });
+    try {
+      await store.ready();
+      const indexes = store.driver.select(
+        "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_items_%' ORDER BY name"
+      );
+      expect(indexes).toEqual([
+        { name: 'idx_items_category', sql: 'CREATE INDEX idx_items_category ON items (category COLLATE NOCASE)' },
+        { name: 'idx_items_deleted_at', sql: 'CREATE INDEX idx_items_deleted_at ON items (deletedAt) WHERE deletedAt IS NOT NULL' },
+        { name: 'idx_items_price', sql: 'CREATE INDEX idx_items_price ON items (price, id)' }
+      ]);
+      expect((await store.list({ categories: ['OFFICE'] })).items.map(i => i.id)).toEqual([3]);
+    } finally {
+      await store.close();
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createItemStore', () => {
+  it('should reject unknown drivers', () => {
+    expect(() => createItemStore({ driver: 'mongo' })).toThrow('Unknown STORAGE_DRIVER "mongo"');
+  });
+});
@@ -0,0 +1,46 @@
+const { createIdAllocator, parseId, ulid } = require('../ids');
+
+describe('ids', () => {
+  describe('ulid', () => {
+    it('should encode the timestamp in the first 10 characters', () => {
+      expect(ulid(0).slice(0, 10)).toBe('0000000000');
+      expect(ulid(1469918176385).slice(0, 10)).toBe('01ARYZ6S41');
+    });
+
+    it('should stay unique and sorted within the same millisecond', () => {
+      const now = Date.now();
+      const ids = Array.from({ length: 1000 }, () => ulid(now));
+
+      expect(new Set(ids).size).toBe(1000);
+      expect([...ids].sort()).toEqual(ids);
+    });
+  });
+
+  describe('parseId', () => {
+    it('should turn numeric ids into numbers and keep other ids as strings', () => {
+      expect(parseId('42')).toBe(42);
+      expect(parseId('01ARYZ6S41TSV4RRFFQ69G5FAV')).toBe('01ARYZ6S41TSV4RRFFQ69G5FAV');
+      expect(parseId('12abc')).toBe('12abc');
+    });
+  });
+
+  describe('createIdAllocator', () => {
+    it('should continue the counter from max(persisted, max id + 1)', async () => {
+      const meta = { nextId: 3 };
+      const driver = {
+        getMeta: async key => meta[key],
+        setMeta: async (key, value) => { meta[key] = value; },
+        maxNumericId: async () => 10
+      };
+      const allocate = createIdAllocator('counter');
+
+      expect(await allocate(driver)).toBe(11);
+      expect(await allocate(driver)).toBe(12);
+      expect(meta.nextId).toBe(13);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => createIdAllocator('snowflake')).toThrow('Unknown ID_STRATEGY "snowflake"');
+    });
+  });
+});
@@ -0,0 +1,307 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { matchesFilters, aggregatePrices, compareItems, sortItems } = require('../query');
+const { assertUniqueIds } = require('../ids');
+const { writeFileAtomic } = require('../../utils/atomicWrite');
+const Mutex = require('../../utils/mutex');
+const { statKey, readSnapshot } = require('../../utils/fileSnapshot');
+const { logger } = require('../../logging');
+
+/**
+ * JSON file driver.
+ *
+ * Keeps the parsed file in memory and only re-reads it when its mtime or size
+ * changes, so hand edits to the file are still picked up without re-parsing
+ * it on every request. Emits 'change' when the file is modified externally.
+ *
+ * Writes replace the file atomically and keep the previous version in
+ * `<file>.bak`; a corrupt or missing file is restored from it on open.
+ * Store metadata (e.g. the id counter) lives next to it in `<name>.meta.json`
+ * so the items file stays a plain, hand-editable array.
+ *
+ * Emits 'writeError' (with the error) when a write can't be saved.
+ */
+class JsonDriver extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path to the items JSON file
+   */
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.metaPath = filePath.replace(/(\.json)?$/, '.meta.json');
+    this.items = null;
+    this.meta = {};
+    this.metaDirty = false;
+    this.fileKey = null;
+    this.watcher = null;
+    this.writing = false;
+    this.refreshLock = new Mutex();
+  }
+
+  async open() {
+    try {
+      await this.refresh();
+    } catch (err) {
+      if (!(err instanceof SyntaxError) && err.code !== 'ENOENT') throw err;
+      await this.restoreFromBackup(err);
+    }
+
+    try {
+      this.meta = JSON.parse(await fs.promises.readFile(this.metaPath, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        // Everything in meta can be rebuilt from the items (e.g. nextId from max id)
+        logger.warn(`Ignoring unreadable ${this.metaPath}: ${err.message}`);
+      }
+      this.meta = {};
+    }
+  }
+
+  /**
+   * Replace a corrupt or missing data file with the last good backup
+   * @param {Error} cause - Why the data file could not be loaded
+   */
+  async restoreFromBackup(cause) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.backupPath, 'utf-8');
+      JSON.parse(raw);
+    } catch (backupErr) {
+      const err = new Error(
+        `Data file ${this.filePath} is unreadable (${cause.message}) and no usable backup exists`
+      );
+      err.cause = cause;
+      throw err;
+    }
+
+    logger.warn(`Data file ${this.filePath} is unreadable (${cause.message}), restoring ${this.backupPath}`);
+    await writeFileAtomic(this.filePath, raw);
+    await this.refresh();
+  }
+
+  /**
+   * Re-read the file if it changed on disk since we last read or wrote it.
+   * Emits 'change' when an already loaded file is reloaded, whether the
+   * watcher or a read noticed it first.
+   * @returns {Promise<boolean>} Whether the in-memory copy was reloaded
+   */
+  refresh() {
+    // One at a time: a slow read of an older version must not land after a newer one
+    return this.refreshLock.runExclusive(() => this.loadIfChanged());
+  }
+
+  async loadIfChanged() {
+    const stat = await fs.promises.stat(this.filePath);
+    if (this.items && statKey(stat) === this.fileKey) {
+      return false;
+    }
+
+    const { raw, key } = await readSnapshot(this.filePath);
+    const items = JSON.parse(raw);
+    assertUniqueIds(items, this.filePath);
+
+    const reloaded = this.items !== null;
+    this.items = items;
+    this.fileKey = key;
+
+    if (reloaded) {
+      this.emit('change', { source: 'external' });
+    }
+    return true;
+  }
+
+  async all() {
+    await this.refresh();
+    return this.items.slice();
+  }
+
+  /**
+   * @param {Object} query
+   * @param {string[]} [query.categories] - Only these categories (case-insensitive)
+   * @param {number} [query.minPrice]
+   * @param {number} [query.maxPrice]
+   * @param {string} [query.deleted='exclude'] - 'exclude', 'include' or 'only' deleted items
+   * @param {Array<{ field: string, direction: string }>} [query.sort] - Insertion order if empty
+   * @param {Object} [query.after] - Keyset position: only return items sorting after
+   *   this one (it holds the values of every sort field). `total` ignores it.
+   * @param {number} query.offset
+   * @param {number} query.limit
+   * @returns {Promise<{ items: Array, total: number }>}
+   */
+  async find({ categories, minPrice, maxPrice, deleted, sort, after, offset, limit }) {
+    await this.refresh();
+    const filters = { categories, minPrice, maxPrice, deleted };
+    const matches = this.items.filter(item => matchesFilters(item, filters));
+    const sorted = sortItems(matches, sort);
+    const results = after ? sorted.filter(item => compareItems(item, after, sort) > 0) : sorted;
+    return {
+      items: results.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Every item passing the filters, in insertion order
+   * @param {Object} filters - categories, minPrice, maxPrice and deleted, as for find()
+   * @returns {Promise<Array>}
+   */
+  async matching(filters) {
+    await this.refresh();
+    return this.items.filter(item => matchesFilters(item, filters));
+  }
+
+  /**
+   * Price aggregates of the items passing the filters
+   * @param {Object} filters - categories, minPrice, maxPrice and deleted, as for find()
+   * @param {Object} [options]
+   * @param {boolean} [options.prices=false] - Also list every { category, price }, cheapest first
+   * @returns {Promise<Object>} See aggregatePrices in ../query
+   */
+  async aggregate(filters, { prices = false } = {}) {
+    return aggregatePrices(await this.matching(filters), { prices });
+  }
+
+  async get(id) {
+    await this.refresh();
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * @returns {Promise<number>} Highest integer id, or 0 if there is none
+   */
+  async maxNumericId() {
+    await this.refresh();
+    return this.items.reduce(
+      (max, item) => (Number.isInteger(item.id) && item.id > max ? item.id : max),
+      0
+    );
+  }
+
+  async getMeta(key) {
+    return key in this.meta ? this.meta[key] : null;
+  }
+
+  /**
+   * Set a metadata value; written out with the next persist()
+   */
+  async setMeta(key, value) {
+    this.meta[key] = value;
+    this.metaDirty = true;
+  }
+
+  async insert(item) {
+    await this.refresh();
+    this.items.push(item);
+    await this.persist();
+    return item;
+  }
+
+  async put(id, item) {
+    await this.refresh();
+    const index = this.items.findIndex(i => i.id === id);
+    if (index === -1) return null;
+
+    this.items[index] = item;
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Apply several writes with a single save: all of them land, or none do
+   * @param {Array<{ op: 'insert'|'put'|'delete', item: Object }>} writes - At most one
+   *   per id; put and delete targets must exist
+   * @returns {Promise<void>}
+   */
+  async writeBatch(writes) {
+    await this.refresh();
+    const puts = new Map(writes.filter(w => w.op === 'put').map(w => [w.item.id, w.item]));
+    const deletes = new Set(writes.filter(w => w.op === 'delete').map(w => w.item.id));
+    const inserts = writes.filter(w => w.op === 'insert').map(w => w.item);
+
+    this.items = this.items
+      .filter(item => !deletes.has(item.id))
+      .map(item => (puts.has(item.id) ? puts.get(item.id) : item))
+      .concat(inserts);
+    await this.persist();
+  }
+
+  async delete(id) {
+    await this.refresh();
+    const index = this.items.findIndex(i => i.id === id);
+    if (index === -1) return false;
+
+    this.items.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  async persist() {
+    this.writing = true;
+    try {
+      await writeFileAtomic(this.filePath, JSON.stringify(this.items, null, 2), {
+        backupPath: this.backupPath
+      });
+      this.fileKey = statKey(await fs.promises.stat(this.filePath));
+
+      // Written after the items: if we crash in between, nextId is still
+      // derived from max(id) + 1, so no id is ever handed out twice
+      if (this.metaDirty) {
+        await writeFileAtomic(this.metaPath, JSON.stringify(this.meta, null, 2));
+        this.metaDirty = false;
+      }
+    } catch (err) {
+      // Drop the unsaved change; the next access reloads what is on disk
+      this.items = null;
+      this.fileKey = null;
+      this.emit('writeError', err);
+      throw err;
+    } finally {
+      this.writing = false;
+    }
+  }
+
+  /**
+   * Watch the file for external edits; the watcher never keeps the process alive.
+   * Watches the directory because atomic replacement swaps the file's inode.
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const fileName = path.basename(this.filePath);
+    this.watcher = fs.watch(path.dirname(this.filePath), async (eventType, changed) => {
+      // Our own writes are reported by ItemStore, not as external changes
+      if (changed !== fileName || this.writing) return;
+      try {
+        await this.refresh();
+      } catch (err) {
+        // File is mid-write or invalid; the next successful refresh will pick it up
+        logger.error('Error reloading data file', { error: err });
+      }
+    });
+    // e.g. the directory was removed; reads still notice edits, just later
+    this.watcher.on('error', err => {
+      logger.error('Stopped watching the data file', { error: err });
+      this.close();
+    });
+    this.watcher.unref();
+  }
+
+  /**
+   * @returns {boolean} Whether external edits are still being watched for
+   */
+  isWatching() {
+    return this.watcher !== null;
+  }
+
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = JsonDriver;
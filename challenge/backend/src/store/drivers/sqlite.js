@@ -0,0 +1,609 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { writeFileAtomic } = require('../../utils/atomicWrite');
+const Mutex = require('../../utils/mutex');
+const { statKey, readSnapshot } = require('../../utils/fileSnapshot');
+const { assertUniqueIds } = require('../ids');
+const { SORT_FIELDS } = require('../query');
+const { logger } = require('../../logging');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS items (
+    id PRIMARY KEY,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price REAL NOT NULL,
+    deletedAt TEXT
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+const ITEM_COLUMNS = 'id, name, category, price, deletedAt';
+
+// Sort fields compared case-insensitively (the others are numbers, or ids)
+const TEXT_SORT_FIELDS = ['name', 'category'];
+
+// Indexes older versions created differently, by name: migrate() replaces a
+// definition that doesn't match. Category filters compare with NOCASE, which
+// only a NOCASE index serves; the price index ends in id, the tiebreaker of
+// every list sort, so it serves sort=price in full; the trash index leaves
+// live rows out, so the planner doesn't pick it over the category and price
+// indexes for the usual "deletedAt IS NULL"
+const INDEXES = {
+  idx_items_category: 'CREATE INDEX idx_items_category ON items (category COLLATE NOCASE)',
+  idx_items_price: 'CREATE INDEX idx_items_price ON items (price, id)',
+  idx_items_deleted_at: 'CREATE INDEX idx_items_deleted_at ON items (deletedAt) WHERE deletedAt IS NOT NULL'
+};
+
+/**
+ * Bring a database created by an older version up to the current schema
+ * @param {Object} db - sql.js Database with SCHEMA applied
+ */
+function migrate(db) {
+  const [{ values }] = db.exec('PRAGMA table_info(items)');
+  if (!values.some(column => column[1] === 'deletedAt')) {
+    db.run('ALTER TABLE items ADD COLUMN deletedAt TEXT');
+  }
+  // The seed row each item was last imported as (null for items created
+  // through the API), so re-imports only apply what changed in the file
+  if (!values.some(column => column[1] === 'seed')) {
+    db.run('ALTER TABLE items ADD COLUMN seed TEXT');
+  }
+
+  for (const [name, sql] of Object.entries(INDEXES)) {
+    const [existing] = db.exec("SELECT sql FROM sqlite_master WHERE type = 'index' AND name = ?", [name]);
+    if (existing && existing.values[0][0] === sql) continue;
+    db.run(`DROP INDEX IF EXISTS ${name}`);
+    db.run(sql);
+  }
+}
+
+/**
+ * Compare key of a seed row: its fields, in a fixed order
+ * @param {Object} item
+ * @returns {string}
+ */
+function seedKey(item) {
+  return JSON.stringify([item.id, item.name, item.category, item.price, item.deletedAt || null]);
+}
+
+/**
+ * Map a row to the item shape the JSON driver stores: live items have no
+ * deletedAt at all
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toItem(row) {
+  const { deletedAt, ...item } = row;
+  return deletedAt === null ? item : { ...item, deletedAt };
+}
+
+/**
+ * WHERE conditions for the list filters, served by the category, price and
+ * deletedAt indexes
+ * @param {Object} filters
+ * @param {string[]} [filters.categories] - Only these categories (case-insensitive)
+ * @param {number} [filters.minPrice]
+ * @param {number} [filters.maxPrice]
+ * @param {string} [filters.deleted='exclude'] - 'exclude', 'include' or 'only' deleted items
+ * @returns {{ conditions: string[], params: Array }}
+ */
+function filterConditions({ categories, minPrice, maxPrice, deleted = 'exclude' }) {
+  const conditions = [];
+  const params = [];
+  if (deleted === 'exclude') {
+    conditions.push('deletedAt IS NULL');
+  } else if (deleted === 'only') {
+    conditions.push('deletedAt IS NOT NULL');
+  }
+  if (categories && categories.length > 0) {
+    conditions.push(`category COLLATE NOCASE IN (${categories.map(() => '?').join(', ')})`);
+    params.push(...categories);
+  }
+  if (minPrice !== undefined) {
+    conditions.push('price >= ?');
+    params.push(minPrice);
+  }
+  if (maxPrice !== undefined) {
+    conditions.push('price <= ?');
+    params.push(maxPrice);
+  }
+  return { conditions, params };
+}
+
+/**
+ * @param {string[]} conditions
+ * @returns {string} WHERE clause ANDing them, or '' without any
+ */
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Expression a sort key orders by: text fields case-insensitively, numbers
+ * (price, and counter ids) by value, so they can use their index
+ * @param {string} field - Whitelisted sort field
+ * @returns {string}
+ */
+function sortExpression(field) {
+  return TEXT_SORT_FIELDS.includes(field) ? `${field} COLLATE NOCASE` : field;
+}
+
+/**
+ * WHERE clause matching rows that sort strictly after `after`:
+ * k1 >= v1 AND ((k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...), with < for
+ * descending keys. The redundant first bound lets the planner walk k1's
+ * index from v1 on instead of looking up each OR branch separately
+ * @param {Array<{ field: string, direction: string }>} keys - Whitelisted sort keys
+ * @param {Object} after - Values of every sort key
+ * @returns {{ sql: string, params: Array }}
+ */
+function keysetCondition(keys, after) {
+  const clauses = [];
+  const params = [];
+  keys.forEach(({ field, direction }, i) => {
+    const parts = keys.slice(0, i).map(key => `${sortExpression(key.field)} = ?`);
+    parts.push(`${sortExpression(field)} ${direction === 'desc' ? '<' : '>'} ?`);
+    clauses.push(`(${parts.join(' AND ')})`);
+    params.push(...keys.slice(0, i + 1).map(key => after[key.field]));
+  });
+  if (keys.length === 0) return { sql: '0', params };
+
+  const [{ field, direction }] = keys;
+  return {
+    sql: `${sortExpression(field)} ${direction === 'desc' ? '<=' : '>='} ? AND (${clauses.join(' OR ')})`,
+    params: [after[field], ...params]
+  };
+}
+
+/**
+ * Embedded SQLite driver (sql.js, no native build required).
+ *
+ * The database lives in memory and is flushed atomically to `filePath` after
+ * every write, keeping the previous file in `<file>.bak` to recover from.
+ * The JSON file at `seedPath` stays the hand-editable source: it is imported
+ * when the database is created and re-imported whenever it changes on disk.
+ * A re-import only applies the rows that changed in the file (and removes
+ * the ones taken out of it); items created or edited through the API are
+ * left alone.
+ *
+ * Emits 'writeError' (with the error) when a write can't be flushed.
+ */
+class SqliteDriver extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path to the SQLite database file
+   * @param {string} [options.seedPath] - JSON file to import items from
+   */
+  constructor({ filePath, seedPath }) {
+    super();
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.seedPath = seedPath;
+    this.db = null;
+    this.SQL = null;
+    this.watcher = null;
+    this.opened = false;
+    this.flushLock = new Mutex();
+    this.refreshLock = new Mutex();
+  }
+
+  async open() {
+    this.SQL = await initSqlJs();
+
+    try {
+      this.db = await this.load(this.filePath);
+    } catch (err) {
+      logger.warn(`Database ${this.filePath} is unreadable (${err.message}), restoring ${this.backupPath}`);
+      this.db = await this.load(this.backupPath);
+      await this.persist({ backup: false });
+    }
+
+    await this.refresh();
+    this.opened = true;
+  }
+
+  /**
+   * Open a database file (an empty database if it doesn't exist yet)
+   * @param {string} filePath
+   * @returns {Promise<Object>} sql.js Database with the schema applied
+   */
+  async load(filePath) {
+    let buffer = null;
+    try {
+      buffer = await fs.promises.readFile(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const db = buffer ? new this.SQL.Database(buffer) : new this.SQL.Database();
+    try {
+      // Fails with "file is not a database" on corrupt input
+      db.exec(SCHEMA);
+      migrate(db);
+    } catch (err) {
+      db.close();
+      throw err;
+    }
+    return db;
+  }
+
+  /**
+   * Run a SELECT and return rows as plain objects
+   * @param {string} sql
+   * @param {Array} [params]
+   * @returns {Array<Object>}
+   */
+  select(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  getMeta(key) {
+    const [row] = this.select('SELECT value FROM meta WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)]);
+  }
+
+  /**
+   * Re-import the seed JSON file if it changed since the last import.
+   * Emits 'change' on re-imports after open, whether the watcher or a read
+   * noticed the edit first.
+   * @returns {Promise<boolean>} Whether items were re-imported
+   */
+  refresh() {
+    // One at a time: a slow read of an older version must not land after a newer one
+    return this.refreshLock.runExclusive(() => this.loadIfChanged());
+  }
+
+  async loadIfChanged() {
+    // Closed already (e.g. a watcher event that arrived during close())
+    if (!this.seedPath || !this.db) return false;
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.seedPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+
+    if (this.getMeta('seed_version') === statKey(stat)) {
+      return false;
+    }
+
+    const { raw, key } = await readSnapshot(this.seedPath);
+    const items = JSON.parse(raw);
+    assertUniqueIds(items, this.seedPath);
+    // Closed while reading, or this version is already imported
+    if (!this.db || this.getMeta('seed_version') === key) return false;
+
+    this.db.run('BEGIN');
+    try {
+      this.importSeed(items);
+      this.setMeta('seed_version', key);
+      this.db.run('COMMIT');
+    } catch (err) {
+      this.db.run('ROLLBACK');
+      throw err;
+    }
+
+    if (this.opened) {
+      this.emit('change', { source: 'external' });
+    }
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Bring the table in line with the seed file's rows: insert new ones,
+   * update the ones edited in the file since the last import and delete the
+   * ones removed from it. Rows the file didn't change keep any API edits, and
+   * items created through the API are never touched. A row the file doesn't
+   * track yet (from an older database, or created through the API with an id
+   * the file now uses) is adopted as it is, not overwritten.
+   * Runs inside the caller's transaction.
+   * @param {Array<Object>} items - The seed file's rows
+   */
+  importSeed(items) {
+    const existing = new Map(this.select('SELECT id, name, category, price, deletedAt, seed FROM items')
+      .map(row => [row.id, row]));
+    const kept = [];
+
+    items.forEach(item => {
+      const key = seedKey(item);
+      const row = existing.get(item.id);
+      if (!row) {
+        this.insertRow(item);
+      } else if (row.seed === null) {
+        if (seedKey(toItem(row)) !== key) kept.push(item.id);
+      } else if (row.seed !== key) {
+        this.updateRow(item.id, item);
+      } else {
+        return;
+      }
+      this.db.run('UPDATE items SET seed = ? WHERE id = ?', [key, item.id]);
+    });
+
+    const seedIds = new Set(items.map(item => item.id));
+    existing.forEach(row => {
+      if (row.seed !== null && !seedIds.has(row.id)) {
+        this.db.run('DELETE FROM items WHERE id = ?', [row.id]);
+      }
+    });
+
+    if (kept.length > 0) {
+      logger.warn(`Kept the database version of items ${kept.join(', ')}, which differ from ${this.seedPath}`);
+    }
+  }
+
+  insertRow(item) {
+    this.db.run(
+      `INSERT INTO items (${ITEM_COLUMNS}) VALUES (?, ?, ?, ?, ?)`,
+      [item.id, item.name, item.category, item.price, item.deletedAt || null]
+    );
+  }
+
+  /**
+   * @returns {number} Rows changed (0 if there is no item with this id)
+   */
+  updateRow(id, item) {
+    this.db.run(
+      'UPDATE items SET name = ?, category = ?, price = ?, deletedAt = ? WHERE id = ?',
+      [item.name, item.category, item.price, item.deletedAt || null, id]
+    );
+    return this.db.getRowsModified();
+  }
+
+  async all() {
+    await this.refresh();
+    return this.select(`SELECT ${ITEM_COLUMNS} FROM items ORDER BY rowid`).map(toItem);
+  }
+
+  /**
+   * @param {Object} query
+   * @param {string[]} [query.categories] - Only these categories (case-insensitive)
+   * @param {number} [query.minPrice]
+   * @param {number} [query.maxPrice]
+   * @param {string} [query.deleted='exclude'] - 'exclude', 'include' or 'only' deleted items
+   * @param {Array<{ field: string, direction: string }>} [query.sort] - Insertion order if empty
+   * @param {Object} [query.after] - Keyset position: only return items sorting after
+   *   this one (it holds the values of every sort field). `total` ignores it.
+   * @param {number} query.offset
+   * @param {number} query.limit
+   * @returns {Promise<{ items: Array, total: number }>}
+   */
+  async find({ categories, minPrice, maxPrice, deleted = 'exclude', sort, after, offset, limit }) {
+    await this.refresh();
+
+    const { conditions, params } = filterConditions({ categories, minPrice, maxPrice, deleted });
+    const where = whereClause(conditions);
+
+    // Field names are whitelisted, so they are safe to interpolate
+    const keys = (sort || []).filter(({ field }) => SORT_FIELDS.includes(field));
+    const orderBy = keys
+      .map(({ field, direction }) => `${sortExpression(field)} ${direction === 'desc' ? 'DESC' : 'ASC'}`)
+      .concat('rowid')
+      .join(', ');
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (after) {
+      const keyset = keysetCondition(keys, after);
+      pageConditions.push(keyset.sql);
+      pageParams.push(...keyset.params);
+    }
+    const pageWhere = whereClause(pageConditions);
+
+    const [{ total }] = this.select(`SELECT COUNT(*) AS total FROM items ${where}`, params);
+    const items = this.select(
+      `SELECT ${ITEM_COLUMNS} FROM items ${pageWhere} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...pageParams, limit, offset]
+    ).map(toItem);
+
+    return { items, total };
+  }
+
+  /**
+   * Every item passing the filters, in insertion order
+   * @param {Object} filters - categories, minPrice, maxPrice and deleted, as for find()
+   * @returns {Promise<Array>}
+   */
+  async matching(filters) {
+    await this.refresh();
+    const { conditions, params } = filterConditions(filters);
+    return this.select(
+      `SELECT ${ITEM_COLUMNS} FROM items ${whereClause(conditions)} ORDER BY rowid`,
+      params
+    ).map(toItem);
+  }
+
+  /**
+   * Price aggregates of the items passing the filters, counted, summed and
+   * grouped by SQLite
+   * @param {Object} filters - categories, minPrice, maxPrice and deleted, as for find()
+   * @param {Object} [options]
+   * @param {boolean} [options.prices=false] - Also list every { category, price }, cheapest first
+   * @returns {Promise<Object>} See aggregatePrices in ../query
+   */
+  async aggregate(filters, { prices = false } = {}) {
+    await this.refresh();
+    const { conditions, params } = filterConditions(filters);
+    const where = whereClause(conditions);
+
+    const [totals] = this.select(
+      `SELECT COUNT(*) AS count, SUM(price) AS sum, MIN(price) AS min, MAX(price) AS max FROM items ${where}`,
+      params
+    );
+    const categories = this.select(
+      'SELECT category, COUNT(*) AS count, SUM(price) AS sum, MIN(price) AS min, MAX(price) AS max ' +
+      `FROM items ${where} GROUP BY category ORDER BY category`,
+      params
+    );
+    const result = { ...totals, categories };
+    if (prices) {
+      result.prices = this.select(`SELECT category, price FROM items ${where} ORDER BY price`, params);
+    }
+    return result;
+  }
+
+  async get(id) {
+    await this.refresh();
+    const [row] = this.select(`SELECT ${ITEM_COLUMNS} FROM items WHERE id = ?`, [id]);
+    return row ? toItem(row) : null;
+  }
+
+  /**
+   * @returns {Promise<number>} Highest integer id, or 0 if there is none
+   */
+  async maxNumericId() {
+    await this.refresh();
+    const [{ maxId }] = this.select(
+      "SELECT MAX(id) AS maxId FROM items WHERE typeof(id) = 'integer'"
+    );
+    return maxId || 0;
+  }
+
+  async insert(item) {
+    await this.refresh();
+    this.insertRow(item);
+    await this.persist();
+    return item;
+  }
+
+  async put(id, item) {
+    await this.refresh();
+    if (this.updateRow(id, item) === 0) return null;
+
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Apply several writes in one transaction and a single flush
+   * @param {Array<{ op: 'insert'|'put'|'delete', item: Object }>} writes - At most one
+   *   per id; put and delete targets must exist
+   * @returns {Promise<void>}
+   */
+  async writeBatch(writes) {
+    await this.refresh();
+    const apply = {
+      insert: item => this.insertRow(item),
+      put: item => this.updateRow(item.id, item),
+      delete: item => this.db.run('DELETE FROM items WHERE id = ?', [item.id])
+    };
+    this.db.run('BEGIN');
+    try {
+      writes.forEach(({ op, item }) => apply[op](item));
+      this.db.run('COMMIT');
+    } catch (err) {
+      this.db.run('ROLLBACK');
+      throw err;
+    }
+    await this.persist();
+  }
+
+  async delete(id) {
+    await this.refresh();
+    this.db.run('DELETE FROM items WHERE id = ?', [id]);
+    if (this.db.getRowsModified() === 0) return false;
+
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Flush the in-memory database to disk
+   * @param {Object} [options]
+   * @param {boolean} [options.backup=true] - Keep the previous file as `.bak`
+   */
+  async persist({ backup = true } = {}) {
+    if (!this.db) return;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Snapshot inside the lock so an older export can never overwrite a newer one
+    await this.flushLock.runExclusive(async () => {
+      if (!this.db) return;
+      try {
+        await writeFileAtomic(this.filePath, Buffer.from(this.db.export()), {
+          backupPath: backup ? this.backupPath : undefined
+        });
+      } catch (err) {
+        // Drop the unsaved change by going back to what is on disk
+        this.db.close();
+        this.db = await this.load(this.filePath);
+        this.emit('writeError', err);
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Watch the seed file for hand edits; the watcher never keeps the process alive.
+   * Watches the directory so editors that replace the file are noticed too.
+   */
+  watch() {
+    if (this.watcher || !this.seedPath) return;
+
+    const fileName = path.basename(this.seedPath);
+    this.watcher = fs.watch(path.dirname(this.seedPath), async (eventType, changed) => {
+      if (changed !== fileName) return;
+      try {
+        await this.refresh();
+      } catch (err) {
+        logger.error('Error re-importing seed file', { error: err });
+      }
+    });
+    // e.g. the directory was removed; reads still notice edits, just later
+    this.watcher.on('error', err => {
+      logger.error('Stopped watching the seed file', { error: err });
+      this.watcher.close();
+      this.watcher = null;
+    });
+    this.watcher.unref();
+  }
+
+  /**
+   * @returns {boolean} Whether seed file edits are still being watched for
+   *   (always true without a seed file)
+   */
+  isWatching() {
+    return !this.seedPath || this.watcher !== null;
+  }
+
+  /**
+   * Stop watching, wait for pending flushes and release the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    await this.refreshLock.runExclusive(() => {});
+    await this.flushLock.runExclusive(() => {});
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.opened = false;
+  }
+}
+
+module.exports = SqliteDriver;
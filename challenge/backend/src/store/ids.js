@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const ID_STRATEGIES = ['counter', 'uuid', 'ulid'];
+
+// Crockford base32, as used by ULIDs
+const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+let lastUlidTime = -1;
+let lastUlidRandom = null;
+
+/**
+ * Generate a ULID: 48-bit millisecond timestamp + 80 random bits, encoded in
+ * 26 sortable characters. IDs created in the same millisecond increment the
+ * random part, so they stay unique and ordered.
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+function ulid(now = Date.now()) {
+  if (now <= lastUlidTime && lastUlidRandom) {
+    // Same (or earlier) millisecond: increment the random part instead
+    let i = lastUlidRandom.length - 1;
+    while (i >= 0 && lastUlidRandom[i] === 31) {
+      lastUlidRandom[i] = 0;
+      i--;
+    }
+    if (i < 0) throw new Error('ULID random component overflowed');
+    lastUlidRandom[i]++;
+    now = lastUlidTime;
+  } else {
+    lastUlidRandom = Array.from(crypto.randomBytes(16), byte => byte & 31);
+    lastUlidTime = now;
+  }
+
+  let time = '';
+  for (let i = 0, t = now; i < 10; i++, t = Math.floor(t / 32)) {
+    time = ULID_ALPHABET[t % 32] + time;
+  }
+  return time + lastUlidRandom.map(n => ULID_ALPHABET[n]).join('');
+}
+
+/**
+ * Create the id allocator for a strategy.
+ *
+ * - counter: monotonic integers. The next value is persisted with the data
+ *   (driver meta `nextId`) and never goes below max(id) + 1, so ids are not
+ *   reused after deletes, even if the data was hand-edited.
+ * - uuid: random UUID v4 strings
+ * - ulid: time-sortable ULID strings
+ *
+ * @param {string} strategy - One of ID_STRATEGIES
+ * @returns {Function} async (driver) => new id; call while holding the write lock
+ */
+function createIdAllocator(strategy) {
+  switch (strategy) {
+    case 'counter':
+      return async (driver) => {
+        const persisted = Number(await driver.getMeta('nextId')) || 1;
+        const id = Math.max(persisted, (await driver.maxNumericId()) + 1);
+        await driver.setMeta('nextId', id + 1);
+        return id;
+      };
+    case 'uuid':
+      return async () => crypto.randomUUID();
+    case 'ulid':
+      return async () => ulid();
+    default:
+      throw new Error(`Unknown ID_STRATEGY "${strategy}" (expected one of: ${ID_STRATEGIES.join(', ')})`);
+  }
+}
+
+/**
+ * Parse an id from a URL. Numeric strings become numbers (counter ids),
+ * anything else is kept as a string (uuid/ulid ids).
+ * @param {string} raw
+ * @returns {number|string}
+ */
+function parseId(raw) {
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+/**
+ * Throw if any id appears more than once
+ * @param {Array} items
+ * @param {string} source - Where the items came from, for the error message
+ * @throws {Error} With code DUPLICATE_IDS
+ */
+function assertUniqueIds(items, source) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const item of items) {
+    if (seen.has(item.id)) duplicates.add(item.id);
+    seen.add(item.id);
+  }
+
+  if (duplicates.size > 0) {
+    const err = new Error(`Duplicate item ids in ${source}: ${[...duplicates].join(', ')}`);
+    err.code = 'DUPLICATE_IDS';
+    throw err;
+  }
+}
+
+module.exports = { ID_STRATEGIES, createIdAllocator, parseId, assertUniqueIds, ulid };
@@ -0,0 +1,34 @@
+const ItemStore = require('./ItemStore');
+const JsonDriver = require('./drivers/json');
+const SqliteDriver = require('./drivers/sqlite');
+const { config } = require('../config');
+
+/**
+ * Create an item store for the given driver. Options default to the
+ * `storage` settings of the configuration
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'json' or 'sqlite'
+ * @param {string} [options.dataPath] - JSON data file (the seed file for sqlite)
+ * @param {string} [options.sqlitePath] - SQLite database file
+ * @param {string} [options.idStrategy] - 'counter', 'uuid' or 'ulid'
+ * @param {number} [options.maxItems] - Most items outside the trash
+ * @returns {ItemStore}
+ */
+function createItemStore({
+  driver = config.storage.driver,
+  dataPath = config.storage.dataPath,
+  sqlitePath = config.storage.sqlitePath,
+  idStrategy = config.storage.idStrategy,
+  maxItems = config.storage.maxItems
+} = {}) {
+  switch (driver) {
+    case 'json':
+      return new ItemStore(new JsonDriver({ filePath: dataPath }), { idStrategy, maxItems });
+    case 'sqlite':
+      return new ItemStore(new SqliteDriver({ filePath: sqlitePath, seedPath: dataPath }), { idStrategy, maxItems });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+  }
+}
+
+module.exports = { createItemStore, ItemStore };
@@ -0,0 +1,40 @@
+const { logger } = require('../logging');
+const { config } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Periodically purge items that have been in the trash longer than the
+ * retention period. Runs once straight away, then every `intervalMinutes`;
+ * the timer never keeps the process alive.
+ * @param {import('./ItemStore')} store
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Default: config trash.retentionDays
+ * @param {number} [options.intervalMinutes] - Default: config trash.purgeIntervalMinutes
+ * @returns {Function} Stops the schedule
+ */
+function startTrashPurge(store, {
+  retentionDays = config.trash.retentionDays,
+  intervalMinutes = config.trash.purgeIntervalMinutes
+} = {}) {
+  const run = async () => {
+    try {
+      const purged = await store.purge({ before: new Date(Date.now() - retentionDays * DAY_MS) });
+      if (purged.length > 0) {
+        logger.info(`Purged ${purged.length} item(s) deleted more than ${retentionDays} day(s) ago`, {
+          itemIds: purged.map(item => item.id)
+        });
+      }
+    } catch (err) {
+      logger.error('Error purging the trash', { error: err });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * MINUTE_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { startTrashPurge };
@@ -0,0 +1,125 @@
+/**
+ * Query helpers shared by the storage drivers
+ */
+
+/**
+ * Fields the list endpoint can sort by
+ */
+const SORT_FIELDS = ['id', 'name', 'category', 'price'];
+
+/**
+ * Which items a query sees with respect to the trash: only live items
+ * ('exclude', the default), live and deleted ones ('include'), or only
+ * deleted ones ('only')
+ */
+const DELETED_MODES = ['exclude', 'include', 'only'];
+
+/**
+ * Whether an item passes the list filters
+ * @param {Object} item
+ * @param {Object} filters
+ * @param {string[]} [filters.categories] - Case-insensitive exact matches; any of them
+ * @param {number} [filters.minPrice] - Inclusive
+ * @param {number} [filters.maxPrice] - Inclusive
+ * @param {string} [filters.deleted='exclude'] - See DELETED_MODES
+ * @returns {boolean}
+ */
+function matchesFilters(item, { categories, minPrice, maxPrice, deleted = 'exclude' }) {
+  if (deleted === 'exclude' && item.deletedAt) return false;
+  if (deleted === 'only' && !item.deletedAt) return false;
+  if (categories && categories.length > 0) {
+    const category = item.category.toLowerCase();
+    if (!categories.some(c => c.toLowerCase() === category)) return false;
+  }
+  if (minPrice !== undefined && item.price < minPrice) return false;
+  if (maxPrice !== undefined && item.price > maxPrice) return false;
+  return true;
+}
+
+/**
+ * Price aggregates of items, overall and per category: what the drivers'
+ * aggregate() returns
+ * @param {Array} items - The items that passed the filters
+ * @param {Object} [options]
+ * @param {boolean} [options.prices=false] - Also list every { category, price }, cheapest first
+ * @returns {{ count: number, sum: number|null, min: number|null, max: number|null,
+ *   categories: Array<{ category: string, count: number, sum: number, min: number, max: number }>,
+ *   prices?: Array<{ category: string, price: number }> }}
+ *   Categories in code point order. As in SQL, sum, min and max are null without items
+ */
+function aggregatePrices(items, { prices = false } = {}) {
+  const group = () => ({ count: 0, sum: null, min: null, max: null });
+  const add = (totals, price) => {
+    totals.count++;
+    totals.sum = totals.sum === null ? price : totals.sum + price;
+    totals.min = totals.min === null || price < totals.min ? price : totals.min;
+    totals.max = totals.max === null || price > totals.max ? price : totals.max;
+  };
+
+  const totals = group();
+  // Keyed by category, which is user data ("constructor", "__proto__"), so a Map
+  const byCategory = new Map();
+  for (const { category, price } of items) {
+    add(totals, price);
+    if (!byCategory.has(category)) {
+      byCategory.set(category, { category, ...group() });
+    }
+    add(byCategory.get(category), price);
+  }
+
+  const result = {
+    ...totals,
+    categories: [...byCategory.values()]
+      .sort((a, b) => (a.category < b.category ? -1 : a.category > b.category ? 1 : 0))
+  };
+  if (prices) {
+    result.prices = items
+      .map(({ category, price }) => ({ category, price }))
+      .sort((a, b) => a.price - b.price);
+  }
+  return result;
+}
+
+/**
+ * Compare two field values the way SQLite orders them with COLLATE NOCASE:
+ * numbers before strings, strings case-insensitively
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  const aIsNumber = typeof a === 'number';
+  const bIsNumber = typeof b === 'number';
+  if (aIsNumber !== bIsNumber) return aIsNumber ? -1 : 1;
+  if (aIsNumber) return a - b;
+
+  const aText = String(a).toLowerCase();
+  const bText = String(b).toLowerCase();
+  return aText < bText ? -1 : aText > bText ? 1 : 0;
+}
+
+/**
+ * Compare two items by several sort keys
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Array<{ field: string, direction: 'asc'|'desc' }>} sort
+ * @returns {number} Negative if `a` sorts first, positive if `b` does, 0 on a tie
+ */
+function compareItems(a, b, sort) {
+  for (const { field, direction } of sort) {
+    const result = compareValues(a[field], b[field]);
+    if (result !== 0) return direction === 'desc' ? -result : result;
+  }
+  return 0;
+}
+
+/**
+ * Sort items by several keys. Ties keep their original (insertion) order.
+ * @param {Array} items
+ * @param {Array<{ field: string, direction: 'asc'|'desc' }>} sort
+ * @returns {Array} A new, sorted array
+ */
+function sortItems(items, sort) {
+  if (!sort || sort.length === 0) return items;
+  return [...items].sort((a, b) => compareItems(a, b, sort));
+}
+
+module.exports = { SORT_FIELDS, DELETED_MODES, matchesFilters, aggregatePrices, compareItems, sortItems };
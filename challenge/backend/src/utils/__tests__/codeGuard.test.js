@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findDynamicCode } = require('../codeGuard');
+
+describe('codeGuard', () => {
+  describe('findDynamicCode', () => {
+    it.each([
+      ['eval("1 + 1")', 'eval'],
+      ['const f = new Function("a", "return a");', 'Function constructor'],
+      ['const f = Function("return this")();', 'Function constructor'],
+      ["new (Function.constructor)('require', code);", 'Function constructor'],
+      ["const run = (() => {}).constructor('return 1');", 'Function constructor via .constructor'],
+      ["const vm = require('vm');", 'vm module'],
+      ["setTimeout('doThing()', 10);", 'string timer callback']
+    ])('should flag %s', (source, reason) => {
+      expect(findDynamicCode(source)).toEqual({ reason, line: 1 });
+    });
+
+    it.each([
+      ['/* x */ eval(code);', 'eval'],
+      ['// a comment\n  * 2; new Function(code)', 'Function constructor'],
+      ["if (ok) /\\/*/.test(s); eval(code); //*/", 'eval'],
+      ['const note = "/*"; eval(code); // */', 'eval'],
+      ['/*\n * docs */ setTimeout("run()", 1);', 'string timer callback']
+    ])('should flag code that shares a line with a comment: %s', (source, reason) => {
+      expect(findDynamicCode(source)).toMatchObject({ reason });
+    });
+
+    it('should report the line of the first violation', () => {
+      const source = ['const a = 1;', '', 'eval(a);'].join('\n');
+      expect(findDynamicCode(source)).toEqual({ reason: 'eval', line: 3 });
+    });
+
+    it('should allow ordinary code and comments', () => {
+      const source = [
+        '// never call eval() here',
+        '/*',
+        ' * or new Function(...) either',
+        ' */',
+        'const url = "http://example.com/*"; // eval()',
+        'const pattern = /\\/\\*/; /* vm */',
+        'const retrieval = (x) => x;',
+        'retrieval(1);',
+        'setTimeout(() => {}, 10);',
+        'typeof fn === "function" && fn();'
+      ].join('\n');
+      expect(findDynamicCode(source)).toBeNull();
+    });
+  });
+
+  describe('installCodeGuard', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-guard-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    // Jest replaces Node's module loader, so exercise the guard in a real node process
+    const loadWithGuard = (file) => execFileSync(process.execPath, [
+      '-e',
+      `require(${JSON.stringify(require.resolve('../codeGuard'))})` +
+        `.installCodeGuard({ root: ${JSON.stringify(root)} });` +
+        `console.log(require(${JSON.stringify(file)}));`
+    ], { encoding: 'utf-8', stdio: 'pipe' });
+
+    it('should refuse to load a module that evaluates strings', () => {
+      const file = path.join(root, 'bad.js');
+      fs.writeFileSync(file, 'module.exports = (code) => eval(code);\n');
+
+      expect(() => loadWithGuard(file)).toThrow('Refusing to load bad.js: eval at line 1');
+    });
+
+    it('should load safe modules normally', () => {
+      const file = path.join(root, 'good.js');
+      fs.writeFileSync(file, 'module.exports = 42;\n');
+
+      expect(loadWithGuard(file).trim()).toBe('42');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { parseCsv, toCsvLine } = require('../csv');
+
+describe('csv utils', () => {
+  describe('parseCsv', () => {
+    it('should split records and fields', () => {
+      expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([
+        { line: 1, values: ['a', 'b', 'c'] },
+        { line: 2, values: ['1', '2', '3'] }
+      ]);
+    });
+
+    it('should read quoted fields with commas, quotes and line breaks', () => {
+      const records = parseCsv('name,note\r\n"Desk, oak","say ""hi""\nthere"\r\nLamp,\r\n');
+
+      expect(records.map(r => r.values)).toEqual([
+        ['name', 'note'],
+        ['Desk, oak', 'say "hi"\nthere'],
+        ['Lamp', '']
+      ]);
+      // Line numbers count the line break inside the quoted field
+      expect(records.map(r => r.line)).toEqual([1, 2, 4]);
+    });
+
+    it('should skip blank lines and a byte order mark', () => {
+      expect(parseCsv('﻿a\n\n""\nb').map(r => r.values)).toEqual([['a'], [''], ['b']]);
+    });
+
+    it('should reject malformed quoting', () => {
+      expect(() => parseCsv('"open\n')).toThrow('Unterminated quoted field starting on line 1');
+      expect(() => parseCsv('"a"b,c')).toThrow(expect.objectContaining({ status: 400, code: 'CSV_PARSE_ERROR' }));
+    });
+  });
+
+  describe('toCsvLine', () => {
+    it('should quote only fields that need it', () => {
+      expect(toCsvLine([1, 'Desk, oak', 'say "hi"', null, 2.5])).toBe('1,"Desk, oak","say ""hi""",,2.5\r\n');
+    });
+
+    it('should round-trip through parseCsv', () => {
+      const values = ['multi\nline', '"quoted"', 'plain', '', '=1+1', "'quoted'"];
+      expect(parseCsv(toCsvLine(values))[0].values).toEqual(values);
+    });
+
+    it('should round-trip values that start with the escaping quote', () => {
+      const values = ["'=x", "''+1", "'plain", "'"];
+      const line = toCsvLine(values);
+
+      expect(line).toBe("''=x,'''+1,''plain,''\r\n");
+      expect(parseCsv(line)[0].values).toEqual(values);
+    });
+
+    it('should keep text that starts like a formula from running in a spreadsheet', () => {
+      expect(toCsvLine(['=HYPERLINK("http://x")', '+1', '-1', '@SUM(A1)', '\tTab', 'a=b', -5]))
+        .toBe(`"'=HYPERLINK(""http://x"")",'+1,'-1,'@SUM(A1),'\tTab,a=b,-5\r\n`);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { sum, mean, min, max, median, percentile, stdDev, histogram } = require('../stats');
+
+describe('stats utils', () => {
+  describe('sum / mean / min / max', () => {
+    it('should aggregate values', () => {
+      expect(sum([1, 2, 3.5])).toBe(6.5);
+      expect(mean([2, 4, 9])).toBe(5);
+      expect(min([3, -1, 2])).toBe(-1);
+      expect(max([3, -1, 2])).toBe(3);
+    });
+
+    it('should handle empty input', () => {
+      expect(sum([])).toBe(0);
+      expect(mean([])).toBeNull();
+      expect(min([])).toBeNull();
+      expect(max([])).toBeNull();
+    });
+
+    it('should handle arrays too large to spread into Math.min', () => {
+      const values = Array.from({ length: 200000 }, (_, i) => i);
+      expect(min(values)).toBe(0);
+      expect(max(values)).toBe(199999);
+    });
+  });
+
+  describe('median', () => {
+    it('should take the middle value, or the mean of the two middle values', () => {
+      expect(median([5, 1, 3])).toBe(3);
+      expect(median([4, 1, 3, 2])).toBe(2.5);
+      expect(median([])).toBeNull();
+    });
+
+    it('should not reorder the input', () => {
+      const values = [3, 1, 2];
+      median(values);
+      expect(values).toEqual([3, 1, 2]);
+    });
+  });
+
+  describe('percentile', () => {
+    it('should interpolate linearly between the closest ranks', () => {
+      const values = [15, 20, 35, 40, 50];
+      expect(percentile(values, 0)).toBe(15);
+      expect(percentile(values, 40)).toBe(29);
+      expect(percentile(values, 90)).toBeCloseTo(46);
+      expect(percentile(values, 100)).toBe(50);
+    });
+
+    it('should return the only value for a single-element array', () => {
+      expect(percentile([7], 99)).toBe(7);
+    });
+
+    it('should reject percentiles outside 0-100', () => {
+      expect(() => percentile([1], 101)).toThrow(RangeError);
+    });
+  });
+
+  describe('stdDev', () => {
+    it('should compute the population standard deviation by default', () => {
+      expect(stdDev([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    });
+
+    it('should compute the sample standard deviation on request', () => {
+      expect(stdDev([1, 2, 3, 4], { sample: true })).toBeCloseTo(1.2910, 4);
+      expect(stdDev([1], { sample: true })).toBeNull();
+    });
+  });
+
+  describe('histogram', () => {
+    it('should split the range into equal-width buckets', () => {
+      expect(histogram([0, 1, 2, 5, 9, 10], 2)).toEqual([
+        { min: 0, max: 5, count: 3 },
+        { min: 5, max: 10, count: 3 }
+      ]);
+    });
+
+    it('should use explicit edges and skip values outside them', () => {
+      expect(histogram([5, 50, 100, 150, 2000], [0, 100, 1000])).toEqual([
+        { min: 0, max: 100, count: 2 },
+        { min: 100, max: 1000, count: 2 }
+      ]);
+    });
+
+    it('should put identical values in a single bucket', () => {
+      expect(histogram([3, 3, 3], 4)).toEqual([{ min: 3, max: 3, count: 3 }]);
+    });
+
+    it('should return no buckets for no values', () => {
+      expect(histogram([], 5)).toEqual([]);
+    });
+
+    it('should reject invalid bucket settings', () => {
+      expect(() => histogram([1], 0)).toThrow(RangeError);
+      expect(() => histogram([1], [10, 5])).toThrow(RangeError);
+    });
+  });
+});
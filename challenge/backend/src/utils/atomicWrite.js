@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+/**
+ * Path of a unique temp file next to `filePath` (same directory, so rename is atomic)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+}
+
+/**
+ * Copy a file to `destPath` atomically. A missing source is ignored.
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @returns {Promise<boolean>} Whether a copy was made
+ */
+async function copyFileAtomic(srcPath, destPath) {
+  const tmpPath = tempPathFor(destPath);
+  try {
+    await fs.copyFile(srcPath, tmpPath);
+    await fs.rename(tmpPath, destPath);
+    return true;
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+/**
+ * Keep the current version of `filePath` as `backupPath` before it is replaced.
+ * Hard-links the current file (no copy); the rename that follows gives
+ * `filePath` a new inode, so the link keeps pointing at the previous version.
+ * Falls back to copying on filesystems without hard links.
+ * @param {string} filePath
+ * @param {string} backupPath
+ * @param {number} [attempts=3]
+ * @returns {Promise<void>}
+ */
+async function backupFile(filePath, backupPath, attempts = 3) {
+  await fs.rm(backupPath, { force: true });
+  try {
+    await fs.link(filePath, backupPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    // Another writer (e.g. a second process) recreated the backup in between
+    if (err.code === 'EEXIST' && attempts > 1) return backupFile(filePath, backupPath, attempts - 1);
+    if (err.code !== 'EPERM' && err.code !== 'ENOTSUP' && err.code !== 'EXDEV') throw err;
+    await copyFileAtomic(filePath, backupPath);
+  }
+}
+
+/**
+ * Replace a file atomically: write a temp file, fsync it, then rename it over
+ * the target. Readers see either the old or the new contents, never a
+ * truncated file, even if the process crashes mid-write.
+ *
+ * @param {string} filePath - File to replace
+ * @param {string|Buffer} contents
+ * @param {Object} [options]
+ * @param {string} [options.backupPath] - Keep a copy of the previous file here
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, contents, { backupPath } = {}) {
+  const tmpPath = tempPathFor(filePath);
+
+  try {
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(contents, typeof contents === 'string' ? 'utf-8' : undefined);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (backupPath) {
+      await backupFile(filePath, backupPath);
+    }
+
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { writeFileAtomic, copyFileAtomic };
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const acorn = require('acorn');
+
+/**
+ * Constructs that turn strings into executable code.
+ * None of our own modules has a legitimate reason to use them.
+ */
+const DYNAMIC_CODE_PATTERNS = [
+  { pattern: /\beval\s*\(/, reason: 'eval' },
+  { pattern: /\bnew\s+\(?\s*Function\b/, reason: 'Function constructor' },
+  { pattern: /(^|[^.\w$])Function\s*\(/, reason: 'Function constructor' },
+  { pattern: /\.constructor\s*\)?\s*\(\s*['"`]/, reason: 'Function constructor via .constructor' },
+  { pattern: /\bFunction\.constructor\b/, reason: 'Function constructor via .constructor' },
+  { pattern: /\brequire\s*\(\s*['"](node:)?vm['"]\s*\)/, reason: 'vm module' },
+  { pattern: /\bset(Timeout|Interval|Immediate)\s*\(\s*['"`]/, reason: 'string timer callback' }
+];
+
+/**
+ * Blank out comments, keeping line breaks so line numbers don't move. Goes
+ * by acorn's tokenizer, so a // or /* inside a string, template or regular
+ * expression isn't taken for a comment, and code after a comment on the
+ * same line is kept
+ * @param {string} source
+ * @returns {string} The source without comments, or unchanged if it doesn't
+ *   tokenize (comments are then checked like code)
+ */
+function stripComments(source) {
+  const comments = [];
+  try {
+    // Reading every token is what reports the comments
+    Array.from(acorn.tokenizer(source, {
+      ecmaVersion: 'latest',
+      allowHashBang: true,
+      onComment: (block, text, start, end) => comments.push({ start, end })
+    }));
+  } catch (err) {
+    return source;
+  }
+
+  let code = '';
+  let position = 0;
+  for (const { start, end } of comments) {
+    code += source.slice(position, start) + source.slice(start, end).replace(/[^\n]/g, ' ');
+    position = end;
+  }
+  return code + source.slice(position);
+}
+
+/**
+ * Scan JavaScript source for string-to-code evaluation. Comments are left
+ * out, so documentation can mention these constructs
+ * @param {string} source - Module source text
+ * @returns {{ reason: string, line: number } | null} First violation found, if any
+ */
+function findDynamicCode(source) {
+  const lines = stripComments(source).split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    for (const { pattern, reason } of DYNAMIC_CODE_PATTERNS) {
+      if (pattern.test(line)) {
+        return { reason, line: i + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Throw if the given file evaluates strings as code.
+ * @param {string} filename - Absolute path of the module
+ * @param {string} root - Project root, used for readable messages
+ */
+function assertSafeModule(filename, root) {
+  const violation = findDynamicCode(fs.readFileSync(filename, 'utf-8'));
+  if (violation) {
+    const err = new Error(
+      `Refusing to load ${path.relative(root, filename)}: ${violation.reason} at line ${violation.line}`
+    );
+    err.code = 'DYNAMIC_CODE_REJECTED';
+    throw err;
+  }
+}
+
+/**
+ * Install a startup guard that refuses to load any of our own modules that
+ * evaluate strings as code. Must run before the rest of the app is required.
+ *
+ * Only files under `root` (excluding node_modules) are checked; modules that
+ * were already loaded when the guard is installed are checked immediately.
+ *
+ * @param {Object} options
+ * @param {string} options.root - Directory whose modules are checked
+ * @returns {Function} Uninstall function restoring the default loader
+ */
+function installCodeGuard({ root }) {
+  const isOwnModule = (filename) =>
+    filename.startsWith(root + path.sep) &&
+    !filename.includes(`${path.sep}node_modules${path.sep}`);
+
+  Object.keys(require.cache)
+    .filter(isOwnModule)
+    .forEach(filename => assertSafeModule(filename, root));
+
+  const defaultLoader = Module._extensions['.js'];
+  Module._extensions['.js'] = function guardedLoader(module, filename) {
+    if (isOwnModule(filename)) {
+      assertSafeModule(filename, root);
+    }
+    return defaultLoader(module, filename);
+  };
+
+  return () => {
+    Module._extensions['.js'] = defaultLoader;
+  };
+}
+
+module.exports = { findDynamicCode, installCodeGuard };
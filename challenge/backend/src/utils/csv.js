@@ -0,0 +1,126 @@
+/**
+ * CSV reading and writing (RFC 4180): comma separated, fields quoted with
+ * double quotes when they contain a comma, quote or line break, quotes
+ * doubled inside quoted fields.
+ *
+ * Text fields that a spreadsheet would run as a formula (starting with =, +,
+ * -, @, tab or carriage return) are written with a leading ' and read back
+ * without it. So are fields that already start with ', so a value stored
+ * as '=x comes back as '=x, not =x.
+ */
+
+// First characters that make a spreadsheet treat a cell as a formula, and
+// the ' that escapes them
+const ESCAPED_START = /^['=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into records. Accepts LF or CRLF line endings and a leading
+ * byte order mark; blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<{ line: number, values: string[] }>} Each record with the
+ *   1-based line it starts on
+ * @throws {Error} 400 CSV_PARSE_ERROR for a quoted field that never ends or
+ *   text after a closing quote
+ */
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  // Whether the current record had a quoted field, so "" isn't taken for a blank line
+  let recordQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(unescapeFormula(field));
+    if (values.length > 1 || values[0] !== '' || recordQuoted) {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+    recordQuoted = false;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+        const next = input[i + 1];
+        if (next !== undefined && next !== ',' && next !== '\n' && next !== '\r') {
+          throw csvError(`Unexpected text after a closing quote on line ${line}`);
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+      recordQuoted = true;
+    } else if (char === ',') {
+      values.push(unescapeFormula(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw csvError(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Undo the ' that toCsvLine puts before a field starting like a formula (or
+ * with a ')
+ * @param {string} field
+ * @returns {string}
+ */
+function unescapeFormula(field) {
+  return field[0] === "'" && ESCAPED_START.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} 400 CSV_PARSE_ERROR
+ */
+function csvError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'CSV_PARSE_ERROR';
+  return err;
+}
+
+/**
+ * Format one CSV record, ending in CRLF. null and undefined become empty
+ * fields; strings starting like a formula get a leading ' so spreadsheets
+ * show them as text, and so do strings starting with ' so that parseCsv
+ * only removes the ones added here
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function toCsvLine(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && ESCAPED_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvLine };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Without api.cursorSecret (only allowed outside production), cursors are
+// only valid for the lifetime of the process
+const SECRET = config.api.cursorSecret || crypto.randomBytes(32).toString('hex');
+
+/**
+ * HMAC of the encoded payload, base64url
+ * @param {string} body
+ * @returns {string}
+ */
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+}
+
+/**
+ * Build the 400 error for a cursor we did not issue or can't use
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidCursor(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_CURSOR';
+  return err;
+}
+
+/**
+ * Encode a pagination position as an opaque, signed cursor.
+ * The payload is readable by anyone (base64url JSON) but can't be forged.
+ * @param {Object} payload - JSON-serializable position
+ * @returns {string} `<payload>.<signature>`
+ */
+function encodeCursor(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify and decode a cursor produced by encodeCursor()
+ * @param {string} cursor
+ * @returns {Object} The original payload
+ * @throws {Error} 400 INVALID_CURSOR if it is malformed or the signature doesn't match
+ */
+function decodeCursor(cursor) {
+  const [body, signature, ...rest] = typeof cursor === 'string' ? cursor.split('.') : [];
+  if (!body || !signature || rest.length > 0) {
+    throw invalidCursor('Malformed cursor');
+  }
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw invalidCursor('Invalid cursor signature');
+  }
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+  } catch (err) {
+    throw invalidCursor('Malformed cursor');
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,33 @@
+const fs = require('fs').promises;
+
+/**
+ * Version key for a file's stat; changes whenever the file is rewritten
+ * @param {fs.Stats} stat
+ * @returns {string}
+ */
+function statKey(stat) {
+  return `${stat.mtimeMs}:${stat.size}`;
+}
+
+/**
+ * Read a file together with the version key of exactly those contents.
+ * Re-reads if the file changed while it was being read, so a writer that
+ * truncates and then writes can't leave us with a key for the wrong contents.
+ *
+ * @param {string} filePath
+ * @param {number} [maxAttempts=5]
+ * @returns {Promise<{ raw: string, key: string }>}
+ */
+async function readSnapshot(filePath, maxAttempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    const before = await fs.stat(filePath);
+    const raw = await fs.readFile(filePath, 'utf-8');
+    const after = await fs.stat(filePath);
+
+    if (statKey(before) === statKey(after) || attempt >= maxAttempts) {
+      return { raw, key: statKey(after) };
+    }
+  }
+}
+
+module.exports = { statKey, readSnapshot };
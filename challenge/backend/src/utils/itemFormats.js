@@ -0,0 +1,161 @@
+const { parseCsv, toCsvLine } = require('./csv');
+const { validationError } = require('./validation');
+
+/**
+ * Formats GET /api/items/export can write
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Upload content types POST /api/items/import reads, and their format
+ */
+const IMPORT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// Exported columns, in order; deletedAt is added when trashed items are included
+const COLUMNS = ['id', 'name', 'category', 'price'];
+
+/**
+ * The stored fields of an item, without search annotations (_score, _highlights)
+ * @param {Object} item
+ * @returns {Object}
+ */
+function exportedItem(item) {
+  return Object.fromEntries(Object.entries(item).filter(([key]) => !key.startsWith('_')));
+}
+
+/**
+ * Serializer for an export: the text before, for and between items, and after
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} [options]
+ * @param {boolean} [options.withDeleted=false] - Add a deletedAt column (csv)
+ * @returns {{ head: string, item: Function, separator: string, tail: string }}
+ */
+function exportSerializer(format, { withDeleted = false } = {}) {
+  switch (format) {
+    case 'csv': {
+      const columns = withDeleted ? [...COLUMNS, 'deletedAt'] : COLUMNS;
+      return {
+        head: toCsvLine(columns),
+        item: item => toCsvLine(columns.map(column => item[column])),
+        separator: '',
+        tail: ''
+      };
+    }
+    case 'ndjson':
+      return { head: '', item: item => `${JSON.stringify(exportedItem(item))}\n`, separator: '', tail: '' };
+    default:
+      return { head: '[', item: item => JSON.stringify(exportedItem(item)), separator: ',', tail: ']\n' };
+  }
+}
+
+/**
+ * Read the optional id of an imported row: blank for a new item, otherwise
+ * the item to replace. Numeric strings become numbers (see parseId)
+ * @param {*} raw
+ * @returns {{ id?: number|string, error?: string }}
+ */
+function importedId(raw) {
+  if (raw === undefined || raw === null || raw === '') return {};
+  if (typeof raw === 'number' && Number.isInteger(raw)) return { id: raw };
+  if (typeof raw === 'string' && raw.trim() !== '') {
+    const id = raw.trim();
+    return { id: /^\d+$/.test(id) ? Number(id) : id };
+  }
+  return { error: 'id must be an integer or a non-empty string (leave it empty to create an item)' };
+}
+
+/**
+ * Rows of an uploaded CSV file. The header names the columns (any order,
+ * case-insensitive); name, category and price are required, id is optional
+ * and unknown columns are ignored
+ * @param {string} text
+ * @returns {Array<{ row: number, line: number, id?: number|string, input: Object, errors: Array }>}
+ * @throws {Error} 400 when the header is missing columns or the file isn't valid CSV
+ */
+function parseCsvRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.values.map(name => name.trim().toLowerCase());
+  const missing = ['name', 'category', 'price'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw validationError([{
+      field: null,
+      message: `The CSV header must name the columns name, category and price (missing: ${missing.join(', ')})`
+    }]);
+  }
+
+  return records.map(({ line, values }, i) => {
+    const row = { row: i + 1, line, input: {}, errors: [] };
+    if (values.length !== columns.length) {
+      row.errors.push({ field: null, message: `Expected ${columns.length} fields, found ${values.length}` });
+      return row;
+    }
+
+    const raw = Object.fromEntries(columns.map((column, j) => [column, values[j]]));
+    const { id, error } = importedId(raw.id);
+    if (error) row.errors.push({ field: 'id', message: error });
+    row.id = id;
+    row.input = {
+      name: raw.name,
+      category: raw.category,
+      // Blank is missing; anything else must be a number
+      price: raw.price.trim() === '' ? undefined : Number(raw.price)
+    };
+    return row;
+  });
+}
+
+/**
+ * Rows of an uploaded NDJSON file: one JSON object per line, blank lines skipped
+ * @param {string} text
+ * @returns {Array<{ row: number, line: number, id?: number|string, input: Object, errors: Array }>}
+ */
+function parseNdjsonRows(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((content, i) => {
+    if (content.trim() === '') return;
+
+    const row = { row: rows.length + 1, line: i + 1, input: {}, errors: [] };
+    rows.push(row);
+
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (err) {
+      row.errors.push({ field: null, message: `Invalid JSON: ${err.message}` });
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      row.errors.push({ field: null, message: 'Each line must be a JSON object' });
+      return;
+    }
+
+    const { id, error } = importedId(value.id);
+    if (error) row.errors.push({ field: 'id', message: error });
+    row.id = id;
+    row.input = value;
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded file into rows to validate
+ * @param {string} text
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {Array<{ row: number, line: number, id?: number|string, input: Object, errors: Array }>}
+ *   `row` counts items from 1, `line` is where the row starts in the file
+ */
+function parseImportRows(text, format) {
+  return format === 'csv' ? parseCsvRows(text) : parseNdjsonRows(text);
+}
+
+module.exports = { EXPORT_FORMATS, IMPORT_TYPES, exportSerializer, parseImportRows };
@@ -0,0 +1,177 @@
+const { SORT_FIELDS } = require('../store/query');
+const { validationError } = require('./validation');
+
+// Items per page of GET /api/items when ?limit= isn't given, and the most it allows
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Flatten a query value that may be repeated (?a=1&a=2) into a list of strings.
+ * Returns null for nested values such as ?a[b]=1.
+ * @param {*} value
+ * @returns {string[]|null}
+ */
+function toStringList(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.every(v => typeof v === 'string') ? values : null;
+}
+
+/**
+ * Parse `sort=price,-name` into sort keys
+ * @param {*} raw
+ * @param {Array} errors - Collects field errors
+ * @returns {Array<{ field: string, direction: 'asc'|'desc' }>}
+ */
+function parseSort(raw, errors) {
+  const allowed = `allowed fields: ${SORT_FIELDS.join(', ')}`;
+  const values = toStringList(raw);
+  if (!values) {
+    errors.push({ field: 'sort', message: `sort must be a comma-separated list of fields (${allowed})` });
+    return [];
+  }
+
+  const sort = [];
+  for (const token of values.join(',').split(',')) {
+    const key = token.trim();
+    if (!key) continue;
+
+    const direction = key.startsWith('-') ? 'desc' : 'asc';
+    const field = key.replace(/^[-+]/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      errors.push({ field: 'sort', message: `Cannot sort by "${field}" (${allowed}; prefix with - for descending)` });
+      continue;
+    }
+    sort.push({ field, direction });
+  }
+  return sort;
+}
+
+/**
+ * Parse a price bound
+ * @param {*} raw
+ * @param {string} name - Parameter name, for the error message
+ * @param {Array} errors - Collects field errors
+ * @returns {number|undefined}
+ */
+function parsePrice(raw, name, errors) {
+  if (raw === undefined) return undefined;
+
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+  if (!Number.isFinite(value) || value < 0) {
+    errors.push({ field: name, message: `${name} must be a non-negative number` });
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Parse a whole number parameter
+ * @param {*} raw
+ * @param {number} min
+ * @param {number} max
+ * @returns {number|undefined} undefined unless it is an integer in [min, max]
+ */
+function parseInteger(raw, min, max) {
+  const value = typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : NaN;
+  return Number.isSafeInteger(value) && value >= min && value <= max ? value : undefined;
+}
+
+/**
+ * Parse `page` (1-based, default 1) and `limit` (1-100, default 10)
+ * @param {Object} query - req.query
+ * @param {Array} errors - Collects field errors
+ * @returns {{ page: number, limit: number }}
+ */
+function parsePagination(query, errors) {
+  const page = query.page === undefined ? 1 : parseInteger(query.page, 1, Number.MAX_SAFE_INTEGER);
+  if (page === undefined) {
+    errors.push({ field: 'page', message: 'page must be a positive integer' });
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInteger(query.limit, 1, MAX_LIMIT);
+  if (limit === undefined) {
+    errors.push({ field: 'limit', message: `limit must be an integer from 1 to ${MAX_LIMIT}` });
+  }
+  return { page, limit };
+}
+
+// ?includeDeleted= values, and the store's `deleted` mode for each
+const INCLUDE_DELETED = {
+  false: 'exclude',
+  true: 'include',
+  only: 'only'
+};
+
+/**
+ * Parse `includeDeleted`: false (default), true (trashed items too) or only
+ * (just the trash)
+ * @param {*} raw
+ * @param {Array} errors - Collects field errors
+ * @returns {string} 'exclude', 'include' or 'only' (see DELETED_MODES)
+ */
+function parseIncludeDeleted(raw, errors) {
+  if (raw === undefined) return 'exclude';
+
+  if (typeof raw !== 'string' || !Object.prototype.hasOwnProperty.call(INCLUDE_DELETED, raw)) {
+    errors.push({ field: 'includeDeleted', message: 'includeDeleted must be true, false or only' });
+    return 'exclude';
+  }
+  return INCLUDE_DELETED[raw];
+}
+
+/**
+ * Parse the search, sorting and filter parameters of GET /api/items:
+ * - q: search query
+ * - sort: comma-separated fields, `-` prefix for descending (e.g. `price,-name`)
+ * - category: exact category, case-insensitive; repeat for several
+ * - minPrice / maxPrice: inclusive price bounds
+ * - includeDeleted: true, false or only (see parseIncludeDeleted)
+ * - page / limit, when `paginated`: see parsePagination
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.paginated=false] - Also parse page and limit
+ * @returns {{ q?: string, sort: Array, categories: string[], minPrice?: number, maxPrice?: number,
+ *   deleted: string, page?: number, limit?: number }}
+ * @throws {Error} 400 VALIDATION_ERROR listing every bad parameter
+ */
+function parseListQuery(query, { paginated = false } = {}) {
+  const errors = [];
+  const pagination = paginated ? parsePagination(query, errors) : {};
+
+  if (query.q !== undefined && typeof query.q !== 'string') {
+    errors.push({ field: 'q', message: 'q must be a single search string' });
+  }
+
+  const sort = parseSort(query.sort, errors);
+
+  const categories = toStringList(query.category);
+  if (!categories) {
+    errors.push({ field: 'category', message: 'category must be a string (repeat it to filter by several)' });
+  }
+
+  const minPrice = parsePrice(query.minPrice, 'minPrice', errors);
+  const maxPrice = parsePrice(query.maxPrice, 'maxPrice', errors);
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push({ field: 'maxPrice', message: 'maxPrice must be greater than or equal to minPrice' });
+  }
+
+  const deleted = parseIncludeDeleted(query.includeDeleted, errors);
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  return {
+    q: query.q,
+    sort,
+    categories: categories.map(c => c.trim()).filter(Boolean),
+    minPrice,
+    maxPrice,
+    deleted,
+    ...pagination
+  };
+}
+
+module.exports = { parseListQuery, parseIncludeDeleted, toStringList };
@@ -0,0 +1,23 @@
+/**
+ * In-process async mutex.
+ * Callers queue up in FIFO order; a failing task does not block the queue.
+ */
+class Mutex {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Run `task` once every previously queued task has settled
+   * @param {Function} task - Async function to run exclusively
+   * @returns {Promise<*>} Resolves/rejects with the task's result
+   */
+  runExclusive(task) {
+    const result = this.tail.then(() => task());
+    // Keep the chain alive regardless of how this task ends
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = Mutex;
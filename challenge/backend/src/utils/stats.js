@@ -1,6 +1,138 @@
-// Utility intentionally unused by routes (candidate should refactor)
-function mean(arr) {
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+/**
+ * Descriptive statistics over arrays of numbers.
+ * Functions that need at least one value return null for an empty array.
+ */
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function mean(values) {
+  return values.length === 0 ? null : sum(values) / values.length;
+}
+
+/**
+ * Smallest value (reduce rather than Math.min(...values), which overflows the
+ * call stack for very large arrays)
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function min(values) {
+  return values.length === 0 ? null : values.reduce((a, b) => (b < a ? b : a));
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function max(values) {
+  return values.length === 0 ? null : values.reduce((a, b) => (b > a ? b : a));
+}
+
+/**
+ * Ascending copy, so callers' arrays are never reordered
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function sorted(values) {
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Percentile by linear interpolation between the closest ranks
+ * (the same method as Excel's PERCENTILE.INC and NumPy's default)
+ * @param {number[]} values
+ * @param {number} p - Between 0 and 100
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+  if (p < 0 || p > 100) {
+    throw new RangeError(`Percentile must be between 0 and 100, got ${p}`);
+  }
+  if (values.length === 0) return null;
+
+  const ordered = sorted(values);
+  const rank = (p / 100) * (ordered.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return ordered[lower] + (ordered[upper] - ordered[lower]) * (rank - lower);
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Standard deviation
+ * @param {number[]} values
+ * @param {Object} [options]
+ * @param {boolean} [options.sample=false] - Sample (n - 1) instead of population (n)
+ * @returns {number|null}
+ */
+function stdDev(values, { sample = false } = {}) {
+  const n = values.length;
+  if (n === 0 || (sample && n < 2)) return null;
+
+  const avg = mean(values);
+  const squares = sum(values.map(v => (v - avg) ** 2));
+  return Math.sqrt(squares / (sample ? n - 1 : n));
+}
+
+/**
+ * Count values into buckets.
+ *
+ * `buckets` is either a bucket count (equal widths between the smallest and
+ * largest value) or ascending edges such as [0, 100, 500, 1000]. Buckets
+ * include their lower bound; the last one also includes its upper bound.
+ * With explicit edges, values outside them are not counted.
+ *
+ * @param {number[]} values
+ * @param {number|number[]} [buckets=5]
+ * @returns {Array<{ min: number, max: number, count: number }>}
+ */
+function histogram(values, buckets = 5) {
+  let edges;
+  if (Array.isArray(buckets)) {
+    if (buckets.length < 2 || buckets.some((edge, i) => i > 0 && edge <= buckets[i - 1])) {
+      throw new RangeError('Histogram edges must be at least two ascending numbers');
+    }
+    edges = buckets;
+  } else {
+    if (!Number.isInteger(buckets) || buckets < 1) {
+      throw new RangeError(`Histogram bucket count must be a positive integer, got ${buckets}`);
+    }
+    if (values.length === 0) return [];
+
+    const low = min(values);
+    const high = max(values);
+    // All values equal: one bucket holding them all
+    const count = high === low ? 1 : buckets;
+    const width = (high - low) / count;
+    edges = Array.from({ length: count + 1 }, (_, i) => (i === count ? high : low + i * width));
+  }
+
+  const result = edges.slice(0, -1).map((edge, i) => ({ min: edge, max: edges[i + 1], count: 0 }));
+  const last = result.length - 1;
+  for (const value of values) {
+    if (value < edges[0] || value > edges[edges.length - 1]) continue;
+    // First bucket whose upper bound lies above the value (the last one is closed)
+    let i = result.findIndex(bucket => value < bucket.max);
+    if (i === -1) i = last;
+    result[i].count++;
+  }
+  return result;
 }
 
-module.exports = { mean };
\ No newline at end of file
+module.exports = { sum, mean, min, max, median, percentile, stdDev, histogram };
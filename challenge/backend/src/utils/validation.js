@@ -0,0 +1,140 @@
+/**
+ * Minimal schema validator shared by the write routes.
+ *
+ * A schema maps field names to rules:
+ * - type: 'string' | 'number'
+ * - required: field must be present (ignored in partial mode)
+ * - trim: trim strings before checking/returning them
+ * - nonEmpty: strings must not be empty (after trimming)
+ * - min: numbers must be >= min
+ * - message: error message reported for the field
+ */
+
+/**
+ * Rules for item payloads (POST/PUT/PATCH /api/items)
+ */
+const itemSchema = {
+  name: {
+    type: 'string',
+    required: true,
+    trim: true,
+    nonEmpty: true,
+    message: 'Name is required and must be a non-empty string'
+  },
+  category: {
+    type: 'string',
+    required: true,
+    trim: true,
+    nonEmpty: true,
+    message: 'Category is required and must be a non-empty string'
+  },
+  price: {
+    type: 'number',
+    required: true,
+    min: 0,
+    message: 'Price is required and must be a non-negative number'
+  }
+};
+
+/**
+ * Check a single value against its rule
+ * @param {*} value - Raw input value
+ * @param {Object} rule - Field rule
+ * @returns {{ ok: boolean, value: * }} Whether it passed and the sanitized value
+ */
+function checkField(value, rule) {
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return { ok: false };
+    const str = rule.trim ? value.trim() : value;
+    if (rule.nonEmpty && str.length === 0) return { ok: false };
+    return { ok: true, value: str };
+  }
+
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return { ok: false };
+    if (rule.min !== undefined && value < rule.min) return { ok: false };
+    return { ok: true, value };
+  }
+
+  return { ok: false };
+}
+
+/**
+ * Validate input against a schema, collecting every field error
+ * @param {Object} schema - Field rules
+ * @param {Object} input - Raw input (usually req.body)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate fields that are present (PATCH)
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }}
+ */
+function validate(schema, input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      value: {},
+      errors: [{ field: null, message: 'Request body must be a JSON object' }]
+    };
+  }
+
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const present = input[field] !== undefined;
+
+    if (!present) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: rule.message });
+      }
+      continue;
+    }
+
+    const result = checkField(input[field], rule);
+    if (result.ok) {
+      value[field] = result.value;
+    } else {
+      errors.push({ field, message: rule.message });
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({
+      field: null,
+      message: `At least one of ${Object.keys(schema).join(', ')} must be provided`
+    });
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate input and throw a 400 listing every field error
+ * @param {Object} schema - Field rules
+ * @param {Object} input - Raw input
+ * @param {Object} [options] - See validate()
+ * @returns {Object} Sanitized value containing only schema fields
+ * @throws {Error} 400 error with `code` VALIDATION_ERROR and `details`
+ */
+function assertValid(schema, input, options) {
+  const { value, errors } = validate(schema, input, options);
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  return value;
+}
+
+/**
+ * Build the 400 error reported for a list of field errors
+ * @param {Array<{ field: string, message: string }>} errors
+ * @returns {Error} With status 400, code VALIDATION_ERROR and `details`
+ */
+function validationError(errors) {
+  const err = new Error(errors.map(e => e.message).join('; '));
+  err.status = 400;
+  err.code = 'VALIDATION_ERROR';
+  err.details = errors;
+  return err;
+}
+
+module.exports = { itemSchema, validate, assertValid, validationError };
@@ -2,17 +2,72 @@ import React from 'react';
 import { Routes, Route, Link } from 'react-router-dom';
 import Items from './Items';
 import ItemDetail from './ItemDetail';
-import { DataProvider } from '../state/DataContext';
+import NewItem from './NewItem';
+import Stats from './Stats';
+import Trash from './Trash';
+import Login from './Login';
+import RequireRole from './RequireRole';
+import { DataProvider, useData } from '../state/DataContext';
+import { hasRole } from '../utils/auth';
+
+/**
+ * Signed-in user and logout button, or a login link
+ */
+function AccountNav() {
+  const { user, logout } = useData();
+
+  if (!user) {
+    return (
+      <span className="nav-account">
+        <Link to="/login">Log in</Link>
+      </span>
+    );
+  }
+
+  return (
+    <span className="nav-account">
+      <span className="nav-user">{user.username} ({user.role})</span>
+      <button onClick={logout} className="logout-button">Log out</button>
+    </span>
+  );
+}
+
+/**
+ * Link to the trash, for admins only
+ */
+function TrashNav() {
+  const { user } = useData();
+  return hasRole(user, 'admin') ? <Link to="/trash">Trash</Link> : null;
+}
 
 function App() {
   return (
     <DataProvider>
       <nav style={{padding: 16, borderBottom: '1px solid #ddd'}}>
         <Link to="/">Items</Link>
+        <Link to="/stats">Stats</Link>
+        <TrashNav />
+        <AccountNav />
       </nav>
       <Routes>
-        <Route path="/" element={<Items />} />
-        <Route path="/items/:id" element={<ItemDetail />} />
+        <Route path="/" element={<RequireRole role="viewer"><Items /></RequireRole>} />
+        <Route path="/login" element={<Login />} />
+        <Route
+          path="/items/new"
+          element={<RequireRole role="editor"><NewItem /></RequireRole>}
+        />
+        <Route
+          path="/items/:id"
+          element={<RequireRole role="viewer"><ItemDetail /></RequireRole>}
+        />
+        <Route
+          path="/stats"
+          element={<RequireRole role="viewer"><Stats /></RequireRole>}
+        />
+        <Route
+          path="/trash"
+          element={<RequireRole role="admin"><Trash /></RequireRole>}
+        />
       </Routes>
     </DataProvider>
   );
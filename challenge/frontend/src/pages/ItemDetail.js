@@ -1,18 +1,163 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useData } from '../state/DataContext';
+import { fieldErrorsFromDetails } from '../utils/validation';
+import { hasRole } from '../utils/auth';
+import ItemForm from './ItemForm';
+
+const OPERATION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored',
+  purge: 'Purged'
+};
+
+/**
+ * Display a field value from an audit record
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return value === null || value === undefined ? '—' : String(value);
+}
+
+/**
+ * Revision list for an item, from its audit records
+ * @param {Object} props
+ * @param {number|string} props.itemId
+ * @param {number} props.version - Changes whenever the history should be reloaded
+ */
+function ItemHistory({ itemId, version }) {
+  const { fetchItemHistory } = useData();
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    fetchItemHistory(itemId, abortController.signal)
+      .then(data => {
+        setRevisions(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [fetchItemHistory, itemId, version]);
+
+  let body;
+  if (error) {
+    body = <p className="history-empty">Couldn't load the history: {error}</p>;
+  } else if (!revisions) {
+    body = <p className="history-empty">Loading…</p>;
+  } else if (revisions.length === 0) {
+    body = <p className="history-empty">No changes recorded since this item was added.</p>;
+  } else {
+    body = (
+      <ol className="history-list" reversed>
+        {[...revisions].reverse().map(revision => (
+          <li key={revision.id} className="history-entry">
+            <div className="history-meta">
+              <strong>
+                #{revision.revision} {OPERATION_LABELS[revision.operation] || revision.operation}
+              </strong>
+              <span>by {revision.actor || 'unknown'}</span>
+              <time dateTime={revision.time}>{new Date(revision.time).toLocaleString()}</time>
+            </div>
+            <ul className="history-changes">
+              {Object.entries(revision.changes).map(([field, change]) => (
+                <li key={field}>
+                  <span className="history-field">{field}</span>{' '}
+                  <del>{formatValue(change.before)}</del> → <ins>{formatValue(change.after)}</ins>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+    );
+  }
+
+  return (
+    <section className="history-panel">
+      <h3>History</h3>
+      {body}
+    </section>
+  );
+}
 
 /**
  * ItemDetail component with memory leak fix
  * Uses AbortController to cancel pending requests on unmount
+ * Has an edit mode whose saves show immediately and roll back on failure
  */
 function ItemDetail() {
   const { id } = useParams();
   const [item, setItem] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Bumped after each save to reload the history panel
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // Values and server errors of a rejected save, shown when the form reopens
+  const [rejected, setRejected] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
   const navigate = useNavigate();
-  const { fetchItem } = useData();
+  const { fetchItem, updateItem, deleteItem, user } = useData();
+
+  // Optimistic save: show the new values right away, restore them on failure
+  const handleSave = async (fields) => {
+    const previous = item;
+    setItem({ ...item, ...fields });
+    setEditing(false);
+    setRejected(null);
+    setSaving(true);
+
+    try {
+      setItem(await updateItem(item.id, fields));
+      setHistoryVersion(v => v + 1);
+    } catch (err) {
+      setItem(previous);
+      // Signed out: DataContext has already sent the user to the login page
+      if (err.status === 401) return;
+      // Someone else saved first: show their version, keep ours in the form to retry
+      if (err.status === 412) {
+        fetchItem(item.id).then(setItem).catch(() => {});
+      }
+      setRejected({ item: fields, serverErrors: fieldErrorsFromDetails(err.details, err.message) });
+      setEditing(true);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deleting only moves the item to the trash, so there's nothing to confirm
+  const handleDelete = async () => {
+    setDeleting(true);
+    setDeleteError(null);
+
+    try {
+      await deleteItem(item.id);
+      navigate('/');
+    } catch (err) {
+      setDeleting(false);
+      if (err.status !== 401) {
+        setDeleteError(err.message);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    setEditing(false);
+    setRejected(null);
+  };
 
   useEffect(() => {
     const abortController = new AbortController();
@@ -78,10 +223,28 @@ function ItemDetail() {
     );
   }
 
+  if (editing) {
+    return (
+      <div className="item-detail-container">
+        <div className="item-detail">
+          <h2 className="item-title">Edit item</h2>
+          <ItemForm
+            item={rejected ? rejected.item : item}
+            serverErrors={rejected && rejected.serverErrors}
+            onSubmit={handleSave}
+            onCancel={handleCancel}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="item-detail-container">
       <div className="item-detail">
         <h2 className="item-title">{item.name}</h2>
+        {saving && <p className="saving-note" aria-live="polite">Saving…</p>}
+        {deleteError && <p className="form-error" role="alert">Couldn't delete: {deleteError}</p>}
         <div className="item-info">
           <div className="info-row">
             <strong>Category:</strong>
@@ -92,9 +255,22 @@ function ItemDetail() {
             <span className="price">${item.price.toFixed(2)}</span>
           </div>
         </div>
-        <button onClick={() => navigate('/')} className="back-button">
-          ← Back to Items
-        </button>
+        <div className="form-actions">
+          <button onClick={() => navigate('/')} className="back-button">
+            ← Back to Items
+          </button>
+          {hasRole(user, 'editor') && (
+            <button onClick={() => setEditing(true)} className="primary-button" disabled={saving}>
+              Edit
+            </button>
+          )}
+          {hasRole(user, 'admin') && (
+            <button onClick={handleDelete} className="danger-button" disabled={saving || deleting}>
+              {deleting ? 'Deleting…' : 'Move to trash'}
+            </button>
+          )}
+        </div>
+        {hasRole(user, 'admin') && <ItemHistory itemId={item.id} version={historyVersion} />}
       </div>
     </div>
   );
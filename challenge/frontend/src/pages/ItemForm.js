@@ -0,0 +1,109 @@
+import { useEffect, useState } from 'react';
+import { parseFormValues, validateItem } from '../utils/validation';
+
+const FIELDS = [
+  { name: 'name', label: 'Name', type: 'text' },
+  { name: 'category', label: 'Category', type: 'text' },
+  { name: 'price', label: 'Price', type: 'number', step: '0.01', min: '0' }
+];
+
+/**
+ * Form values for an item (inputs hold strings)
+ * @param {Object|null} [item]
+ * @returns {{ name: string, category: string, price: string }}
+ */
+function toFormValues(item) {
+  const { name, category, price } = item || {};
+  return {
+    name: name || '',
+    category: category || '',
+    price: price === undefined || price === null ? '' : String(price)
+  };
+}
+
+/**
+ * Create/edit form for an item.
+ * Validates with the server's rules before calling onSubmit, and shows
+ * `serverErrors` (e.g. from a rejected save) next to their fields until the
+ * field is edited
+ * @param {Object} props
+ * @param {Object} [props.item] - Initial values
+ * @param {Function} props.onSubmit - Called with the validated { name, category, price }
+ * @param {Function} [props.onCancel]
+ * @param {Object} [props.serverErrors] - Message per field, `form` for the rest
+ * @param {boolean} [props.submitting]
+ * @param {string} [props.submitLabel='Save']
+ */
+function ItemForm({ item, onSubmit, onCancel, serverErrors, submitting = false, submitLabel = 'Save' }) {
+  const [values, setValues] = useState(() => toFormValues(item));
+  const [errors, setErrors] = useState({});
+
+  // Show a new set of server errors in place of the client-side ones
+  useEffect(() => {
+    setErrors(serverErrors || {});
+  }, [serverErrors]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const next = { ...values, [name]: value };
+    setValues(next);
+
+    // Re-check a field once it has been flagged, so the message clears when fixed
+    if (errors[name] || errors.form) {
+      const { errors: fieldErrors } = validateItem(parseFormValues(next));
+      setErrors(prev => {
+        const { form, ...rest } = prev;
+        return { ...rest, [name]: fieldErrors[name] };
+      });
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { value, errors: fieldErrors } = validateItem(parseFormValues(values));
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length === 0) {
+      onSubmit(value);
+    }
+  };
+
+  return (
+    <form className="item-form" onSubmit={handleSubmit} noValidate>
+      {errors.form && (
+        <p className="form-error" role="alert">{errors.form}</p>
+      )}
+
+      {FIELDS.map(({ name, label, ...inputProps }) => (
+        <div key={name} className={`form-field${errors[name] ? ' invalid' : ''}`}>
+          <label htmlFor={`item-${name}`}>{label}</label>
+          <input
+            id={`item-${name}`}
+            name={name}
+            value={values[name]}
+            onChange={handleChange}
+            aria-invalid={Boolean(errors[name])}
+            aria-describedby={errors[name] ? `item-${name}-error` : undefined}
+            disabled={submitting}
+            {...inputProps}
+          />
+          {errors[name] && (
+            <span id={`item-${name}-error`} className="field-error">{errors[name]}</span>
+          )}
+        </div>
+      ))}
+
+      <div className="form-actions">
+        <button type="submit" className="primary-button" disabled={submitting}>
+          {submitting ? 'Saving…' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="back-button" onClick={onCancel} disabled={submitting}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default ItemForm;
@@ -1,17 +1,48 @@
-import { useEffect, useState, useCallback, useMemo } from 'react';
-import { useData } from '../state/DataContext';
+import { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { useData, useLiveEvent } from '../state/DataContext';
 import { Link } from 'react-router-dom';
 import { FixedSizeList as List } from 'react-window';
+import { hasRole } from '../utils/auth';
+
+const PAGE_SIZE = 20;
+// Start loading the next cursor page when this close to the end of the list
+const LOAD_MORE_THRESHOLD = 5;
+
+/**
+ * Wrap the matched parts of a search hit in <mark>
+ * @param {string} text - Field value
+ * @param {Array<[number, number]>} [ranges] - [start, end) offsets from the API's _highlights
+ * @returns {React.ReactNode}
+ */
+function highlight(text, ranges) {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
 
 /**
  * Items component with pagination, search, and virtualization
  * Fixes memory leak by using AbortController to cancel pending requests
+ * Supports numbered pages or infinite scroll (cursor pagination)
  */
 function Items() {
-  const { items, pagination, loading, error, fetchItems } = useData();
+  const { items, pagination, loading, error, fetchItems, itemsVersion, user } = useData();
   const [searchQuery, setSearchQuery] = useState('');
   const [debouncedQuery, setDebouncedQuery] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
+  const [infiniteScroll, setInfiniteScroll] = useState(false);
+  // Bumped by live events that the loaded list can't absorb in place
+  const [refreshKey, setRefreshKey] = useState(0);
+  const loadMoreController = useRef(null);
+  const requestedCursor = useRef(null);
 
   // Debounce search query to avoid excessive API calls
   useEffect(() => {
@@ -23,13 +54,23 @@ function Items() {
     return () => clearTimeout(timer);
   }, [searchQuery]);
 
-  // Fetch items with proper cleanup to prevent memory leak
+  // Edits patch the list in DataContext; creations, deletions and restores
+  // shift page contents and totals, so refetch the current page. An infinite
+  // list is only reloaded when the whole data set may have changed, to keep
+  // the scroll position
+  useLiveEvent(['item.created', 'item.deleted', 'item.restored', 'items.reloaded', 'reset'], (data, type) => {
+    if (infiniteScroll && type !== 'items.reloaded' && type !== 'reset') return;
+    setRefreshKey(key => key + 1);
+  });
+
+  // Fetch items with proper cleanup to prevent memory leak.
+  // Also refetches after live events (refreshKey) and our own saves (itemsVersion)
   useEffect(() => {
     const abortController = new AbortController();
 
     fetchItems({
-      page: currentPage,
-      limit: 20,
+      ...(infiniteScroll ? { cursor: '' } : { page: currentPage }),
+      limit: PAGE_SIZE,
       q: debouncedQuery,
       signal: abortController.signal
     }).catch(err => {
@@ -42,8 +83,41 @@ function Items() {
     // Cleanup: abort pending request when component unmounts or dependencies change
     return () => {
       abortController.abort();
+      if (loadMoreController.current) {
+        loadMoreController.current.abort();
+      }
+      requestedCursor.current = null;
     };
-  }, [fetchItems, currentPage, debouncedQuery]);
+  }, [fetchItems, currentPage, debouncedQuery, infiniteScroll, refreshKey, itemsVersion]);
+
+  // Infinite scroll: fetch the next cursor page once the end of the list is visible
+  const handleItemsRendered = useCallback(({ visibleStopIndex }) => {
+    const { hasMore, nextCursor } = pagination;
+    if (!infiniteScroll || !hasMore || !nextCursor) return;
+    if (visibleStopIndex < items.length - LOAD_MORE_THRESHOLD) return;
+    // Only request each cursor once, however often the list re-renders
+    if (requestedCursor.current === nextCursor) return;
+
+    requestedCursor.current = nextCursor;
+    const abortController = new AbortController();
+    loadMoreController.current = abortController;
+
+    fetchItems({
+      cursor: nextCursor,
+      limit: PAGE_SIZE,
+      q: debouncedQuery,
+      signal: abortController.signal
+    }).catch(err => {
+      if (err.name !== 'AbortError') {
+        console.error('Error loading more items:', err);
+      }
+    });
+  }, [fetchItems, infiniteScroll, items.length, pagination, debouncedQuery]);
+
+  const handleToggleInfiniteScroll = useCallback((e) => {
+    setInfiniteScroll(e.target.checked);
+    setCurrentPage(1);
+  }, []);
 
   // Handle page navigation
   const handlePrevPage = useCallback(() => {
@@ -61,15 +135,22 @@ function Items() {
   // Virtualized row renderer
   const Row = useCallback(({ index, style }) => {
     const item = items[index];
+    const highlights = item._highlights || {};
+    const content = (
+      <div className="item-content">
+        <span className="item-name">{highlight(item.name, highlights.name)}</span>
+        <span className="item-category">{highlight(item.category, highlights.category)}</span>
+        <span className="item-price">${item.price.toFixed(2)}</span>
+      </div>
+    );
     return (
-      <div style={style} className="item-row">
-        <Link to={`/items/${item.id}`} className="item-link">
-          <div className="item-content">
-            <span className="item-name">{item.name}</span>
-            <span className="item-category">{item.category}</span>
-            <span className="item-price">${item.price.toFixed(2)}</span>
-          </div>
-        </Link>
+      <div style={style} className={`item-row${item._pending ? ' pending' : ''}`}>
+        {/* A new item has no detail page until the server assigns its id */}
+        {String(item.id).startsWith('pending-') ? (
+          <div className="item-link" aria-busy="true">{content}</div>
+        ) : (
+          <Link to={`/items/${item.id}`} className="item-link">{content}</Link>
+        )}
       </div>
     );
   }, [items]);
@@ -151,6 +232,22 @@ function Items() {
         )}
       </div>
 
+      {/* Signed-out users are sent to log in first */}
+      {(!user || hasRole(user, 'editor')) && (
+        <div className="list-actions">
+          <Link to="/items/new" className="primary-button">+ Add item</Link>
+        </div>
+      )}
+
+      <label className="view-toggle">
+        <input
+          type="checkbox"
+          checked={infiniteScroll}
+          onChange={handleToggleInfiniteScroll}
+        />
+        Infinite scroll
+      </label>
+
       {loading && <div className="loading-indicator">Loading...</div>}
 
       {items.length === 0 && !loading ? (
@@ -171,12 +268,13 @@ function Items() {
             itemSize={60}
             width="100%"
             className="items-list"
+            onItemsRendered={handleItemsRendered}
           >
             {Row}
           </List>
 
           {/* Pagination controls */}
-          {pagination.totalPages > 1 && (
+          {!infiniteScroll && pagination.totalPages > 1 && (
             <div className="pagination">
               <button
                 onClick={handlePrevPage}
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useData } from '../state/DataContext';
+
+/**
+ * Login page. After signing in, returns to the page that sent the user here
+ * (`location.state.from`), or the items list
+ */
+function Login() {
+  const { login, user } = useData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const from = (location.state && location.state.from) || { pathname: '/' };
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (user && !submitting) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) {
+      setError('Enter your username and password');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username.trim(), password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.status === 401 ? 'Invalid username or password' : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="item-detail-container">
+      <div className="item-detail">
+        <h2 className="item-title">Log in</h2>
+        <form className="item-form" onSubmit={handleSubmit} noValidate>
+          {error && <p className="form-error" role="alert">{error}</p>}
+
+          <div className="form-field">
+            <label htmlFor="login-username">Username</label>
+            <input
+              id="login-username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              disabled={submitting}
+              autoFocus
+            />
+          </div>
+
+          <div className="form-field">
+            <label htmlFor="login-password">Password</label>
+            <input
+              id="login-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              disabled={submitting}
+            />
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" className="primary-button" disabled={submitting}>
+              {submitting ? 'Logging in…' : 'Log in'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,48 @@
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useData } from '../state/DataContext';
+import { fieldErrorsFromDetails } from '../utils/validation';
+import ItemForm from './ItemForm';
+
+/**
+ * "Add item" page.
+ * Saves optimistically: goes straight back to the list, where the new item
+ * shows as pending. If the server rejects it, the form reopens with the
+ * entered values and the server's messages next to their fields
+ */
+function NewItem() {
+  const { createItem } = useData();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // Set when returning here after a failed save
+  const { state } = location;
+
+  const handleSubmit = (fields) => {
+    navigate('/');
+    createItem(fields).catch(err => {
+      // Signed out: DataContext has already sent the user to the login page
+      if (err.status === 401) return;
+      navigate('/items/new', {
+        state: { item: fields, serverErrors: fieldErrorsFromDetails(err.details, err.message) }
+      });
+    });
+  };
+
+  return (
+    <div className="item-detail-container">
+      <div className="item-detail">
+        <h2 className="item-title">Add item</h2>
+        <ItemForm
+          // Remount with the returned values after a failed save
+          key={location.key}
+          item={state && state.item}
+          serverErrors={state && state.serverErrors}
+          onSubmit={handleSubmit}
+          onCancel={() => navigate('/')}
+          submitLabel="Add item"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default NewItem;
@@ -0,0 +1,34 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useData } from '../state/DataContext';
+import { hasRole } from '../utils/auth';
+
+/**
+ * Route guard: sends signed-out users to the login page (and back here
+ * afterwards), and tells signed-in users without the role that they can't
+ * use this page
+ * @param {Object} props
+ * @param {string} props.role - Minimum role, e.g. 'editor'
+ * @param {React.ReactNode} props.children
+ */
+function RequireRole({ role, children }) {
+  const { user } = useData();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (!hasRole(user, role)) {
+    return (
+      <div className="item-detail-container">
+        <div className="error-message">
+          <p>You need the {role} role to do this. You are signed in as {user.username} ({user.role}).</p>
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+}
+
+export default RequireRole;
@@ -0,0 +1,250 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useData, useLiveEvent } from '../state/DataContext';
+
+// Histogram drawing area, in SVG user units (the SVG scales to its container)
+const CHART = { width: 640, height: 260, top: 20, right: 16, bottom: 48, left: 48 };
+
+/**
+ * Format a price for display
+ * @param {number} value
+ * @returns {string}
+ */
+function formatPrice(value) {
+  return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Short price label for chart axes ($1.2k)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatShortPrice(value) {
+  return value >= 1000 ? `$${Math.round(value / 100) / 10}k` : `$${Math.round(value)}`;
+}
+
+/**
+ * Price distribution bar chart, drawn with plain SVG
+ * @param {Object} props
+ * @param {Array<{ min: number, max: number, count: number }>} props.buckets
+ */
+function PriceHistogram({ buckets }) {
+  if (!buckets || buckets.length === 0) {
+    return <p className="stats-empty">No prices to chart.</p>;
+  }
+
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const maxCount = Math.max(...buckets.map(b => b.count), 1);
+  const slot = plotWidth / buckets.length;
+  const barWidth = slot * 0.8;
+  const baseline = CHART.top + plotHeight;
+
+  return (
+    <svg
+      className="histogram"
+      viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+      role="img"
+      aria-label={`Price distribution: ${buckets
+        .map(b => `${b.count} items from ${formatShortPrice(b.min)} to ${formatShortPrice(b.max)}`)
+        .join(', ')}`}
+    >
+      {/* Axes */}
+      <line x1={CHART.left} y1={CHART.top} x2={CHART.left} y2={baseline} className="histogram-axis" />
+      <line x1={CHART.left} y1={baseline} x2={CHART.width - CHART.right} y2={baseline} className="histogram-axis" />
+      <text x={CHART.left - 8} y={baseline} className="histogram-label" textAnchor="end" dominantBaseline="middle">
+        0
+      </text>
+      <text x={CHART.left - 8} y={CHART.top} className="histogram-label" textAnchor="end" dominantBaseline="middle">
+        {maxCount}
+      </text>
+
+      {buckets.map((bucket, i) => {
+        const height = (bucket.count / maxCount) * plotHeight;
+        const x = CHART.left + i * slot + (slot - barWidth) / 2;
+        const y = baseline - height;
+        return (
+          <g key={`${bucket.min}-${bucket.max}`}>
+            <rect x={x} y={y} width={barWidth} height={height} className="histogram-bar">
+              <title>{`${formatPrice(bucket.min)} – ${formatPrice(bucket.max)}: ${bucket.count} items`}</title>
+            </rect>
+            {bucket.count > 0 && (
+              <text x={x + barWidth / 2} y={y - 6} className="histogram-count" textAnchor="middle">
+                {bucket.count}
+              </text>
+            )}
+            <text x={x + barWidth / 2} y={baseline + 18} className="histogram-label" textAnchor="middle">
+              {formatShortPrice(bucket.min)}–
+            </text>
+            <text x={x + barWidth / 2} y={baseline + 32} className="histogram-label" textAnchor="middle">
+              {formatShortPrice(bucket.max)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Statistics dashboard: summary cards, per-category table and price histogram
+ * Shows whether the server answered from its stats cache, and reloads when
+ * the server reports that its stats changed
+ */
+function Stats() {
+  const { fetchStats, liveStatus } = useData();
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const loadStats = useCallback(async () => {
+    // Cancel a refresh that is still in flight
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await fetchStats({ signal: abortController.signal });
+      setStats(data);
+      setLoading(false);
+    } catch (err) {
+      // Don't update state if request was aborted
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+        setLoading(false);
+      }
+    }
+  }, [fetchStats]);
+
+  useEffect(() => {
+    loadStats();
+
+    // Cleanup: abort pending request when component unmounts
+    return () => {
+      if (abortRef.current) {
+        abortRef.current.abort();
+      }
+    };
+  }, [loadStats]);
+
+  // The server refreshes its cache before announcing the change, so this
+  // reload is answered from the cache
+  useLiveEvent(['stats.updated', 'reset'], () => {
+    loadStats();
+  });
+
+  // Loading state
+  if (loading && !stats) {
+    return (
+      <div className="stats-container">
+        <div className="skeleton-detail">
+          <div className="skeleton-line large"></div>
+          <div className="skeleton-line medium"></div>
+          <div className="skeleton-line medium"></div>
+        </div>
+      </div>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <div className="stats-container">
+        <div className="error-message">
+          <p>Error loading stats: {error}</p>
+          <button onClick={loadStats}>Retry</button>
+        </div>
+      </div>
+    );
+  }
+
+  const cards = [
+    { label: 'Items', value: stats.total },
+    { label: 'Total value', value: formatPrice(stats.totalValue) },
+    { label: 'Average price', value: formatPrice(stats.averagePrice) },
+    { label: 'Median price', value: formatPrice(stats.median) },
+    { label: 'Price range', value: `${formatPrice(stats.priceRange.min)} – ${formatPrice(stats.priceRange.max)}` },
+    { label: 'Std. deviation', value: formatPrice(stats.stdDev) },
+    { label: '90th percentile', value: formatPrice(stats.percentiles.p90) },
+    { label: '95th percentile', value: formatPrice(stats.percentiles.p95) },
+    { label: '99th percentile', value: formatPrice(stats.percentiles.p99) }
+  ];
+  const categories = Object.entries(stats.categories).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="stats-container">
+      <div className="stats-header">
+        <h2>Statistics</h2>
+        <div className="cache-status" aria-live="polite">
+          <span className={`live-badge ${liveStatus}`} title="Live updates from the server">
+            {{ open: 'Live', connecting: 'Connecting…', reconnecting: 'Reconnecting…' }[liveStatus]}
+          </span>
+          <span className={`cache-badge ${stats.cached ? 'hit' : 'miss'}`}>
+            {stats.cached ? 'Cached' : 'Fresh'}
+          </span>
+          {stats.cached && (
+            <span className="cache-age">age {(stats.cacheAge / 1000).toFixed(1)}s</span>
+          )}
+          <button onClick={loadStats} className="refresh-button" disabled={loading}>
+            {loading ? 'Refreshing…' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      <div className="stats-cards">
+        {cards.map(card => (
+          <div key={card.label} className="stats-card">
+            <span className="stats-card-label">{card.label}</span>
+            <span className="stats-card-value">{card.value}</span>
+          </div>
+        ))}
+      </div>
+
+      <section className="stats-section">
+        <h3>Price distribution</h3>
+        <PriceHistogram buckets={stats.histogram} />
+      </section>
+
+      <section className="stats-section">
+        <h3>By category</h3>
+        {categories.length === 0 ? (
+          <p className="stats-empty">No categories yet.</p>
+        ) : (
+          <table className="stats-table">
+            <thead>
+              <tr>
+                <th scope="col">Category</th>
+                <th scope="col">Items</th>
+                <th scope="col">Total value</th>
+                <th scope="col">Average</th>
+                <th scope="col">Median</th>
+                <th scope="col">Min</th>
+                <th scope="col">Max</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(([name, category]) => (
+                <tr key={name}>
+                  <th scope="row">{name}</th>
+                  <td>{category.count}</td>
+                  <td>{formatPrice(category.totalValue)}</td>
+                  <td>{formatPrice(category.averagePrice)}</td>
+                  <td>{formatPrice(category.median)}</td>
+                  <td>{formatPrice(category.minPrice)}</td>
+                  <td>{formatPrice(category.maxPrice)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default Stats;
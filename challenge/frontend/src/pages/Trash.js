@@ -0,0 +1,153 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useData, useLiveEvent } from '../state/DataContext';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Deleted items with a restore button each (admin role). The server purges
+ * them for good once its retention period (TRASH_RETENTION_DAYS) is over
+ */
+function Trash() {
+  const { fetchTrash, restoreItem } = useData();
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0, hasMore: false });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Ids with a restore in flight
+  const [restoring, setRestoring] = useState(() => new Set());
+  const [restoreError, setRestoreError] = useState(null);
+  // Bumped by live events that change what's in the trash
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useLiveEvent(['item.deleted', 'item.restored', 'item.purged', 'items.reloaded', 'reset'], () => {
+    setRefreshKey(key => key + 1);
+  });
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    setLoading(true);
+
+    fetchTrash({ page: currentPage, limit: PAGE_SIZE, signal: abortController.signal })
+      .then(json => {
+        setItems(json.data);
+        setPagination(json.pagination);
+        setError(null);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+          setLoading(false);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [fetchTrash, currentPage, refreshKey]);
+
+  // The last item of a page may have gone; step back instead of showing an empty page
+  useEffect(() => {
+    if (!loading && items.length === 0 && currentPage > 1) {
+      setCurrentPage(page => page - 1);
+    }
+  }, [loading, items.length, currentPage]);
+
+  const handleRestore = useCallback(async (id) => {
+    setRestoring(prev => new Set(prev).add(id));
+    setRestoreError(null);
+
+    try {
+      await restoreItem(id);
+      setItems(prev => prev.filter(item => item.id !== id));
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      // Signed out: DataContext has already sent the user to the login page
+      if (err.status !== 401) {
+        setRestoreError(err.message);
+      }
+    } finally {
+      setRestoring(prev => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
+    }
+  }, [restoreItem]);
+
+  if (error) {
+    return (
+      <div className="items-container">
+        <div className="error-message">
+          <p>Error loading the trash: {error}</p>
+          <button onClick={() => setRefreshKey(key => key + 1)}>Retry</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="items-container">
+      <h2 className="trash-title">Trash</h2>
+      {restoreError && <p className="form-error" role="alert">Couldn't restore: {restoreError}</p>}
+
+      {loading && items.length === 0 ? (
+        <div className="loading-indicator">Loading...</div>
+      ) : items.length === 0 ? (
+        <div className="no-results">
+          <p>The trash is empty.</p>
+        </div>
+      ) : (
+        <>
+          <div className="results-info">
+            {pagination.total} deleted item{pagination.total === 1 ? '' : 's'}
+          </div>
+          <ul className="trash-list">
+            {items.map(item => (
+              <li key={item.id} className="trash-row">
+                <div className="item-content">
+                  <span className="item-name">{item.name}</span>
+                  <span className="item-category">{item.category}</span>
+                  <span className="item-price">${item.price.toFixed(2)}</span>
+                </div>
+                <time className="trash-deleted" dateTime={item.deletedAt}>
+                  Deleted {new Date(item.deletedAt).toLocaleString()}
+                </time>
+                <button
+                  onClick={() => handleRestore(item.id)}
+                  className="primary-button"
+                  disabled={restoring.has(item.id)}
+                >
+                  {restoring.has(item.id) ? 'Restoring…' : 'Restore'}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {pagination.totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => setCurrentPage(page => Math.max(1, page - 1))}
+                disabled={currentPage === 1}
+                className="pagination-btn"
+                aria-label="Previous page"
+              >
+                ← Previous
+              </button>
+              <span className="page-status">Page {currentPage} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setCurrentPage(page => page + 1)}
+                disabled={!pagination.hasMore}
+                className="pagination-btn"
+                aria-label="Next page"
+              >
+                Next →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
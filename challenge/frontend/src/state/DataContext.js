@@ -1,9 +1,77 @@
-import React, { createContext, useCallback, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { loadSession, saveSession } from '../utils/auth';
 
 const DataContext = createContext();
 
+// Versioned: the unversioned /api paths are deprecated aliases
+const API_URL = 'http://localhost:3001/api/v1';
+const EVENTS_URL = `${API_URL}/events`;
+// Events forwarded from the server stream to useLiveEvent subscribers
+const LIVE_EVENT_TYPES = [
+  'item.created',
+  'item.updated',
+  'item.deleted',
+  'item.restored',
+  'item.purged',
+  'items.reloaded',
+  'stats.updated',
+  'reset'
+];
+// Reconnect backoff: 1s, 2s, 4s ... capped at 30s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+// GET responses kept for revalidation with If-None-Match, least recently used dropped first
+const MAX_CACHED_RESPONSES = 100;
+
+/**
+ * Build an Error from a failed API response, keeping the server's message,
+ * error code and per-field `details` ({ error: { code, message, details } })
+ * @param {Response} res
+ * @returns {Promise<Error>} With `status`, `code` and `details`
+ */
+async function apiError(res) {
+  let body = null;
+  try {
+    body = await res.json();
+  } catch (err) {
+    // Not JSON (e.g. a proxy error page)
+  }
+  const info = (body && body.error) || {};
+  const err = new Error(
+    typeof info === 'string' ? info : info.message || `HTTP error! status: ${res.status}`
+  );
+  err.status = res.status;
+  err.code = info.code;
+  err.details = info.details || null;
+  return err;
+}
+
+/**
+ * URL of one item
+ * @param {number|string} id
+ * @returns {string}
+ */
+function itemUrl(id) {
+  return `${API_URL}/items/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Delay before the given reconnect attempt, with jitter so clients dropped
+ * together don't all reconnect at the same moment
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} Milliseconds
+ */
+function reconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
 export function DataProvider({ children }) {
   const [items, setItems] = useState([]);
+  // Latest items for callbacks that need them without re-creating themselves
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
   const [pagination, setPagination] = useState({
     page: 1,
     limit: 20,
@@ -13,47 +81,295 @@ export function DataProvider({ children }) {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // { token, expiresAt, user: { username, role } } while signed in
+  const [session, setSession] = useState(loadSession);
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+  const navigate = useNavigate();
+  const location = useLocation();
+  const locationRef = useRef(location);
+  locationRef.current = location;
+  // 'connecting', 'open' or 'reconnecting'
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  // Bumped after every successful save so loaded lists refetch
+  const [itemsVersion, setItemsVersion] = useState(0);
+  const listeners = useRef(new Map());
+  // URL -> { etag, body } of earlier GET responses
+  const responseCache = useRef(new Map());
+  // Item id -> ETag it had when last read or written, for If-Match. Kept apart
+  // from responseCache so writes still send it after the response is evicted
+  const itemTags = useRef(new Map());
+
+  const endSession = useCallback(() => {
+    saveSession(null);
+    setSession(null);
+    // Some responses depended on who was signed in
+    responseCache.current.clear();
+  }, []);
+
+  // Sign out when the token expires
+  useEffect(() => {
+    if (!session) return undefined;
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    // setTimeout can't wait longer than ~24.8 days
+    const timer = setTimeout(endSession, Math.min(Math.max(remaining, 0), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [session, endSession]);
+
+  /**
+   * fetch() with the bearer token attached. A 401 means we are signed out (or
+   * the token was rejected): the session is cleared and the user is sent to
+   * the login page, which returns them here afterwards
+   * @param {string} url
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Response>}
+   */
+  const authorizedFetch = useCallback(async (url, options = {}) => {
+    const headers = { ...options.headers };
+    if (sessionRef.current) {
+      headers.Authorization = `Bearer ${sessionRef.current.token}`;
+    }
+
+    const res = await fetch(url, { ...options, headers });
+
+    if (res.status === 401) {
+      endSession();
+      navigate('/login', { state: { from: locationRef.current } });
+    }
+    return res;
+  }, [endSession, navigate]);
+
+  /**
+   * Keep a response body with its ETag, as the most recently used entry
+   * @param {string} url
+   * @param {string|null} etag - Nothing is kept without one
+   * @param {*} body
+   */
+  const cacheResponse = useCallback((url, etag, body) => {
+    const cache = responseCache.current;
+    cache.delete(url);
+    if (!etag) return;
+
+    cache.set(url, { etag, body });
+    if (cache.size > MAX_CACHED_RESPONSES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }, []);
+
+  /**
+   * Remember the ETag an item response came with, or forget it (null)
+   * @param {number|string} id
+   * @param {string|null} etag
+   */
+  const rememberItemTag = useCallback((id, etag) => {
+    if (etag) {
+      itemTags.current.set(String(id), etag);
+    } else {
+      itemTags.current.delete(String(id));
+    }
+  }, []);
+
+  /**
+   * GET a JSON response with the bearer token (see authorizedFetch),
+   * revalidating the copy cached for the same URL: its ETag goes in
+   * If-None-Match and a 304 reuses the cached body
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<*>} The response body
+   * @throws {Error} With `status`, `code` and `details` from the API on failure
+   */
+  const cachedGet = useCallback(async (url, { signal } = {}) => {
+    const cached = responseCache.current.get(url);
+    const headers = cached ? { 'If-None-Match': cached.etag } : {};
+    const res = await authorizedFetch(url, { signal, headers });
+
+    if (res.status === 304 && cached) {
+      cacheResponse(url, cached.etag, cached.body);
+      return cached.body;
+    }
+    if (!res.ok) {
+      throw await apiError(res);
+    }
+
+    const body = await res.json();
+    cacheResponse(url, res.headers.get('ETag'), body);
+    return body;
+  }, [authorizedFetch, cacheResponse]);
+
+  /**
+   * Sign in and keep the token for later requests (and page reloads)
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<Object>} The user ({ username, role })
+   * @throws {Error} With `status` and `details` from the API on failure
+   */
+  const login = useCallback(async (username, password) => {
+    const res = await fetch(`${API_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+
+    if (!res.ok) {
+      throw await apiError(res);
+    }
+
+    const { token, expiresAt, user } = await res.json();
+    const next = { token, expiresAt, user };
+    saveSession(next);
+    setSession(next);
+    return user;
+  }, []);
+
+  /**
+   * Register a handler for a live event type
+   * @param {string} type - e.g. 'item.created'
+   * @param {Function} handler - Called with the event data
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = useCallback((type, handler) => {
+    if (!listeners.current.has(type)) {
+      listeners.current.set(type, new Set());
+    }
+    listeners.current.get(type).add(handler);
+    return () => listeners.current.get(type).delete(handler);
+  }, []);
+
+  // Live updates: keep one event stream open while signed in, reconnecting
+  // with backoff. EventSource can't send headers, so the token goes in
+  // ?access_token=. Its own retry is replaced by ours, so the last seen event
+  // id is passed as ?lastEventId= and the server replays what we missed
+  const token = session ? session.token : null;
+  useEffect(() => {
+    if (typeof EventSource === 'undefined' || !token) return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let lastEventId = null;
+    let closed = false;
+
+    const dispatch = (type, data) => {
+      // Patch the loaded list in place; pages refetch for changes they can't patch
+      if (type === 'item.updated') {
+        setItems(prev => prev.map(item => (
+          String(item.id) === String(data.item.id) ? { ...data.item, _score: item._score } : item
+        )));
+      } else if (type === 'item.deleted') {
+        setItems(prev => prev.filter(item => String(item.id) !== String(data.item.id)));
+      }
+
+      (listeners.current.get(type) || []).forEach(handler => handler(data));
+    };
+
+    const connect = () => {
+      const params = new URLSearchParams({ access_token: token });
+      if (lastEventId) {
+        params.set('lastEventId', lastEventId);
+      }
+      source = new EventSource(`${EVENTS_URL}?${params}`);
+
+      source.onopen = () => {
+        attempt = 0;
+        setLiveStatus('open');
+      };
+
+      source.onerror = () => {
+        source.close();
+        if (closed) return;
+        setLiveStatus('reconnecting');
+        retryTimer = setTimeout(connect, reconnectDelay(attempt));
+        attempt++;
+      };
+
+      LIVE_EVENT_TYPES.forEach(type => {
+        source.addEventListener(type, e => {
+          lastEventId = e.lastEventId || null;
+          dispatch(type, e.data ? JSON.parse(e.data) : {});
+        });
+      });
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (source) {
+        source.close();
+      }
+    };
+  }, [token]);
 
   /**
-   * Fetch items with pagination and search support
+   * Fetch items with pagination, search, filter and sort support
    * @param {Object} options - Fetch options
    * @param {number} options.page - Page number
    * @param {number} options.limit - Items per page
    * @param {string} options.q - Search query
+   * @param {string|string[]} options.sort - Sort fields, '-' prefix for descending (e.g. 'price,-name')
+   * @param {string|string[]} options.category - Category or categories to include
+   * @param {number} options.minPrice - Minimum price (inclusive)
+   * @param {number} options.maxPrice - Maximum price (inclusive)
+   * @param {string} options.cursor - Use cursor pagination: '' loads the first
+   *   page, pagination.nextCursor appends the next one to `items`
    * @param {AbortSignal} options.signal - Abort signal for cancellation
    * @returns {Promise<Object>} Response data
    */
-  const fetchItems = useCallback(async ({ page = 1, limit = 20, q = '', signal } = {}) => {
+  const fetchItems = useCallback(async ({
+    page = 1,
+    limit = 20,
+    q = '',
+    sort,
+    category,
+    minPrice,
+    maxPrice,
+    cursor,
+    signal
+  } = {}) => {
     setLoading(true);
     setError(null);
 
     try {
       const params = new URLSearchParams({
-        page: page.toString(),
         limit: limit.toString()
       });
 
+      if (cursor !== undefined) {
+        params.append('cursor', cursor);
+      } else {
+        params.append('page', page.toString());
+      }
+
       if (q) {
         params.append('q', q);
       }
 
-      const res = await fetch(`http://localhost:3001/api/items?${params}`, { signal });
-
-      if (!res.ok) {
-        throw new Error(`HTTP error! status: ${res.status}`);
+      const sortFields = [].concat(sort || []).filter(Boolean);
+      if (sortFields.length > 0) {
+        params.append('sort', sortFields.join(','));
       }
 
-      const json = await res.json();
+      [].concat(category || []).filter(Boolean).forEach(c => params.append('category', c));
 
-      // Handle new API response format with pagination
-      if (json.data && json.pagination) {
-        setItems(json.data);
-        setPagination(json.pagination);
-      } else {
-        // Fallback for old format (backward compatibility)
-        setItems(Array.isArray(json) ? json : []);
+      if (minPrice !== undefined && minPrice !== null && minPrice !== '') {
+        params.append('minPrice', minPrice.toString());
+      }
+
+      if (maxPrice !== undefined && maxPrice !== null && maxPrice !== '') {
+        params.append('maxPrice', maxPrice.toString());
       }
 
+      const json = await cachedGet(`${API_URL}/items?${params}`, { signal });
+
+      // Later cursor pages extend the list instead of replacing it; rows of
+      // creates still in flight stay on top until their save settles
+      setItems(prev => (cursor
+        ? [...prev, ...json.data]
+        : [...prev.filter(item => item._pending && String(item.id).startsWith('pending-')), ...json.data]));
+      setPagination(json.pagination);
+
       setLoading(false);
       return json;
     } catch (err) {
@@ -64,38 +380,245 @@ export function DataProvider({ children }) {
       }
       throw err;
     }
-  }, []);
+  }, [cachedGet]);
 
   /**
    * Fetch a single item by ID
-   * @param {number} id - Item ID
+   * @param {number|string} id - Item ID (numeric, UUID or ULID)
    * @param {AbortSignal} signal - Abort signal for cancellation
    * @returns {Promise<Object>} Item data
    */
   const fetchItem = useCallback(async (id, signal) => {
     try {
-      const res = await fetch(`http://localhost:3001/api/items/${id}`, { signal });
+      const item = await cachedGet(itemUrl(id), { signal });
+      // Just cached (or revalidated) by cachedGet, so still there
+      const cached = responseCache.current.get(itemUrl(id));
+      rememberItemTag(id, cached ? cached.etag : null);
+      return item;
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error fetching item:', err);
+      }
+      throw err;
+    }
+  }, [cachedGet, rememberItemTag]);
 
-      if (!res.ok) {
-        throw new Error(`HTTP error! status: ${res.status}`);
+  /**
+   * Fetch a page of the trash: deleted items, each with `deletedAt` (admin role)
+   * @param {Object} options - Fetch options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {AbortSignal} options.signal - Abort signal for cancellation
+   * @returns {Promise<Object>} { data, pagination }, as for the item list
+   * @throws {Error} With `status` from the API on failure
+   */
+  const fetchTrash = useCallback(async ({ page = 1, limit = 20, signal } = {}) => {
+    const params = new URLSearchParams({
+      includeDeleted: 'only',
+      page: page.toString(),
+      limit: limit.toString()
+    });
+    return cachedGet(`${API_URL}/items?${params}`, { signal });
+  }, [cachedGet]);
+
+  /**
+   * Fetch an item's change history (audit records, oldest first)
+   * @param {number|string} id - Item ID
+   * @param {AbortSignal} signal - Abort signal for cancellation
+   * @returns {Promise<Array<Object>>} Revisions: { revision, time, actor, operation, changes }
+   */
+  const fetchItemHistory = useCallback(async (id, signal) => {
+    try {
+      return (await cachedGet(`${itemUrl(id)}/history`, { signal })).data;
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error fetching item history:', err);
+      }
+      throw err;
+    }
+  }, [cachedGet]);
+
+  /**
+   * Fetch aggregate statistics
+   * @param {Object} options - Fetch options
+   * @param {string|string[]} options.category - Only these categories
+   * @param {string|string[]} options.fields - Only these stats sections
+   * @param {number|number[]} options.buckets - Histogram bucket count or edges
+   * @param {AbortSignal} options.signal - Abort signal for cancellation
+   * @returns {Promise<Object>} Stats, including `cached` and `cacheAge`
+   */
+  const fetchStats = useCallback(async ({ category, fields, buckets, signal } = {}) => {
+    try {
+      const params = new URLSearchParams();
+
+      [].concat(category || []).filter(Boolean).forEach(c => params.append('category', c));
+
+      const fieldList = [].concat(fields || []).filter(Boolean);
+      if (fieldList.length > 0) {
+        params.append('fields', fieldList.join(','));
       }
 
-      return await res.json();
+      if (buckets !== undefined) {
+        params.append('buckets', [].concat(buckets).join(','));
+      }
+
+      const query = params.toString();
+      return await cachedGet(`${API_URL}/stats${query ? `?${query}` : ''}`, { signal });
     } catch (err) {
       if (err.name !== 'AbortError') {
-        console.error('Error fetching item:', err);
+        console.error('Error fetching stats:', err);
       }
       throw err;
     }
+  }, [cachedGet]);
+
+  /**
+   * Create an item. A placeholder row (`_pending: true`) is shown in the list
+   * right away and replaced by the saved item, or removed if the save fails
+   * @param {{ name: string, category: string, price: number }} fields - Validated fields
+   * @returns {Promise<Object>} The created item
+   * @throws {Error} With `status` and `details` from the API on failure
+   */
+  const createItem = useCallback(async (fields) => {
+    const tempId = `pending-${Date.now()}`;
+    setItems(prev => [{ ...fields, id: tempId, _pending: true }, ...prev]);
+
+    try {
+      const res = await authorizedFetch(`${API_URL}/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+      });
+
+      if (!res.ok) {
+        throw await apiError(res);
+      }
+
+      const created = await res.json();
+      cacheResponse(itemUrl(created.id), res.headers.get('ETag'), created);
+      rememberItemTag(created.id, res.headers.get('ETag'));
+      setItems(prev => prev.map(item => (item.id === tempId ? created : item)));
+      setItemsVersion(v => v + 1);
+      return created;
+    } catch (err) {
+      // Roll back the placeholder
+      setItems(prev => prev.filter(item => item.id !== tempId));
+      throw err;
+    }
+  }, [authorizedFetch, cacheResponse, rememberItemTag]);
+
+  /**
+   * If-Match header for a write to an item: the ETag it had when last read
+   * or written (see rememberItemTag), so the server refuses the write (412)
+   * if it changed since
+   * @param {number|string} id
+   * @returns {Object} Headers
+   */
+  const ifMatch = useCallback((id) => {
+    const etag = itemTags.current.get(String(id));
+    return etag ? { 'If-Match': etag } : {};
   }, []);
 
+  /**
+   * Replace an item's fields. The loaded list shows the new values right away
+   * and is restored if the save fails
+   * @param {number|string} id - Item ID
+   * @param {{ name: string, category: string, price: number }} fields - Validated fields
+   * @returns {Promise<Object>} The updated item
+   * @throws {Error} With `status` and `details` from the API on failure; 412
+   *   if someone else changed the item since it was fetched
+   */
+  const updateItem = useCallback(async (id, fields) => {
+    const isTarget = item => String(item.id) === String(id);
+    const previous = itemsRef.current.find(isTarget);
+    setItems(prev => prev.map(item => (isTarget(item) ? { ...item, ...fields, _pending: true } : item)));
+
+    try {
+      const res = await authorizedFetch(itemUrl(id), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ifMatch(id) },
+        body: JSON.stringify(fields)
+      });
+
+      if (!res.ok) {
+        throw await apiError(res);
+      }
+
+      const updated = await res.json();
+      cacheResponse(itemUrl(id), res.headers.get('ETag'), updated);
+      rememberItemTag(id, res.headers.get('ETag'));
+      setItems(prev => prev.map(item => (isTarget(item) ? updated : item)));
+      setItemsVersion(v => v + 1);
+      return updated;
+    } catch (err) {
+      // Roll back to what was shown before the save
+      if (previous) {
+        setItems(prev => prev.map(item => (isTarget(item) ? previous : item)));
+      }
+      throw err;
+    }
+  }, [authorizedFetch, cacheResponse, ifMatch, rememberItemTag]);
+
+  /**
+   * Move an item to the trash
+   * @param {number|string} id - Item ID
+   * @returns {Promise<void>}
+   * @throws {Error} With `status` from the API on failure; 412 if someone
+   *   else changed the item since it was fetched
+   */
+  const deleteItem = useCallback(async (id) => {
+    const res = await authorizedFetch(itemUrl(id), { method: 'DELETE', headers: ifMatch(id) });
+
+    if (!res.ok) {
+      throw await apiError(res);
+    }
+
+    cacheResponse(itemUrl(id), null);
+    rememberItemTag(id, null);
+    setItems(prev => prev.filter(item => String(item.id) !== String(id)));
+    setItemsVersion(v => v + 1);
+  }, [authorizedFetch, cacheResponse, ifMatch, rememberItemTag]);
+
+  /**
+   * Take an item back out of the trash
+   * @param {number|string} id - Item ID
+   * @returns {Promise<Object>} The restored item
+   * @throws {Error} With `status` from the API on failure (409 if it isn't in the trash)
+   */
+  const restoreItem = useCallback(async (id) => {
+    const res = await authorizedFetch(`${itemUrl(id)}/restore`, { method: 'POST' });
+
+    if (!res.ok) {
+      throw await apiError(res);
+    }
+
+    const restored = await res.json();
+    cacheResponse(itemUrl(id), res.headers.get('ETag'), restored);
+    rememberItemTag(id, res.headers.get('ETag'));
+    setItemsVersion(v => v + 1);
+    return restored;
+  }, [authorizedFetch, cacheResponse, rememberItemTag]);
+
   const value = {
     items,
     pagination,
     loading,
     error,
     fetchItems,
-    fetchItem
+    fetchItem,
+    fetchItemHistory,
+    fetchTrash,
+    fetchStats,
+    createItem,
+    updateItem,
+    deleteItem,
+    restoreItem,
+    itemsVersion,
+    liveStatus,
+    subscribe,
+    user: session ? session.user : null,
+    login,
+    logout: endSession
   };
 
   return (
@@ -105,4 +628,23 @@ export function DataProvider({ children }) {
   );
 }
 
-export const useData = () => useContext(DataContext);
\ No newline at end of file
+export const useData = () => useContext(DataContext);
+
+/**
+ * Run a handler for every live event of the given type(s) while mounted
+ * @param {string|string[]} types - e.g. 'stats.updated'
+ * @param {Function} handler - Called with (data, type); may change between renders
+ */
+export function useLiveEvent(types, handler) {
+  const { subscribe } = useData();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const typeKey = [].concat(types).join(',');
+
+  useEffect(() => {
+    const unsubscribers = typeKey.split(',').map(type =>
+      subscribe(type, data => handlerRef.current(data, type))
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [subscribe, typeKey]);
+}
\ No newline at end of file
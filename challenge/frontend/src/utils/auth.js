@@ -0,0 +1,52 @@
+/**
+ * Roles from least to most privileged, as on the server
+ * (backend/src/auth/users.js): viewer reads, editor also creates and
+ * updates, admin also deletes and restores
+ */
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+const STORAGE_KEY = 'auth';
+
+/**
+ * Whether a user holds at least the required role
+ * @param {{ role: string }|null} user
+ * @param {string} required
+ * @returns {boolean}
+ */
+export function hasRole(user, required) {
+  if (!user) return false;
+  const level = ROLES.indexOf(user.role);
+  return level !== -1 && level >= ROLES.indexOf(required);
+}
+
+/**
+ * Session saved by a previous login, unless it has expired
+ * @returns {{ token: string, expiresAt: string, user: Object }|null}
+ */
+export function loadSession() {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (session && session.token && new Date(session.expiresAt).getTime() > Date.now()) {
+      return session;
+    }
+  } catch (err) {
+    // Storage unavailable or corrupt: start signed out
+  }
+  return null;
+}
+
+/**
+ * Persist the session across reloads, or clear it with null
+ * @param {Object|null} session
+ */
+export function saveSession(session) {
+  try {
+    if (session) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    // Storage unavailable: the session lasts until the page is closed
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Client-side item validation.
+ *
+ * Mirrors `itemSchema` in backend/src/utils/validation.js (same rules, same
+ * messages) so the forms catch mistakes before a round trip; keep the two in
+ * sync. The server stays the authority: its 400 details are shown the same way.
+ */
+
+export const itemSchema = {
+  name: {
+    type: 'string',
+    required: true,
+    trim: true,
+    nonEmpty: true,
+    message: 'Name is required and must be a non-empty string'
+  },
+  category: {
+    type: 'string',
+    required: true,
+    trim: true,
+    nonEmpty: true,
+    message: 'Category is required and must be a non-empty string'
+  },
+  price: {
+    type: 'number',
+    required: true,
+    min: 0,
+    message: 'Price is required and must be a non-negative number'
+  }
+};
+
+/**
+ * Convert raw form input (all strings) to the types the API expects.
+ * Blank numbers become undefined so they are reported as missing
+ * @param {Object} values - Form values keyed by field
+ * @returns {Object}
+ */
+export function parseFormValues(values) {
+  const parsed = {};
+  for (const [field, rule] of Object.entries(itemSchema)) {
+    const raw = values[field];
+    if (rule.type === 'number') {
+      parsed[field] = raw === undefined || String(raw).trim() === '' ? undefined : Number(raw);
+    } else {
+      parsed[field] = raw;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Validate an item the way the server does
+ * @param {Object} input - Parsed values (see parseFormValues)
+ * @returns {{ value: Object, errors: Object }} Sanitized value, and a message
+ *   per invalid field (empty when valid)
+ */
+export function validateItem(input) {
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(itemSchema)) {
+    const raw = input[field];
+
+    if (raw === undefined) {
+      if (rule.required) errors[field] = rule.message;
+      continue;
+    }
+
+    if (rule.type === 'string') {
+      const str = typeof raw === 'string' && rule.trim ? raw.trim() : raw;
+      if (typeof str !== 'string' || (rule.nonEmpty && str.length === 0)) {
+        errors[field] = rule.message;
+      } else {
+        value[field] = str;
+      }
+    } else if (rule.type === 'number') {
+      if (typeof raw !== 'number' || !Number.isFinite(raw) || (rule.min !== undefined && raw < rule.min)) {
+        errors[field] = rule.message;
+      } else {
+        value[field] = raw;
+      }
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Map the `details` of an API validation error to per-field messages.
+ * Details without a known field are collected under `form`
+ * @param {Array<{ field: string|null, message: string }>} [details]
+ * @param {string} [fallback] - Message to use when there are no details
+ * @returns {Object}
+ */
+export function fieldErrorsFromDetails(details, fallback) {
+  const errors = {};
+  (details || []).forEach(({ field, message }) => {
+    const key = field && itemSchema[field] ? field : 'form';
+    errors[key] = errors[key] ? `${errors[key]}; ${message}` : message;
+  });
+  if (Object.keys(errors).length === 0 && fallback) {
+    errors.form = fallback;
+  }
+  return errors;
+}